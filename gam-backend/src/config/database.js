@@ -10,6 +10,9 @@ const connectionString = process.env.DATABASE_URL || 'postgresql://gam_user:gam_
 const sql = postgres(connectionString);
 export const db = drizzle(sql);
 
+// Raw client for LISTEN/NOTIFY, which drizzle does not wrap
+export const pgClient = sql;
+
 // Redis connection (optional)
 let redisClient = null;
 
@@ -0,0 +1,108 @@
+import { auditService } from '../services/auditService.js';
+import { toCsv } from '../services/connectorSteps.js';
+import { logger } from '../config/logs.js';
+import { z } from 'zod';
+
+// Query filters shared by the list and the export
+const filtersSchema = z.object({
+  scope: z.enum(['workspace', 'all']).default('workspace'),
+  action: z.string().max(100).optional(),
+  actorId: z.string().uuid().optional(),
+  entityType: z.string().max(50).optional(),
+  entityId: z.string().max(255).optional(),
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional()
+});
+
+const validationError = (res, error) => res.status(400).json({
+  error: {
+    message: 'Validation error',
+    details: error.errors,
+    status: 400
+  }
+});
+
+// Workspace admins read their workspace's trail; global admins may ask for
+// every entry, logins and other actions outside a workspace included
+const parseFilters = (req) => {
+  const { scope, ...filters } = filtersSchema.parse(req.query);
+  const everything = scope === 'all' && req.user.role === 'admin';
+
+  return { ...filters, workspaceId: everything ? undefined : req.workspace.id };
+};
+
+// Columns of the CSV export, in order
+const exportRow = (entry) => ({
+  createdAt: entry.createdAt?.toISOString?.() ?? entry.createdAt,
+  action: entry.action,
+  actorEmail: entry.actorEmail,
+  actorId: entry.actorId,
+  ip: entry.ip,
+  userAgent: entry.userAgent,
+  workspaceId: entry.workspaceId,
+  entityType: entry.entityType,
+  entityId: entry.entityId,
+  entityName: entry.entityName,
+  changes: entry.changes,
+  metadata: entry.metadata
+});
+
+// List audit entries, newest first
+export const getAuditLogs = async (req, res) => {
+  try {
+    const filters = parseFilters(req);
+    const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const { entries, total } = await auditService.list(filters, { page: pageNum, limit: limitNum });
+
+    res.status(200).json({
+      success: true,
+      data: entries,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    logger.error('Failed to list audit logs', { workspaceId: req.workspace?.id, error: error.message });
+    res.status(500).json({
+      error: {
+        message: 'Failed to get audit logs',
+        status: 500
+      }
+    });
+  }
+};
+
+// Download the entries matching the filters as CSV
+export const exportAuditLogs = async (req, res) => {
+  try {
+    const entries = await auditService.export(parseFilters(req));
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.status(200).send(toCsv(entries.map(exportRow)));
+
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    logger.error('Failed to export audit logs', { workspaceId: req.workspace?.id, error: error.message });
+    res.status(500).json({
+      error: {
+        message: 'Failed to export audit logs',
+        status: 500
+      }
+    });
+  }
+};
@@ -2,6 +2,8 @@ import { db } from '../config/database.js';
 import { users } from '../models/schema.js';
 import { eq } from 'drizzle-orm';
 import { generateToken, hashPassword, comparePassword } from '../middleware/auth.js';
+import { workspaceService } from '../services/workspaceService.js';
+import { auditService, auditContext, AUDIT_ACTIONS } from '../services/auditService.js';
 import { z } from 'zod';
 
 // Validation schemas
@@ -58,6 +60,8 @@ export const register = async (req, res) => {
         createdAt: users.createdAt
       });
 
+    await workspaceService.ensurePersonal(newUser);
+
     // Generate token
     const token = generateToken(newUser);
 
@@ -103,7 +107,15 @@ export const login = async (req, res) => {
       .from(users)
       .where(eq(users.email, email));
 
+    // Failed attempts are audited under the email that was tried
+    const loginFailed = (reason) => auditService.record(
+      { ...auditContext(req), actorId: user?.id ?? null, actorEmail: email },
+      AUDIT_ACTIONS.LOGIN_FAILED,
+      { entityType: 'user', entityId: user?.id ?? null, entityName: email, metadata: { reason } }
+    );
+
     if (!user) {
+      await loginFailed('unknown_email');
       return res.status(401).json({
         error: {
           message: 'Invalid email or password',
@@ -116,6 +128,7 @@ export const login = async (req, res) => {
     const isValidPassword = await comparePassword(password, user.passwordHash);
     
     if (!isValidPassword) {
+      await loginFailed('wrong_password');
       return res.status(401).json({
         error: {
           message: 'Invalid email or password',
@@ -133,6 +146,12 @@ export const login = async (req, res) => {
     // Generate token
     const token = generateToken(user);
 
+    await auditService.record({ ...auditContext(req), actorId: user.id, actorEmail: user.email }, AUDIT_ACTIONS.LOGIN, {
+      entityType: 'user',
+      entityId: user.id,
+      entityName: user.email
+    });
+
     res.status(200).json({
       success: true,
       data: {
@@ -1,10 +1,38 @@
 import { db } from '../config/database.js';
-import { automations, users, executions } from '../models/schema.js';
-import { eq, and, desc, asc } from 'drizzle-orm';
+import { automations, users, executions, templates } from '../models/schema.js';
+import { eq, ne, and, desc, asc, sql } from 'drizzle-orm';
 import { workflowEngine } from '../services/workflowEngine.js';
+import { queueService } from '../services/queueService.js';
+import { versionService } from '../services/versionService.js';
+import { schedulerService } from '../services/schedulerService.js';
+import { permissionService, normalizePermission, PERMISSIONS } from '../services/permissionService.js';
+import { auditService, auditContext, AUDIT_ACTIONS } from '../services/auditService.js';
+import { bundleService } from '../services/bundleService.js';
 import { z } from 'zod';
 import { v4 as uuidv4 } from 'uuid';
 
+// What the audit log keeps of an automation before and after a change
+const auditSnapshot = (automation) => ({
+  name: automation.name,
+  description: automation.description,
+  steps: automation.steps,
+  config: automation.config,
+  schedule: automation.schedule,
+  status: automation.status,
+  version: automation.version
+});
+
+const auditAutomation = (req, action, automation, { before = null, after = null, metadata = null } = {}) =>
+  auditService.record(auditContext(req), action, {
+    entityType: 'automation',
+    entityId: automation.id,
+    entityName: automation.name,
+    workspaceId: automation.workspaceId,
+    before,
+    after,
+    metadata
+  });
+
 // Validation schemas
 const stepSchema = z.object({
   id: z.string(),
@@ -33,6 +61,16 @@ const automationSchema = z.object({
 
 const updateAutomationSchema = automationSchema.partial();
 
+const shareSchema = z.object({
+  email: z.string().email().optional(),
+  userId: z.string().uuid().optional(),
+  permission: z.enum(PERMISSIONS)
+}).refine(data => data.email || data.userId, 'email or userId is required');
+
+// all: the active workspace plus direct shares; workspace: the active
+// workspace only; owned: what the caller owns there; shared: direct shares
+const AUTOMATION_SCOPES = ['all', 'workspace', 'owned', 'shared'];
+
 // Create new automation
 export const createAutomation = async (req, res) => {
   try {
@@ -41,7 +79,7 @@ export const createAutomation = async (req, res) => {
 
     // Validate automation if it has steps
     if (validatedData.steps.length > 0) {
-      const mockAutomation = { steps: validatedData.steps };
+      const mockAutomation = { steps: validatedData.steps, workspaceId: req.workspace.id };
       const validation = await workflowEngine.validateAutomation(mockAutomation);
       
       if (!validation.valid) {
@@ -59,11 +97,16 @@ export const createAutomation = async (req, res) => {
       .insert(automations)
       .values({
         ...validatedData,
+        userId,
         ownerId: userId,
+        workspaceId: req.workspace.id,
         version: 1
       })
       .returning();
 
+    await versionService.snapshot(newAutomation, userId);
+    await auditAutomation(req, AUDIT_ACTIONS.AUTOMATION_CREATE, newAutomation, { after: auditSnapshot(newAutomation) });
+
     res.status(201).json({
       success: true,
       data: newAutomation
@@ -90,16 +133,43 @@ export const createAutomation = async (req, res) => {
   }
 };
 
-// Get all automations for user
+// Get all automations for user. `scope` narrows the list to the ones they
+// own or the ones shared with them.
 export const getAutomations = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { status, search, page = 1, limit = 20, sortBy = 'updatedAt', sortOrder = 'desc' } = req.query;
+    const { status, search, scope = 'all', page = 1, limit = 20, sortBy = 'updatedAt', sortOrder = 'desc' } = req.query;
 
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
     const offset = (pageNum - 1) * limitNum;
 
+    if (!AUTOMATION_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        error: {
+          message: `scope must be one of: ${AUTOMATION_SCOPES.join(', ')}`,
+          status: 400
+        }
+      });
+    }
+
+    const conditions = [permissionService.accessCondition(userId)];
+
+    if (scope === 'all') {
+      conditions.push(permissionService.workspaceCondition(userId, req.workspace.id));
+    } else if (scope === 'workspace') {
+      conditions.push(eq(automations.workspaceId, req.workspace.id));
+    } else if (scope === 'owned') {
+      conditions.push(eq(automations.workspaceId, req.workspace.id), eq(automations.ownerId, userId));
+    } else if (scope === 'shared') {
+      conditions.push(permissionService.sharedCondition(userId), ne(automations.ownerId, userId));
+    }
+
+    // Apply filters
+    if (status) {
+      conditions.push(eq(automations.status, status));
+    }
+
     let query = db
       .select({
         id: automations.id,
@@ -111,6 +181,10 @@ export const getAutomations = async (req, res) => {
         createdAt: automations.createdAt,
         updatedAt: automations.updatedAt,
         version: automations.version,
+        publishedVersion: automations.publishedVersion,
+        publishedAt: automations.publishedAt,
+        workspaceId: automations.workspaceId,
+        permission: permissionService.permissionExpression(userId),
         owner: {
           id: users.id,
           name: users.name,
@@ -119,15 +193,7 @@ export const getAutomations = async (req, res) => {
       })
       .from(automations)
       .leftJoin(users, eq(automations.ownerId, users.id))
-      .where(eq(automations.ownerId, userId));
-
-    // Apply filters
-    if (status) {
-      query = query.where(and(
-        eq(automations.ownerId, userId),
-        eq(automations.status, status)
-      ));
-    }
+      .where(and(...conditions));
 
     // Apply sorting
     const sortField = automations[sortBy] || automations.updatedAt;
@@ -141,14 +207,15 @@ export const getAutomations = async (req, res) => {
     // Transform step count
     const transformedResults = results.map(automation => ({
       ...automation,
+      permission: normalizePermission(automation.permission),
       stepCount: Array.isArray(automation.stepCount) ? automation.stepCount.length : 0
     }));
 
     // Get total count
     const [{ count }] = await db
-      .select({ count: automations.id })
+      .select({ count: sql`count(*)` })
       .from(automations)
-      .where(eq(automations.ownerId, userId));
+      .where(and(...conditions));
 
     res.status(200).json({
       success: true,
@@ -175,29 +242,12 @@ export const getAutomations = async (req, res) => {
 // Get single automation
 export const getAutomation = async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user.id;
-
-    const [automation] = await db
-      .select()
-      .from(automations)
-      .where(and(
-        eq(automations.id, id),
-        eq(automations.ownerId, userId)
-      ));
-
-    if (!automation) {
-      return res.status(404).json({
-        error: {
-          message: 'Automation not found',
-          status: 404
-        }
-      });
-    }
-
     res.status(200).json({
       success: true,
-      data: automation
+      data: {
+        ...req.automation,
+        permission: req.automationPermission
+      }
     });
 
   } catch (error) {
@@ -214,31 +264,13 @@ export const getAutomation = async (req, res) => {
 // Update automation
 export const updateAutomation = async (req, res) => {
   try {
-    const { id } = req.params;
     const userId = req.user.id;
     const validatedData = updateAutomationSchema.parse(req.body);
-
-    // Check if automation exists and user owns it
-    const [existingAutomation] = await db
-      .select()
-      .from(automations)
-      .where(and(
-        eq(automations.id, id),
-        eq(automations.ownerId, userId)
-      ));
-
-    if (!existingAutomation) {
-      return res.status(404).json({
-        error: {
-          message: 'Automation not found',
-          status: 404
-        }
-      });
-    }
+    const existingAutomation = req.automation;
 
     // Validate automation if steps are being updated
     if (validatedData.steps && validatedData.steps.length > 0) {
-      const mockAutomation = { steps: validatedData.steps };
+      const mockAutomation = { steps: validatedData.steps, workspaceId: existingAutomation.workspaceId };
       const validation = await workflowEngine.validateAutomation(mockAutomation);
       
       if (!validation.valid) {
@@ -252,15 +284,11 @@ export const updateAutomation = async (req, res) => {
       }
     }
 
-    const [updatedAutomation] = await db
-      .update(automations)
-      .set({
-        ...validatedData,
-        updatedAt: new Date(),
-        version: existingAutomation.version + 1
-      })
-      .where(eq(automations.id, id))
-      .returning();
+    const updatedAutomation = await versionService.update(existingAutomation, validatedData, userId);
+    await auditAutomation(req, AUDIT_ACTIONS.AUTOMATION_UPDATE, updatedAutomation, {
+      before: auditSnapshot(existingAutomation),
+      after: auditSnapshot(updatedAutomation)
+    });
 
     res.status(200).json({
       success: true,
@@ -291,31 +319,15 @@ export const updateAutomation = async (req, res) => {
 // Delete automation
 export const deleteAutomation = async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user.id;
-
-    // Check if automation exists and user owns it
-    const [existingAutomation] = await db
-      .select()
-      .from(automations)
-      .where(and(
-        eq(automations.id, id),
-        eq(automations.ownerId, userId)
-      ));
-
-    if (!existingAutomation) {
-      return res.status(404).json({
-        error: {
-          message: 'Automation not found',
-          status: 404
-        }
-      });
-    }
-
     // Delete the automation
     await db
       .delete(automations)
-      .where(eq(automations.id, id));
+      .where(eq(automations.id, req.automation.id));
+
+    // Stop its file watchers and other triggers
+    await schedulerService.unregisterTriggers(req.automation.id);
+
+    await auditAutomation(req, AUDIT_ACTIONS.AUTOMATION_DELETE, req.automation, { before: auditSnapshot(req.automation) });
 
     res.status(200).json({
       success: true,
@@ -336,23 +348,23 @@ export const deleteAutomation = async (req, res) => {
 // Duplicate automation
 export const duplicateAutomation = async (req, res) => {
   try {
-    const { id } = req.params;
     const userId = req.user.id;
+    const originalAutomation = req.automation;
 
-    // Get original automation
-    const [originalAutomation] = await db
-      .select()
-      .from(automations)
-      .where(and(
-        eq(automations.id, id),
-        eq(automations.ownerId, userId)
-      ));
+    // The copy lands in the active workspace, which may not be the source's:
+    // its credential references must resolve there
+    const { value: copied, missingCredentials } = await bundleService.prepareCopy(
+      { steps: originalAutomation.steps, config: originalAutomation.config },
+      originalAutomation.workspaceId,
+      req.workspace.id
+    );
 
-    if (!originalAutomation) {
-      return res.status(404).json({
+    if (missingCredentials.length > 0) {
+      return res.status(400).json({
         error: {
-          message: 'Automation not found',
-          status: 404
+          message: `Create these credentials in the workspace before duplicating: ${missingCredentials.map(credential => credential.name).join(', ')}`,
+          details: missingCredentials,
+          status: 400
         }
       });
     }
@@ -363,14 +375,22 @@ export const duplicateAutomation = async (req, res) => {
       .values({
         name: `${originalAutomation.name} (Copy)`,
         description: originalAutomation.description,
-        steps: originalAutomation.steps,
-        config: originalAutomation.config,
+        steps: copied.steps,
+        config: copied.config,
         status: 'draft',
+        userId,
         ownerId: userId,
+        workspaceId: req.workspace.id,
         version: 1
       })
       .returning();
 
+    await versionService.snapshot(duplicatedAutomation, userId);
+    await auditAutomation(req, AUDIT_ACTIONS.AUTOMATION_DUPLICATE, duplicatedAutomation, {
+      after: auditSnapshot(duplicatedAutomation),
+      metadata: { sourceAutomationId: originalAutomation.id }
+    });
+
     res.status(201).json({
       success: true,
       data: duplicatedAutomation
@@ -387,91 +407,225 @@ export const duplicateAutomation = async (req, res) => {
   }
 };
 
-// Execute automation
-export const executeAutomation = async (req, res) => {
+// Export automation as a portable bundle (JSON, or ZIP with ?format=zip)
+export const exportAutomation = async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+    if (!['json', 'zip'].includes(format)) {
+      return res.status(400).json({
+        error: {
+          message: 'format must be json or zip',
+          status: 400
+        }
+      });
+    }
+
+    const automation = req.automation;
+    const bundle = await bundleService.build(automation);
+    const basename = automation.name.replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '') || 'automation';
+
+    await auditAutomation(req, AUDIT_ACTIONS.AUTOMATION_EXPORT, automation, { metadata: { format } });
+
+    if (format === 'zip') {
+      const archive = await bundleService.toZip(bundle);
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="${basename}.zip"`);
+      return res.status(200).send(archive);
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename="${basename}.json"`);
+    res.status(200).json(bundle);
+
+  } catch (error) {
+    console.error('Export automation error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to export automation',
+        status: 500
+      }
+    });
+  }
+};
+
+// Import a bundle produced by the export as a new draft in the active
+// workspace. The bundle comes as the JSON body or as an uploaded file
+// (JSON or ZIP).
+export const importAutomation = async (req, res) => {
   try {
-    const { id } = req.params;
     const userId = req.user.id;
-    const { inputData = {} } = req.body;
 
-    // Get automation
-    const [automation] = await db
-      .select()
-      .from(automations)
-      .where(and(
-        eq(automations.id, id),
-        eq(automations.ownerId, userId)
-      ));
+    let input = req.body;
+    if (req.file) {
+      const isZip = req.file.buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+      try {
+        input = isZip ? await bundleService.fromZip(req.file.buffer) : JSON.parse(req.file.buffer.toString('utf8'));
+      } catch (error) {
+        return res.status(400).json({
+          error: {
+            message: isZip ? error.message : 'Uploaded file is not valid JSON',
+            status: 400
+          }
+        });
+      }
+    }
 
-    if (!automation) {
-      return res.status(404).json({
+    const bundle = bundleService.parse(input);
+    const { automation, newTemplates, missingCredentials } = await bundleService.prepareImport(bundle, req.workspace.id, userId);
+
+    if (missingCredentials.length > 0) {
+      return res.status(400).json({
         error: {
-          message: 'Automation not found',
-          status: 404
+          message: `Create these credentials in the workspace before importing: ${missingCredentials.map(credential => credential.name).join(', ')}`,
+          details: missingCredentials,
+          status: 400
         }
       });
     }
 
-    if (automation.status === 'paused') {
+    const validation = await workflowEngine.validateAutomation({ ...automation, workspaceId: req.workspace.id });
+    const triggerValidation = schedulerService.validateTriggers(automation.triggers);
+    if (!validation.valid || !triggerValidation.valid) {
       return res.status(400).json({
         error: {
-          message: 'Cannot execute paused automation',
+          message: 'Automation validation failed',
+          details: [...validation.errors, ...triggerValidation.errors],
           status: 400
         }
       });
     }
 
-    // Execute automation
-    const result = await workflowEngine.execute(automation, inputData, 'manual');
+    // Imports start as drafts; publishing them is a separate decision
+    const importedAutomation = await db.transaction(async (tx) => {
+      if (newTemplates.length > 0) {
+        await tx.insert(templates).values(newTemplates);
+      }
 
-    res.status(200).json({
-      success: result.success,
-      data: {
-        executionId: result.executionId,
-        results: result.results,
-        duration: result.duration,
-        logs: result.logs
-      },
-      error: result.error || undefined
+      const [created] = await tx
+        .insert(automations)
+        .values({
+          ...automation,
+          // With the schema defaults filled in, as when triggers are saved
+          triggers: automation.triggers ? triggerValidation.triggers : null,
+          status: 'draft',
+          userId,
+          ownerId: userId,
+          workspaceId: req.workspace.id,
+          version: 1
+        })
+        .returning();
+
+      return created;
+    });
+
+    await versionService.snapshot(importedAutomation, userId);
+
+    if (importedAutomation.triggers) {
+      await schedulerService.updateAutomationTriggers(importedAutomation.id, importedAutomation.triggers, importedAutomation);
+    }
+
+    await auditAutomation(req, AUDIT_ACTIONS.AUTOMATION_IMPORT, importedAutomation, {
+      after: auditSnapshot(importedAutomation),
+      metadata: {
+        bundleVersion: bundle.version,
+        exportedAt: bundle.exportedAt ?? null,
+        createdTemplates: newTemplates.map(template => template.name)
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: importedAutomation,
+      warnings: validation.warnings
     });
 
   } catch (error) {
-    console.error('Execute automation error:', error);
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: {
+          message: 'Invalid automation bundle',
+          details: error.errors,
+          status: 400
+        }
+      });
+    }
+
+    console.error('Import automation error:', error);
     res.status(500).json({
       error: {
-        message: 'Failed to execute automation',
+        message: 'Failed to import automation',
         status: 500
       }
     });
   }
 };
 
-// Validate automation
-export const validateAutomation = async (req, res) => {
+// Execute automation
+export const executeAutomation = async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user.id;
+    const { inputData = {}, priority, debug } = req.body;
+    const automation = req.automation;
 
-    // Get automation
-    const [automation] = await db
-      .select()
-      .from(automations)
-      .where(and(
-        eq(automations.id, id),
-        eq(automations.ownerId, userId)
-      ));
-
-    if (!automation) {
-      return res.status(404).json({
+    if (automation.status === 'paused') {
+      return res.status(400).json({
         error: {
-          message: 'Automation not found',
-          status: 404
+          message: 'Cannot execute paused automation',
+          status: 400
         }
       });
     }
 
+    // Debug runs start right away in this process and pause at breakpoints
+    if (debug) {
+      if (debug.breakpoints !== undefined && !Array.isArray(debug.breakpoints)) {
+        return res.status(400).json({
+          error: {
+            message: 'debug.breakpoints must be an array of step ids',
+            status: 400
+          }
+        });
+      }
+
+      const started = await workflowEngine.debug(automation, inputData, {
+        breakpoints: debug.breakpoints || [],
+        stepMode: Boolean(debug.stepMode)
+      });
+      await auditAutomation(req, AUDIT_ACTIONS.AUTOMATION_EXECUTE, automation, {
+        metadata: { executionId: started.executionId, debug: true }
+      });
+
+      return res.status(202).json({
+        success: true,
+        data: { ...started, debug: true }
+      });
+    }
+
+    // Queue the run; a worker picks it up when a slot frees up
+    const queued = await queueService.enqueue(automation, inputData, 'manual', { priority });
+    await auditAutomation(req, AUDIT_ACTIONS.AUTOMATION_EXECUTE, automation, {
+      metadata: { executionId: queued.executionId, priority: queued.priority }
+    });
+
+    res.status(202).json({
+      success: true,
+      data: queued
+    });
+
+  } catch (error) {
+    console.error('Execute automation error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to execute automation',
+        status: 500
+      }
+    });
+  }
+};
+
+// Validate automation
+export const validateAutomation = async (req, res) => {
+  try {
     // Validate automation
-    const validation = await workflowEngine.validateAutomation(automation);
+    const validation = await workflowEngine.validateAutomation(req.automation);
 
     res.status(200).json({
       success: true,
@@ -496,38 +650,20 @@ export const validateAutomation = async (req, res) => {
 // Get automation execution history
 export const getExecutionHistory = async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user.id;
+    const { id } = req.automation;
     const { page = 1, limit = 20 } = req.query;
 
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
     const offset = (pageNum - 1) * limitNum;
 
-    // Check if user owns the automation
-    const [automation] = await db
-      .select({ id: automations.id })
-      .from(automations)
-      .where(and(
-        eq(automations.id, id),
-        eq(automations.ownerId, userId)
-      ));
-
-    if (!automation) {
-      return res.status(404).json({
-        error: {
-          message: 'Automation not found',
-          status: 404
-        }
-      });
-    }
-
     // Get execution history
     const executionHistory = await db
       .select({
         id: executions.id,
         status: executions.status,
         triggeredBy: executions.triggeredBy,
+        automationVersion: executions.automationVersion,
         startedAt: executions.startedAt,
         completedAt: executions.completedAt,
         durationMs: executions.durationMs,
@@ -565,4 +701,336 @@ export const getExecutionHistory = async (req, res) => {
       }
     });
   }
-};
\ No newline at end of file
+};
+
+// Parse a version number from the request; NaN when it is not a positive integer
+const parseVersion = (value) => {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : NaN;
+};
+
+// Publish the current draft so schedules and webhooks start running it
+export const publishAutomation = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const automation = req.automation;
+
+    // Guards against publishing a draft saved after the client last looked
+    if (req.body?.version !== undefined && req.body.version !== automation.version) {
+      return res.status(409).json({
+        error: {
+          message: `Draft is at version ${automation.version}, not ${req.body.version}`,
+          status: 409
+        }
+      });
+    }
+
+    const validation = await workflowEngine.validateAutomation(automation);
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: {
+          message: 'Automation validation failed',
+          details: validation.errors,
+          status: 400
+        }
+      });
+    }
+
+    const published = await versionService.publish(automation, userId);
+    await schedulerService.updatePublishedSchedule(published);
+    await auditAutomation(req, AUDIT_ACTIONS.AUTOMATION_PUBLISH, automation, {
+      before: { publishedVersion: automation.publishedVersion },
+      after: { publishedVersion: published.publishedVersion }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...published,
+        warnings: validation.warnings
+      }
+    });
+
+  } catch (error) {
+    console.error('Publish automation error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to publish automation',
+        status: 500
+      }
+    });
+  }
+};
+
+// List the saved versions of an automation, newest first
+export const getVersions = async (req, res) => {
+  try {
+    const automation = req.automation;
+    const versions = await versionService.list(automation.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        currentVersion: automation.version,
+        versions
+      }
+    });
+
+  } catch (error) {
+    console.error('Get versions error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to get automation versions',
+        status: 500
+      }
+    });
+  }
+};
+
+// Get the full definition of one version
+export const getVersion = async (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+
+    if (Number.isNaN(version)) {
+      return res.status(400).json({
+        error: {
+          message: 'Version must be a positive integer',
+          status: 400
+        }
+      });
+    }
+
+    const automation = req.automation;
+    const snapshot = await versionService.get(automation, version);
+
+    if (!snapshot) {
+      return res.status(404).json({
+        error: {
+          message: 'Version not found',
+          status: 404
+        }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: snapshot
+    });
+
+  } catch (error) {
+    console.error('Get version error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to get automation version',
+        status: 500
+      }
+    });
+  }
+};
+
+// Compare two versions; `to` defaults to the current version
+export const diffVersions = async (req, res) => {
+  try {
+    const automation = req.automation;
+    const from = parseVersion(req.query.from);
+    const to = req.query.to === undefined ? automation.version : parseVersion(req.query.to);
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({
+        error: {
+          message: 'from and to must be positive integers',
+          status: 400
+        }
+      });
+    }
+
+    const diff = await versionService.diff(automation, from, to);
+
+    if (!diff) {
+      return res.status(404).json({
+        error: {
+          message: 'Version not found',
+          status: 404
+        }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: diff
+    });
+
+  } catch (error) {
+    console.error('Diff versions error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to compare automation versions',
+        status: 500
+      }
+    });
+  }
+};
+
+// Restore an earlier version; it is saved as a new version
+export const restoreVersion = async (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+    const userId = req.user.id;
+
+    if (Number.isNaN(version)) {
+      return res.status(400).json({
+        error: {
+          message: 'Version must be a positive integer',
+          status: 400
+        }
+      });
+    }
+
+    const automation = req.automation;
+    const restored = await versionService.restore(automation, version, userId);
+
+    if (!restored) {
+      return res.status(404).json({
+        error: {
+          message: 'Version not found',
+          status: 404
+        }
+      });
+    }
+
+    await auditAutomation(req, AUDIT_ACTIONS.AUTOMATION_UPDATE, restored, {
+      before: auditSnapshot(automation),
+      after: auditSnapshot(restored),
+      metadata: { restoredVersion: version }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: restored
+    });
+
+  } catch (error) {
+    console.error('Restore version error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to restore automation version',
+        status: 500
+      }
+    });
+  }
+};
+
+// List who the automation is shared with
+export const getShares = async (req, res) => {
+  try {
+    const automation = req.automation;
+    const shares = await permissionService.listShares(automation.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ownerId: automation.ownerId,
+        permission: req.automationPermission,
+        shares
+      }
+    });
+
+  } catch (error) {
+    console.error('Get shares error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to get automation shares',
+        status: 500
+      }
+    });
+  }
+};
+
+// Share the automation with a user, or change their permission
+export const shareAutomation = async (req, res) => {
+  try {
+    const { email, userId, permission } = shareSchema.parse(req.body);
+    const automation = req.automation;
+
+    const [target] = await db
+      .select({ id: users.id, name: users.name, email: users.email })
+      .from(users)
+      .where(userId ? eq(users.id, userId) : eq(users.email, email));
+
+    if (!target) {
+      return res.status(404).json({
+        error: {
+          message: 'User not found',
+          status: 404
+        }
+      });
+    }
+
+    if (target.id === automation.ownerId) {
+      return res.status(400).json({
+        error: {
+          message: 'The owner already has full access',
+          status: 400
+        }
+      });
+    }
+
+    const share = await permissionService.share(automation, target.id, permission, auditContext(req));
+
+    res.status(200).json({
+      success: true,
+      data: { ...share, user: target }
+    });
+
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: {
+          message: 'Validation error',
+          details: error.errors,
+          status: 400
+        }
+      });
+    }
+
+    console.error('Share automation error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to share automation',
+        status: 500
+      }
+    });
+  }
+};
+
+// Revoke a user's access
+export const unshareAutomation = async (req, res) => {
+  try {
+    const removed = await permissionService.unshare(req.automation, req.params.userId, auditContext(req));
+
+    if (!removed) {
+      return res.status(404).json({
+        error: {
+          message: 'Share not found',
+          status: 404
+        }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Share removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Unshare automation error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to remove automation share',
+        status: 500
+      }
+    });
+  }
+};
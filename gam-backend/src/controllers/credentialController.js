@@ -0,0 +1,215 @@
+import { credentialService, CREDENTIAL_TYPES } from '../services/credentialService.js';
+import { auditService, auditContext, AUDIT_ACTIONS } from '../services/auditService.js';
+import { logger } from '../config/logs.js';
+import { z } from 'zod';
+
+// Validation schemas
+const credentialSchema = z.object({
+  name: z.string().min(1, 'Name is required').max(255, 'Name too long'),
+  type: z.enum(CREDENTIAL_TYPES).default('password'),
+  description: z.string().max(1000).optional().nullable(),
+  value: z.string().min(1, 'Value is required')
+});
+
+// Updates change only what they send; sending a value rotates the secret
+const updateCredentialSchema = credentialSchema.partial();
+
+const validationError = (res, error) => res.status(400).json({
+  error: {
+    message: 'Validation error',
+    details: error.errors,
+    status: 400
+  }
+});
+
+const notFound = (res) => res.status(404).json({
+  error: {
+    message: 'Credential not found',
+    status: 404
+  }
+});
+
+// Audit entries describe a credential by its public fields only
+const auditSnapshot = ({ name, type, description }) => ({ name, type, description });
+
+const auditCredential = (req, action, credential, { before = null, after = null, metadata = null } = {}) =>
+  auditService.record(auditContext(req), action, {
+    entityType: 'credential',
+    entityId: credential.id,
+    entityName: credential.name,
+    before,
+    after,
+    metadata
+  });
+
+const isId = (id) => z.string().uuid().safeParse(id).success;
+
+// Two credentials of a workspace cannot share a name
+const isDuplicateName = (error) => error.code === '23505';
+
+// Answer 503 while the vault has no master key
+export const requireVault = (req, res, next) => {
+  if (!credentialService.isAvailable()) {
+    return res.status(503).json({
+      error: {
+        message: 'Credential vault not configured',
+        status: 503
+      }
+    });
+  }
+  next();
+};
+
+// List the workspace credentials (never their values)
+export const getCredentials = async (req, res) => {
+  try {
+    const credentials = await credentialService.list(req.workspace.id);
+
+    res.status(200).json({
+      success: true,
+      data: credentials
+    });
+
+  } catch (error) {
+    logger.error('Failed to list credentials', { workspaceId: req.workspace?.id, error: error.message });
+    res.status(500).json({
+      error: {
+        message: 'Failed to get credentials',
+        status: 500
+      }
+    });
+  }
+};
+
+// Store a new secret in the workspace
+export const createCredential = async (req, res) => {
+  try {
+    const validatedData = credentialSchema.parse(req.body);
+    const credential = await credentialService.create(req.workspace.id, validatedData, req.user.id);
+
+    await auditCredential(req, AUDIT_ACTIONS.CREDENTIAL_CREATE, credential, { after: auditSnapshot(credential) });
+
+    res.status(201).json({
+      success: true,
+      data: credential
+    });
+
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    if (isDuplicateName(error)) {
+      return res.status(409).json({
+        error: {
+          message: 'A credential with this name already exists',
+          status: 409
+        }
+      });
+    }
+
+    logger.error('Failed to create credential', { workspaceId: req.workspace?.id, error: error.message });
+    res.status(500).json({
+      error: {
+        message: 'Failed to create credential',
+        status: 500
+      }
+    });
+  }
+};
+
+// Rename, describe or rotate a credential
+export const updateCredential = async (req, res) => {
+  try {
+    if (!isId(req.params.id)) {
+      return notFound(res);
+    }
+
+    const validatedData = updateCredentialSchema.parse(req.body);
+    const existing = await credentialService.find(req.workspace.id, req.params.id);
+    if (!existing) {
+      return notFound(res);
+    }
+
+    const credential = await credentialService.update(req.workspace.id, existing.id, validatedData);
+    if (!credential) {
+      return notFound(res);
+    }
+
+    await auditCredential(req, AUDIT_ACTIONS.CREDENTIAL_UPDATE, credential, {
+      before: auditSnapshot(existing),
+      after: auditSnapshot(credential),
+      metadata: { rotated: validatedData.value !== undefined }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: credential
+    });
+
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    if (isDuplicateName(error)) {
+      return res.status(409).json({
+        error: {
+          message: 'A credential with this name already exists',
+          status: 409
+        }
+      });
+    }
+
+    logger.error('Failed to update credential', { workspaceId: req.workspace?.id, credentialId: req.params.id, error: error.message });
+    res.status(500).json({
+      error: {
+        message: 'Failed to update credential',
+        status: 500
+      }
+    });
+  }
+};
+
+// Delete a credential no automation uses any more
+export const deleteCredential = async (req, res) => {
+  try {
+    if (!isId(req.params.id)) {
+      return notFound(res);
+    }
+
+    const credential = await credentialService.find(req.workspace.id, req.params.id);
+    if (!credential) {
+      return notFound(res);
+    }
+
+    const usage = await credentialService.findUsage(credential.id);
+    if (usage.length > 0) {
+      return res.status(409).json({
+        error: {
+          message: 'Credential is used by automations',
+          details: usage,
+          status: 409
+        }
+      });
+    }
+
+    await credentialService.delete(req.workspace.id, credential.id);
+
+    await auditCredential(req, AUDIT_ACTIONS.CREDENTIAL_DELETE, credential, { before: auditSnapshot(credential) });
+
+    res.status(200).json({
+      success: true,
+      message: 'Credential deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Failed to delete credential', { workspaceId: req.workspace?.id, credentialId: req.params.id, error: error.message });
+    res.status(500).json({
+      error: {
+        message: 'Failed to delete credential',
+        status: 500
+      }
+    });
+  }
+};
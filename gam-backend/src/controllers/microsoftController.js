@@ -1,4 +1,5 @@
 import { microsoftAuth, isMicrosoftIntegrationAvailable } from '../services/microsoftAuth.js';
+import { auditService, auditContext, AUDIT_ACTIONS } from '../services/auditService.js';
 import { logger } from '../config/logs.js';
 
 // Initiate Microsoft OAuth2 flow
@@ -13,8 +14,8 @@ export const initiateOAuth = async (req, res) => {
       });
     }
 
-    const userId = req.user.id;
-    const authUrl = await microsoftAuth.getAuthorizationUrl(userId);
+    const workspaceId = req.workspace.id;
+    const authUrl = await microsoftAuth.getAuthorizationUrl(workspaceId);
 
     res.status(200).json({
       success: true,
@@ -24,7 +25,7 @@ export const initiateOAuth = async (req, res) => {
     });
 
   } catch (error) {
-    logger.error('Failed to initiate Microsoft OAuth', { userId: req.user?.id, error: error.message });
+    logger.error('Failed to initiate Microsoft OAuth', { workspaceId: req.workspace?.id, error: error.message });
     res.status(500).json({
       error: {
         message: 'Failed to initiate Microsoft authentication',
@@ -61,6 +62,15 @@ export const handleOAuthCallback = async (req, res) => {
 
     const result = await microsoftAuth.handleCallback(code, state);
 
+    // The callback comes from Microsoft's redirect without our token, so the
+    // entry names the Microsoft account rather than a user
+    await auditService.record(auditContext(req), AUDIT_ACTIONS.MICROSOFT_CONNECT, {
+      entityType: 'workspace',
+      entityId: state,
+      workspaceId: state,
+      metadata: { account: result.account?.username ?? null, scopes: result.scopes }
+    });
+
     // Redirect to success page or return JSON based on Accept header
     const acceptsJson = req.headers.accept?.includes('application/json');
     
@@ -97,8 +107,8 @@ export const handleOAuthCallback = async (req, res) => {
 // Get Microsoft connection status
 export const getConnectionStatus = async (req, res) => {
   try {
-    const userId = req.user.id;
-    const isConnected = await microsoftAuth.isUserConnected(userId);
+    const workspaceId = req.workspace.id;
+    const isConnected = await microsoftAuth.isUserConnected(workspaceId);
 
     res.status(200).json({
       success: true,
@@ -109,7 +119,7 @@ export const getConnectionStatus = async (req, res) => {
     });
 
   } catch (error) {
-    logger.error('Failed to get Microsoft connection status', { userId: req.user?.id, error: error.message });
+    logger.error('Failed to get Microsoft connection status', { workspaceId: req.workspace?.id, error: error.message });
     res.status(500).json({
       error: {
         message: 'Failed to get connection status',
@@ -122,8 +132,14 @@ export const getConnectionStatus = async (req, res) => {
 // Disconnect Microsoft integration
 export const disconnect = async (req, res) => {
   try {
-    const userId = req.user.id;
-    await microsoftAuth.disconnectUser(userId);
+    const workspaceId = req.workspace.id;
+    await microsoftAuth.disconnectUser(workspaceId);
+
+    await auditService.record(auditContext(req), AUDIT_ACTIONS.MICROSOFT_DISCONNECT, {
+      entityType: 'workspace',
+      entityId: workspaceId,
+      entityName: req.workspace.name
+    });
 
     res.status(200).json({
       success: true,
@@ -131,7 +147,7 @@ export const disconnect = async (req, res) => {
     });
 
   } catch (error) {
-    logger.error('Failed to disconnect Microsoft integration', { userId: req.user?.id, error: error.message });
+    logger.error('Failed to disconnect Microsoft integration', { workspaceId: req.workspace?.id, error: error.message });
     res.status(500).json({
       error: {
         message: 'Failed to disconnect Microsoft integration',
@@ -144,10 +160,10 @@ export const disconnect = async (req, res) => {
 // Test Microsoft Graph API connection
 export const testConnection = async (req, res) => {
   try {
-    const userId = req.user.id;
+    const workspaceId = req.workspace.id;
     
-    // Check if user is connected
-    const isConnected = await microsoftAuth.isUserConnected(userId);
+    // Check if the workspace is connected
+    const isConnected = await microsoftAuth.isUserConnected(workspaceId);
     if (!isConnected) {
       return res.status(400).json({
         error: {
@@ -158,7 +174,7 @@ export const testConnection = async (req, res) => {
     }
 
     // Create Graph client and test with a simple API call
-    const graphClient = await microsoftAuth.createGraphClient(userId);
+    const graphClient = await microsoftAuth.createGraphClient(workspaceId);
     const userProfile = await graphClient.api('/me').select('displayName,mail,id').get();
 
     res.status(200).json({
@@ -174,11 +190,11 @@ export const testConnection = async (req, res) => {
     });
 
   } catch (error) {
-    logger.error('Microsoft connection test failed', { userId: req.user?.id, error: error.message });
+    logger.error('Microsoft connection test failed', { workspaceId: req.workspace?.id, error: error.message });
     
     // If it's an authentication error, mark as disconnected
     if (error.message.includes('Token refresh failed') || error.message.includes('not authenticated')) {
-      await microsoftAuth.disconnectUser(req.user.id).catch(() => {});
+      await microsoftAuth.disconnectUser(req.workspace.id).catch(() => {});
     }
 
     res.status(500).json({
@@ -194,8 +210,8 @@ export const testConnection = async (req, res) => {
 // Refresh access token manually
 export const refreshToken = async (req, res) => {
   try {
-    const userId = req.user.id;
-    const accessToken = await microsoftAuth.refreshAccessToken(userId);
+    const workspaceId = req.workspace.id;
+    const accessToken = await microsoftAuth.refreshAccessToken(workspaceId);
 
     res.status(200).json({
       success: true,
@@ -206,7 +222,7 @@ export const refreshToken = async (req, res) => {
     });
 
   } catch (error) {
-    logger.error('Failed to refresh Microsoft token', { userId: req.user?.id, error: error.message });
+    logger.error('Failed to refresh Microsoft token', { workspaceId: req.workspace?.id, error: error.message });
     res.status(500).json({
       error: {
         message: 'Failed to refresh token',
@@ -1,35 +1,29 @@
 import { schedulerService } from '../services/schedulerService.js';
+import { versionService } from '../services/versionService.js';
 import { db } from '../config/database.js';
 import { automations } from '../models/schema.js';
-import { eq } from 'drizzle-orm';
+import { and } from 'drizzle-orm';
 import { logger } from '../config/logs.js';
+import { permissionService } from '../services/permissionService.js';
+import { auditService, auditContext, AUDIT_ACTIONS } from '../services/auditService.js';
+import { credentialService } from '../services/credentialService.js';
+
+const auditSchedule = (req, action, automation, details) =>
+  auditService.record(auditContext(req), action, {
+    entityType: 'automation',
+    entityId: automation.id,
+    entityName: automation.name,
+    workspaceId: automation.workspaceId,
+    ...details
+  });
 
 // Get automation schedule status
 export const getScheduleStatus = async (req, res) => {
   try {
     const { automationId } = req.params;
     
-    // Verify automation exists and user has access
-    const automation = await db
-      .select()
-      .from(automations)
-      .where(eq(automations.id, automationId));
-    
-    if (automation.length === 0) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Automation not found' 
-      });
-    }
+    const automation = req.automation;
 
-    // Check user access (basic check - in production you'd have more sophisticated access control)
-    if (automation[0].userId !== req.user.id) {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'Access denied' 
-      });
-    }
-    
     const status = schedulerService.getScheduleStatus(automationId);
     
     res.json({
@@ -37,11 +31,11 @@ export const getScheduleStatus = async (req, res) => {
       data: {
         ...status,
         automation: {
-          id: automation[0].id,
-          name: automation[0].name,
-          enabled: automation[0].enabled,
-          isActive: automation[0].isActive,
-          schedule: automation[0].schedule
+          id: automation.id,
+          name: automation.name,
+          enabled: automation.enabled,
+          isActive: automation.isActive,
+          schedule: automation.schedule
         }
       }
     });
@@ -60,16 +54,19 @@ export const getScheduleStatus = async (req, res) => {
   }
 };
 
-// Get all schedules for user
+// Get all schedules in the active workspace
 export const getAllSchedules = async (req, res) => {
   try {
     const userId = req.user.id;
     
-    // Get user's automations with schedules
+    // Get the automations the user can see in the workspace
     const userAutomations = await db
       .select()
       .from(automations)
-      .where(eq(automations.userId, userId));
+      .where(and(
+        permissionService.accessCondition(userId),
+        permissionService.workspaceCondition(userId, req.workspace.id)
+      ));
     
     const allStatus = schedulerService.getAllSchedulesStatus();
     
@@ -117,26 +114,8 @@ export const updateSchedule = async (req, res) => {
     const { automationId } = req.params;
     const { schedule } = req.body;
     
-    // Verify automation exists and user has access
-    const automation = await db
-      .select()
-      .from(automations)
-      .where(eq(automations.id, automationId));
-    
-    if (automation.length === 0) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Automation not found' 
-      });
-    }
+    const automation = req.automation;
 
-    if (automation[0].userId !== req.user.id) {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'Access denied' 
-      });
-    }
-    
     // Validate schedule if provided
     if (schedule && schedule.cronExpression) {
       if (!schedulerService.isValidCronExpression(schedule.cronExpression)) {
@@ -148,17 +127,13 @@ export const updateSchedule = async (req, res) => {
       }
     }
     
-    // Update database
-    await db
-      .update(automations)
-      .set({ 
-        schedule,
-        updatedAt: new Date()
-      })
-      .where(eq(automations.id, automationId));
-    
-    // Update scheduler
-    await schedulerService.updateAutomationSchedule(automationId, schedule);
+    // Update the draft; the scheduler picks it up when the draft is published
+    await versionService.update(automation, { schedule }, req.user.id);
+
+    await auditSchedule(req, AUDIT_ACTIONS.SCHEDULE_UPDATE, automation, {
+      before: { schedule: automation.schedule ?? null },
+      after: { schedule: schedule ?? null }
+    });
     
     // Get updated status
     const status = schedulerService.getScheduleStatus(automationId);
@@ -171,7 +146,7 @@ export const updateSchedule = async (req, res) => {
     
     res.json({
       success: true,
-      message: 'Schedule updated successfully',
+      message: 'Schedule saved; it takes effect when the automation is published',
       data: status
     });
     
@@ -196,43 +171,21 @@ export const toggleSchedule = async (req, res) => {
     const { automationId } = req.params;
     const { enabled } = req.body;
     
-    // Verify automation exists and user has access
-    const automation = await db
-      .select()
-      .from(automations)
-      .where(eq(automations.id, automationId));
-    
-    if (automation.length === 0) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Automation not found' 
-      });
-    }
+    const automation = req.automation;
 
-    if (automation[0].userId !== req.user.id) {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'Access denied' 
-      });
-    }
-    
-    const currentSchedule = automation[0].schedule || {};
+    const currentSchedule = automation.schedule || {};
     const newSchedule = {
       ...currentSchedule,
       enabled: enabled
     };
     
-    // Update database
-    await db
-      .update(automations)
-      .set({ 
-        schedule: newSchedule,
-        updatedAt: new Date()
-      })
-      .where(eq(automations.id, automationId));
-    
-    // Update scheduler
-    await schedulerService.updateAutomationSchedule(automationId, newSchedule);
+    // Update the draft; the scheduler picks it up when the draft is published
+    await versionService.update(automation, { schedule: newSchedule }, req.user.id);
+
+    await auditSchedule(req, AUDIT_ACTIONS.SCHEDULE_TOGGLE, automation, {
+      before: { enabled: currentSchedule.enabled ?? null },
+      after: { enabled }
+    });
     
     logger.info('Automation schedule toggled', { 
       automationId, 
@@ -242,7 +195,7 @@ export const toggleSchedule = async (req, res) => {
     
     res.json({
       success: true,
-      message: `Schedule ${enabled ? 'enabled' : 'disabled'} successfully`,
+      message: `Schedule ${enabled ? 'enabled' : 'disabled'}; it takes effect when the automation is published`,
       data: {
         automationId,
         enabled
@@ -264,6 +217,82 @@ export const toggleSchedule = async (req, res) => {
   }
 };
 
+// Replace the triggers (webhook, file system, ...) of an automation
+export const updateTriggers = async (req, res) => {
+  try {
+    const { automationId } = req.params;
+    const { triggers } = req.body;
+
+    const automation = req.automation;
+
+    if (triggers !== null && (typeof triggers !== 'object' || Array.isArray(triggers))) {
+      return res.status(400).json({
+        success: false,
+        message: 'triggers must be an object or null'
+      });
+    }
+
+    const validation = schedulerService.validateTriggers(triggers);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid triggers',
+        errors: validation.errors
+      });
+    }
+
+    const newTriggers = triggers ? validation.triggers : null;
+
+    // Polling triggers use credentials of the automation's workspace
+    if (automation.workspaceId) {
+      const refs = [...credentialService.collectRefs(newTriggers)];
+      const missing = await credentialService.findMissing(automation.workspaceId, refs);
+      if (missing.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Credentials not found in this workspace: ${missing.join(', ')}`
+        });
+      }
+    }
+
+    // Update database
+    const updated = await versionService.update(automation, { triggers: newTriggers }, req.user.id);
+
+    // Restart the watchers with the new configuration
+    await schedulerService.updateAutomationTriggers(automationId, newTriggers, updated);
+
+    await auditSchedule(req, AUDIT_ACTIONS.TRIGGERS_UPDATE, automation, {
+      before: { triggers: automation.triggers ?? null },
+      after: { triggers: newTriggers }
+    });
+
+    logger.info('Automation triggers updated', {
+      automationId,
+      userId: req.user.id,
+      triggerTypes: Object.keys(newTriggers || {})
+    });
+
+    res.json({
+      success: true,
+      message: 'Triggers updated successfully',
+      data: schedulerService.getScheduleStatus(automationId)
+    });
+
+  } catch (error) {
+    logger.error('Failed to update triggers', {
+      automationId: req.params.automationId,
+      userId: req.user.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update triggers',
+      error: error.message
+    });
+  }
+};
+
 // Test cron expression
 export const testCronExpression = async (req, res) => {
   try {
@@ -324,10 +353,11 @@ export const handleWebhook = async (req, res) => {
     const result = await schedulerService.handleWebhookTrigger(token, payload, headers);
     
     if (result.success) {
-      res.json({
+      res.status(202).json({
         success: true,
-        message: 'Webhook processed successfully',
-        executionId: result.executionId
+        message: 'Webhook accepted',
+        executionId: result.executionId,
+        status: result.status
       });
     } else {
       res.status(400).json({
@@ -355,29 +385,14 @@ export const getWebhookUrl = async (req, res) => {
   try {
     const { automationId } = req.params;
     
-    // Verify automation exists and user has access
-    const automation = await db
-      .select()
-      .from(automations)
-      .where(eq(automations.id, automationId));
-    
-    if (automation.length === 0) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Automation not found' 
-      });
-    }
-
-    if (automation[0].userId !== req.user.id) {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'Access denied' 
-      });
-    }
-    
     // Generate or get existing webhook token
     const token = schedulerService.generateWebhookToken(automationId);
     const webhookUrl = `${req.protocol}://${req.get('host')}/api/webhooks/${token}`;
+
+    // A new token invalidates the previous URL; the token itself is not logged
+    await auditSchedule(req, AUDIT_ACTIONS.WEBHOOK_REGENERATE, req.automation, {
+      metadata: { tokenPrefix: token.substring(0, 8) }
+    });
     
     res.json({
       success: true,
@@ -407,6 +422,7 @@ export default {
   getAllSchedules,
   updateSchedule,
   toggleSchedule,
+  updateTriggers,
   testCronExpression,
   handleWebhook,
   getWebhookUrl
@@ -0,0 +1,291 @@
+import { db } from '../config/database.js';
+import { users } from '../models/schema.js';
+import { eq } from 'drizzle-orm';
+import { workspaceService, WORKSPACE_ROLES } from '../services/workspaceService.js';
+import { logger } from '../config/logs.js';
+import { z } from 'zod';
+
+// Validation schemas
+const workspaceSchema = z.object({
+  name: z.string().min(1, 'Name is required').max(255, 'Name too long')
+});
+
+const memberSchema = z.object({
+  email: z.string().email().optional(),
+  userId: z.string().uuid().optional(),
+  role: z.enum(WORKSPACE_ROLES)
+}).refine(data => data.email || data.userId, 'email or userId is required');
+
+const validationError = (res, error) => res.status(400).json({
+  error: {
+    message: 'Validation error',
+    details: error.errors,
+    status: 400
+  }
+});
+
+// Only owners hand out or take away ownership, and a workspace always keeps
+// at least one owner. Returns the reason a role change is refused, or null.
+const checkRoleChange = async (req, targetUserId, role) => {
+  const currentRole = await workspaceService.getRole(req.workspace.id, targetUserId);
+
+  if ((role === 'owner' || currentRole === 'owner') && req.workspaceRole !== 'owner') {
+    return { status: 403, message: 'Only owners can change ownership' };
+  }
+
+  if (currentRole === 'owner' && role !== 'owner' && await workspaceService.countOwners(req.workspace.id) === 1) {
+    return { status: 409, message: 'A workspace needs at least one owner' };
+  }
+
+  return null;
+};
+
+// List the caller's workspaces
+export const getWorkspaces = async (req, res) => {
+  try {
+    // Make sure the personal workspace exists before listing
+    await workspaceService.ensurePersonal(req.user);
+    const workspaces = await workspaceService.listForUser(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: workspaces
+    });
+
+  } catch (error) {
+    logger.error('Failed to list workspaces', { userId: req.user?.id, error: error.message });
+    res.status(500).json({
+      error: {
+        message: 'Failed to get workspaces',
+        status: 500
+      }
+    });
+  }
+};
+
+// Create a workspace; the caller becomes its owner
+export const createWorkspace = async (req, res) => {
+  try {
+    const { name } = workspaceSchema.parse(req.body);
+    const workspace = await workspaceService.create(name, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: { ...workspace, role: 'owner' }
+    });
+
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    logger.error('Failed to create workspace', { userId: req.user?.id, error: error.message });
+    res.status(500).json({
+      error: {
+        message: 'Failed to create workspace',
+        status: 500
+      }
+    });
+  }
+};
+
+// Get a workspace with its members
+export const getWorkspace = async (req, res) => {
+  try {
+    const members = await workspaceService.listMembers(req.workspace.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...req.workspace,
+        role: req.workspaceRole,
+        members
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to get workspace', { workspaceId: req.workspace?.id, error: error.message });
+    res.status(500).json({
+      error: {
+        message: 'Failed to get workspace',
+        status: 500
+      }
+    });
+  }
+};
+
+// Rename a workspace
+export const updateWorkspace = async (req, res) => {
+  try {
+    const { name } = workspaceSchema.parse(req.body);
+    const workspace = await workspaceService.rename(req.workspace.id, name);
+
+    res.status(200).json({
+      success: true,
+      data: { ...workspace, role: req.workspaceRole }
+    });
+
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    logger.error('Failed to update workspace', { workspaceId: req.workspace?.id, error: error.message });
+    res.status(500).json({
+      error: {
+        message: 'Failed to update workspace',
+        status: 500
+      }
+    });
+  }
+};
+
+// Delete an empty workspace
+export const deleteWorkspace = async (req, res) => {
+  try {
+    if (req.workspace.personal) {
+      return res.status(400).json({
+        error: {
+          message: 'Personal workspaces cannot be deleted',
+          status: 400
+        }
+      });
+    }
+
+    const deleted = await workspaceService.delete(req.workspace.id);
+    if (!deleted) {
+      return res.status(409).json({
+        error: {
+          message: 'Move or delete the workspace automations first',
+          status: 409
+        }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Workspace deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Failed to delete workspace', { workspaceId: req.workspace?.id, error: error.message });
+    res.status(500).json({
+      error: {
+        message: 'Failed to delete workspace',
+        status: 500
+      }
+    });
+  }
+};
+
+// List workspace members
+export const getMembers = async (req, res) => {
+  try {
+    const members = await workspaceService.listMembers(req.workspace.id);
+
+    res.status(200).json({
+      success: true,
+      data: members
+    });
+
+  } catch (error) {
+    logger.error('Failed to list workspace members', { workspaceId: req.workspace?.id, error: error.message });
+    res.status(500).json({
+      error: {
+        message: 'Failed to get workspace members',
+        status: 500
+      }
+    });
+  }
+};
+
+// Add a member or change their role
+export const setMember = async (req, res) => {
+  try {
+    const { email, userId, role } = memberSchema.parse(req.body);
+
+    if (req.workspace.personal) {
+      return res.status(400).json({
+        error: {
+          message: 'Personal workspaces cannot have other members',
+          status: 400
+        }
+      });
+    }
+
+    const [target] = await db
+      .select({ id: users.id, name: users.name, email: users.email })
+      .from(users)
+      .where(userId ? eq(users.id, userId) : eq(users.email, email));
+
+    if (!target) {
+      return res.status(404).json({
+        error: {
+          message: 'User not found',
+          status: 404
+        }
+      });
+    }
+
+    const refused = await checkRoleChange(req, target.id, role);
+    if (refused) {
+      return res.status(refused.status).json({ error: refused });
+    }
+
+    const member = await workspaceService.setMember(req.workspace.id, target.id, role);
+
+    res.status(200).json({
+      success: true,
+      data: { ...member, user: target }
+    });
+
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+
+    logger.error('Failed to set workspace member', { workspaceId: req.workspace?.id, error: error.message });
+    res.status(500).json({
+      error: {
+        message: 'Failed to update workspace member',
+        status: 500
+      }
+    });
+  }
+};
+
+// Remove a member; members may also remove themselves to leave
+export const removeMember = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const refused = await checkRoleChange(req, userId, null);
+    if (refused) {
+      return res.status(refused.status).json({ error: refused });
+    }
+
+    const removed = await workspaceService.removeMember(req.workspace.id, userId);
+    if (!removed) {
+      return res.status(404).json({
+        error: {
+          message: 'Member not found',
+          status: 404
+        }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Member removed successfully'
+    });
+
+  } catch (error) {
+    logger.error('Failed to remove workspace member', { workspaceId: req.workspace?.id, error: error.message });
+    res.status(500).json({
+      error: {
+        message: 'Failed to remove workspace member',
+        status: 500
+      }
+    });
+  }
+};
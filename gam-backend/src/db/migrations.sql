@@ -17,6 +17,27 @@ CREATE TABLE IF NOT EXISTS users (
   last_login TIMESTAMP
 );
 
+-- Workspaces table
+CREATE TABLE IF NOT EXISTS workspaces (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(255) NOT NULL,
+  personal BOOLEAN DEFAULT false,
+  settings JSONB DEFAULT '{}',
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Workspace members table
+CREATE TABLE IF NOT EXISTS workspace_members (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(20) DEFAULT 'viewer',
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (workspace_id, user_id)
+);
+
 -- Automations table
 CREATE TABLE IF NOT EXISTS automations (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -55,15 +76,54 @@ CREATE TABLE IF NOT EXISTS executions (
   triggered_by VARCHAR(50)
 );
 
+-- Execution queue table
+CREATE TABLE IF NOT EXISTS execution_queue (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  execution_id UUID NOT NULL UNIQUE REFERENCES executions(id) ON DELETE CASCADE,
+  automation_id UUID NOT NULL REFERENCES automations(id) ON DELETE CASCADE,
+  priority INTEGER DEFAULT 0,
+  max_concurrency INTEGER DEFAULT 1,
+  status VARCHAR(20) DEFAULT 'queued',
+  attempts INTEGER DEFAULT 0,
+  locked_by VARCHAR(255),
+  locked_at TIMESTAMP,
+  available_at TIMESTAMP DEFAULT NOW(),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Automation versions table
+CREATE TABLE IF NOT EXISTS automation_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  automation_id UUID NOT NULL REFERENCES automations(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  steps JSONB DEFAULT '[]',
+  config JSONB DEFAULT '{}',
+  schedule JSONB,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (automation_id, version)
+);
+
 -- Automation shares table
 CREATE TABLE IF NOT EXISTS automation_shares (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   automation_id UUID NOT NULL REFERENCES automations(id) ON DELETE CASCADE,
   user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-  permission VARCHAR(20) DEFAULT 'read',
+  permission VARCHAR(20) DEFAULT 'view',
   created_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Trigger state table
+CREATE TABLE IF NOT EXISTS trigger_states (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  automation_id UUID NOT NULL REFERENCES automations(id) ON DELETE CASCADE,
+  trigger_type VARCHAR(50) NOT NULL,
+  state JSONB DEFAULT '{}',
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
 -- Templates table
 CREATE TABLE IF NOT EXISTS templates (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -77,6 +137,21 @@ CREATE TABLE IF NOT EXISTS templates (
   created_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Credentials table
+CREATE TABLE IF NOT EXISTS credentials (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  type VARCHAR(30) DEFAULT 'password',
+  description TEXT,
+  encrypted_value TEXT NOT NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  last_used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (workspace_id, name)
+);
+
 -- System logs table
 CREATE TABLE IF NOT EXISTS system_logs (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -87,17 +162,107 @@ CREATE TABLE IF NOT EXISTS system_logs (
   created_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Audit log table (append-only, see the triggers below). Actor and
+-- workspace are not foreign keys so entries outlive what they mention.
+CREATE TABLE IF NOT EXISTS audit_logs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  action VARCHAR(100) NOT NULL,
+  actor_id UUID,
+  actor_email VARCHAR(255),
+  ip VARCHAR(64),
+  user_agent TEXT,
+  workspace_id UUID,
+  entity_type VARCHAR(50),
+  entity_id VARCHAR(255),
+  entity_name VARCHAR(255),
+  before JSONB,
+  after JSONB,
+  changes JSONB,
+  metadata JSONB,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Columns added after the initial schema
+ALTER TABLE executions ADD COLUMN IF NOT EXISTS checkpoint JSONB;
+ALTER TABLE executions ADD COLUMN IF NOT EXISTS resumed_from UUID REFERENCES executions(id) ON DELETE SET NULL;
+ALTER TABLE executions ADD COLUMN IF NOT EXISTS automation_version INTEGER;
+ALTER TABLE automations ADD COLUMN IF NOT EXISTS published_version INTEGER;
+ALTER TABLE automations ADD COLUMN IF NOT EXISTS published_at TIMESTAMP;
+ALTER TABLE automations ADD COLUMN IF NOT EXISTS published_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE automation_shares ALTER COLUMN permission SET DEFAULT 'view';
+ALTER TABLE automations ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id);
+ALTER TABLE templates ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE;
+
+-- Automations that were live before publishing existed keep running their
+-- current definition
+INSERT INTO automation_versions (automation_id, version, name, description, steps, config, schedule, created_by)
+SELECT id, version, name, description, steps, config, schedule, owner_id
+FROM automations
+WHERE status = 'active' AND published_version IS NULL
+ON CONFLICT (automation_id, version) DO NOTHING;
+
+UPDATE automations
+SET published_version = version, published_at = NOW()
+WHERE status = 'active' AND published_version IS NULL;
+
+-- Every user gets a personal workspace, and what they owned before
+-- workspaces existed moves into it
+INSERT INTO workspaces (name, personal, created_by)
+SELECT name, true, id
+FROM users
+WHERE NOT EXISTS (SELECT 1 FROM workspaces WHERE personal AND created_by = users.id);
+
+INSERT INTO workspace_members (workspace_id, user_id, role)
+SELECT id, created_by, 'owner'
+FROM workspaces
+WHERE personal
+ON CONFLICT (workspace_id, user_id) DO NOTHING;
+
+UPDATE automations
+SET workspace_id = workspaces.id
+FROM workspaces
+WHERE automations.workspace_id IS NULL AND workspaces.personal AND workspaces.created_by = automations.owner_id;
+
+UPDATE templates
+SET workspace_id = workspaces.id
+FROM workspaces
+WHERE templates.workspace_id IS NULL AND workspaces.personal AND workspaces.created_by = templates.created_by;
+
+-- Permission changes were audited in system_logs before audit_logs existed
+INSERT INTO audit_logs (id, action, actor_id, actor_email, entity_type, entity_id, entity_name, metadata, created_at)
+SELECT
+  id,
+  metadata->>'action',
+  user_id,
+  split_part(message, ' by ', 2),
+  'automation',
+  metadata->>'automationId',
+  metadata->>'automationName',
+  metadata - 'type' - 'action' - 'actorId' - 'automationId' - 'automationName',
+  created_at
+FROM system_logs
+WHERE metadata->>'type' = 'audit'
+ON CONFLICT (id) DO NOTHING;
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_automations_user_id ON automations(user_id);
 CREATE INDEX IF NOT EXISTS idx_automations_owner_id ON automations(owner_id);
 CREATE INDEX IF NOT EXISTS idx_automations_status ON automations(status);
 CREATE INDEX IF NOT EXISTS idx_automations_enabled ON automations(enabled);
 CREATE INDEX IF NOT EXISTS idx_automations_created_at ON automations(created_at);
+CREATE INDEX IF NOT EXISTS idx_automations_workspace_id ON automations(workspace_id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_workspaces_personal ON workspaces(created_by) WHERE personal;
+CREATE INDEX IF NOT EXISTS idx_workspace_members_user_id ON workspace_members(user_id);
 
 CREATE INDEX IF NOT EXISTS idx_executions_automation_id ON executions(automation_id);
 CREATE INDEX IF NOT EXISTS idx_executions_status ON executions(status);
 CREATE INDEX IF NOT EXISTS idx_executions_started_at ON executions(started_at);
 CREATE INDEX IF NOT EXISTS idx_executions_triggered_by ON executions(triggered_by);
+CREATE INDEX IF NOT EXISTS idx_executions_resumed_from ON executions(resumed_from);
+
+CREATE INDEX IF NOT EXISTS idx_execution_queue_claim ON execution_queue(status, priority DESC, created_at);
+CREATE INDEX IF NOT EXISTS idx_execution_queue_automation_id ON execution_queue(automation_id, status);
 
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
@@ -105,16 +270,28 @@ CREATE INDEX IF NOT EXISTS idx_users_created_at ON users(created_at);
 
 CREATE INDEX IF NOT EXISTS idx_automation_shares_automation_id ON automation_shares(automation_id);
 CREATE INDEX IF NOT EXISTS idx_automation_shares_user_id ON automation_shares(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_automation_shares_automation_user ON automation_shares(automation_id, user_id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_trigger_states_automation_type ON trigger_states(automation_id, trigger_type);
 
 CREATE INDEX IF NOT EXISTS idx_templates_category ON templates(category);
 CREATE INDEX IF NOT EXISTS idx_templates_is_public ON templates(is_public);
 CREATE INDEX IF NOT EXISTS idx_templates_created_by ON templates(created_by);
+CREATE INDEX IF NOT EXISTS idx_templates_workspace_id ON templates(workspace_id);
+
+CREATE INDEX IF NOT EXISTS idx_credentials_workspace_id ON credentials(workspace_id);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_workspace_id ON audit_logs(workspace_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_actor_id ON audit_logs(actor_id);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_entity ON audit_logs(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_action ON audit_logs(action);
 
 CREATE INDEX IF NOT EXISTS idx_system_logs_level ON system_logs(level);
 CREATE INDEX IF NOT EXISTS idx_system_logs_created_at ON system_logs(created_at);
 CREATE INDEX IF NOT EXISTS idx_system_logs_user_id ON system_logs(user_id);
 
--- Updated_at triggers
+-- Updated_at triggers (dropped first so the file can be applied again)
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
 BEGIN
@@ -123,16 +300,44 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+DROP TRIGGER IF EXISTS update_users_updated_at ON users;
 CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
   FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_workspaces_updated_at ON workspaces;
+CREATE TRIGGER update_workspaces_updated_at BEFORE UPDATE ON workspaces
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_automations_updated_at ON automations;
 CREATE TRIGGER update_automations_updated_at BEFORE UPDATE ON automations
   FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_executions_updated_at ON executions;
 CREATE TRIGGER update_executions_updated_at BEFORE UPDATE ON executions
   FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_credentials_updated_at ON credentials;
+CREATE TRIGGER update_credentials_updated_at BEFORE UPDATE ON credentials
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Audit entries are never changed or removed
+CREATE OR REPLACE FUNCTION reject_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_logs is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_logs_append_only ON audit_logs;
+CREATE TRIGGER audit_logs_append_only BEFORE UPDATE OR DELETE ON audit_logs
+  FOR EACH ROW EXECUTE FUNCTION reject_audit_log_changes();
+
+DROP TRIGGER IF EXISTS audit_logs_no_truncate ON audit_logs;
+CREATE TRIGGER audit_logs_no_truncate BEFORE TRUNCATE ON audit_logs
+  FOR EACH STATEMENT EXECUTE FUNCTION reject_audit_log_changes();
+
 -- Grant permissions to gam_user
 GRANT ALL PRIVILEGES ON ALL TABLES IN SCHEMA public TO gam_user;
 GRANT ALL PRIVILEGES ON ALL SEQUENCES IN SCHEMA public TO gam_user;
-GRANT EXECUTE ON ALL FUNCTIONS IN SCHEMA public TO gam_user;
\ No newline at end of file
+GRANT EXECUTE ON ALL FUNCTIONS IN SCHEMA public TO gam_user;
+REVOKE UPDATE, DELETE, TRUNCATE ON audit_logs FROM gam_user;
\ No newline at end of file
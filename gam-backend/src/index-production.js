@@ -168,6 +168,24 @@ const initializeServices = async () => {
       logger.warn('Scheduler service unavailable', { error: error.message });
     }
 
+    // Execution queue workers
+    try {
+      const { queueService } = await import('./services/queueService.js');
+      serviceManager.registerService('queue', queueService);
+      logger.info('Queue service registered');
+    } catch (error) {
+      logger.warn('Queue service unavailable', { error: error.message });
+    }
+
+    // Live execution events, relayed between instances
+    try {
+      const { executionEvents } = await import('./services/executionEvents.js');
+      serviceManager.registerService('execution-events', executionEvents);
+      logger.info('Execution events relay registered');
+    } catch (error) {
+      logger.warn('Execution events relay unavailable', { error: error.message });
+    }
+
     // Browser service
     try {
       const { browserService } = await import('./services/browserService.js');
@@ -210,6 +228,33 @@ const setupRoutes = async () => {
       logger.error('❌ Failed to load automation routes', { error: error.message });
     }
 
+    // Workspace routes
+    try {
+      const workspaceRoutes = await import('./routes/workspaces.js');
+      app.use('/api/workspaces', workspaceRoutes.default);
+      logger.info('✅ Workspace routes loaded');
+    } catch (error) {
+      logger.error('❌ Failed to load workspace routes', { error: error.message });
+    }
+
+    // Credential vault routes
+    try {
+      const credentialRoutes = await import('./routes/credentials.js');
+      app.use('/api/credentials', credentialRoutes.default);
+      logger.info('✅ Credential routes loaded');
+    } catch (error) {
+      logger.error('❌ Failed to load credential routes', { error: error.message });
+    }
+
+    // Audit log routes
+    try {
+      const auditRoutes = await import('./routes/audit.js');
+      app.use('/api/audit', auditRoutes.default);
+      logger.info('✅ Audit routes loaded');
+    } catch (error) {
+      logger.error('❌ Failed to load audit routes', { error: error.message });
+    }
+
     // Microsoft integration routes
     try {
       const microsoftRoutes = await import('./routes/microsoft.js');
@@ -228,6 +273,15 @@ const setupRoutes = async () => {
       logger.error('❌ Failed to load scheduler routes', { error: error.message });
     }
 
+    // Step test-run routes
+    try {
+      const stepExecutionRoutes = await import('./routes/stepExecution.js');
+      app.use('/api/steps', stepExecutionRoutes.default);
+      logger.info('✅ Step execution routes loaded');
+    } catch (error) {
+      logger.error('❌ Failed to load step execution routes', { error: error.message });
+    }
+
     // Execution routes
     try {
       const executionRoutes = await import('./routes/executions.js');
@@ -266,6 +320,22 @@ app.get('/api', (req, res) => {
         delete: 'DELETE /api/automations/:id',
         execute: 'POST /api/automations/:id/execute'
       },
+      workspaces: {
+        list: 'GET /api/workspaces',
+        create: 'POST /api/workspaces',
+        get: 'GET /api/workspaces/:workspaceId',
+        members: 'POST /api/workspaces/:workspaceId/members'
+      },
+      credentials: {
+        list: 'GET /api/credentials',
+        create: 'POST /api/credentials',
+        update: 'PUT /api/credentials/:id',
+        delete: 'DELETE /api/credentials/:id'
+      },
+      audit: {
+        list: 'GET /api/audit',
+        export: 'GET /api/audit/export'
+      },
       executions: {
         list: 'GET /api/executions',
         get: 'GET /api/executions/:id',
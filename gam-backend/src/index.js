@@ -25,15 +25,20 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 import { testConnection, connectRedis } from './config/database.js';
 import authRoutes from './routes/auth.js';
 import automationRoutes from './routes/automations.js';
+import workspaceRoutes from './routes/workspaces.js';
+import credentialRoutes from './routes/credentials.js';
+import auditRoutes from './routes/audit.js';
 import microsoftRoutes from './routes/microsoft.js';
 import schedulerRoutes from './routes/scheduler.js';
+import stepExecutionRoutes from './routes/stepExecution.js';
+import executionRoutes from './routes/executions.js';
 
 // Import service manager and services
 import { serviceManager } from './services/serviceManager.js';
 import { logger } from './config/logs.js';
 
 // Import services (with error handling for missing dependencies)
-let schedulerService, performanceService, errorHandlingService;
+let schedulerService, queueService, executionEvents, performanceService, errorHandlingService;
 try {
   const schedulerModule = await import('./services/schedulerService.js');
   schedulerService = schedulerModule.schedulerService;
@@ -41,6 +46,20 @@ try {
   logger.warn('Scheduler service not available', { error: error.message });
 }
 
+try {
+  const queueModule = await import('./services/queueService.js');
+  queueService = queueModule.queueService;
+} catch (error) {
+  logger.warn('Queue service not available', { error: error.message });
+}
+
+try {
+  const eventsModule = await import('./services/executionEvents.js');
+  executionEvents = eventsModule.executionEvents;
+} catch (error) {
+  logger.warn('Execution events relay not available', { error: error.message });
+}
+
 try {
   const performanceModule = await import('./services/performanceService.js');
   performanceService = performanceModule.performanceService;
@@ -74,6 +93,14 @@ const initializeServices = async () => {
     if (schedulerService) {
       serviceManager.registerService('scheduler', schedulerService);
     }
+
+    if (queueService) {
+      serviceManager.registerService('queue', queueService);
+    }
+
+    if (executionEvents) {
+      serviceManager.registerService('execution-events', executionEvents);
+    }
     
     if (performanceService) {
       serviceManager.registerService('performance', performanceService);
@@ -128,7 +155,7 @@ app.use((req, res, next) => {
 });
 
 // Enhanced health check with performance metrics
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
   const health = {
     status: 'OK',
     timestamp: new Date().toISOString(),
@@ -156,6 +183,15 @@ app.get('/health', (req, res) => {
       health.scheduler = { error: error.message };
     }
   }
+
+  // Add queue data if available
+  if (queueService) {
+    try {
+      health.queue = await queueService.getStats();
+    } catch (error) {
+      health.queue = { error: error.message };
+    }
+  }
   
   res.status(200).json(health);
 });
@@ -163,8 +199,13 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/automations', automationRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/credentials', credentialRoutes);
+app.use('/api/audit', auditRoutes);
 app.use('/api/microsoft', microsoftRoutes);
 app.use('/api/scheduler', schedulerRoutes);
+app.use('/api/steps', stepExecutionRoutes);
+app.use('/api/executions', executionRoutes);
 
 // Performance metrics endpoint
 app.get('/api/metrics', (req, res) => {
@@ -227,8 +268,12 @@ app.use('/api', (req, res) => {
       health: '/health',
       auth: '/api/auth',
       automations: '/api/automations',
+      workspaces: '/api/workspaces',
+      credentials: '/api/credentials',
+      audit: '/api/audit',
       executions: '/api/executions',
-      microsoft: '/api/microsoft'
+      microsoft: '/api/microsoft',
+      steps: '/api/steps'
     }
   });
 });
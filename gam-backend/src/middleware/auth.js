@@ -3,6 +3,8 @@ import bcrypt from 'bcryptjs';
 import { db } from '../config/database.js';
 import { users } from '../models/schema.js';
 import { eq } from 'drizzle-orm';
+import { z } from 'zod';
+import { workspaceService, hasWorkspaceRole } from '../services/workspaceService.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret_change_in_production';
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
@@ -93,10 +95,46 @@ export const verifyToken = async (req, res, next) => {
   }
 };
 
-// Role-based authorization
+// Load the workspace the request works in into req.workspace and the
+// caller's member role into req.workspaceRole. The workspace comes from the
+// :workspaceId route parameter, else the X-Workspace-Id header, else the
+// caller's personal workspace.
+export const loadWorkspace = async (req, res, next) => {
+  try {
+    const workspaceId = req.params.workspaceId || req.get('X-Workspace-Id');
+    let membership;
+    if (!workspaceId) {
+      membership = await workspaceService.ensurePersonal(req.user);
+    } else if (z.string().uuid().safeParse(workspaceId).success) {
+      membership = await workspaceService.findForUser(workspaceId, req.user.id);
+    }
+
+    if (!membership) {
+      return res.status(404).json({
+        error: {
+          message: 'Workspace not found',
+          status: 404
+        }
+      });
+    }
+
+    req.workspace = membership.workspace;
+    req.workspaceRole = membership.role;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Role-based authorization. Roles are user roles (req.user.role) or
+// workspace member roles; a member role is met by that role or any above it
+// in the workspace loaded by loadWorkspace.
 export const authorize = (roles = []) => {
   return (req, res, next) => {
-    if (roles.length && !roles.includes(req.user.role)) {
+    const allowed = roles.includes(req.user.role)
+      || roles.some(role => hasWorkspaceRole(req.workspaceRole, role));
+
+    if (roles.length && !allowed) {
       return res.status(403).json({
         error: {
           message: 'Insufficient permissions',
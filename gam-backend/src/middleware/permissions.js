@@ -0,0 +1,46 @@
+import { z } from 'zod';
+import { permissionService, allows } from '../services/permissionService.js';
+
+const isId = (id) => z.string().uuid().safeParse(id).success;
+
+const notFound = (res) => res.status(404).json({
+  error: {
+    message: 'Automation not found',
+    status: 404
+  }
+});
+
+// Automation access middleware. Loads the automation named by `param` into
+// req.automation and the caller's access level into req.automationPermission.
+// Automations the user cannot see are reported as not found.
+export const requireAutomationPermission = (required, param = 'id') => {
+  return async (req, res, next) => {
+    try {
+      // Anything but a UUID would make the id comparison fail in Postgres
+      if (!isId(req.params[param])) {
+        return notFound(res);
+      }
+
+      const found = await permissionService.findAutomation(req.params[param], req.user.id);
+
+      if (!found) {
+        return notFound(res);
+      }
+
+      if (!allows(found.permission, required)) {
+        return res.status(403).json({
+          error: {
+            message: `This action requires ${required} permission on the automation`,
+            status: 403
+          }
+        });
+      }
+
+      req.automation = found.automation;
+      req.automationPermission = found.permission;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
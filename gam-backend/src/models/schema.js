@@ -14,6 +14,28 @@ export const users = pgTable('users', {
   lastLogin: timestamp('last_login')
 });
 
+// Workspaces table (automations, templates and connections belong to one)
+export const workspaces = pgTable('workspaces', {
+  id: uuid('id').primaryKey().default(sql`gen_random_uuid()`),
+  name: varchar('name', { length: 255 }).notNull(),
+  // Every user has one personal workspace, created with their account
+  personal: boolean('personal').default(false),
+  settings: jsonb('settings').default({}),
+  createdBy: uuid('created_by').references(() => users.id),
+  createdAt: timestamp('created_at').default(sql`NOW()`),
+  updatedAt: timestamp('updated_at').default(sql`NOW()`)
+});
+
+// Workspace members table
+export const workspaceMembers = pgTable('workspace_members', {
+  id: uuid('id').primaryKey().default(sql`gen_random_uuid()`),
+  workspaceId: uuid('workspace_id').notNull().references(() => workspaces.id),
+  userId: uuid('user_id').notNull().references(() => users.id),
+  // viewer, operator, editor, admin or owner
+  role: varchar('role', { length: 20 }).default('viewer'),
+  createdAt: timestamp('created_at').default(sql`NOW()`)
+});
+
 // Automations table
 export const automations = pgTable('automations', {
   id: uuid('id').primaryKey().default(sql`gen_random_uuid()`),
@@ -29,10 +51,16 @@ export const automations = pgTable('automations', {
   isActive: boolean('is_active').default(true),
   userId: uuid('user_id').notNull().references(() => users.id),
   ownerId: uuid('owner_id').notNull().references(() => users.id),
+  workspaceId: uuid('workspace_id').references(() => workspaces.id),
   collaborators: jsonb('collaborators').default([]),
   createdAt: timestamp('created_at').default(sql`NOW()`),
   updatedAt: timestamp('updated_at').default(sql`NOW()`),
-  version: integer('version').default(1)
+  version: integer('version').default(1),
+  // The row holds the working draft; schedules and webhooks run the
+  // published version from automation_versions
+  publishedVersion: integer('published_version'),
+  publishedAt: timestamp('published_at'),
+  publishedBy: uuid('published_by').references(() => users.id)
 });
 
 // Executions table
@@ -49,7 +77,39 @@ export const executions = pgTable('executions', {
   updatedAt: timestamp('updated_at').default(sql`NOW()`),
   completedAt: timestamp('completed_at'),
   durationMs: integer('duration_ms'),
-  triggeredBy: varchar('triggered_by', { length: 50 })
+  triggeredBy: varchar('triggered_by', { length: 50 }),
+  checkpoint: jsonb('checkpoint'),
+  resumedFrom: uuid('resumed_from').references(() => executions.id),
+  automationVersion: integer('automation_version')
+});
+
+// Execution queue table (pending and in-flight runs waiting for a worker)
+export const executionQueue = pgTable('execution_queue', {
+  id: uuid('id').primaryKey().default(sql`gen_random_uuid()`),
+  executionId: uuid('execution_id').notNull().unique().references(() => executions.id),
+  automationId: uuid('automation_id').notNull().references(() => automations.id),
+  priority: integer('priority').default(0),
+  maxConcurrency: integer('max_concurrency').default(1),
+  status: varchar('status', { length: 20 }).default('queued'),
+  attempts: integer('attempts').default(0),
+  lockedBy: varchar('locked_by', { length: 255 }),
+  lockedAt: timestamp('locked_at'),
+  availableAt: timestamp('available_at').default(sql`NOW()`),
+  createdAt: timestamp('created_at').default(sql`NOW()`)
+});
+
+// Automation versions table (snapshot of the definition at every save)
+export const automationVersions = pgTable('automation_versions', {
+  id: uuid('id').primaryKey().default(sql`gen_random_uuid()`),
+  automationId: uuid('automation_id').notNull().references(() => automations.id),
+  version: integer('version').notNull(),
+  name: varchar('name', { length: 255 }).notNull(),
+  description: text('description'),
+  steps: jsonb('steps').default([]),
+  config: jsonb('config').default({}),
+  schedule: jsonb('schedule'),
+  createdBy: uuid('created_by').references(() => users.id),
+  createdAt: timestamp('created_at').default(sql`NOW()`)
 });
 
 // Automation shares table
@@ -57,10 +117,21 @@ export const automationShares = pgTable('automation_shares', {
   id: uuid('id').primaryKey().default(sql`gen_random_uuid()`),
   automationId: uuid('automation_id').notNull().references(() => automations.id),
   userId: uuid('user_id').notNull().references(() => users.id),
-  permission: varchar('permission', { length: 20 }).default('read'),
+  // view, execute, edit or owner (older rows may say read)
+  permission: varchar('permission', { length: 20 }).default('view'),
   createdAt: timestamp('created_at').default(sql`NOW()`)
 });
 
+// Trigger state table (what a polling trigger saw last, kept across restarts)
+export const triggerStates = pgTable('trigger_states', {
+  id: uuid('id').primaryKey().default(sql`gen_random_uuid()`),
+  automationId: uuid('automation_id').notNull().references(() => automations.id),
+  // api, database, microsoft or email
+  triggerType: varchar('trigger_type', { length: 50 }).notNull(),
+  state: jsonb('state').default({}),
+  updatedAt: timestamp('updated_at').default(sql`NOW()`)
+});
+
 // Templates table
 export const templates = pgTable('templates', {
   id: uuid('id').primaryKey().default(sql`gen_random_uuid()`),
@@ -70,10 +141,27 @@ export const templates = pgTable('templates', {
   steps: jsonb('steps').notNull(),
   config: jsonb('config').default({}),
   isPublic: boolean('is_public').default(false),
+  workspaceId: uuid('workspace_id').references(() => workspaces.id),
   createdBy: uuid('created_by').references(() => users.id),
   createdAt: timestamp('created_at').default(sql`NOW()`)
 });
 
+// Credentials table (secrets steps reference instead of storing them)
+export const credentials = pgTable('credentials', {
+  id: uuid('id').primaryKey().default(sql`gen_random_uuid()`),
+  workspaceId: uuid('workspace_id').notNull().references(() => workspaces.id),
+  name: varchar('name', { length: 255 }).notNull(),
+  // password, token, api_key or connection_string
+  type: varchar('type', { length: 30 }).default('password'),
+  description: text('description'),
+  // AES-256-GCM with the master key, never returned by the API
+  encryptedValue: text('encrypted_value').notNull(),
+  createdBy: uuid('created_by').references(() => users.id),
+  lastUsedAt: timestamp('last_used_at'),
+  createdAt: timestamp('created_at').default(sql`NOW()`),
+  updatedAt: timestamp('updated_at').default(sql`NOW()`)
+});
+
 // System logs table
 export const systemLogs = pgTable('system_logs', {
   id: uuid('id').primaryKey().default(sql`gen_random_uuid()`),
@@ -84,11 +172,40 @@ export const systemLogs = pgTable('system_logs', {
   createdAt: timestamp('created_at').default(sql`NOW()`)
 });
 
+// Audit log table (append-only; the database rejects updates and deletes).
+// Actor and workspace are plain columns, not references, so entries outlive
+// the users and workspaces they mention.
+export const auditLogs = pgTable('audit_logs', {
+  id: uuid('id').primaryKey().default(sql`gen_random_uuid()`),
+  action: varchar('action', { length: 100 }).notNull(),
+  actorId: uuid('actor_id'),
+  actorEmail: varchar('actor_email', { length: 255 }),
+  ip: varchar('ip', { length: 64 }),
+  userAgent: text('user_agent'),
+  workspaceId: uuid('workspace_id'),
+  entityType: varchar('entity_type', { length: 50 }),
+  entityId: varchar('entity_id', { length: 255 }),
+  entityName: varchar('entity_name', { length: 255 }),
+  before: jsonb('before'),
+  after: jsonb('after'),
+  // Field-level differences between before and after
+  changes: jsonb('changes'),
+  metadata: jsonb('metadata'),
+  createdAt: timestamp('created_at').default(sql`NOW()`)
+});
+
 export default {
   users,
+  workspaces,
+  workspaceMembers,
   automations,
   executions,
+  executionQueue,
+  automationVersions,
   automationShares,
+  triggerStates,
   templates,
-  systemLogs
+  credentials,
+  systemLogs,
+  auditLogs
 };
\ No newline at end of file
@@ -0,0 +1,13 @@
+import express from 'express';
+import { getAuditLogs, exportAuditLogs } from '../controllers/auditController.js';
+import { verifyToken, loadWorkspace, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// The audit trail is read-only and limited to admins of the workspace
+router.use(verifyToken, loadWorkspace, authorize(['admin']));
+
+router.get('/', getAuditLogs);
+router.get('/export', exportAuditLogs);
+
+export default router;
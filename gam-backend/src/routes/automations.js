@@ -1,4 +1,5 @@
 import express from 'express';
+import multer from 'multer';
 import {
   createAutomation,
   getAutomations,
@@ -6,28 +7,66 @@ import {
   updateAutomation,
   deleteAutomation,
   duplicateAutomation,
+  exportAutomation,
+  importAutomation,
   executeAutomation,
   validateAutomation,
-  getExecutionHistory
+  getExecutionHistory,
+  getVersions,
+  getVersion,
+  diffVersions,
+  restoreVersion,
+  publishAutomation,
+  getShares,
+  shareAutomation,
+  unshareAutomation
 } from '../controllers/automationController.js';
-import { verifyToken } from '../middleware/auth.js';
+import { verifyToken, loadWorkspace, authorize } from '../middleware/auth.js';
+import { requireAutomationPermission } from '../middleware/permissions.js';
 
 const router = express.Router();
 
-// All automation routes require authentication
-router.use(verifyToken);
+// All automation routes require authentication and work in the caller's
+// active workspace
+router.use(verifyToken, loadWorkspace);
 
-// Automation CRUD
-router.post('/', createAutomation);
+// Access levels: view < execute < edit < owner
+const canView = requireAutomationPermission('view');
+const canExecute = requireAutomationPermission('execute');
+const canEdit = requireAutomationPermission('edit');
+const isOwner = requireAutomationPermission('owner');
+
+// New automations (including copies) land in the active workspace
+const canCreate = authorize(['editor']);
+
+// Bundles uploaded as a file (JSON or ZIP) are read from memory
+const bundleUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } }).single('file');
+
+// Automation CRUD (import is declared before /:id so it is not taken for one)
+router.post('/', canCreate, createAutomation);
+router.post('/import', canCreate, bundleUpload, importAutomation);
 router.get('/', getAutomations);
-router.get('/:id', getAutomation);
-router.put('/:id', updateAutomation);
-router.delete('/:id', deleteAutomation);
+router.get('/:id', canView, getAutomation);
+router.put('/:id', canEdit, updateAutomation);
+router.delete('/:id', isOwner, deleteAutomation);
 
 // Automation actions
-router.post('/:id/duplicate', duplicateAutomation);
-router.post('/:id/execute', executeAutomation);
-router.get('/:id/validate', validateAutomation);
-router.get('/:id/executions', getExecutionHistory);
+router.post('/:id/duplicate', canView, canCreate, duplicateAutomation);
+router.get('/:id/export', canView, exportAutomation);
+router.post('/:id/execute', canExecute, executeAutomation);
+router.get('/:id/validate', canView, validateAutomation);
+router.get('/:id/executions', canView, getExecutionHistory);
+router.post('/:id/publish', canEdit, publishAutomation);
+
+// Version history (diff is declared before /:version so it is not taken for one)
+router.get('/:id/versions', canView, getVersions);
+router.get('/:id/versions/diff', canView, diffVersions);
+router.get('/:id/versions/:version', canView, getVersion);
+router.post('/:id/versions/:version/restore', canEdit, restoreVersion);
+
+// Sharing
+router.get('/:id/shares', canView, getShares);
+router.post('/:id/shares', isOwner, shareAutomation);
+router.delete('/:id/shares/:userId', isOwner, unshareAutomation);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,25 @@
+import express from 'express';
+import {
+  requireVault,
+  getCredentials,
+  createCredential,
+  updateCredential,
+  deleteCredential
+} from '../controllers/credentialController.js';
+import { verifyToken, loadWorkspace, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Credentials belong to the caller's active workspace. Every member may see
+// which exist (to pick one in a step); editors manage them. Values are
+// write-only: no route returns them.
+router.use(verifyToken, loadWorkspace, requireVault);
+
+const canManage = authorize(['editor']);
+
+router.get('/', getCredentials);
+router.post('/', canManage, createCredential);
+router.put('/:id', canManage, updateCredential);
+router.delete('/:id', canManage, deleteCredential);
+
+export default router;
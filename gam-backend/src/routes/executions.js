@@ -1,15 +1,57 @@
 import express from 'express';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, loadWorkspace } from '../middleware/auth.js';
 import { rateLimiter } from '../middleware/rateLimiter.js';
 import { db } from '../config/database.js';
 import { executions, automations } from '../models/schema.js';
 import { eq, desc, and, sql } from 'drizzle-orm';
 import { logger } from '../config/logs.js';
+import { queueService } from '../services/queueService.js';
+import { workflowEngine } from '../services/workflowEngine.js';
+import { DEBUG_ACTIONS } from '../services/debugSession.js';
+import { executionEvents } from '../services/executionEvents.js';
+import { errorHandlingService } from '../services/errorHandlingService.js';
+import { versionService } from '../services/versionService.js';
+import { permissionService, allows } from '../services/permissionService.js';
+import { auditService, auditContext, AUDIT_ACTIONS } from '../services/auditService.js';
 
 const router = express.Router();
 
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+const STREAM_HEARTBEAT_INTERVAL = 15000;
+
+// Category, severity and suggestions for the run's error and for each failed
+// step. Runs that failed through the engine already stored theirs.
+const analyzeExecutionErrors = (execution) => {
+  const stepResults = execution.outputData?.stepResults || execution.checkpoint?.stepResults || [];
+  const errorDetails = execution.errorDetails;
+
+  const steps = {};
+  for (const result of stepResults) {
+    if (result.error) {
+      steps[result.stepId] = errorHandlingService.getErrorSuggestions(
+        { message: result.error.message },
+        { stepType: result.stepType }
+      );
+    }
+  }
+
+  let run = null;
+  if (errorDetails?.message && execution.status === 'failed') {
+    run = errorDetails.suggestions
+      ? {
+          category: errorDetails.category,
+          severity: errorDetails.severity,
+          retryable: errorDetails.retryable,
+          suggestions: errorDetails.suggestions
+        }
+      : errorHandlingService.getErrorSuggestions({ message: errorDetails.message });
+  }
+
+  return { execution: run, steps };
+};
+
 // Apply authentication to all routes
-router.use(authenticateToken);
+router.use(authenticateToken, loadWorkspace);
 
 // Get all executions for user
 router.get('/', 
@@ -22,9 +64,22 @@ router.get('/',
       const offset = (page - 1) * limit;
       const status = req.query.status;
       const automationId = req.query.automationId;
+      const triggeredBy = req.query.triggeredBy;
+      const from = req.query.from ? new Date(req.query.from) : null;
+      const to = req.query.to ? new Date(req.query.to) : null;
+
+      if ((from && isNaN(from)) || (to && isNaN(to))) {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to must be valid dates'
+        });
+      }
 
       // Build where conditions
-      let whereConditions = [eq(automations.userId, userId)];
+      let whereConditions = [
+        permissionService.accessCondition(userId),
+        permissionService.workspaceCondition(userId, req.workspace.id)
+      ];
       
       if (status) {
         whereConditions.push(eq(executions.status, status));
@@ -34,6 +89,18 @@ router.get('/',
         whereConditions.push(eq(executions.automationId, automationId));
       }
 
+      if (triggeredBy) {
+        whereConditions.push(eq(executions.triggeredBy, triggeredBy));
+      }
+
+      if (from) {
+        whereConditions.push(sql`${executions.startedAt} >= ${from}`);
+      }
+
+      if (to) {
+        whereConditions.push(sql`${executions.startedAt} <= ${to}`);
+      }
+
       // Get executions with automation details
       const results = await db
         .select({
@@ -42,6 +109,8 @@ router.get('/',
           automationName: automations.name,
           status: executions.status,
           triggeredBy: executions.triggeredBy,
+          resumedFrom: executions.resumedFrom,
+          automationVersion: executions.automationVersion,
           startedAt: executions.startedAt,
           completedAt: executions.completedAt,
           durationMs: executions.durationMs,
@@ -110,6 +179,9 @@ router.get('/:id',
           errorDetails: executions.errorDetails,
           retryInfo: executions.retryInfo,
           triggeredBy: executions.triggeredBy,
+          resumedFrom: executions.resumedFrom,
+          automationVersion: executions.automationVersion,
+          checkpoint: executions.checkpoint,
           startedAt: executions.startedAt,
           completedAt: executions.completedAt,
           durationMs: executions.durationMs
@@ -118,7 +190,7 @@ router.get('/:id',
         .innerJoin(automations, eq(executions.automationId, automations.id))
         .where(and(
           eq(executions.id, executionId),
-          eq(automations.userId, userId)
+          permissionService.accessCondition(userId)
         ));
 
       if (!execution) {
@@ -128,9 +200,20 @@ router.get('/:id',
         });
       }
 
+      // Runs that were resumed from this one
+      const resumes = await db
+        .select({
+          id: executions.id,
+          status: executions.status,
+          startedAt: executions.startedAt
+        })
+        .from(executions)
+        .where(eq(executions.resumedFrom, executionId))
+        .orderBy(desc(executions.startedAt));
+
       res.json({
         success: true,
-        data: execution
+        data: { ...execution, resumes, errorAnalysis: analyzeExecutionErrors(execution) }
       });
 
     } catch (error) {
@@ -167,7 +250,7 @@ router.get('/:id/logs',
         .innerJoin(automations, eq(executions.automationId, automations.id))
         .where(and(
           eq(executions.id, executionId),
-          eq(automations.userId, userId)
+          permissionService.accessCondition(userId)
         ));
 
       if (!execution) {
@@ -211,6 +294,118 @@ router.get('/:id/logs',
   }
 );
 
+// Live events of one execution as Server-Sent Events. A `snapshot` with the
+// status, logs and progress so far comes first, followed by log,
+// step_started, step_finished, progress, debug and status events. The
+// stream ends after the run's final status.
+router.get('/:id/stream',
+  rateLimiter({ windowMs: 60000, maxRequests: 30 }),
+  async (req, res) => {
+    const executionId = req.params.id;
+    const userId = req.user.id;
+
+    let execution;
+    try {
+      [execution] = await db
+        .select({
+          id: executions.id,
+          status: executions.status,
+          logs: executions.logs
+        })
+        .from(executions)
+        .innerJoin(automations, eq(executions.automationId, automations.id))
+        .where(and(
+          eq(executions.id, executionId),
+          permissionService.accessCondition(userId)
+        ));
+    } catch (error) {
+      logger.error('Failed to open execution stream', { executionId, userId, error: error.message });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to open execution stream',
+        error: error.message
+      });
+    }
+
+    if (!execution) {
+      return res.status(404).json({
+        success: false,
+        message: 'Execution not found'
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const send = (event) => {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    let unsubscribe = () => {};
+    let heartbeat = null;
+    let closed = false;
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      unsubscribe();
+      clearInterval(heartbeat);
+      res.end();
+    };
+
+    // Snapshot and subscription happen in the same tick so no local event
+    // falls between them
+    const live = workflowEngine.getLiveState(executionId);
+    send({
+      type: 'snapshot',
+      executionId,
+      timestamp: new Date().toISOString(),
+      data: {
+        status: live ? 'running' : execution.status,
+        logs: live ? live.logs : execution.logs || [],
+        progress: live?.progress || null
+      }
+    });
+
+    if (!live && FINISHED_STATUSES.includes(execution.status)) {
+      return close();
+    }
+
+    unsubscribe = executionEvents.subscribe(executionId, (event) => {
+      send(event);
+      if (event.type === 'status' && FINISHED_STATUSES.includes(event.data.status)) {
+        close();
+      }
+    });
+
+    // Keep proxies from dropping the connection, and end the stream if the
+    // run finished somewhere we did not hear about
+    heartbeat = setInterval(async () => {
+      res.write(': keep-alive\n\n');
+      if (workflowEngine.isRunning(executionId)) {
+        return;
+      }
+      try {
+        const [current] = await db
+          .select({ status: executions.status })
+          .from(executions)
+          .where(eq(executions.id, executionId));
+        if (!current || FINISHED_STATUSES.includes(current.status)) {
+          send({ type: 'status', executionId, timestamp: new Date().toISOString(), data: { status: current?.status || 'unknown' } });
+          close();
+        }
+      } catch (error) {
+        logger.warn('Execution stream status check failed', { executionId, error: error.message });
+      }
+    }, STREAM_HEARTBEAT_INTERVAL);
+
+    req.on('close', close);
+  }
+);
+
 // Cancel running execution
 router.post('/:id/cancel',
   rateLimiter({ windowMs: 60000, maxRequests: 10 }),
@@ -219,18 +414,19 @@ router.post('/:id/cancel',
       const executionId = req.params.id;
       const userId = req.user.id;
 
-      // Check if execution exists and belongs to user
+      // Check if execution exists and the user may see it
       const [execution] = await db
         .select({
           id: executions.id,
           status: executions.status,
-          automationId: executions.automationId
+          automationId: executions.automationId,
+          permission: permissionService.permissionExpression(userId)
         })
         .from(executions)
         .innerJoin(automations, eq(executions.automationId, automations.id))
         .where(and(
           eq(executions.id, executionId),
-          eq(automations.userId, userId)
+          permissionService.accessCondition(userId)
         ));
 
       if (!execution) {
@@ -240,13 +436,25 @@ router.post('/:id/cancel',
         });
       }
 
-      if (execution.status !== 'running') {
+      if (!allows(execution.permission, 'execute')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Cancelling requires execute permission on the automation'
+        });
+      }
+
+      if (!['pending', 'running'].includes(execution.status)) {
         return res.status(400).json({
           success: false,
           message: `Cannot cancel execution with status: ${execution.status}`
         });
       }
 
+      // A run still waiting in the queue is simply dropped from it
+      if (execution.status === 'pending') {
+        await queueService.dequeue(executionId);
+      }
+
       // Update execution status to cancelled
       const [updatedExecution] = await db
         .update(executions)
@@ -266,10 +474,15 @@ router.post('/:id/cancel',
           completedAt: executions.completedAt
         });
 
+      // Stop the engine if the run executes in this process; runs on other
+      // instances notice the status change on their next queue heartbeat
+      const stoppedLocally = await workflowEngine.cancel(executionId, 'Execution cancelled by user');
+
       logger.info('Execution cancelled', { 
         executionId, 
         userId,
-        automationId: execution.automationId
+        automationId: execution.automationId,
+        stoppedLocally
       });
 
       res.json({
@@ -294,6 +507,299 @@ router.post('/:id/cancel',
   }
 );
 
+// Resume a failed or cancelled execution from its checkpoint
+router.post('/:id/resume',
+  rateLimiter({ windowMs: 60000, maxRequests: 10 }),
+  async (req, res) => {
+    try {
+      const executionId = req.params.id;
+      const userId = req.user.id;
+      const { stepId = null, config = null } = req.body || {};
+
+      if (config !== null && (typeof config !== 'object' || Array.isArray(config))) {
+        return res.status(400).json({
+          success: false,
+          message: 'config must be an object'
+        });
+      }
+
+      const [row] = await db
+        .select({
+          execution: executions,
+          automation: automations,
+          permission: permissionService.permissionExpression(userId)
+        })
+        .from(executions)
+        .innerJoin(automations, eq(executions.automationId, automations.id))
+        .where(and(
+          eq(executions.id, executionId),
+          permissionService.accessCondition(userId)
+        ));
+
+      if (!row) {
+        return res.status(404).json({
+          success: false,
+          message: 'Execution not found'
+        });
+      }
+
+      const { execution } = row;
+
+      if (!allows(row.permission, 'execute')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Resuming requires execute permission on the automation'
+        });
+      }
+
+      if (!['failed', 'cancelled'].includes(execution.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot resume execution with status: ${execution.status}`
+        });
+      }
+
+      // Continue with the definition the run started with, not today's draft
+      const automation = execution.automationVersion
+        ? await versionService.definitionAt(row.automation, execution.automationVersion)
+        : row.automation;
+
+      if (!automation) {
+        return res.status(409).json({
+          success: false,
+          message: `Version ${execution.automationVersion} of the automation no longer exists`
+        });
+      }
+
+      let resumeState;
+      try {
+        resumeState = workflowEngine.buildResumeState(execution, automation.steps || [], { stepId, config });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      // Check the edited config before queueing a run that would fail on it
+      if (config) {
+        const step = automation.steps.find(s => s.id === resumeState.resumeStepId);
+        const executor = workflowEngine.getExecutor(step.type);
+        const validation = executor ? await executor.validate(config) : { valid: true, errors: [] };
+        if (!validation.valid) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid step configuration',
+            errors: validation.errors
+          });
+        }
+      }
+
+      const queued = await queueService.enqueue(automation, execution.inputData || {}, 'resume', {
+        resumedFrom: execution.id,
+        checkpoint: resumeState,
+        automationVersion: automation.version
+      });
+
+      logger.info('Execution resumed', {
+        executionId: queued.executionId,
+        resumedFrom: execution.id,
+        resumeStepId: resumeState.resumeStepId,
+        restoredSteps: resumeState.stepResults.length,
+        userId
+      });
+
+      await auditService.record(auditContext(req), AUDIT_ACTIONS.EXECUTION_RESUME, {
+        entityType: 'automation',
+        entityId: automation.id,
+        entityName: automation.name,
+        workspaceId: automation.workspaceId,
+        metadata: {
+          executionId: queued.executionId,
+          resumedFrom: execution.id,
+          resumeStepId: resumeState.resumeStepId,
+          configEdited: !!config
+        }
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'Execution resumed',
+        data: {
+          ...queued,
+          resumedFrom: execution.id,
+          resumeStepId: resumeState.resumeStepId,
+          restoredSteps: resumeState.stepResults.map(result => result.stepId)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to resume execution', { 
+        executionId: req.params.id,
+        userId: req.user.id, 
+        error: error.message 
+      });
+      
+      res.status(500).json({
+        success: false,
+        message: 'Failed to resume execution',
+        error: error.message
+      });
+    }
+  }
+);
+
+// Inspect a run started in debug mode: where it is paused, the data waiting
+// to enter that step, variables and the results so far. Once the run is over
+// only its status and stored step results are returned.
+router.get('/:id/debug',
+  rateLimiter({ windowMs: 60000, maxRequests: 120 }),
+  async (req, res) => {
+    try {
+      const executionId = req.params.id;
+      const userId = req.user.id;
+
+      const [execution] = await db
+        .select({
+          id: executions.id,
+          status: executions.status,
+          outputData: executions.outputData,
+          checkpoint: executions.checkpoint,
+          errorDetails: executions.errorDetails
+        })
+        .from(executions)
+        .innerJoin(automations, eq(executions.automationId, automations.id))
+        .where(and(
+          eq(executions.id, executionId),
+          permissionService.accessCondition(userId)
+        ));
+
+      if (!execution) {
+        return res.status(404).json({
+          success: false,
+          message: 'Execution not found'
+        });
+      }
+
+      const debug = workflowEngine.getDebugState(executionId);
+
+      res.json({
+        success: true,
+        data: {
+          executionId,
+          status: execution.status,
+          debug,
+          ...(debug ? {} : {
+            stepResults: execution.outputData?.stepResults || execution.checkpoint?.stepResults || [],
+            errorDetails: execution.errorDetails
+          })
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to get debug state', { 
+        executionId: req.params.id,
+        userId: req.user.id, 
+        error: error.message 
+      });
+      
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve debug state',
+        error: error.message
+      });
+    }
+  }
+);
+
+// Drive a paused debug run: continue, step_over or abort. `breakpoints`
+// replaces the breakpoint list and can be sent with or without an action.
+router.post('/:id/debug',
+  rateLimiter({ windowMs: 60000, maxRequests: 120 }),
+  async (req, res) => {
+    try {
+      const executionId = req.params.id;
+      const userId = req.user.id;
+      const { action = null, breakpoints } = req.body || {};
+
+      if (action !== null && !Object.values(DEBUG_ACTIONS).includes(action)) {
+        return res.status(400).json({
+          success: false,
+          message: `action must be one of: ${Object.values(DEBUG_ACTIONS).join(', ')}`
+        });
+      }
+
+      if (breakpoints !== undefined && !Array.isArray(breakpoints)) {
+        return res.status(400).json({
+          success: false,
+          message: 'breakpoints must be an array of step ids'
+        });
+      }
+
+      const [execution] = await db
+        .select({
+          id: executions.id,
+          status: executions.status,
+          permission: permissionService.permissionExpression(userId)
+        })
+        .from(executions)
+        .innerJoin(automations, eq(executions.automationId, automations.id))
+        .where(and(
+          eq(executions.id, executionId),
+          permissionService.accessCondition(userId)
+        ));
+
+      if (!execution) {
+        return res.status(404).json({
+          success: false,
+          message: 'Execution not found'
+        });
+      }
+
+      if (!allows(execution.permission, 'execute')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Driving the debugger requires execute permission on the automation'
+        });
+      }
+
+      let debug;
+      try {
+        debug = await workflowEngine.debugAction(executionId, action, { breakpoints });
+      } catch (error) {
+        return res.status(409).json({
+          success: false,
+          message: `${error.message} (status: ${execution.status})`
+        });
+      }
+
+      logger.info('Debugger action applied', { executionId, userId, action });
+
+      res.json({
+        success: true,
+        data: {
+          executionId,
+          status: action === DEBUG_ACTIONS.ABORT ? 'cancelled' : execution.status,
+          debug
+        }
+      });
+
+    } catch (error) {
+      logger.error('Failed to apply debugger action', { 
+        executionId: req.params.id,
+        userId: req.user.id, 
+        error: error.message 
+      });
+      
+      res.status(500).json({
+        success: false,
+        message: 'Failed to apply debugger action',
+        error: error.message
+      });
+    }
+  }
+);
+
 // Get execution statistics
 router.get('/stats/summary',
   rateLimiter({ windowMs: 60000, maxRequests: 20 }),
@@ -313,7 +819,8 @@ router.get('/stats/summary',
         .from(executions)
         .innerJoin(automations, eq(executions.automationId, automations.id))
         .where(and(
-          eq(automations.userId, userId),
+          permissionService.accessCondition(userId),
+          permissionService.workspaceCondition(userId, req.workspace.id),
           sql`${executions.startedAt} >= ${startDate}`
         ))
         .groupBy(executions.status);
@@ -326,7 +833,8 @@ router.get('/stats/summary',
         .from(executions)
         .innerJoin(automations, eq(executions.automationId, automations.id))
         .where(and(
-          eq(automations.userId, userId),
+          permissionService.accessCondition(userId),
+          permissionService.workspaceCondition(userId, req.workspace.id),
           eq(executions.status, 'completed'),
           sql`${executions.startedAt} >= ${startDate}`
         ));
@@ -341,7 +849,8 @@ router.get('/stats/summary',
         .from(executions)
         .innerJoin(automations, eq(executions.automationId, automations.id))
         .where(and(
-          eq(automations.userId, userId),
+          permissionService.accessCondition(userId),
+          permissionService.workspaceCondition(userId, req.workspace.id),
           sql`${executions.startedAt} >= ${startDate}`
         ))
         .groupBy(executions.automationId, automations.name)
@@ -7,18 +7,23 @@ import {
   testConnection,
   refreshToken
 } from '../controllers/microsoftController.js';
-import { verifyToken } from '../middleware/auth.js';
+import { verifyToken, loadWorkspace, authorize } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// The connection belongs to the caller's active workspace; connecting or
+// disconnecting it is up to the workspace's admins
+const member = [verifyToken, loadWorkspace];
+const admin = [...member, authorize(['admin'])];
+
 // OAuth2 flow endpoints
-router.get('/auth/initiate', verifyToken, initiateOAuth);
+router.get('/auth/initiate', admin, initiateOAuth);
 router.get('/auth/callback', handleOAuthCallback); // No auth required - this is the callback URL
 
 // Connection management
-router.get('/status', verifyToken, getConnectionStatus);
-router.post('/disconnect', verifyToken, disconnect);
-router.post('/test', verifyToken, testConnection);
-router.post('/refresh-token', verifyToken, refreshToken);
+router.get('/status', member, getConnectionStatus);
+router.post('/disconnect', admin, disconnect);
+router.post('/test', member, testConnection);
+router.post('/refresh-token', admin, refreshToken);
 
 export default router;
\ No newline at end of file
@@ -1,20 +1,22 @@
 import express from 'express';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, loadWorkspace } from '../middleware/auth.js';
 import schedulerController from '../controllers/schedulerController.js';
 import { rateLimiter } from '../middleware/rateLimiter.js';
+import { requireAutomationPermission } from '../middleware/permissions.js';
 
 const router = express.Router();
 
 // Apply authentication to all routes except webhooks
-router.use(/^(?!\/webhooks)/, authenticateToken);
+router.use(/^(?!\/webhooks)/, authenticateToken, loadWorkspace);
 
 // Get schedule status for specific automation
 router.get('/automations/:automationId/schedule', 
   rateLimiter({ windowMs: 60000, maxRequests: 30 }),
+  requireAutomationPermission('view', 'automationId'),
   schedulerController.getScheduleStatus
 );
 
-// Get all schedules for user
+// Get all schedules in the active workspace
 router.get('/schedules',
   rateLimiter({ windowMs: 60000, maxRequests: 20 }),
   schedulerController.getAllSchedules
@@ -23,24 +25,35 @@ router.get('/schedules',
 // Update automation schedule
 router.put('/automations/:automationId/schedule',
   rateLimiter({ windowMs: 60000, maxRequests: 10 }),
+  requireAutomationPermission('edit', 'automationId'),
   schedulerController.updateSchedule
 );
 
 // Enable/disable automation schedule
 router.patch('/automations/:automationId/schedule/toggle',
   rateLimiter({ windowMs: 60000, maxRequests: 15 }),
+  requireAutomationPermission('edit', 'automationId'),
   schedulerController.toggleSchedule
 );
 
+// Replace automation triggers (webhook, file system)
+router.put('/automations/:automationId/triggers',
+  rateLimiter({ windowMs: 60000, maxRequests: 10 }),
+  requireAutomationPermission('edit', 'automationId'),
+  schedulerController.updateTriggers
+);
+
 // Test cron expression
 router.post('/test-cron',
   rateLimiter({ windowMs: 60000, maxRequests: 20 }),
   schedulerController.testCronExpression
 );
 
-// Get webhook URL for automation
+// Get webhook URL for automation; the URL lets anyone holding it run the
+// automation, so it takes execute permission
 router.get('/automations/:automationId/webhook',
   rateLimiter({ windowMs: 60000, maxRequests: 10 }),
+  requireAutomationPermission('execute', 'automationId'),
   schedulerController.getWebhookUrl
 );
 
@@ -1,12 +1,59 @@
 import express from 'express';
 import { stepExecutorService } from '../services/stepExecutorService.js';
 import { logger } from '../config/logs.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { z } from 'zod';
+import { authenticateToken, loadWorkspace, authorize } from '../middleware/auth.js';
+import { permissionService, allows } from '../services/permissionService.js';
 
 const router = express.Router();
 
+// Test runs use the active workspace's connections, so they take the same
+// role as editing an automation there
+const canTestRun = [authenticateToken, loadWorkspace, authorize(['editor'])];
+
+// The automation being edited, when the editor names one, goes into the
+// run's logs and credential audit entries, so it has to be one the user can
+// edit in the active workspace. Without it the engine uses 'test'.
+const loadTestAutomation = async (req, res, next) => {
+  const { automationId } = req.body;
+  if (automationId === undefined || automationId === null) {
+    return next();
+  }
+
+  try {
+    const found = z.string().uuid().safeParse(automationId).success
+      ? await permissionService.findAutomation(automationId, req.user.id)
+      : null;
+
+    if (!found || found.automation.workspaceId !== req.workspace.id) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Automation not found',
+          status: 404
+        }
+      });
+    }
+
+    if (!allows(found.permission, 'edit')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'This action requires edit permission on the automation',
+          status: 403
+        }
+      });
+    }
+
+    req.testAutomationId = found.automation.id;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Execute a single step for testing
-router.post('/execute-step', authenticateToken, async (req, res) => {
+router.post('/execute-step', canTestRun, loadTestAutomation, async (req, res) => {
   try {
     const { step, inputData = null } = req.body;
     
@@ -20,19 +67,17 @@ router.post('/execute-step', authenticateToken, async (req, res) => {
       });
     }
 
-    const context = {
-      userId: req.user.id,
-      executionMode: 'test',
-      timestamp: new Date().toISOString()
-    };
-
     logger.info('Executing single step', {
       stepId: step.id,
       stepType: step.type,
       userId: req.user.id
     });
 
-    const result = await stepExecutorService.executeStep(step, inputData, context);
+    // A failed step still answers 200; the outcome is in the result envelope
+    const result = await stepExecutorService.executeStep(step, inputData, {
+      automationId: req.testAutomationId,
+      workspaceId: req.workspace.id
+    });
 
     res.json({
       success: true,
@@ -120,7 +165,7 @@ router.delete('/execution-results', authenticateToken, async (req, res) => {
 });
 
 // Execute workflow (multiple connected steps)
-router.post('/execute-workflow', authenticateToken, async (req, res) => {
+router.post('/execute-workflow', canTestRun, loadTestAutomation, async (req, res) => {
   try {
     const { steps, inputData = null } = req.body;
     
@@ -134,66 +179,34 @@ router.post('/execute-workflow', authenticateToken, async (req, res) => {
       });
     }
 
-    const context = {
-      userId: req.user.id,
-      executionMode: 'workflow',
-      timestamp: new Date().toISOString()
-    };
-
     logger.info('Executing workflow', {
       stepCount: steps.length,
       userId: req.user.id
     });
 
-    const results = [];
-    let currentData = inputData;
-
-    // Execute steps in sequence
-    for (const step of steps) {
-      try {
-        const result = await stepExecutorService.executeStep(step, currentData, context);
-        results.push(result);
-        
-        // Pass successful step result as input to next step
-        if (result.success) {
-          currentData = result.data;
-        } else {
-          // Stop execution on step failure
-          logger.warn('Workflow stopped due to step failure', {
-            failedStepId: step.id,
-            userId: req.user.id
-          });
-          break;
-        }
-      } catch (error) {
-        // Record the failed step
-        results.push({
-          stepId: step.id,
-          success: false,
-          error: {
-            message: error.message,
-            type: error.constructor.name
-          },
-          timestamp: new Date().toISOString()
-        });
-        
-        logger.error('Step failed in workflow', {
-          stepId: step.id,
-          error: error.message,
-          userId: req.user.id
-        });
-        
-        break; // Stop workflow on error
-      }
+    // Same graph execution as a full run, without an execution record
+    const run = await stepExecutorService.executeWorkflow(steps, inputData, {
+      automationId: req.testAutomationId,
+      workspaceId: req.workspace.id
+    });
+
+    if (!run.success) {
+      logger.warn('Workflow stopped due to step failure', {
+        error: run.error,
+        userId: req.user.id
+      });
     }
 
     res.json({
       success: true,
       data: {
-        results,
+        success: run.success,
+        results: run.stepResults,
         totalSteps: steps.length,
-        completedSteps: results.length,
-        finalData: currentData
+        completedSteps: run.stepResults.filter(result => result.success).length,
+        finalData: run.finalData,
+        error: run.error || null,
+        duration: run.duration
       }
     });
 
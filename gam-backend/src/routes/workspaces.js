@@ -0,0 +1,39 @@
+import express from 'express';
+import {
+  getWorkspaces,
+  createWorkspace,
+  getWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  getMembers,
+  setMember,
+  removeMember
+} from '../controllers/workspaceController.js';
+import { verifyToken, loadWorkspace, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All workspace routes require authentication
+router.use(verifyToken);
+
+// Member roles: viewer < operator < editor < admin < owner
+const isAdmin = authorize(['admin']);
+const isOwner = authorize(['owner']);
+
+// Admins manage members; anyone may remove themselves to leave
+const canRemoveMember = (req, res, next) =>
+  req.params.userId === req.user.id ? next() : isAdmin(req, res, next);
+
+// Workspace CRUD
+router.get('/', getWorkspaces);
+router.post('/', createWorkspace);
+router.get('/:workspaceId', loadWorkspace, getWorkspace);
+router.put('/:workspaceId', loadWorkspace, isAdmin, updateWorkspace);
+router.delete('/:workspaceId', loadWorkspace, isOwner, deleteWorkspace);
+
+// Members
+router.get('/:workspaceId/members', loadWorkspace, getMembers);
+router.post('/:workspaceId/members', loadWorkspace, isAdmin, setMember);
+router.delete('/:workspaceId/members/:userId', loadWorkspace, canRemoveMember, removeMember);
+
+export default router;
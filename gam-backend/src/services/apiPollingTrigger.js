@@ -0,0 +1,272 @@
+import { z } from 'zod';
+import { logger } from '../config/logs.js';
+import { HttpStepExecutor } from './connectorSteps.js';
+import { credentialService, credentialRefSchema } from './credentialService.js';
+import { triggerStateService, hashValue } from './triggerStateService.js';
+import { selectJsonPath, jsonPathError } from './jsonPath.js';
+import { diffValues } from './versionService.js';
+
+const TRIGGER_TYPE = 'api';
+
+// Selections larger than this are not kept in the state, so the run after a
+// restart gets no diff (the hash still tells whether anything changed)
+const MAX_STORED_BYTES = 1024 * 1024;
+
+export const apiTriggerSchema = z.object({
+  url: z.string().url('url must be a valid URL'),
+  method: z.enum(['GET', 'POST']).default('GET'),
+  headers: z.record(z.string()).default({}),
+  queryParams: z.record(z.union([z.string(), z.number(), z.boolean()])).default({}),
+  body: z.union([z.string(), z.record(z.any()), z.array(z.any())]).optional(),
+  authType: z.enum(['none', 'bearer', 'basic', 'api_key']).default('none'),
+  token: credentialRefSchema.optional(),
+  username: z.string().optional(),
+  password: credentialRefSchema.optional(),
+  apiKey: credentialRefSchema.optional(),
+  apiKeyHeader: z.string().optional(),
+  timeout: z.number().int().min(1000).max(300000).default(30000),
+  intervalSeconds: z.number().int().min(10).max(86400).default(300),
+  // JSONPath of the part of the response to watch
+  selector: z.string().default('$'),
+  // hash: fire when the selection changes at all; cursor: fire for the items
+  // whose cursorField is past the highest one seen so far
+  mode: z.enum(['hash', 'cursor']).default('hash'),
+  // Identifies the items of an array selection, so the diff can tell changed
+  // items from removed and added ones
+  keyField: z.string().optional(),
+  cursorField: z.string().optional(),
+  // Query parameter that sends the last cursor, for APIs that filter by it
+  cursorParam: z.string().optional(),
+  // The first poll only records what is there, unless this is set
+  fireOnFirstPoll: z.boolean().default(false)
+}).superRefine((config, ctx) => {
+  const selectorError = jsonPathError(config.selector);
+  if (selectorError) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['selector'], message: selectorError });
+  }
+  if (config.mode === 'cursor' && !config.cursorField) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['cursorField'], message: 'cursorField is required in cursor mode' });
+  }
+  const required = { bearer: 'token', basic: 'username', api_key: 'apiKey' }[config.authType];
+  if (required && !config[required]) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: [required], message: `${required} is required for ${config.authType} authentication` });
+  }
+});
+
+const http = new HttpStepExecutor('trigger_api');
+
+const getField = (item, field) => field.split('.').reduce((value, key) => value?.[key], item);
+
+const compareCursors = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  const [left, right] = [String(a), String(b)];
+  return left < right ? -1 : left > right ? 1 : 0;
+};
+
+// Map key of an item's keyField value
+const stableKey = (value) => (value && typeof value === 'object' ? hashValue(value) : String(value));
+
+// What changed between two selections. Arrays are compared item by item
+// (by keyField, or by content without one); anything else field by field.
+export const diffSelections = (previous, current, keyField) => {
+  if (Array.isArray(previous) && Array.isArray(current)) {
+    const keyOf = (item) => (keyField ? stableKey(getField(item, keyField)) : hashValue(item));
+    const before = new Map(previous.map(item => [keyOf(item), item]));
+    const after = new Map(current.map(item => [keyOf(item), item]));
+
+    const changed = [];
+    for (const [key, item] of after) {
+      const old = before.get(key);
+      if (old !== undefined && hashValue(old) !== hashValue(item)) {
+        changed.push({ key: keyField ? getField(item, keyField) : key, before: old, after: item, changes: diffValues(old, item) });
+      }
+    }
+
+    return {
+      added: current.filter(item => !before.has(keyOf(item))),
+      removed: previous.filter(item => !after.has(keyOf(item))),
+      changed
+    };
+  }
+
+  return { changes: diffValues(previous, current) };
+};
+
+// Polls an HTTP endpoint and calls onChange when the data picked by the
+// selector changes. What was seen last is kept per automation in
+// trigger_states, so a restart does not fire again for old data. onChange
+// returns null when no run was queued (the automation is paused or not
+// published); the change is then kept for a later poll.
+export class ApiPollingTrigger {
+  constructor(automationId, config, onChange, { workspaceId = null, onReveal = null } = {}) {
+    this.automationId = automationId;
+    this.config = apiTriggerSchema.parse(config);
+    this.onChange = onChange;
+    this.workspaceId = workspaceId;
+    this.onReveal = onReveal; // audits the credentials each poll resolves
+    this.timer = null;
+    this.controller = null;
+    this.state = undefined; // loaded on the first poll
+    this.stopped = true;
+    this.lastError = null;
+
+    // Pointing the trigger at other data starts over instead of diffing
+    // against what the old configuration selected
+    const { url, method, queryParams, body, selector, mode, keyField, cursorField } = this.config;
+    this.configHash = hashValue({ url, method, queryParams, body, selector, mode, keyField, cursorField });
+  }
+
+  async start() {
+    this.stopped = false;
+    this.schedule(0);
+
+    logger.info('API trigger polling', {
+      automationId: this.automationId,
+      url: this.config.url,
+      intervalSeconds: this.config.intervalSeconds,
+      mode: this.config.mode
+    });
+  }
+
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.controller?.abort();
+  }
+
+  schedule(delay) {
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  async tick() {
+    try {
+      await this.poll();
+      this.lastError = null;
+    } catch (error) {
+      if (this.stopped) return;
+      this.lastError = error.message;
+      logger.error('API trigger poll failed', { automationId: this.automationId, url: this.config.url, error: error.message });
+    } finally {
+      this.controller = null;
+    }
+
+    if (!this.stopped) {
+      this.schedule(this.config.intervalSeconds * 1000);
+    }
+  }
+
+  async poll() {
+    const { config } = this;
+
+    if (this.state === undefined) {
+      const stored = await triggerStateService.get(this.automationId, TRIGGER_TYPE);
+      this.state = stored?.configHash === this.configHash ? stored : null;
+    }
+
+    const queryParams = { ...config.queryParams };
+    if (config.mode === 'cursor' && config.cursorParam && this.state?.cursor != null) {
+      queryParams[config.cursorParam] = this.state.cursor;
+    }
+
+    const resolved = await credentialService.resolveConfig(config, this.workspaceId, new Set(), [], this.onReveal);
+    this.controller = new AbortController();
+    const response = await http.request(resolved, {
+      url: http.buildUrl(config.url, queryParams),
+      method: config.method,
+      body: config.body,
+      signal: this.controller.signal
+    });
+
+    const selected = selectJsonPath(response.data, config.selector);
+    const polledAt = new Date().toISOString();
+    const result = config.mode === 'cursor'
+      ? this.detectByCursor(selected)
+      : this.detectByHash(selected);
+
+    if (!result) {
+      return;
+    }
+
+    const isFirstPoll = !this.state;
+    if (!isFirstPoll || config.fireOnFirstPoll) {
+      logger.info('API trigger detected changes', { automationId: this.automationId, url: config.url, firstPoll: isFirstPoll });
+
+      // Saved only once the run is queued, so a failure or a skipped run is
+      // retried on the next poll instead of losing the change
+      const queued = await this.onChange({
+        api: {
+          url: config.url,
+          status: response.status,
+          polledAt,
+          previousChangeAt: this.state?.changedAt ?? null,
+          diff: result.diff,
+          data: result.data,
+          payload: response.data
+        },
+        trigger: {
+          type: TRIGGER_TYPE,
+          url: config.url
+        }
+      });
+
+      if (!queued) {
+        logger.debug('API trigger change left for a later poll', { automationId: this.automationId, url: config.url });
+        return;
+      }
+    }
+
+    this.state = { configHash: this.configHash, changedAt: polledAt, ...result.state };
+    await triggerStateService.save(this.automationId, TRIGGER_TYPE, this.state);
+  }
+
+  // A change is any difference in the hash of the selection
+  detectByHash(selected) {
+    const hash = hashValue(selected ?? null);
+    if (this.state?.hash === hash) {
+      return null;
+    }
+
+    const keep = JSON.stringify(selected ?? null).length <= MAX_STORED_BYTES;
+    let diff = null;
+    if (!this.state) {
+      diff = diffSelections(Array.isArray(selected) ? [] : null, selected ?? null, this.config.keyField);
+    } else if ('data' in this.state) {
+      diff = diffSelections(this.state.data, selected ?? null, this.config.keyField);
+    }
+
+    return {
+      diff,
+      data: selected ?? null,
+      state: keep ? { hash, data: selected ?? null } : { hash }
+    };
+  }
+
+  // A change is any item whose cursor is past the highest one seen
+  detectByCursor(selected) {
+    const { cursorField } = this.config;
+    const items = Array.isArray(selected) ? selected : selected === undefined ? [] : [selected];
+    const previous = this.state?.cursor;
+
+    const fresh = items.filter(item => {
+      const cursor = getField(item, cursorField);
+      return cursor !== undefined && cursor !== null && (previous == null || compareCursors(cursor, previous) > 0);
+    });
+
+    if (fresh.length === 0) {
+      return this.state ? null : { diff: { added: [] }, data: [], state: { cursor: null } };
+    }
+
+    const cursor = fresh
+      .map(item => getField(item, cursorField))
+      .reduce((max, value) => (compareCursors(value, max) > 0 ? value : max));
+
+    return {
+      diff: { added: fresh },
+      data: fresh,
+      state: { cursor }
+    };
+  }
+}
+
+export default ApiPollingTrigger;
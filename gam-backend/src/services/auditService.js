@@ -0,0 +1,151 @@
+import { db } from '../config/database.js';
+import { auditLogs } from '../models/schema.js';
+import { eq, and, gte, lte, desc, sql } from 'drizzle-orm';
+import { diffValues } from './versionService.js';
+import { logger } from '../config/logs.js';
+
+// Actions written to the audit log
+export const AUDIT_ACTIONS = {
+  LOGIN: 'auth.login',
+  LOGIN_FAILED: 'auth.login_failed',
+  AUTOMATION_CREATE: 'automation.create',
+  AUTOMATION_UPDATE: 'automation.update',
+  AUTOMATION_DELETE: 'automation.delete',
+  AUTOMATION_DUPLICATE: 'automation.duplicate',
+  AUTOMATION_EXPORT: 'automation.export',
+  AUTOMATION_IMPORT: 'automation.import',
+  AUTOMATION_PUBLISH: 'automation.publish',
+  AUTOMATION_EXECUTE: 'automation.execute',
+  EXECUTION_RESUME: 'execution.resume',
+  SCHEDULE_UPDATE: 'schedule.update',
+  SCHEDULE_TOGGLE: 'schedule.toggle',
+  TRIGGERS_UPDATE: 'schedule.triggers_update',
+  WEBHOOK_REGENERATE: 'schedule.webhook_regenerate',
+  SHARE_CREATE: 'automation.share.create',
+  SHARE_UPDATE: 'automation.share.update',
+  SHARE_DELETE: 'automation.share.delete',
+  CREDENTIAL_CREATE: 'credential.create',
+  CREDENTIAL_UPDATE: 'credential.update',
+  CREDENTIAL_DELETE: 'credential.delete',
+  CREDENTIAL_USE: 'credential.use',
+  MICROSOFT_CONNECT: 'microsoft.connect',
+  MICROSOFT_DISCONNECT: 'microsoft.disconnect'
+};
+
+// Who did something and from where, taken from an authenticated request
+export const auditContext = (req) => ({
+  actorId: req.user?.id ?? null,
+  actorEmail: req.user?.email ?? null,
+  ip: req.ip ?? null,
+  userAgent: req.get?.('user-agent') ?? null,
+  workspaceId: req.workspace?.id ?? null
+});
+
+// Actions the system takes on its own (scheduled runs, step executions)
+export const systemContext = (workspaceId = null) => ({
+  actorId: null,
+  actorEmail: 'system',
+  ip: null,
+  userAgent: null,
+  workspaceId
+});
+
+// Longest export the API produces in one file
+const MAX_EXPORT_ROWS = 50000;
+
+// Append-only trail of who did what, from where, and what changed, kept
+// apart from system_logs for compliance. Entries are never updated; the
+// database rejects it (see migrations.sql).
+class AuditService {
+  // Write an entry. `before` and `after` are the entity as it was and as it
+  // is; their field-level differences are stored next to them. Failing to
+  // write the entry must not undo the change it describes, so errors are
+  // logged rather than thrown.
+  async record(context, action, { entityType = null, entityId = null, entityName = null, workspaceId, before = null, after = null, metadata = null } = {}) {
+    const entry = {
+      action,
+      actorId: context.actorId,
+      actorEmail: context.actorEmail,
+      ip: context.ip,
+      userAgent: context.userAgent,
+      workspaceId: workspaceId !== undefined ? workspaceId : context.workspaceId,
+      entityType,
+      entityId: entityId === null ? null : String(entityId),
+      entityName,
+      before,
+      after,
+      changes: before && after ? diffValues(before, after) : null,
+      metadata
+    };
+
+    try {
+      await db.insert(auditLogs).values(entry);
+    } catch (error) {
+      logger.error('Failed to write audit entry', { action, entityId, error: error.message });
+    }
+  }
+
+  buildConditions({ workspaceId, action, actorId, entityType, entityId, from, to } = {}) {
+    const conditions = [];
+
+    if (workspaceId) {
+      conditions.push(eq(auditLogs.workspaceId, workspaceId));
+    }
+    if (action) {
+      // A prefix such as "automation." matches every automation action
+      conditions.push(action.endsWith('.')
+        ? sql`${auditLogs.action} LIKE ${`${action}%`}`
+        : eq(auditLogs.action, action));
+    }
+    if (actorId) {
+      conditions.push(eq(auditLogs.actorId, actorId));
+    }
+    if (entityType) {
+      conditions.push(eq(auditLogs.entityType, entityType));
+    }
+    if (entityId) {
+      conditions.push(eq(auditLogs.entityId, entityId));
+    }
+    if (from) {
+      conditions.push(gte(auditLogs.createdAt, from));
+    }
+    if (to) {
+      conditions.push(lte(auditLogs.createdAt, to));
+    }
+
+    return conditions.length > 0 ? and(...conditions) : undefined;
+  }
+
+  // A page of entries, newest first, with the total matching the filters
+  async list(filters, { page = 1, limit = 50 } = {}) {
+    const where = this.buildConditions(filters);
+
+    const entries = await db
+      .select()
+      .from(auditLogs)
+      .where(where)
+      .orderBy(desc(auditLogs.createdAt))
+      .limit(limit)
+      .offset((page - 1) * limit);
+
+    const [{ count }] = await db
+      .select({ count: sql`count(*)` })
+      .from(auditLogs)
+      .where(where);
+
+    return { entries, total: parseInt(count) };
+  }
+
+  // Entries for an export, newest first and capped at MAX_EXPORT_ROWS
+  async export(filters) {
+    return db
+      .select()
+      .from(auditLogs)
+      .where(this.buildConditions(filters))
+      .orderBy(desc(auditLogs.createdAt))
+      .limit(MAX_EXPORT_ROWS);
+  }
+}
+
+export const auditService = new AuditService();
+export default auditService;
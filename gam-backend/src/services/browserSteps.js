@@ -18,7 +18,8 @@ export const BROWSER_STEP_TYPES = {
   INTERFACE_WAIT: 'interface_wait',
   INTERFACE_EXECUTE_JS: 'interface_execute_js',
   INTERFACE_MANAGE_COOKIES: 'interface_manage_cookies',
-  INTERFACE_HANDLE_DIALOG: 'interface_handle_dialog'
+  INTERFACE_HANDLE_DIALOG: 'interface_handle_dialog',
+  ACTION_BROWSER: 'action_browser'
 };
 
 // Base class for browser automation steps
@@ -116,7 +117,7 @@ class InterfaceNavigateExecutor extends BrowserStepExecutor {
       errors.push('URL is required');
     }
     
-    if (stepConfig.url && !this.isValidUrl(stepConfig.url)) {
+    if (stepConfig.url && !stepConfig.url.includes('{{') && !this.isValidUrl(stepConfig.url)) {
       errors.push('Invalid URL format');
     }
     
@@ -590,6 +591,56 @@ class InterfaceScrollExecutor extends BrowserStepExecutor {
   }
 }
 
+const BROWSER_ACTIONS = {
+  navigate: BROWSER_STEP_TYPES.INTERFACE_NAVIGATE,
+  click: BROWSER_STEP_TYPES.INTERFACE_CLICK,
+  type: BROWSER_STEP_TYPES.INTERFACE_TYPE,
+  extract: BROWSER_STEP_TYPES.INTERFACE_EXTRACT,
+  screenshot: BROWSER_STEP_TYPES.INTERFACE_SCREENSHOT,
+  wait: BROWSER_STEP_TYPES.INTERFACE_WAIT
+};
+
+// Generic browser step used by the canvas editor: one node whose "action"
+// picks the interface step that actually runs
+class ActionBrowserExecutor extends BrowserStepExecutor {
+  constructor(executors) {
+    super(BROWSER_STEP_TYPES.ACTION_BROWSER);
+    this.executors = executors;
+  }
+
+  async execute(step, context, inputData) {
+    const { action, waitFor, timeout } = step.config;
+    const executor = this.getActionExecutor(action);
+
+    if (waitFor) {
+      await this.executors.get(BROWSER_STEP_TYPES.INTERFACE_WAIT).execute({
+        ...step,
+        config: { waitType: 'selector', condition: waitFor, timeout }
+      }, context, inputData);
+    }
+
+    return executor.execute(step, context, inputData);
+  }
+
+  getActionExecutor(action) {
+    const executor = this.executors.get(BROWSER_ACTIONS[action]);
+    if (!executor) {
+      throw new Error(`Unknown browser action: ${action}`);
+    }
+    return executor;
+  }
+
+  async validate(stepConfig) {
+    if (!stepConfig.action) {
+      return { valid: false, errors: ['Browser action is required'] };
+    }
+    if (!BROWSER_ACTIONS[stepConfig.action]) {
+      return { valid: false, errors: [`Unknown browser action: ${stepConfig.action}`] };
+    }
+    return this.getActionExecutor(stepConfig.action).validate(stepConfig);
+  }
+}
+
 // Export browser step executors
 export const browserStepExecutors = new Map([
   [BROWSER_STEP_TYPES.INTERFACE_NAVIGATE, new InterfaceNavigateExecutor()],
@@ -602,4 +653,6 @@ export const browserStepExecutors = new Map([
   [BROWSER_STEP_TYPES.INTERFACE_SCROLL, new InterfaceScrollExecutor()]
 ]);
 
+browserStepExecutors.set(BROWSER_STEP_TYPES.ACTION_BROWSER, new ActionBrowserExecutor(browserStepExecutors));
+
 export default browserStepExecutors;
\ No newline at end of file
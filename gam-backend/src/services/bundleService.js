@@ -0,0 +1,347 @@
+import archiver from 'archiver';
+import yauzl from 'yauzl';
+import { v4 as uuidv4 } from 'uuid';
+import { db } from '../config/database.js';
+import { templates } from '../models/schema.js';
+import { eq, and, or, inArray } from 'drizzle-orm';
+import { credentialService, isCredentialRef, credentialRef } from './credentialService.js';
+import { z } from 'zod';
+
+export const BUNDLE_FORMAT = 'gam-automation';
+export const BUNDLE_VERSION = 1;
+
+// Name of the bundle inside a ZIP export
+export const BUNDLE_ENTRY = 'automation.json';
+
+// Largest bundle file read from a ZIP
+const MAX_ENTRY_SIZE = 10 * 1024 * 1024;
+
+const bundleSchema = z.object({
+  format: z.literal(BUNDLE_FORMAT),
+  // Bundles from a newer server may hold what this one cannot read
+  version: z.number().int().positive().max(BUNDLE_VERSION, `Bundles newer than version ${BUNDLE_VERSION} are not supported`),
+  exportedAt: z.string().optional(),
+  automation: z.object({
+    name: z.string().min(1).max(255),
+    description: z.string().nullable().optional(),
+    steps: z.array(z.object({ id: z.string() }).passthrough()).default([]),
+    config: z.object({}).passthrough().nullable().optional(),
+    schedule: z.object({}).passthrough().nullable().optional(),
+    triggers: z.object({}).passthrough().nullable().optional(),
+    retryConfig: z.object({}).passthrough().nullable().optional()
+  }),
+  templates: z.array(z.object({
+    id: z.string(),
+    name: z.string().min(1).max(255),
+    description: z.string().nullable().optional(),
+    category: z.string().nullable().optional(),
+    steps: z.array(z.any()),
+    config: z.object({}).passthrough().nullable().optional()
+  })).default([]),
+  credentials: z.array(z.object({
+    id: z.string(),
+    name: z.string(),
+    type: z.string().optional(),
+    description: z.string().nullable().optional()
+  })).default([])
+});
+
+// Values of every `templateId` key found in a value
+const collectTemplateIds = (value, ids = new Set()) => {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectTemplateIds(item, ids));
+  } else if (value && typeof value === 'object') {
+    for (const [key, item] of Object.entries(value)) {
+      if (key === 'templateId' && typeof item === 'string') {
+        ids.add(item);
+      } else {
+        collectTemplateIds(item, ids);
+      }
+    }
+  }
+  return ids;
+};
+
+// Copy a value swapping credential references and template ids through the
+// given maps; ids missing from a map are kept
+const remapReferences = (value, credentialIds, templateIds) => {
+  if (isCredentialRef(value)) {
+    return credentialRef(credentialIds.get(value.$credential) ?? value.$credential);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => remapReferences(item, credentialIds, templateIds));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      key === 'templateId' && typeof item === 'string'
+        ? templateIds.get(item) ?? item
+        : remapReferences(item, credentialIds, templateIds)
+    ]));
+  }
+  return value;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Give every step (nested for-each steps included) a fresh id and point the
+// connections and {{ steps.<id> }} templates at the new ids, so an import
+// never collides with the steps it was exported from
+export const remapStepIds = (steps) => {
+  const ids = new Map();
+
+  const collect = (list) => {
+    for (const step of list || []) {
+      // No dashes: the ids appear in {{ steps.<id> }} paths
+      ids.set(step.id, `step_${uuidv4().replace(/-/g, '')}`);
+      if (Array.isArray(step.config?.steps)) {
+        collect(step.config.steps);
+      }
+    }
+  };
+  collect(steps);
+
+  const patterns = [...ids.entries()].map(([from, to]) => [
+    new RegExp(`(\\bsteps\\.)${escapeRegExp(from)}(?![\\w-])|(\\bsteps\\[['"])${escapeRegExp(from)}(['"]\\])`, 'g'),
+    to
+  ]);
+
+  const rewrite = (value) => {
+    if (typeof value === 'string') {
+      return value.includes('{{')
+        ? patterns.reduce((text, [pattern, to]) => text.replace(pattern, (match, dot, bracket, close) =>
+          dot ? `${dot}${to}` : `${bracket}${to}${close}`), value)
+        : value;
+    }
+    if (Array.isArray(value)) {
+      return value.map(rewrite);
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, rewrite(item)]));
+    }
+    return value;
+  };
+
+  const remap = (list) => (list || []).map(step => ({
+    ...step,
+    id: ids.get(step.id),
+    config: Array.isArray(step.config?.steps)
+      ? { ...rewrite(step.config), steps: remap(step.config.steps) }
+      : rewrite(step.config),
+    ...(step.connections && {
+      connections: step.connections.map(connection => ({
+        ...connection,
+        targetId: ids.get(connection.targetId) ?? connection.targetId
+      }))
+    })
+  }));
+
+  return { steps: remap(steps), stepIds: ids };
+};
+
+// Portable bundles of an automation, for moving it between servers. A bundle
+// holds the definition, the templates it uses and placeholders (id, name,
+// type) for its credentials; secret values never leave the vault.
+class BundleService {
+  async build(automation) {
+    const templateIds = [...collectTemplateIds([automation.steps, automation.config])];
+    const usedTemplates = templateIds.length > 0
+      ? await db
+        .select({
+          id: templates.id,
+          name: templates.name,
+          description: templates.description,
+          category: templates.category,
+          steps: templates.steps,
+          config: templates.config
+        })
+        .from(templates)
+        .where(inArray(templates.id, templateIds))
+      : [];
+
+    const credentialIds = [...credentialService.collectRefs([automation.steps, automation.triggers])];
+    const placeholders = [];
+    for (const id of credentialIds) {
+      const credential = automation.workspaceId
+        ? await credentialService.find(automation.workspaceId, id)
+        : null;
+      placeholders.push(credential
+        ? { id, name: credential.name, type: credential.type, description: credential.description }
+        : { id, name: id });
+    }
+
+    return {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      automation: {
+        name: automation.name,
+        description: automation.description,
+        steps: automation.steps || [],
+        config: automation.config || {},
+        schedule: automation.schedule,
+        triggers: automation.triggers,
+        retryConfig: automation.retryConfig
+      },
+      templates: usedTemplates,
+      credentials: placeholders
+    };
+  }
+
+  // The bundle zipped as BUNDLE_ENTRY
+  toZip(bundle) {
+    return new Promise((resolve, reject) => {
+      const archive = archiver('zip', { zlib: { level: 9 } });
+      const chunks = [];
+
+      archive.on('data', chunk => chunks.push(chunk));
+      archive.on('end', () => resolve(Buffer.concat(chunks)));
+      archive.on('error', reject);
+
+      archive.append(JSON.stringify(bundle, null, 2), { name: BUNDLE_ENTRY });
+      archive.finalize();
+    });
+  }
+
+  // Read BUNDLE_ENTRY out of a ZIP export
+  fromZip(buffer) {
+    return new Promise((resolve, reject) => {
+      yauzl.fromBuffer(buffer, { lazyEntries: true }, (error, zip) => {
+        if (error) return reject(new Error(`Invalid ZIP file: ${error.message}`));
+
+        zip.on('entry', (entry) => {
+          if (entry.fileName !== BUNDLE_ENTRY) {
+            zip.readEntry();
+            return;
+          }
+          if (entry.uncompressedSize > MAX_ENTRY_SIZE) {
+            zip.close();
+            reject(new Error(`${BUNDLE_ENTRY} is too large`));
+            return;
+          }
+
+          zip.openReadStream(entry, (streamError, stream) => {
+            if (streamError) return reject(streamError);
+            const chunks = [];
+            stream.on('data', chunk => chunks.push(chunk));
+            stream.on('error', reject);
+            stream.on('end', () => {
+              zip.close();
+              try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+              } catch {
+                reject(new Error(`${BUNDLE_ENTRY} is not valid JSON`));
+              }
+            });
+          });
+        });
+        zip.on('end', () => reject(new Error(`ZIP file has no ${BUNDLE_ENTRY}`)));
+        zip.on('error', reject);
+        zip.readEntry();
+      });
+    });
+  }
+
+  // Check a bundle's shape; throws a ZodError when it is not one
+  parse(input) {
+    return bundleSchema.parse(input);
+  }
+
+  // Turn a parsed bundle into the values of a new automation in the
+  // workspace. Nothing is written: templates are matched by name (workspace
+  // or public ones) and the missing ones returned in newTemplates, with their
+  // future ids, for the caller to insert once the automation validates.
+  // Credentials are matched by name; their values cannot travel, so the ones
+  // the workspace lacks are reported.
+  async prepareImport(bundle, workspaceId, userId) {
+    const available = new Map((await credentialService.list(workspaceId)).map(credential => [credential.name, credential.id]));
+    const credentialIds = new Map();
+    const missingCredentials = [];
+
+    for (const placeholder of bundle.credentials) {
+      const id = available.get(placeholder.name);
+      if (id) {
+        credentialIds.set(placeholder.id, id);
+      } else {
+        missingCredentials.push({ name: placeholder.name, type: placeholder.type });
+      }
+    }
+
+    const templateIds = new Map();
+    const newTemplates = [];
+
+    for (const template of bundle.templates) {
+      const [existing] = await db
+        .select({ id: templates.id })
+        .from(templates)
+        .where(and(
+          eq(templates.name, template.name),
+          or(eq(templates.workspaceId, workspaceId), eq(templates.isPublic, true))
+        ))
+        .limit(1);
+
+      const id = existing?.id ?? uuidv4();
+      templateIds.set(template.id, id);
+
+      if (!existing) {
+        newTemplates.push({
+          id,
+          name: template.name,
+          description: template.description,
+          category: template.category,
+          steps: remapReferences(template.steps, credentialIds, templateIds),
+          config: remapReferences(template.config || {}, credentialIds, templateIds),
+          workspaceId,
+          createdBy: userId
+        });
+      }
+    }
+
+    const { steps } = remapStepIds(remapReferences(bundle.automation.steps, credentialIds, templateIds));
+
+    return {
+      automation: {
+        name: bundle.automation.name,
+        description: bundle.automation.description ?? null,
+        steps,
+        config: remapReferences(bundle.automation.config || {}, credentialIds, templateIds),
+        schedule: bundle.automation.schedule ?? null,
+        triggers: remapReferences(bundle.automation.triggers ?? null, credentialIds, templateIds),
+        retryConfig: bundle.automation.retryConfig ?? null
+      },
+      newTemplates,
+      missingCredentials
+    };
+  }
+
+  // Point the credential references of a copied value (steps, config) at
+  // the target workspace. References already in it are kept; the others are
+  // matched by the name of the credential in the source workspace, like an
+  // import. The ones the target lacks are reported.
+  async prepareCopy(value, sourceWorkspaceId, targetWorkspaceId) {
+    const refs = [...credentialService.collectRefs(value)];
+    const foreign = await credentialService.findMissing(targetWorkspaceId, refs);
+    if (foreign.length === 0) {
+      return { value, missingCredentials: [] };
+    }
+
+    const available = new Map((await credentialService.list(targetWorkspaceId)).map(credential => [credential.name, credential.id]));
+    const credentialIds = new Map();
+    const missingCredentials = [];
+
+    for (const id of foreign) {
+      const source = sourceWorkspaceId ? await credentialService.find(sourceWorkspaceId, id) : null;
+      const match = source ? available.get(source.name) : undefined;
+      if (match) {
+        credentialIds.set(id, match);
+      } else {
+        missingCredentials.push({ name: source?.name ?? id, type: source?.type ?? null });
+      }
+    }
+
+    return { value: remapReferences(value, credentialIds, new Map()), missingCredentials };
+  }
+}
+
+export const bundleService = new BundleService();
+export default bundleService;
@@ -0,0 +1,736 @@
+import { StepExecutor } from './stepExecutor.js';
+import { sharepointService } from './sharepointService.js';
+import { oneDriveService } from './oneDriveService.js';
+import { microsoftAuth } from './microsoftAuth.js';
+import { imapService } from './imapService.js';
+import postgres from 'postgres';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Same temp directory as the file operation steps
+const TEMP_DIR = path.join(__dirname, '../../temp');
+
+// Steps that read from or write to external REST APIs, databases, mailboxes
+// and cloud storage
+export const CONNECTOR_STEP_TYPES = {
+  SOURCE_API_REST: 'source_api_rest',
+  SOURCE_DATABASE: 'source_database',
+  SOURCE_EMAIL_IMAP: 'source_email_imap',
+  DESTINATION_API: 'destination_api',
+  DESTINATION_DATABASE: 'destination_database',
+  DESTINATION_CLOUD: 'destination_cloud'
+};
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+const getFieldValue = (obj, field) => {
+  if (!field) return obj;
+  return field.split('.').reduce((value, key) => value?.[key], obj);
+};
+
+// Headers and query params may be saved as objects or as JSON text from the editor
+const parseObjectConfig = (value, label) => {
+  if (value === undefined || value === null || value === '') return {};
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`${label} must be valid JSON: ${error.message}`);
+  }
+};
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+  if (typeof value === 'string') return value.split(',').map(item => item.trim()).filter(Boolean);
+  return [];
+};
+
+const isValidUrl = (value) => {
+  try {
+    new URL(value);
+    return true;
+  } catch (_) {
+    return false;
+  }
+};
+
+const hasTemplate = (value) => typeof value === 'string' && value.includes('{{');
+
+// Bodies typed in the editor arrive as JSON text
+const parseRequestBody = (body) => {
+  if (typeof body !== 'string' || !body.trim()) return body || undefined;
+  try {
+    return JSON.parse(body);
+  } catch (_) {
+    return body;
+  }
+};
+
+// Query parameters are a JSON array bound to $1, $2, ...
+const parseParameters = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    if (!Array.isArray(parsed)) throw new Error('not an array');
+    return parsed;
+  } catch (error) {
+    throw new Error('Parameters must be a JSON array, e.g. ["2024-01-01", 10]');
+  }
+};
+
+// Shared HTTP handling for the API source and destination steps (and the
+// API polling trigger)
+export class HttpStepExecutor extends StepExecutor {
+  buildHeaders(config) {
+    const headers = {
+      Accept: 'application/json',
+      ...parseObjectConfig(config.headers, 'Headers')
+    };
+
+    switch (config.authType || 'none') {
+      case 'bearer':
+        headers.Authorization = `Bearer ${config.token}`;
+        break;
+      case 'basic':
+        headers.Authorization = `Basic ${Buffer.from(`${config.username}:${config.password}`).toString('base64')}`;
+        break;
+      case 'api_key':
+        headers[config.apiKeyHeader || 'X-API-Key'] = config.apiKey;
+        break;
+      case 'none':
+        break;
+      default:
+        throw new Error(`Unknown auth type: ${config.authType}`);
+    }
+
+    return headers;
+  }
+
+  buildUrl(url, queryParams) {
+    const target = new URL(url);
+    for (const [key, value] of Object.entries(parseObjectConfig(queryParams, 'Query parameters'))) {
+      target.searchParams.set(key, String(value));
+    }
+    return target.toString();
+  }
+
+  async request(config, { url, method, body, signal }) {
+    const { timeout = 30000, responseType = 'auto', failOnError = true } = config;
+    const headers = this.buildHeaders(config);
+
+    let payload;
+    if (body !== undefined && method !== 'GET') {
+      if (typeof body === 'string') {
+        payload = body;
+      } else {
+        payload = JSON.stringify(body);
+        headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+      }
+    }
+
+    const response = await fetch(url, {
+      method,
+      headers,
+      body: payload,
+      signal: signal
+        ? AbortSignal.any([signal, AbortSignal.timeout(Number(timeout))])
+        : AbortSignal.timeout(Number(timeout))
+    });
+
+    const contentType = response.headers.get('content-type') || '';
+    const text = await response.text();
+    let data = text;
+    if (responseType === 'json' || (responseType === 'auto' && contentType.includes('json'))) {
+      data = text ? JSON.parse(text) : null;
+    }
+
+    if (!response.ok && failOnError !== false && failOnError !== 'false') {
+      const detail = typeof data === 'string' ? data : JSON.stringify(data);
+      throw new Error(`HTTP ${response.status} ${response.statusText} from ${method} ${url}: ${detail.slice(0, 500)}`);
+    }
+
+    return { status: response.status, ok: response.ok, data };
+  }
+
+  validateHttpConfig(stepConfig, defaultMethod) {
+    const errors = [];
+    const { url, method = defaultMethod, authType = 'none' } = stepConfig;
+
+    if (!url) {
+      errors.push('URL is required');
+    } else if (!hasTemplate(url) && !isValidUrl(url)) {
+      errors.push('Invalid URL format');
+    }
+    if (!HTTP_METHODS.includes(String(method).toUpperCase())) {
+      errors.push(`Method must be one of: ${HTTP_METHODS.join(', ')}`);
+    }
+    if (authType === 'bearer' && !stepConfig.token) {
+      errors.push('Token is required for bearer authentication');
+    }
+    if (authType === 'basic' && !stepConfig.username) {
+      errors.push('Username is required for basic authentication');
+    }
+    if (authType === 'api_key' && !stepConfig.apiKey) {
+      errors.push('API key is required for API key authentication');
+    }
+    for (const [field, label] of [['headers', 'Headers'], ['queryParams', 'Query parameters']]) {
+      try {
+        parseObjectConfig(stepConfig[field], label);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+    return errors;
+  }
+}
+
+// Read data from a REST endpoint, optionally following next-page links
+class ApiRestSourceExecutor extends HttpStepExecutor {
+  constructor() {
+    super(CONNECTOR_STEP_TYPES.SOURCE_API_REST);
+  }
+
+  async execute(step, context, inputData) {
+    const { url, method = 'GET', body, queryParams, dataPath, nextLinkPath, maxPages = 10 } = step.config;
+    const httpMethod = method.toUpperCase();
+
+    context.log('info', `Calling API: ${httpMethod} ${url}`, { stepId: step.id });
+
+    try {
+      let nextUrl = this.buildUrl(url, queryParams);
+      let pageCount = 0;
+      let lastStatus;
+      const pages = [];
+
+      while (nextUrl && pageCount < Number(maxPages)) {
+        const response = await this.request(step.config, {
+          url: nextUrl,
+          method: httpMethod,
+          body: parseRequestBody(body),
+          signal: context.signal
+        });
+
+        pages.push(getFieldValue(response.data, dataPath));
+        lastStatus = response.status;
+        pageCount++;
+
+        nextUrl = nextLinkPath ? getFieldValue(response.data, nextLinkPath) : null;
+      }
+
+      // Paged results are concatenated; a single page is returned as-is
+      const data = pages.length === 1 ? pages[0] : pages.flatMap(page => (Array.isArray(page) ? page : [page]));
+
+      context.log('info', `API call completed`, {
+        stepId: step.id,
+        status: lastStatus,
+        pageCount,
+        itemCount: Array.isArray(data) ? data.length : 'not-array'
+      });
+
+      return {
+        success: true,
+        data,
+        metadata: {
+          url,
+          method: httpMethod,
+          status: lastStatus,
+          pageCount,
+          truncated: !!nextUrl,
+          itemCount: Array.isArray(data) ? data.length : 1,
+          source: 'api_rest'
+        }
+      };
+
+    } catch (error) {
+      context.log('error', `API call failed: ${error.message}`, { stepId: step.id });
+      throw error;
+    }
+  }
+
+  async validate(stepConfig) {
+    const errors = this.validateHttpConfig(stepConfig, 'GET');
+    if (stepConfig.maxPages !== undefined && (isNaN(Number(stepConfig.maxPages)) || Number(stepConfig.maxPages) < 1)) {
+      errors.push('Max pages must be a positive number');
+    }
+    return { valid: errors.length === 0, errors };
+  }
+}
+
+// Send the incoming data to a REST endpoint, whole, in batches or per item
+class ApiDestinationExecutor extends HttpStepExecutor {
+  constructor() {
+    super(CONNECTOR_STEP_TYPES.DESTINATION_API);
+  }
+
+  async execute(step, context, inputData) {
+    const { url, method = 'POST', body, queryParams, sendMode = 'all', batchSize = 100 } = step.config;
+    const httpMethod = method.toUpperCase();
+
+    context.log('info', `Sending data to API: ${httpMethod} ${url}`, { stepId: step.id, sendMode });
+
+    try {
+      const targetUrl = this.buildUrl(url, queryParams);
+      const payloads = this.getPayloads(body !== undefined && body !== '' ? parseRequestBody(body) : inputData, sendMode, batchSize);
+      const responses = [];
+
+      for (const payload of payloads) {
+        const response = await this.request(step.config, { url: targetUrl, method: httpMethod, body: payload, signal: context.signal });
+        responses.push({ status: response.status, ok: response.ok, data: response.data });
+      }
+
+      const failedCount = responses.filter(response => !response.ok).length;
+
+      context.log(failedCount ? 'warn' : 'info', `API send completed`, {
+        stepId: step.id,
+        requestCount: responses.length,
+        failedCount
+      });
+
+      return {
+        success: true,
+        data: sendMode === 'all' ? responses[0]?.data : responses,
+        metadata: {
+          url,
+          method: httpMethod,
+          sendMode,
+          requestCount: responses.length,
+          failedCount,
+          destination: 'api'
+        }
+      };
+
+    } catch (error) {
+      context.log('error', `API send failed: ${error.message}`, { stepId: step.id });
+      throw error;
+    }
+  }
+
+  getPayloads(data, sendMode, batchSize) {
+    if (sendMode === 'all' || !Array.isArray(data)) {
+      return [data];
+    }
+    if (sendMode === 'item') {
+      return data;
+    }
+
+    const size = Math.max(1, Number(batchSize));
+    const batches = [];
+    for (let i = 0; i < data.length; i += size) {
+      batches.push(data.slice(i, i + size));
+    }
+    return batches;
+  }
+
+  async validate(stepConfig) {
+    const errors = this.validateHttpConfig(stepConfig, 'POST');
+    if (stepConfig.sendMode && !['all', 'batch', 'item'].includes(stepConfig.sendMode)) {
+      errors.push('Send mode must be all, batch or item');
+    }
+    if (stepConfig.sendMode === 'batch' && (isNaN(Number(stepConfig.batchSize ?? 100)) || Number(stepConfig.batchSize ?? 100) < 1)) {
+      errors.push('Batch size must be a positive number');
+    }
+    return { valid: errors.length === 0, errors };
+  }
+}
+
+// Quote a possibly schema-qualified identifier: public.readings -> "public"."readings"
+const quoteIdentifier = (name) => String(name)
+  .split('.')
+  .map(part => `"${part.replace(/"/g, '""')}"`)
+  .join('.');
+
+// Shared PostgreSQL connection handling; a short-lived connection per step
+// run (or database trigger poll)
+export class DatabaseStepExecutor extends StepExecutor {
+  async withConnection(config, callback, signal = null) {
+    const sql = postgres(config.connectionString, {
+      max: 1,
+      ssl: config.ssl ? { rejectUnauthorized: false } : false,
+      connect_timeout: Math.ceil(Number(config.timeout || 30000) / 1000),
+      onnotice: () => {}
+    });
+
+    // Cancelling the execution drops the connection, which aborts the
+    // running query and rolls back any open transaction
+    const onAbort = () => sql.end({ timeout: 0 });
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      return await callback(sql);
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      await sql.end({ timeout: 5 });
+    }
+  }
+
+  validateConnection(stepConfig) {
+    const errors = [];
+    const { connectionString } = stepConfig;
+    if (!connectionString) {
+      errors.push('Connection string is required');
+    } else if (typeof connectionString === 'string' && !hasTemplate(connectionString) && !/^postgres(ql)?:\/\//.test(connectionString)) {
+      errors.push('Connection string must be a postgres:// URL');
+    }
+    return errors;
+  }
+}
+
+// Run a read-only query and return the rows
+class DatabaseSourceExecutor extends DatabaseStepExecutor {
+  constructor() {
+    super(CONNECTOR_STEP_TYPES.SOURCE_DATABASE);
+  }
+
+  async execute(step, context, inputData) {
+    const { query, parameters, maxRows = 10000 } = step.config;
+    const params = Array.isArray(parameters) ? parameters : parseParameters(parameters);
+
+    context.log('info', `Executing database query`, { stepId: step.id, parameterCount: params.length });
+
+    try {
+      // The transaction is read only, so a source step can never modify data
+      const rows = await this.withConnection(step.config, sql =>
+        sql.begin('read only', tx => tx.unsafe(query, params)),
+        context.signal
+      );
+
+      const limited = rows.slice(0, Number(maxRows));
+
+      context.log('info', `Database query completed`, {
+        stepId: step.id,
+        rowCount: rows.length,
+        returnedCount: limited.length
+      });
+
+      return {
+        success: true,
+        data: [...limited],
+        metadata: {
+          rowCount: rows.length,
+          returnedCount: limited.length,
+          truncated: limited.length < rows.length,
+          columns: rows.columns?.map(column => column.name) || [],
+          source: 'database'
+        }
+      };
+
+    } catch (error) {
+      context.log('error', `Database query failed: ${error.message}`, { stepId: step.id });
+      throw error;
+    }
+  }
+
+  async validate(stepConfig) {
+    const errors = this.validateConnection(stepConfig);
+    if (!stepConfig.query) {
+      errors.push('Query is required');
+    }
+    try {
+      parseParameters(stepConfig.parameters);
+    } catch (error) {
+      errors.push(error.message);
+    }
+    return { valid: errors.length === 0, errors };
+  }
+}
+
+// Read messages from an IMAP mailbox, with their attachments saved to temp files
+class EmailImapSourceExecutor extends StepExecutor {
+  constructor() {
+    super(CONNECTOR_STEP_TYPES.SOURCE_EMAIL_IMAP);
+  }
+
+  async execute(step, context, inputData) {
+    const { host, folder = 'INBOX', markAs = 'none' } = step.config;
+
+    context.log('info', `Reading mailbox ${folder} on ${host}`, { stepId: step.id });
+
+    try {
+      const result = await imapService.fetchMessages(step.config, { signal: context.signal });
+
+      context.log('info', `Mailbox read completed`, {
+        stepId: step.id,
+        matched: result.matched,
+        returnedCount: result.messages.length,
+        attachmentCount: result.messages.reduce((total, message) => total + message.attachments.length, 0)
+      });
+
+      return {
+        success: true,
+        data: result.messages,
+        metadata: {
+          host,
+          folder,
+          matched: result.matched,
+          returnedCount: result.messages.length,
+          truncated: result.truncated,
+          markAs,
+          source: 'email_imap'
+        }
+      };
+
+    } catch (error) {
+      context.log('error', `Mailbox read failed: ${error.message}`, { stepId: step.id });
+      throw error;
+    }
+  }
+
+  async validate(stepConfig) {
+    const errors = imapService.validateConfig(stepConfig);
+    if (stepConfig.maxMessages !== undefined && stepConfig.maxMessages !== '' && !(Number(stepConfig.maxMessages) >= 1)) {
+      errors.push('Max messages must be a positive number');
+    }
+    return { valid: errors.length === 0, errors };
+  }
+}
+
+// PostgreSQL accepts at most 65535 bind parameters per statement
+const MAX_BIND_PARAMETERS = 65000;
+
+// Insert or upsert the incoming rows into a table
+class DatabaseDestinationExecutor extends DatabaseStepExecutor {
+  constructor() {
+    super(CONNECTOR_STEP_TYPES.DESTINATION_DATABASE);
+  }
+
+  async execute(step, context, inputData) {
+    const { table, mode = 'insert', batchSize = 500 } = step.config;
+    const rows = (Array.isArray(inputData) ? inputData : [inputData])
+      .filter(row => row && typeof row === 'object');
+
+    context.log('info', `Writing ${rows.length} rows to ${table} (${mode})`, { stepId: step.id });
+
+    if (rows.length === 0) {
+      return {
+        success: true,
+        data: { table, affectedCount: 0 },
+        metadata: { table, mode, rowCount: 0, destination: 'database' }
+      };
+    }
+
+    const columns = toList(step.config.columns);
+    if (columns.length === 0) {
+      columns.push(...new Set(rows.flatMap(row => Object.keys(row))));
+    }
+    const conflictColumns = toList(step.config.conflictColumns);
+    const size = Math.max(1, Math.min(Number(batchSize), Math.floor(MAX_BIND_PARAMETERS / columns.length)));
+
+    try {
+      // One transaction: either every batch is written or none is
+      const affectedCount = await this.withConnection(step.config, sql => sql.begin(async tx => {
+        let affected = 0;
+        for (let i = 0; i < rows.length; i += size) {
+          const { text, params } = this.buildStatement(table, columns, rows.slice(i, i + size), mode, conflictColumns);
+          const result = await tx.unsafe(text, params);
+          affected += result.count;
+        }
+        return affected;
+      }), context.signal);
+
+      context.log('info', `Database write completed`, { stepId: step.id, table, affectedCount });
+
+      return {
+        success: true,
+        data: { table, affectedCount },
+        metadata: {
+          table,
+          mode,
+          rowCount: rows.length,
+          affectedCount,
+          columns,
+          destination: 'database'
+        }
+      };
+
+    } catch (error) {
+      context.log('error', `Database write failed: ${error.message}`, { stepId: step.id });
+      throw error;
+    }
+  }
+
+  buildStatement(table, columns, rows, mode, conflictColumns) {
+    const params = [];
+    const values = rows.map(row => `(${columns.map(column => {
+      const value = row[column];
+      params.push(value !== null && typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : value ?? null);
+      return `$${params.length}`;
+    }).join(', ')})`);
+
+    let text = `INSERT INTO ${quoteIdentifier(table)} (${columns.map(quoteIdentifier).join(', ')}) VALUES ${values.join(', ')}`;
+
+    if (mode === 'upsert') {
+      const updates = columns
+        .filter(column => !conflictColumns.includes(column))
+        .map(column => `${quoteIdentifier(column)} = EXCLUDED.${quoteIdentifier(column)}`);
+      text += ` ON CONFLICT (${conflictColumns.map(quoteIdentifier).join(', ')}) `;
+      text += updates.length ? `DO UPDATE SET ${updates.join(', ')}` : 'DO NOTHING';
+    } else if (mode === 'insert_ignore') {
+      text += ' ON CONFLICT DO NOTHING';
+    }
+
+    return { text, params };
+  }
+
+  async validate(stepConfig) {
+    const errors = this.validateConnection(stepConfig);
+    const { table, mode = 'insert' } = stepConfig;
+
+    if (!table) {
+      errors.push('Table is required');
+    }
+    if (!['insert', 'upsert', 'insert_ignore'].includes(mode)) {
+      errors.push('Mode must be insert, upsert or insert_ignore');
+    }
+    if (mode === 'upsert' && toList(stepConfig.conflictColumns).length === 0) {
+      errors.push('Conflict columns are required for upsert');
+    }
+    return { valid: errors.length === 0, errors };
+  }
+}
+
+// Upload files (items with localPath) or the data itself to OneDrive/SharePoint
+class CloudDestinationExecutor extends StepExecutor {
+  constructor() {
+    super(CONNECTOR_STEP_TYPES.DESTINATION_CLOUD);
+  }
+
+  async execute(step, context, inputData) {
+    const { provider, folderPath = '', fileName, format = 'json', conflictBehavior = 'replace' } = step.config;
+    const workspaceId = context.workspaceId; // connections belong to the workspace
+
+    context.log('info', `Uploading to ${provider}`, { stepId: step.id, folderPath });
+
+    try {
+      const isConnected = await microsoftAuth.isUserConnected(workspaceId);
+      if (!isConnected) {
+        throw new Error('Microsoft integration not connected');
+      }
+
+      const items = Array.isArray(inputData) ? inputData : [inputData];
+      const hasFiles = items.length > 0 && items.every(item => item && item.localPath);
+      const uploads = [];
+      let tempFile = null;
+
+      try {
+        if (hasFiles) {
+          uploads.push(...items.map(item => ({ item, localPath: item.localPath, name: item.name || path.basename(item.localPath) })));
+        } else {
+          // No files in the input: serialize the data into a single file
+          const name = fileName || `export_${Date.now()}.${format === 'text' ? 'txt' : format}`;
+          tempFile = path.join(TEMP_DIR, `${context.executionId}_${step.id}_${path.basename(name)}`);
+          await fs.ensureDir(TEMP_DIR);
+          await fs.writeFile(tempFile, serializeData(inputData, format), 'utf8');
+          uploads.push({ item: null, localPath: tempFile, name });
+        }
+
+        const results = [];
+        for (const upload of uploads) {
+          const remotePath = path.posix.join(folderPath || '', upload.name);
+          const result = await this.uploadFile(provider, workspaceId, step.config, upload.localPath, remotePath, conflictBehavior, context.signal);
+          results.push({
+            ...(upload.item || {}),
+            name: upload.name,
+            remotePath,
+            remoteId: result.data.id,
+            remoteUrl: result.data.webUrl,
+            uploaded: true
+          });
+          context.log('debug', `File uploaded: ${upload.name}`, { remotePath });
+        }
+
+        context.log('info', `Cloud upload completed`, { stepId: step.id, uploadedCount: results.length });
+
+        return {
+          success: true,
+          data: hasFiles ? results : results[0],
+          metadata: {
+            provider,
+            folderPath,
+            uploadedCount: results.length,
+            destination: 'cloud'
+          }
+        };
+      } finally {
+        if (tempFile) {
+          await fs.remove(tempFile);
+        }
+      }
+
+    } catch (error) {
+      context.log('error', `Cloud upload failed: ${error.message}`, { stepId: step.id });
+      throw error;
+    }
+  }
+
+  async uploadFile(provider, workspaceId, config, localPath, remotePath, conflictBehavior, signal) {
+    switch (provider) {
+      case 'onedrive':
+        return oneDriveService.uploadFile(workspaceId, localPath, remotePath, { conflictBehavior, signal });
+      case 'sharepoint':
+        return sharepointService.uploadFile(workspaceId, config.siteId, config.driveId, localPath, remotePath, { conflictBehavior, signal });
+      default:
+        throw new Error(`Unsupported cloud provider: ${provider}`);
+    }
+  }
+
+  async validate(stepConfig) {
+    const errors = [];
+    const { provider, format } = stepConfig;
+
+    if (!['onedrive', 'sharepoint'].includes(provider)) {
+      errors.push('Provider must be onedrive or sharepoint');
+    }
+    if (provider === 'sharepoint' && (!stepConfig.siteId || !stepConfig.driveId)) {
+      errors.push('SharePoint uploads require siteId and driveId');
+    }
+    if (format && !['json', 'csv', 'text'].includes(format)) {
+      errors.push('Format must be json, csv or text');
+    }
+    if (stepConfig.conflictBehavior && !['replace', 'rename', 'fail'].includes(stepConfig.conflictBehavior)) {
+      errors.push('Conflict behavior must be replace, rename or fail');
+    }
+    return { valid: errors.length === 0, errors };
+  }
+}
+
+const serializeData = (data, format) => {
+  switch (format) {
+    case 'csv':
+      return toCsv(Array.isArray(data) ? data : [data]);
+    case 'text':
+      return typeof data === 'string' ? data : JSON.stringify(data, null, 2);
+    default:
+      return JSON.stringify(data, null, 2);
+  }
+};
+
+export const toCsv = (rows) => {
+  if (rows.length === 0) return '';
+  const headers = [...new Set(rows.flatMap(row => Object.keys(row || {})))];
+  const escape = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [
+    headers.map(escape).join(','),
+    ...rows.map(row => headers.map(header => escape(row?.[header])).join(','))
+  ].join('\n');
+};
+
+// Export executors
+export const connectorExecutors = new Map([
+  [CONNECTOR_STEP_TYPES.SOURCE_API_REST, new ApiRestSourceExecutor()],
+  [CONNECTOR_STEP_TYPES.SOURCE_DATABASE, new DatabaseSourceExecutor()],
+  [CONNECTOR_STEP_TYPES.SOURCE_EMAIL_IMAP, new EmailImapSourceExecutor()],
+  [CONNECTOR_STEP_TYPES.DESTINATION_API, new ApiDestinationExecutor()],
+  [CONNECTOR_STEP_TYPES.DESTINATION_DATABASE, new DatabaseDestinationExecutor()],
+  [CONNECTOR_STEP_TYPES.DESTINATION_CLOUD, new CloudDestinationExecutor()]
+]);
+
+export default connectorExecutors;
@@ -0,0 +1,298 @@
+import crypto from 'crypto';
+import { db } from '../config/database.js';
+import { credentials } from '../models/schema.js';
+import { eq, and, asc, sql } from 'drizzle-orm';
+import { logger } from '../config/logs.js';
+import { z } from 'zod';
+
+export const CREDENTIAL_TYPES = ['password', 'token', 'api_key', 'connection_string'];
+
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT_VERSION = 'v1';
+const REDACTED = '***';
+
+// Shorter secrets would turn ordinary words in logs into asterisks
+const MIN_REDACTED_LENGTH = 4;
+
+// Step configs point at a vault entry with { "$credential": "<id>" } where
+// the secret used to be
+export const isCredentialRef = (value) =>
+  !!value && typeof value === 'object' && !Array.isArray(value) && typeof value.$credential === 'string';
+
+export const credentialRef = (id) => ({ $credential: id });
+
+// Secret fields of trigger configurations, which only accept references
+export const credentialRefSchema = z.object({ $credential: z.string() }, { invalid_type_error: 'must reference a stored credential' });
+
+// Replace every secret found in the strings of a value (nested objects and
+// arrays included) with asterisks
+export const redactSecrets = (value, secrets) => {
+  const list = [...(secrets || [])]
+    .filter(secret => typeof secret === 'string' && secret.length >= MIN_REDACTED_LENGTH)
+    .sort((a, b) => b.length - a.length);
+
+  if (list.length === 0) {
+    return value;
+  }
+
+  const redact = (item) => {
+    if (typeof item === 'string') {
+      return list.reduce((text, secret) => text.split(secret).join(REDACTED), item);
+    }
+    if (Array.isArray(item)) {
+      return item.map(redact);
+    }
+    if (item && typeof item === 'object' && Object.getPrototypeOf(item) === Object.prototype) {
+      return Object.fromEntries(Object.entries(item).map(([key, nested]) => [key, redact(nested)]));
+    }
+    if (item instanceof Error) {
+      return redact(item.message);
+    }
+    return item;
+  };
+
+  return redact(value);
+};
+
+// Columns returned by the API; the encrypted value never leaves the service
+const PUBLIC_COLUMNS = {
+  id: credentials.id,
+  workspaceId: credentials.workspaceId,
+  name: credentials.name,
+  type: credentials.type,
+  description: credentials.description,
+  createdBy: credentials.createdBy,
+  lastUsedAt: credentials.lastUsedAt,
+  createdAt: credentials.createdAt,
+  updatedAt: credentials.updatedAt
+};
+
+// Secrets used by steps (SMB passwords, API tokens, connection strings) live
+// here, encrypted with AES-256-GCM under CREDENTIALS_MASTER_KEY, and belong
+// to a workspace. Steps store a reference; the value is only decrypted when
+// a step runs.
+class CredentialService {
+  constructor() {
+    this.key = null;
+
+    const encoded = process.env.CREDENTIALS_MASTER_KEY;
+    if (!encoded) {
+      logger.warn('Credentials master key not configured - the credential vault will be disabled');
+      return;
+    }
+
+    const key = Buffer.from(encoded, 'base64');
+    if (key.length !== 32) {
+      logger.error('CREDENTIALS_MASTER_KEY must be 32 bytes encoded as base64 - the credential vault will be disabled');
+      return;
+    }
+
+    this.key = key;
+  }
+
+  isAvailable() {
+    return !!this.key;
+  }
+
+  // v1:<iv>:<auth tag>:<ciphertext>, base64 parts
+  encrypt(value) {
+    if (!this.key) {
+      throw new Error('Credential vault not configured');
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+    const encrypted = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+    return [FORMAT_VERSION, iv, cipher.getAuthTag(), encrypted]
+      .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+      .join(':');
+  }
+
+  decrypt(payload) {
+    if (!this.key) {
+      throw new Error('Credential vault not configured');
+    }
+
+    const [version, iv, tag, encrypted] = payload.split(':');
+    if (version !== FORMAT_VERSION) {
+      throw new Error(`Unknown credential format: ${version}`);
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(encrypted, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+
+  async list(workspaceId) {
+    return db
+      .select(PUBLIC_COLUMNS)
+      .from(credentials)
+      .where(eq(credentials.workspaceId, workspaceId))
+      .orderBy(asc(credentials.name));
+  }
+
+  async find(workspaceId, id) {
+    const [credential] = await db
+      .select(PUBLIC_COLUMNS)
+      .from(credentials)
+      .where(and(eq(credentials.workspaceId, workspaceId), eq(credentials.id, id)));
+
+    return credential || null;
+  }
+
+  async create(workspaceId, { name, type, description, value }, userId = null) {
+    const [credential] = await db
+      .insert(credentials)
+      .values({
+        workspaceId,
+        name,
+        type,
+        description,
+        encryptedValue: this.encrypt(value),
+        createdBy: userId
+      })
+      .returning(PUBLIC_COLUMNS);
+
+    logger.info('Credential created', { workspaceId, credentialId: credential.id, userId });
+    return credential;
+  }
+
+  // Rename, describe or rotate a credential; the value only changes when one
+  // is given. Returns null when it is not in the workspace.
+  async update(workspaceId, id, { name, type, description, value }) {
+    const changes = { name, type, description, updatedAt: new Date() };
+    if (value !== undefined) {
+      changes.encryptedValue = this.encrypt(value);
+    }
+
+    const [credential] = await db
+      .update(credentials)
+      .set(changes)
+      .where(and(eq(credentials.workspaceId, workspaceId), eq(credentials.id, id)))
+      .returning(PUBLIC_COLUMNS);
+
+    if (credential && value !== undefined) {
+      logger.info('Credential rotated', { workspaceId, credentialId: id });
+    }
+
+    return credential || null;
+  }
+
+  // Automations whose draft or published revision, or whose triggers,
+  // reference the credential
+  async findUsage(id) {
+    const path = '$.** ? (@."$credential" == $id)';
+    const vars = JSON.stringify({ id });
+
+    const rows = await db.execute(sql`
+      SELECT automations.id, automations.name
+      FROM automations
+      LEFT JOIN automation_versions
+        ON automation_versions.automation_id = automations.id
+        AND automation_versions.version = automations.published_version
+      WHERE jsonb_path_exists(automations.steps, ${path}::jsonpath, ${vars}::jsonb)
+        OR jsonb_path_exists(automation_versions.steps, ${path}::jsonpath, ${vars}::jsonb)
+        OR jsonb_path_exists(automations.triggers, ${path}::jsonpath, ${vars}::jsonb)
+      ORDER BY automations.name
+    `);
+
+    return [...rows];
+  }
+
+  // Returns false when the credential is not in the workspace
+  async delete(workspaceId, id) {
+    const removed = await db
+      .delete(credentials)
+      .where(and(eq(credentials.workspaceId, workspaceId), eq(credentials.id, id)))
+      .returning({ id: credentials.id });
+
+    if (removed.length === 0) {
+      return false;
+    }
+
+    logger.info('Credential deleted', { workspaceId, credentialId: id });
+    return true;
+  }
+
+  // Decrypt a credential of the workspace for a running step
+  async reveal(workspaceId, id) {
+    const [credential] = workspaceId
+      ? await db
+        .select({ encryptedValue: credentials.encryptedValue })
+        .from(credentials)
+        .where(and(eq(credentials.workspaceId, workspaceId), eq(credentials.id, id)))
+      : [];
+
+    if (!credential) {
+      throw new Error(`Credential ${id} not found in this workspace`);
+    }
+
+    await db
+      .update(credentials)
+      .set({ lastUsedAt: new Date() })
+      .where(eq(credentials.id, id));
+
+    return this.decrypt(credential.encryptedValue);
+  }
+
+  // Swap the credential references of a step config for their values. Every
+  // value handed out is added to secrets so the execution can redact it.
+  // Keys in skipKeys (nested step definitions) are left for the steps that
+  // run them. onReveal is told the id of every credential decrypted.
+  async resolveConfig(config, workspaceId, secrets, skipKeys = [], onReveal = null) {
+    const resolve = async (value) => {
+      if (isCredentialRef(value)) {
+        const secret = await this.reveal(workspaceId, value.$credential);
+        secrets.add(secret);
+        onReveal?.(value.$credential);
+        return secret;
+      }
+
+      if (Array.isArray(value)) {
+        return Promise.all(value.map(resolve));
+      }
+
+      if (value && typeof value === 'object' && !(value instanceof Date)) {
+        const resolved = {};
+        for (const [key, item] of Object.entries(value)) {
+          resolved[key] = value === config && skipKeys.includes(key) ? item : await resolve(item);
+        }
+        return resolved;
+      }
+
+      return value;
+    };
+
+    return resolve(config);
+  }
+
+  // Credential ids referenced anywhere in a value
+  collectRefs(value, ids = new Set()) {
+    if (isCredentialRef(value)) {
+      ids.add(value.$credential);
+    } else if (Array.isArray(value)) {
+      value.forEach(item => this.collectRefs(item, ids));
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(item => this.collectRefs(item, ids));
+    }
+    return ids;
+  }
+
+  // The referenced ids that do not belong to the workspace
+  async findMissing(workspaceId, ids) {
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const found = new Set((await this.list(workspaceId)).map(credential => credential.id));
+    return ids.filter(id => !found.has(id));
+  }
+}
+
+export const credentialService = new CredentialService();
+export default credentialService;
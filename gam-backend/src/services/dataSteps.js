@@ -0,0 +1,860 @@
+import { StepExecutor } from './stepExecutor.js';
+import { templateService } from './templateService.js';
+
+// Filter and action step types that work purely on the data flowing between steps
+export const DATA_STEP_TYPES = {
+  FILTER_REGEX: 'filter_regex',
+  FILTER_DATE: 'filter_date',
+  FILTER_DEDUP: 'filter_dedup',
+  FILTER_VALIDATION: 'filter_validation',
+  ACTION_CALCULATE: 'action_calculate',
+  ACTION_FORMAT_TEXT: 'action_format_text',
+  ACTION_MERGE_DATA: 'action_merge_data'
+};
+
+const getFieldValue = (obj, field) => {
+  if (!field) return obj;
+  return field.split('.').reduce((value, key) => value?.[key], obj);
+};
+
+const setFieldValue = (obj, field, value) => {
+  const keys = field.split('.');
+  const last = keys.pop();
+  let target = obj;
+  for (const key of keys) {
+    if (target[key] === null || typeof target[key] !== 'object') {
+      target[key] = {};
+    }
+    target = target[key];
+  }
+  target[last] = value;
+  return obj;
+};
+
+// Accept "a, b" strings as well as arrays for list-type config fields
+const toList = (value) => {
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+  if (typeof value === 'string') return value.split(',').map(item => item.trim()).filter(Boolean);
+  return [];
+};
+
+const parseJsonConfig = (value, fallback) => {
+  if (typeof value !== 'string') return value ?? fallback;
+  if (!value.trim()) return fallback;
+  return JSON.parse(value);
+};
+
+const clone = (value) => (value && typeof value === 'object' ? structuredClone(value) : value);
+
+// Parse dates from Date objects, timestamps, ISO strings and DD/MM/YYYY [HH:mm[:ss]]
+export const parseDate = (value) => {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  if (typeof value === 'number') return new Date(value);
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  const local = value.trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (local) {
+    const [, day, month, year, hours = 0, minutes = 0, seconds = 0] = local;
+    const date = new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds));
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+class ArrayStepExecutor extends StepExecutor {
+  // Same contract as the simple filter: array steps fail softly on other input
+  requireArray(inputData) {
+    if (!Array.isArray(inputData)) {
+      return {
+        success: false,
+        error: `${this.type} expects array input`,
+        data: []
+      };
+    }
+    return null;
+  }
+}
+
+// Keep (or drop) items whose field matches a regular expression
+class FilterRegexExecutor extends ArrayStepExecutor {
+  constructor() {
+    super(DATA_STEP_TYPES.FILTER_REGEX);
+  }
+
+  async execute(step, context, inputData) {
+    const { field = '', pattern, flags = '', mode = 'include' } = step.config;
+
+    context.log('info', `Executing regex filter: ${field || 'item'} ~ /${pattern}/${flags}`, { stepId: step.id });
+
+    const invalid = this.requireArray(inputData);
+    if (invalid) return invalid;
+
+    const regex = new RegExp(pattern, flags.replace('g', ''));
+    const filtered = inputData.filter(item => {
+      const value = getFieldValue(item, field);
+      const matches = value !== undefined && value !== null && regex.test(String(value));
+      return mode === 'exclude' ? !matches : matches;
+    });
+
+    context.log('info', `Regex filter applied`, {
+      stepId: step.id,
+      inputCount: inputData.length,
+      outputCount: filtered.length
+    });
+
+    return {
+      success: true,
+      data: filtered,
+      metadata: {
+        mode,
+        inputCount: inputData.length,
+        outputCount: filtered.length,
+        filteredCount: inputData.length - filtered.length
+      }
+    };
+  }
+
+  async validate(stepConfig) {
+    const errors = [];
+    if (!stepConfig.pattern) {
+      errors.push('Pattern is required');
+    } else if (!templateService.hasTemplate(stepConfig.pattern)) {
+      try {
+        new RegExp(stepConfig.pattern, stepConfig.flags || '');
+      } catch (error) {
+        errors.push(`Invalid regular expression: ${error.message}`);
+      }
+    }
+    if (stepConfig.mode && !['include', 'exclude'].includes(stepConfig.mode)) {
+      errors.push('Mode must be include or exclude');
+    }
+    return { valid: errors.length === 0, errors };
+  }
+}
+
+// Keep items whose date field falls in a range
+class FilterDateExecutor extends ArrayStepExecutor {
+  constructor() {
+    super(DATA_STEP_TYPES.FILTER_DATE);
+  }
+
+  async execute(step, context, inputData) {
+    const { field = '', operator } = step.config;
+
+    context.log('info', `Executing date filter: ${field || 'item'} ${operator}`, { stepId: step.id });
+
+    const invalid = this.requireArray(inputData);
+    if (invalid) return invalid;
+
+    const { start, end } = this.getRange(step.config);
+    let unparseableCount = 0;
+
+    const filtered = inputData.filter(item => {
+      const date = parseDate(getFieldValue(item, field));
+      if (!date) {
+        unparseableCount++;
+        return false;
+      }
+      const time = date.getTime();
+      return (start === null || time >= start) && (end === null || time <= end);
+    });
+
+    context.log('info', `Date filter applied`, {
+      stepId: step.id,
+      inputCount: inputData.length,
+      outputCount: filtered.length,
+      unparseableCount
+    });
+
+    return {
+      success: true,
+      data: filtered,
+      metadata: {
+        operator,
+        rangeStart: start === null ? null : new Date(start).toISOString(),
+        rangeEnd: end === null ? null : new Date(end).toISOString(),
+        inputCount: inputData.length,
+        outputCount: filtered.length,
+        unparseableCount
+      }
+    };
+  }
+
+  // Translate the operator into an inclusive [start, end] range in ms (null = open)
+  getRange(config) {
+    const { operator, date, endDate, amount = 1, unit = 'days' } = config;
+    const unitMs = { minutes: 60000, hours: 3600000, days: 86400000 }[unit] || 86400000;
+    const now = Date.now();
+    const pointInTime = () => {
+      const parsed = parseDate(date);
+      if (!parsed) throw new Error(`Invalid date: ${date}`);
+      return parsed;
+    };
+
+    switch (operator) {
+      case 'before':
+        return { start: null, end: pointInTime().getTime() - 1 };
+      case 'after':
+        return { start: pointInTime().getTime() + 1, end: null };
+      case 'on': {
+        const day = pointInTime();
+        day.setHours(0, 0, 0, 0);
+        return { start: day.getTime(), end: day.getTime() + 86400000 - 1 };
+      }
+      case 'between': {
+        const to = parseDate(endDate);
+        if (!to) throw new Error(`Invalid end date: ${endDate}`);
+        return { start: pointInTime().getTime(), end: to.getTime() };
+      }
+      case 'within_last':
+        return { start: now - Number(amount) * unitMs, end: now };
+      case 'within_next':
+        return { start: now, end: now + Number(amount) * unitMs };
+      case 'older_than':
+        return { start: null, end: now - Number(amount) * unitMs };
+      default:
+        throw new Error(`Unknown date operator: ${operator}`);
+    }
+  }
+
+  async validate(stepConfig) {
+    const errors = [];
+    const { operator, date, endDate, amount } = stepConfig;
+    const operators = ['before', 'after', 'on', 'between', 'within_last', 'within_next', 'older_than'];
+
+    if (!operators.includes(operator)) {
+      errors.push(`Operator must be one of: ${operators.join(', ')}`);
+    }
+    if (['before', 'after', 'on', 'between'].includes(operator) && !date) {
+      errors.push('Date is required for this operator');
+    }
+    if (operator === 'between' && !endDate) {
+      errors.push('End date is required for between');
+    }
+    if (['within_last', 'within_next', 'older_than'].includes(operator) &&
+        amount !== undefined && !templateService.hasTemplate(amount) && isNaN(Number(amount))) {
+      errors.push('Amount must be a number');
+    }
+    return { valid: errors.length === 0, errors };
+  }
+}
+
+// Remove duplicate items by a set of key fields (or the whole item)
+class FilterDedupExecutor extends ArrayStepExecutor {
+  constructor() {
+    super(DATA_STEP_TYPES.FILTER_DEDUP);
+  }
+
+  async execute(step, context, inputData) {
+    const { keep = 'first', caseSensitive = true } = step.config;
+    const fields = toList(step.config.fields);
+
+    context.log('info', `Executing dedup filter on ${fields.length ? fields.join(', ') : 'whole item'}`, { stepId: step.id });
+
+    const invalid = this.requireArray(inputData);
+    if (invalid) return invalid;
+
+    const keyOf = (item) => {
+      const parts = fields.length ? fields.map(field => getFieldValue(item, field)) : [item];
+      const key = JSON.stringify(parts, (_, value) => this.normalize(value));
+      return caseSensitive ? key : key.toLowerCase();
+    };
+
+    // Map preserves first-insertion order; "last" overwrites the kept item
+    const unique = new Map();
+    for (const item of inputData) {
+      const key = keyOf(item);
+      if (!unique.has(key) || keep === 'last') {
+        unique.set(key, item);
+      }
+    }
+    const deduped = [...unique.values()];
+
+    context.log('info', `Dedup filter applied`, {
+      stepId: step.id,
+      inputCount: inputData.length,
+      outputCount: deduped.length
+    });
+
+    return {
+      success: true,
+      data: deduped,
+      metadata: {
+        fields,
+        keep,
+        inputCount: inputData.length,
+        outputCount: deduped.length,
+        duplicateCount: inputData.length - deduped.length
+      }
+    };
+  }
+
+  // Sort object keys so {a,b} and {b,a} produce the same key
+  normalize(value) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      return Object.keys(value).sort().reduce((sorted, key) => {
+        sorted[key] = value[key];
+        return sorted;
+      }, {});
+    }
+    return value;
+  }
+
+  async validate(stepConfig) {
+    const errors = [];
+    if (stepConfig.keep && !['first', 'last'].includes(stepConfig.keep)) {
+      errors.push('Keep must be first or last');
+    }
+    return { valid: errors.length === 0, errors };
+  }
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Check items against a list of rules; drop invalid items or fail the step
+class FilterValidationExecutor extends ArrayStepExecutor {
+  constructor() {
+    super(DATA_STEP_TYPES.FILTER_VALIDATION);
+  }
+
+  async execute(step, context, inputData) {
+    const { mode = 'filter' } = step.config;
+    const rules = parseJsonConfig(step.config.rules, []);
+
+    context.log('info', `Executing validation filter with ${rules.length} rules`, { stepId: step.id });
+
+    const invalid = this.requireArray(inputData);
+    if (invalid) return invalid;
+
+    const valid = [];
+    const failures = [];
+
+    inputData.forEach((item, index) => {
+      const errors = rules
+        .map(rule => this.checkRule(item, rule))
+        .filter(Boolean);
+
+      if (errors.length === 0) {
+        valid.push(item);
+      } else {
+        failures.push({ index, errors });
+      }
+    });
+
+    context.log(failures.length ? 'warn' : 'info', `Validation completed`, {
+      stepId: step.id,
+      validCount: valid.length,
+      invalidCount: failures.length
+    });
+
+    if (mode === 'fail' && failures.length > 0) {
+      const [first] = failures;
+      throw new Error(`Validation failed for ${failures.length} item(s); item ${first.index}: ${first.errors.join('; ')}`);
+    }
+
+    return {
+      success: true,
+      data: valid,
+      metadata: {
+        mode,
+        inputCount: inputData.length,
+        validCount: valid.length,
+        invalidCount: failures.length,
+        // Keep the metadata bounded for large inputs
+        failures: failures.slice(0, 100)
+      }
+    };
+  }
+
+  // Return an error message, or null when the rule passes
+  checkRule(item, rule) {
+    const { field, type, value } = rule;
+    const fieldValue = getFieldValue(item, field);
+    const isMissing = fieldValue === undefined || fieldValue === null || fieldValue === '';
+    const message = (text) => rule.message || `${field} ${text}`;
+
+    if (type === 'required') {
+      return isMissing ? message('is required') : null;
+    }
+
+    // Other rules only apply to present values; combine with "required" if needed
+    if (isMissing) return null;
+
+    switch (type) {
+      case 'number':
+        return isNaN(Number(fieldValue)) ? message('must be a number') : null;
+      case 'integer':
+        return Number.isInteger(Number(fieldValue)) ? null : message('must be an integer');
+      case 'string':
+        return typeof fieldValue === 'string' ? null : message('must be text');
+      case 'boolean':
+        return typeof fieldValue === 'boolean' || fieldValue === 'true' || fieldValue === 'false'
+          ? null
+          : message('must be true or false');
+      case 'date':
+        return parseDate(fieldValue) ? null : message('must be a valid date');
+      case 'email':
+        return EMAIL_PATTERN.test(String(fieldValue)) ? null : message('must be a valid email');
+      case 'regex':
+        return new RegExp(value).test(String(fieldValue)) ? null : message(`must match ${value}`);
+      case 'min':
+        return Number(fieldValue) >= Number(value) ? null : message(`must be at least ${value}`);
+      case 'max':
+        return Number(fieldValue) <= Number(value) ? null : message(`must be no more than ${value}`);
+      case 'minLength':
+        return String(fieldValue).length >= Number(value) ? null : message(`must have at least ${value} characters`);
+      case 'maxLength':
+        return String(fieldValue).length <= Number(value) ? null : message(`must have at most ${value} characters`);
+      case 'oneOf':
+        return toList(value).includes(String(fieldValue)) ? null : message(`must be one of: ${toList(value).join(', ')}`);
+      default:
+        return message(`has unknown rule type ${type}`);
+    }
+  }
+
+  async validate(stepConfig) {
+    const errors = [];
+    const types = ['required', 'number', 'integer', 'string', 'boolean', 'date', 'email', 'regex', 'min', 'max', 'minLength', 'maxLength', 'oneOf'];
+
+    let rules;
+    try {
+      rules = parseJsonConfig(stepConfig.rules, []);
+    } catch (error) {
+      return { valid: false, errors: [`Rules must be valid JSON: ${error.message}`] };
+    }
+
+    if (!Array.isArray(rules) || rules.length === 0) {
+      errors.push('At least one validation rule is required');
+    } else {
+      rules.forEach((rule, index) => {
+        if (!rule.field) {
+          errors.push(`Rule ${index + 1}: field is required`);
+        }
+        if (!types.includes(rule.type)) {
+          errors.push(`Rule ${index + 1}: type must be one of: ${types.join(', ')}`);
+        }
+        if (['regex', 'min', 'max', 'minLength', 'maxLength', 'oneOf'].includes(rule.type) && rule.value === undefined) {
+          errors.push(`Rule ${index + 1}: value is required for ${rule.type}`);
+        }
+      });
+    }
+
+    if (stepConfig.mode && !['filter', 'fail'].includes(stepConfig.mode)) {
+      errors.push('Mode must be filter or fail');
+    }
+    return { valid: errors.length === 0, errors };
+  }
+}
+
+// Arithmetic expressions over item fields: + - * / %, parentheses and a few
+// math functions. Parsed by hand so user input is never passed to eval.
+const MATH_FUNCTIONS = {
+  abs: Math.abs,
+  ceil: Math.ceil,
+  floor: Math.floor,
+  round: (value, decimals = 0) => {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+  },
+  min: Math.min,
+  max: Math.max,
+  sqrt: Math.sqrt,
+  pow: Math.pow
+};
+
+export const evaluateExpression = (expression, item) => {
+  const tokens = String(expression).match(/\d+(?:\.\d+)?|[A-Za-z_$][\w$.]*|[-+*/%(),]|\S/g) || [];
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (token) => {
+    if (next() !== token) {
+      throw new Error(`Expected "${token}" in expression: ${expression}`);
+    }
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (token === undefined) {
+      throw new Error(`Unexpected end of expression: ${expression}`);
+    }
+    if (token === '(') {
+      const value = parseSum();
+      expect(')');
+      return value;
+    }
+    if (token === '-') return -parsePrimary();
+    if (token === '+') return parsePrimary();
+    if (/^\d/.test(token)) return Number(token);
+    if (/^[A-Za-z_$]/.test(token)) {
+      if (peek() === '(') {
+        const fn = MATH_FUNCTIONS[token];
+        if (!fn) throw new Error(`Unknown function: ${token}`);
+        next();
+        const args = [];
+        while (peek() !== ')') {
+          args.push(parseSum());
+          if (peek() === ',') next();
+          else if (peek() !== ')') throw new Error(`Expected "," or ")" in expression: ${expression}`);
+        }
+        expect(')');
+        return fn(...args);
+      }
+      const value = getFieldValue(item, token);
+      return value === undefined || value === null || value === '' ? 0 : Number(value);
+    }
+    throw new Error(`Unexpected "${token}" in expression: ${expression}`);
+  };
+
+  const parseProduct = () => {
+    let value = parsePrimary();
+    while (['*', '/', '%'].includes(peek())) {
+      const operator = next();
+      const right = parsePrimary();
+      value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+    }
+    return value;
+  };
+
+  const parseSum = () => {
+    let value = parseProduct();
+    while (['+', '-'].includes(peek())) {
+      const operator = next();
+      const right = parseProduct();
+      value = operator === '+' ? value + right : value - right;
+    }
+    return value;
+  };
+
+  const result = parseSum();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${peek()}" in expression: ${expression}`);
+  }
+  return result;
+};
+
+// Compute new fields per item (formula) or aggregate a field (sum, avg, ...)
+class ActionCalculateExecutor extends StepExecutor {
+  constructor() {
+    super(DATA_STEP_TYPES.ACTION_CALCULATE);
+  }
+
+  async execute(step, context, inputData) {
+    const { mode = 'formula', decimals } = step.config;
+
+    context.log('info', `Executing calculation: ${mode}`, { stepId: step.id });
+
+    const result = mode === 'aggregate'
+      ? this.aggregate(inputData, step.config)
+      : this.applyFormulas(inputData, this.getCalculations(step.config), decimals);
+
+    context.log('info', `Calculation completed`, {
+      stepId: step.id,
+      mode,
+      outputSize: Array.isArray(result) ? result.length : 1
+    });
+
+    return {
+      success: true,
+      data: result,
+      metadata: {
+        mode,
+        inputSize: Array.isArray(inputData) ? inputData.length : 1,
+        outputSize: Array.isArray(result) ? result.length : 1
+      }
+    };
+  }
+
+  // Several formulas as a list, or a single targetField/expression pair
+  getCalculations(config) {
+    const calculations = parseJsonConfig(config.calculations, []);
+    if (calculations.length > 0) return calculations;
+    return config.targetField && config.expression
+      ? [{ field: config.targetField, expression: config.expression }]
+      : [];
+  }
+
+  applyFormulas(inputData, calculations, decimals) {
+    const apply = (item) => {
+      const output = clone(item) ?? {};
+      // Later formulas can use fields computed by earlier ones
+      for (const { field, expression } of calculations) {
+        setFieldValue(output, field, this.round(evaluateExpression(expression, output), decimals));
+      }
+      return output;
+    };
+    return Array.isArray(inputData) ? inputData.map(apply) : apply(inputData);
+  }
+
+  aggregate(inputData, config) {
+    const { operation = 'sum', field, groupBy, targetField, decimals } = config;
+    const items = Array.isArray(inputData) ? inputData : [inputData];
+    const outputField = targetField || operation;
+
+    const compute = (group) => {
+      const values = group
+        .map(item => getFieldValue(item, field))
+        .filter(value => value !== undefined && value !== null && value !== '' && !isNaN(Number(value)))
+        .map(Number);
+
+      switch (operation) {
+        case 'sum':
+          return values.reduce((total, value) => total + value, 0);
+        case 'avg':
+          return values.length ? values.reduce((total, value) => total + value, 0) / values.length : null;
+        case 'min':
+          return values.length ? Math.min(...values) : null;
+        case 'max':
+          return values.length ? Math.max(...values) : null;
+        case 'count':
+          return field ? values.length : group.length;
+        default:
+          throw new Error(`Unknown aggregate operation: ${operation}`);
+      }
+    };
+
+    if (!groupBy) {
+      return { [outputField]: this.round(compute(items), decimals), count: items.length };
+    }
+
+    const groups = new Map();
+    for (const item of items) {
+      const key = getFieldValue(item, groupBy);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    }
+
+    return [...groups.entries()].map(([key, group]) => ({
+      [groupBy]: key,
+      [outputField]: this.round(compute(group), decimals),
+      count: group.length
+    }));
+  }
+
+  round(value, decimals) {
+    if (decimals === undefined || decimals === '' || typeof value !== 'number') return value;
+    return MATH_FUNCTIONS.round(value, Number(decimals));
+  }
+
+  async validate(stepConfig) {
+    const errors = [];
+    const { mode = 'formula' } = stepConfig;
+
+    if (mode === 'aggregate') {
+      const operations = ['sum', 'avg', 'min', 'max', 'count'];
+      if (!operations.includes(stepConfig.operation || 'sum')) {
+        errors.push(`Operation must be one of: ${operations.join(', ')}`);
+      }
+      if (!stepConfig.field && stepConfig.operation !== 'count') {
+        errors.push('Field is required for aggregation');
+      }
+    } else if (mode === 'formula') {
+      let calculations = [];
+      try {
+        calculations = this.getCalculations(stepConfig);
+      } catch (error) {
+        errors.push(`Calculations must be valid JSON: ${error.message}`);
+      }
+      if (calculations.length === 0 && errors.length === 0) {
+        errors.push('Target field and expression are required');
+      }
+      for (const { field, expression } of calculations) {
+        if (!field || !expression) {
+          errors.push('Each calculation needs a field and an expression');
+          continue;
+        }
+        try {
+          evaluateExpression(expression, {});
+        } catch (error) {
+          errors.push(`Invalid expression for ${field}: ${error.message}`);
+        }
+      }
+    } else {
+      errors.push('Mode must be formula or aggregate');
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+}
+
+// Render a {{ }} template for every item, e.g. "{{item.name}} - {{item.total | round(2)}}"
+class ActionFormatTextExecutor extends StepExecutor {
+  constructor() {
+    super(DATA_STEP_TYPES.ACTION_FORMAT_TEXT);
+    // The template is rendered per item here, not once by the engine
+    this.rawConfigKeys = ['template'];
+  }
+
+  async execute(step, context, inputData) {
+    const { template, targetField, joinWith } = step.config;
+
+    context.log('info', `Formatting text${targetField ? ` into ${targetField}` : ''}`, { stepId: step.id });
+
+    const render = (item, index) => templateService.resolveString(String(template), {
+      ...context.getTemplateScope(inputData),
+      item,
+      index
+    });
+
+    let result;
+    if (Array.isArray(inputData)) {
+      result = inputData.map((item, index) => {
+        const text = render(item, index);
+        return targetField ? setFieldValue(clone(item) ?? {}, targetField, text) : text;
+      });
+      if (!targetField && joinWith !== undefined && joinWith !== '') {
+        result = result.join(joinWith.replace(/\\n/g, '\n'));
+      }
+    } else {
+      const text = render(inputData, 0);
+      result = targetField ? setFieldValue(clone(inputData) ?? {}, targetField, text) : text;
+    }
+
+    return {
+      success: true,
+      data: result,
+      metadata: {
+        targetField: targetField || null,
+        itemCount: Array.isArray(inputData) ? inputData.length : 1
+      }
+    };
+  }
+
+  async validate(stepConfig) {
+    const errors = [];
+    if (!stepConfig.template) {
+      errors.push('Template is required');
+    }
+    return { valid: errors.length === 0, errors };
+  }
+}
+
+// Combine the outputs of several steps: append, merge objects or join by key
+class ActionMergeDataExecutor extends StepExecutor {
+  constructor() {
+    super(DATA_STEP_TYPES.ACTION_MERGE_DATA);
+  }
+
+  async execute(step, context, inputData) {
+    const { mode = 'append' } = step.config;
+
+    context.log('info', `Merging data: ${mode}`, { stepId: step.id });
+
+    let result;
+    switch (mode) {
+      case 'append':
+        result = this.getSources(step.config, context, inputData)
+          .flatMap(data => (Array.isArray(data) ? data : [data]));
+        break;
+      case 'merge_objects':
+        result = this.getSources(step.config, context, inputData)
+          .reduce((merged, data) => ({ ...merged, ...(data && typeof data === 'object' ? data : {}) }), {});
+        break;
+      case 'join':
+        result = this.join(step.config, context, inputData);
+        break;
+      default:
+        throw new Error(`Unknown merge mode: ${mode}`);
+    }
+
+    context.log('info', `Merge completed`, {
+      stepId: step.id,
+      mode,
+      outputSize: Array.isArray(result) ? result.length : 1
+    });
+
+    return {
+      success: true,
+      data: result,
+      metadata: {
+        mode,
+        outputSize: Array.isArray(result) ? result.length : 1
+      }
+    };
+  }
+
+  // Data of the named steps, or of every branch that flowed into this step
+  getSources(config, context, inputData) {
+    const sources = toList(config.sources);
+    if (sources.length > 0) {
+      return sources.map(ref => this.getStepData(context, ref));
+    }
+    // A fan-in of non-array outputs arrives keyed by source step id
+    if (inputData && typeof inputData === 'object' && !Array.isArray(inputData) &&
+        Object.keys(inputData).every(key => context.getStepResult(key))) {
+      return Object.values(inputData);
+    }
+    return [inputData];
+  }
+
+  getStepData(context, ref) {
+    const result = context.getStepResult(ref);
+    if (!result) {
+      throw new Error(`No output found for step: ${ref}`);
+    }
+    return result.data;
+  }
+
+  join(config, context, inputData) {
+    const { leftSource, rightSource, leftKey, rightKey = leftKey, joinType = 'inner' } = config;
+    const asArray = (data) => (Array.isArray(data) ? data : data === undefined || data === null ? [] : [data]);
+
+    const left = asArray(leftSource ? this.getStepData(context, leftSource) : inputData);
+    const right = asArray(this.getStepData(context, rightSource));
+
+    const index = new Map();
+    for (const item of right) {
+      const key = String(getFieldValue(item, rightKey));
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(item);
+    }
+
+    const joined = [];
+    for (const item of left) {
+      const matches = index.get(String(getFieldValue(item, leftKey)));
+      if (matches) {
+        matches.forEach(match => joined.push({ ...match, ...item }));
+      } else if (joinType === 'left') {
+        joined.push({ ...item });
+      }
+    }
+    return joined;
+  }
+
+  async validate(stepConfig) {
+    const errors = [];
+    const { mode = 'append' } = stepConfig;
+
+    if (!['append', 'merge_objects', 'join'].includes(mode)) {
+      errors.push('Mode must be append, merge_objects or join');
+    }
+    if (mode === 'join') {
+      if (!stepConfig.rightSource) {
+        errors.push('Right source step is required for join');
+      }
+      if (!stepConfig.leftKey) {
+        errors.push('Join key is required');
+      }
+      if (stepConfig.joinType && !['inner', 'left'].includes(stepConfig.joinType)) {
+        errors.push('Join type must be inner or left');
+      }
+    }
+    return { valid: errors.length === 0, errors };
+  }
+}
+
+// Export executors
+export const dataStepExecutors = new Map([
+  [DATA_STEP_TYPES.FILTER_REGEX, new FilterRegexExecutor()],
+  [DATA_STEP_TYPES.FILTER_DATE, new FilterDateExecutor()],
+  [DATA_STEP_TYPES.FILTER_DEDUP, new FilterDedupExecutor()],
+  [DATA_STEP_TYPES.FILTER_VALIDATION, new FilterValidationExecutor()],
+  [DATA_STEP_TYPES.ACTION_CALCULATE, new ActionCalculateExecutor()],
+  [DATA_STEP_TYPES.ACTION_FORMAT_TEXT, new ActionFormatTextExecutor()],
+  [DATA_STEP_TYPES.ACTION_MERGE_DATA, new ActionMergeDataExecutor()]
+]);
+
+export default dataStepExecutors;
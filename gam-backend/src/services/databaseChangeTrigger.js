@@ -0,0 +1,254 @@
+import postgres from 'postgres';
+import { z } from 'zod';
+import { logger } from '../config/logs.js';
+import { DatabaseStepExecutor } from './connectorSteps.js';
+import { credentialService, credentialRefSchema } from './credentialService.js';
+import { triggerStateService, hashValue } from './triggerStateService.js';
+
+const TRIGGER_TYPE = 'database';
+
+// Result column carrying the watermark as text, so it is sent back exactly
+// (timestamps keep their microseconds, bigints their digits)
+const WATERMARK_ALIAS = '__gam_watermark';
+
+// Notifications arriving closer together than this start one poll
+const NOTIFY_DEBOUNCE_MS = 1000;
+
+export const databaseTriggerSchema = z.object({
+  connectionString: credentialRefSchema,
+  ssl: z.boolean().default(false),
+  // Rows to watch; it is wrapped, so it must not filter on the watermark
+  // itself or end in ORDER BY/LIMIT that matter
+  query: z.string().min(1, 'query is required'),
+  // Bound to $1, $2, ... in the query
+  parameters: z.array(z.union([z.string(), z.number(), z.boolean(), z.null()])).default([]),
+  // Ever-increasing column of the query result (updated_at, a serial id)
+  watermarkColumn: z.string().min(1, 'watermarkColumn is required'),
+  intervalSeconds: z.number().int().min(10).max(86400).default(60),
+  // Also poll as soon as something runs NOTIFY on this channel
+  channel: z.string().regex(/^[A-Za-z_][\w$]*$/, 'channel must be a plain identifier').optional(),
+  // Rows per run; more new rows start several runs. A batch grows past it
+  // to take every row sharing its last watermark value
+  batchSize: z.number().int().min(1).max(10000).default(1000),
+  // Start with the rows already there instead of only the ones that come after
+  includeExisting: z.boolean().default(false),
+  timeout: z.number().int().min(1000).max(300000).default(30000)
+});
+
+const database = new DatabaseStepExecutor('trigger_database');
+
+// Polls a query for rows past the stored watermark and calls onRows with
+// them, oldest first. The watermark is kept per automation in
+// trigger_states, so a restart does not process the same rows again. onRows
+// returns null when no run was queued (the automation is paused or not
+// published); the rows are then read again on a later poll.
+export class DatabaseChangeTrigger {
+  constructor(automationId, config, onRows, { workspaceId = null, onReveal = null } = {}) {
+    this.automationId = automationId;
+    this.config = databaseTriggerSchema.parse(config);
+    this.onRows = onRows;
+    this.workspaceId = workspaceId;
+    this.onReveal = onReveal; // audits the credentials each poll resolves
+    this.timer = null;
+    this.listener = null;
+    this.polling = false;
+    this.pollAgain = false;
+    this.state = undefined; // loaded on the first poll
+    this.stopped = true;
+    this.lastError = null;
+
+    // Another query or column starts over instead of comparing against a
+    // watermark taken from other data
+    const { query, parameters, watermarkColumn } = this.config;
+    this.configHash = hashValue({ query, parameters, watermarkColumn });
+
+    const source = `(${query.trim().replace(/;+\s*$/, '')}) AS changes`;
+    const column = `changes."${watermarkColumn.replace(/"/g, '""')}"`;
+    const watermarkParam = `$${parameters.length + 1}`;
+    const upToParam = `$${parameters.length + 2}`;
+    const select = `SELECT changes.*, ${column}::text AS "${WATERMARK_ALIAS}" FROM ${source}`;
+
+    // A full batch is read again up to and including its last watermark, so
+    // rows sharing that value past the LIMIT (a bulk UPDATE setting the same
+    // updated_at) are not skipped by the next `>` comparison
+    this.queries = {
+      initial: `SELECT max(${column})::text AS watermark FROM ${source}`,
+      all: `${select} WHERE ${column} IS NOT NULL ORDER BY ${column} LIMIT ${this.config.batchSize}`,
+      allUpTo: `${select} WHERE ${column} IS NOT NULL AND ${column} <= ${watermarkParam} ORDER BY ${column}`,
+      since: `${select} WHERE ${column} > ${watermarkParam} ORDER BY ${column} LIMIT ${this.config.batchSize}`,
+      sinceUpTo: `${select} WHERE ${column} > ${watermarkParam} AND ${column} <= ${upToParam} ORDER BY ${column}`
+    };
+  }
+
+  async start() {
+    this.stopped = false;
+    this.schedule(0);
+
+    // Without notifications the interval still picks up every change
+    if (this.config.channel) {
+      this.listen().catch((error) => {
+        this.lastError = error.message;
+        logger.error('Database trigger could not listen for notifications', {
+          automationId: this.automationId,
+          channel: this.config.channel,
+          error: error.message
+        });
+      });
+    }
+
+    logger.info('Database trigger polling', {
+      automationId: this.automationId,
+      watermarkColumn: this.config.watermarkColumn,
+      intervalSeconds: this.config.intervalSeconds,
+      channel: this.config.channel ?? null
+    });
+  }
+
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    await this.listener?.end({ timeout: 5 });
+    this.listener = null;
+  }
+
+  // A dedicated connection receives the notifications; it reconnects by
+  // itself and polls after each reconnect to pick up what it missed
+  async listen() {
+    const { connectionString } = await this.resolveConfig();
+    this.listener = postgres(connectionString, {
+      max: 1,
+      ssl: this.config.ssl ? { rejectUnauthorized: false } : false,
+      onnotice: () => {}
+    });
+
+    try {
+      await this.listener.listen(this.config.channel, () => this.requestPoll(), () => this.requestPoll());
+      if (this.stopped) {
+        await this.stop();
+      }
+    } catch (error) {
+      await this.listener?.end({ timeout: 0 });
+      this.listener = null;
+      throw error;
+    }
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  requestPoll() {
+    if (this.stopped) return;
+    if (this.polling) {
+      this.pollAgain = true;
+    } else {
+      this.schedule(NOTIFY_DEBOUNCE_MS);
+    }
+  }
+
+  async tick() {
+    this.polling = true;
+    this.pollAgain = false;
+    try {
+      await this.poll();
+      this.lastError = null;
+    } catch (error) {
+      if (!this.stopped) {
+        this.lastError = error.message;
+        logger.error('Database trigger poll failed', { automationId: this.automationId, error: error.message });
+      }
+    } finally {
+      this.polling = false;
+    }
+
+    if (!this.stopped) {
+      this.schedule(this.pollAgain ? NOTIFY_DEBOUNCE_MS : this.config.intervalSeconds * 1000);
+    }
+  }
+
+  resolveConfig() {
+    return credentialService.resolveConfig(this.config, this.workspaceId, new Set(), [], this.onReveal);
+  }
+
+  async poll() {
+    if (this.state === undefined) {
+      const stored = await triggerStateService.get(this.automationId, TRIGGER_TYPE);
+      this.state = stored?.configHash === this.configHash ? stored : null;
+    }
+
+    const resolved = await this.resolveConfig();
+    const { parameters } = this.config;
+
+    await database.withConnection(resolved, async (sql) => {
+      // Read-only, like the database source step
+      const run = (text, params) => sql.begin('read only', tx => tx.unsafe(text, params));
+
+      // The first poll only marks where to start from
+      if (!this.state && !this.config.includeExisting) {
+        const [{ watermark }] = await run(this.queries.initial, parameters);
+        await this.saveWatermark(watermark);
+        return;
+      }
+
+      // Drain the backlog batch by batch; each batch is a run
+      while (!this.stopped) {
+        const from = this.state?.watermark ?? null;
+        let rows = from === null
+          ? await run(this.queries.all, parameters)
+          : await run(this.queries.since, [...parameters, from]);
+
+        if (rows.length === 0) {
+          if (!this.state) await this.saveWatermark(null);
+          return;
+        }
+
+        const to = rows[rows.length - 1][WATERMARK_ALIAS];
+        const full = rows.length >= this.config.batchSize;
+        if (full) {
+          rows = from === null
+            ? await run(this.queries.allUpTo, [...parameters, to])
+            : await run(this.queries.sinceUpTo, [...parameters, from, to]);
+        }
+
+        const data = Array.from(rows, ({ [WATERMARK_ALIAS]: _, ...row }) => row);
+
+        logger.info('Database trigger found rows', { automationId: this.automationId, rowCount: data.length, from, to });
+
+        // Saved only once the run is queued, so a failure or a skipped run is
+        // retried on the next poll instead of dropping the rows
+        const queued = await this.onRows({
+          database: {
+            rows: data,
+            rowCount: data.length,
+            columns: rows.columns?.map(column => column.name).filter(name => name !== WATERMARK_ALIAS) || [],
+            watermark: { column: this.config.watermarkColumn, from, to }
+          },
+          trigger: {
+            type: TRIGGER_TYPE,
+            channel: this.config.channel ?? null
+          }
+        });
+
+        if (!queued) {
+          logger.debug('Database trigger rows left for a later poll', { automationId: this.automationId, from, to });
+          return;
+        }
+        await this.saveWatermark(to);
+
+        if (!full) {
+          return;
+        }
+      }
+    }, null);
+  }
+
+  async saveWatermark(watermark) {
+    this.state = { configHash: this.configHash, watermark, updatedAt: new Date().toISOString() };
+    await triggerStateService.save(this.automationId, TRIGGER_TYPE, this.state);
+  }
+}
+
+export default DatabaseChangeTrigger;
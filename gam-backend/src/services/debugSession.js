@@ -0,0 +1,84 @@
+import { abortable } from './stepExecutor.js';
+
+export const DEBUG_ACTIONS = {
+  CONTINUE: 'continue', // run until the next breakpoint
+  STEP_OVER: 'step_over', // run the paused step and stop before the next one
+  ABORT: 'abort' // cancel the run
+};
+
+// Interactive state of a run started in debug mode. The engine calls
+// beforeStep() ahead of every top-level step; the run waits there while it is
+// paused at a breakpoint, or at every step in step mode, until the debug API
+// sends an action. A session left paused too long cancels its run so browser
+// sessions and connections are not held forever.
+export class DebugSession {
+  constructor({ breakpoints = [], stepMode = false, idleTimeout } = {}) {
+    this.breakpoints = new Set(breakpoints);
+    this.stepping = Boolean(stepMode);
+    this.idleTimeout = idleTimeout ?? (parseInt(process.env.DEBUG_IDLE_TIMEOUT) || 30 * 60 * 1000);
+    this.currentStep = null;
+    this.paused = null; // { inputData, since } while waiting for an action
+    this.stepResults = [];
+    this.release = null;
+  }
+
+  get isPaused() {
+    return this.paused !== null;
+  }
+
+  async beforeStep(step, context, inputData, stepResults) {
+    this.currentStep = { id: step.id, name: step.name, type: step.type };
+    this.stepResults = stepResults;
+
+    if (!this.stepping && !this.breakpoints.has(step.id)) {
+      return;
+    }
+
+    context.log('info', `Debugger paused before step: ${step.name}`, { stepId: step.id });
+    this.paused = { inputData, since: new Date().toISOString() };
+    context.emit('debug', { state: 'paused', stepId: step.id, stepName: step.name });
+
+    const timer = setTimeout(
+      () => context.cancel(`Debug session idle for more than ${this.idleTimeout}ms`),
+      this.idleTimeout
+    );
+
+    try {
+      await abortable(new Promise(resolve => { this.release = resolve; }), context.signal);
+    } finally {
+      clearTimeout(timer);
+      this.paused = null;
+      this.release = null;
+      context.emit('debug', { state: 'running', stepId: step.id, stepName: step.name });
+    }
+  }
+
+  // Continue or step over; aborting is handled by the engine since it
+  // cancels the whole run
+  resume(action) {
+    if (!this.isPaused) {
+      throw new Error('Execution is not paused');
+    }
+
+    this.stepping = action === DEBUG_ACTIONS.STEP_OVER;
+    this.release();
+  }
+
+  setBreakpoints(breakpoints) {
+    this.breakpoints = new Set(breakpoints);
+  }
+
+  getState() {
+    return {
+      state: this.isPaused ? 'paused' : 'running',
+      currentStep: this.currentStep,
+      pausedSince: this.paused?.since || null,
+      inputData: this.paused ? this.paused.inputData : null,
+      breakpoints: [...this.breakpoints],
+      stepMode: this.stepping,
+      stepResults: this.stepResults
+    };
+  }
+}
+
+export default DebugSession;
@@ -0,0 +1,258 @@
+import picomatch from 'picomatch';
+import { z } from 'zod';
+import { logger } from '../config/logs.js';
+import { graphApiClient } from './graphApiClient.js';
+import { triggerStateService, hashValue } from './triggerStateService.js';
+
+const TRIGGER_TYPE = 'microsoft';
+
+export const DRIVE_EVENTS = ['create', 'modify', 'delete'];
+
+// Pages of changes read per Graph call; a bigger backlog is fired in parts
+const MAX_PAGES = 50;
+
+// Pause before each folder lookup, to stay under the Graph rate limit of the
+// workspace (4 requests per second)
+const LOOKUP_SPACING_MS = 300;
+
+export const driveTriggerSchema = z.object({
+  source: z.enum(['sharepoint', 'onedrive']).default('sharepoint'),
+  siteId: z.string().optional(),
+  // Document library (SharePoint); OneDrive watches the connected account's drive
+  driveId: z.string().optional(),
+  // Folder relative to the drive root; empty watches the whole drive
+  folderPath: z.string().default(''),
+  recursive: z.boolean().default(true),
+  // Globs matched against the file name
+  patterns: z.array(z.string().min(1)).min(1).default(['*']),
+  events: z.array(z.enum(DRIVE_EVENTS)).min(1).default(['create']),
+  intervalSeconds: z.number().int().min(30).max(86400).default(300),
+  // Also start a run for the files already there when the trigger starts
+  includeExisting: z.boolean().default(false)
+}).superRefine((config, ctx) => {
+  if (config.source === 'sharepoint' && !config.driveId) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['driveId'], message: 'driveId is required for SharePoint' });
+  }
+});
+
+// Folder path of a parentReference.path ("/drives/<id>/root:/Reports/Daily"
+// -> "/Reports/Daily"); the root is ""
+const rootRelative = (referencePath) => {
+  const index = referencePath.indexOf('root:');
+  return index === -1 ? null : decodeURIComponent(referencePath.slice(index + 'root:'.length)).replace(/\/$/, '');
+};
+
+// Polls Graph delta queries for a SharePoint library or OneDrive and calls
+// onChanges with the driveItems created, modified or deleted in the watched
+// folder. The delta link is kept per automation in trigger_states, so a
+// restart carries on from the last change it handled. onChanges returns null
+// when no run was queued (the automation is paused or not published); the
+// changes are then read again on a later poll.
+export class DriveDeltaTrigger {
+  constructor(automationId, config, onChanges, { workspaceId = null } = {}) {
+    if (!workspaceId) {
+      throw new Error('Microsoft triggers need an automation in a workspace connected to Microsoft');
+    }
+
+    this.automationId = automationId;
+    this.config = driveTriggerSchema.parse(config);
+    this.onChanges = onChanges;
+    this.workspaceId = workspaceId;
+    this.driveId = this.config.source === 'onedrive' ? 'default' : this.config.driveId;
+    this.folderPath = this.config.folderPath.split('/').filter(Boolean).join('/');
+    this.matches = picomatch(this.config.patterns, { dot: true, nocase: true });
+    this.folder = null; // the watched folder, resolved on the first poll
+    this.folderPaths = new Map(); // folder id -> path from the root, for filtering
+    this.timer = null;
+    this.state = undefined; // loaded on the first poll
+    this.stopped = true;
+    this.lastError = null;
+
+    // Watching another drive or folder starts over
+    this.configHash = hashValue({ driveId: this.driveId, folderPath: this.folderPath });
+  }
+
+  async start() {
+    this.stopped = false;
+    this.schedule(0);
+
+    logger.info('Microsoft drive trigger polling', {
+      automationId: this.automationId,
+      source: this.config.source,
+      driveId: this.driveId,
+      folderPath: this.folderPath,
+      intervalSeconds: this.config.intervalSeconds
+    });
+  }
+
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  schedule(delay) {
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  async tick() {
+    try {
+      await this.poll();
+      this.lastError = null;
+    } catch (error) {
+      if (!this.stopped) {
+        // The rate limiter rejects with a plain object
+        this.lastError = error?.message ?? 'Graph API rate limit exceeded';
+        logger.error('Microsoft drive trigger poll failed', { automationId: this.automationId, error: this.lastError });
+      }
+    }
+
+    if (!this.stopped) {
+      this.schedule(this.config.intervalSeconds * 1000);
+    }
+  }
+
+  async poll() {
+    if (this.state === undefined) {
+      const stored = await triggerStateService.get(this.automationId, TRIGGER_TYPE);
+      this.state = stored?.configHash === this.configHash ? stored : null;
+    }
+
+    if (!this.folder) {
+      this.folder = await graphApiClient.getDriveItemByPath(this.workspaceId, this.driveId, this.folderPath);
+      this.folderPaths.set(this.folder.id, this.folderPath ? `/${this.folderPath}` : '');
+    }
+
+    // The first poll only marks where to start from
+    if (!this.state && !this.config.includeExisting) {
+      const { link } = await graphApiClient.getDriveDelta(this.workspaceId, this.driveId, { latest: true });
+      await this.saveState(link, new Date().toISOString());
+      return;
+    }
+
+    const syncStartedAt = new Date().toISOString();
+    // Files created after the last completed sync are new, older ones modified
+    const since = this.state?.syncedAt ?? null;
+    let link = this.state?.link ?? null;
+    let complete = false;
+
+    while (!complete && !this.stopped) {
+      let delta;
+      try {
+        delta = await graphApiClient.getDriveDelta(this.workspaceId, this.driveId, { link, maxPages: MAX_PAGES });
+      } catch (error) {
+        // 410 Gone: the delta link expired and Graph wants a full resync.
+        // Start again from now; changes in between are lost.
+        if (error?.statusCode === 410 && link) {
+          logger.warn('Microsoft drive delta link expired, starting over', { automationId: this.automationId });
+          const latest = await graphApiClient.getDriveDelta(this.workspaceId, this.driveId, { latest: true });
+          await this.saveState(latest.link, syncStartedAt);
+          return;
+        }
+        throw error;
+      }
+
+      const changes = await this.collectChanges(delta.items, since);
+
+      if (changes.length > 0) {
+        logger.info('Microsoft drive trigger found changes', { automationId: this.automationId, count: changes.length });
+
+        // Saved only once the run is queued, so a failure or a skipped run is
+        // retried on the next poll instead of losing the changes
+        const queued = await this.onChanges({
+          microsoft: {
+            source: this.config.source,
+            siteId: this.config.siteId ?? null,
+            driveId: this.driveId,
+            folderPath: this.folderPath,
+            items: changes
+          },
+          trigger: {
+            type: TRIGGER_TYPE,
+            source: this.config.source
+          }
+        });
+
+        if (!queued) {
+          logger.debug('Microsoft drive trigger changes left for a later poll', { automationId: this.automationId, count: changes.length });
+          return;
+        }
+      }
+
+      // Only a completed sync moves the point new files are measured from
+      await this.saveState(delta.link, delta.complete ? syncStartedAt : since);
+      link = delta.link;
+      complete = delta.complete;
+    }
+  }
+
+  // The driveItems of files in the watched folder matching the patterns and
+  // events, each with the event that happened to it
+  async collectChanges(items, since) {
+    // An item changed several times in one sync shows up once per change
+    const latest = new Map(items.map(item => [item.id, item]));
+    const changes = [];
+
+    for (const item of latest.values()) {
+      if (item.folder || item.root || (!item.file && !item.deleted)) continue;
+      if (item.name && !this.matches(item.name)) continue;
+
+      const event = item.deleted
+        ? 'delete'
+        : !since || item.createdDateTime >= since ? 'create' : 'modify';
+      if (!this.config.events.includes(event)) continue;
+
+      if (!(await this.inWatchedFolder(item))) continue;
+
+      changes.push({ event, ...item });
+    }
+
+    return changes;
+  }
+
+  async inWatchedFolder(item) {
+    const parentId = item.parentReference?.id;
+    if (parentId === this.folder.id) return true;
+    if (!this.config.recursive) return false;
+    if (!this.folderPath) return true;
+
+    const parentPath = await this.folderPathOf(item.parentReference);
+    const watched = `/${this.folderPath}`;
+    return parentPath !== null && (parentPath === watched || parentPath.startsWith(`${watched}/`));
+  }
+
+  // Path of a folder from the drive root. Delta results on business drives
+  // leave parentReference.path out, so it is looked up (once per folder).
+  async folderPathOf(parentReference) {
+    if (!parentReference?.id) return null;
+    if (parentReference.path) return rootRelative(parentReference.path);
+    if (this.folderPaths.has(parentReference.id)) return this.folderPaths.get(parentReference.id);
+
+    await new Promise(resolve => setTimeout(resolve, LOOKUP_SPACING_MS));
+
+    let folder;
+    try {
+      folder = await graphApiClient.getDriveItem(this.workspaceId, this.driveId, parentReference.id);
+    } catch (error) {
+      // Deleted along with its files; anything else fails the poll so it is retried
+      if (error?.statusCode === 404) return null;
+      throw error;
+    }
+
+    // Only the root has no parent path
+    const parentPath = folder.parentReference?.path ? rootRelative(folder.parentReference.path) : null;
+    const folderPath = folder.parentReference?.path
+      ? (parentPath === null ? null : `${parentPath}/${folder.name}`)
+      : '';
+
+    this.folderPaths.set(parentReference.id, folderPath);
+    return folderPath;
+  }
+
+  async saveState(link, syncedAt) {
+    this.state = { configHash: this.configHash, link, syncedAt };
+    await triggerStateService.save(this.automationId, TRIGGER_TYPE, this.state);
+  }
+}
+
+export default DriveDeltaTrigger;
@@ -0,0 +1,183 @@
+import { z } from 'zod';
+import { logger } from '../config/logs.js';
+import { imapService, MAIL_ACTIONS } from './imapService.js';
+import { credentialService, credentialRefSchema } from './credentialService.js';
+import { triggerStateService, hashValue } from './triggerStateService.js';
+
+const TRIGGER_TYPE = 'email';
+
+export const emailTriggerSchema = z.object({
+  host: z.string().min(1, 'host is required'),
+  port: z.number().int().min(1).max(65535).optional(),
+  secure: z.boolean().default(true),
+  allowSelfSigned: z.boolean().default(false),
+  username: z.string().min(1, 'username is required'),
+  password: credentialRefSchema,
+  folder: z.string().min(1).default('INBOX'),
+  // Sender address or name, matched by the server as a substring
+  from: z.string().optional(),
+  // Regular expression matched against the subject, case-insensitive
+  subjectPattern: z.string().optional(),
+  unreadOnly: z.boolean().default(true),
+  saveAttachments: z.boolean().default(true),
+  // What to do with each message once its run is queued
+  markAs: z.enum(MAIL_ACTIONS).default('none'),
+  moveTo: z.string().optional(),
+  // Messages read per poll; a bigger backlog is read over several
+  maxMessages: z.number().int().min(1).max(500).default(50),
+  intervalSeconds: z.number().int().min(30).max(86400).default(300),
+  // Also start a run for the matching messages already in the folder
+  includeExisting: z.boolean().default(false),
+  timeout: z.number().int().min(1000).max(300000).default(30000)
+}).superRefine((config, ctx) => {
+  if (config.subjectPattern) {
+    try {
+      new RegExp(config.subjectPattern);
+    } catch (error) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['subjectPattern'], message: `Invalid subject pattern: ${error.message}` });
+    }
+  }
+  if (config.markAs === 'move' && !config.moveTo) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['moveTo'], message: 'moveTo is required to move messages' });
+  }
+});
+
+// Polls an IMAP folder and calls onMessage with each new message matching
+// the filters, oldest first. The highest UID handled is kept per automation
+// in trigger_states, so a restart does not start runs for old mail.
+// onMessage returns null when no run was queued (the automation is paused
+// or not published); the message is then left as it is for a later poll.
+export class EmailTrigger {
+  constructor(automationId, config, onMessage, { workspaceId = null, onReveal = null } = {}) {
+    this.automationId = automationId;
+    this.config = emailTriggerSchema.parse(config);
+    this.onMessage = onMessage;
+    this.workspaceId = workspaceId;
+    this.onReveal = onReveal; // audits the credentials each poll resolves
+    this.timer = null;
+    this.controller = null;
+    this.state = undefined; // loaded on the first poll
+    this.stopped = true;
+    this.lastError = null;
+
+    // UIDs only mean something within one mailbox
+    const { host, username, folder } = this.config;
+    this.configHash = hashValue({ host: host.toLowerCase(), username, folder });
+  }
+
+  async start() {
+    this.stopped = false;
+    this.schedule(0);
+
+    logger.info('Email trigger polling', {
+      automationId: this.automationId,
+      host: this.config.host,
+      folder: this.config.folder,
+      intervalSeconds: this.config.intervalSeconds
+    });
+  }
+
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.controller?.abort();
+  }
+
+  schedule(delay) {
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  async tick() {
+    try {
+      await this.poll();
+      this.lastError = null;
+    } catch (error) {
+      if (!this.stopped) {
+        this.lastError = error.message;
+        logger.error('Email trigger poll failed', { automationId: this.automationId, host: this.config.host, error: error.message });
+      }
+    } finally {
+      this.controller = null;
+    }
+
+    if (!this.stopped) {
+      this.schedule(this.config.intervalSeconds * 1000);
+    }
+  }
+
+  async poll() {
+    if (this.state === undefined) {
+      const stored = await triggerStateService.get(this.automationId, TRIGGER_TYPE);
+      this.state = stored?.configHash === this.configHash ? stored : null;
+    }
+
+    const resolved = await credentialService.resolveConfig(this.config, this.workspaceId, new Set(), [], this.onReveal);
+    this.controller = new AbortController();
+    const { signal } = this.controller;
+
+    // The first poll only marks where to start from
+    if (!this.state && !this.config.includeExisting) {
+      const status = await imapService.mailboxStatus(resolved, signal);
+      await this.saveState(status.uidValidity, status.lastUid);
+      return;
+    }
+
+    // Read the backlog part by part; each message is a run
+    while (!this.stopped) {
+      const uidValidity = this.state?.uidValidity ?? null;
+      const result = await imapService.fetchMessages(resolved, {
+        afterUid: this.state?.lastUid ?? null,
+        uidValidity,
+        signal,
+        // Saved only once the run is queued, so a failure or a skipped run is
+        // retried on the next poll instead of dropping the message
+        onMessage: async (message) => {
+          const queued = await this.onMessage({
+            email: message,
+            trigger: {
+              type: TRIGGER_TYPE,
+              host: this.config.host,
+              folder: this.config.folder
+            }
+          });
+          if (!queued) {
+            return false;
+          }
+          await this.saveState(uidValidity, message.uid);
+        }
+      });
+
+      if (result.stopped) {
+        logger.debug('Email trigger messages left for a later poll', { automationId: this.automationId, folder: result.folder });
+        return;
+      }
+
+      // The folder was recreated and its UIDs restarted: old ones mean nothing
+      if (uidValidity !== null && result.uidValidity !== uidValidity) {
+        logger.warn('Email folder UIDs were reset, starting over', { automationId: this.automationId, folder: result.folder });
+        await this.saveState(result.uidValidity, result.lastUid);
+        return;
+      }
+
+      if (result.messages.length > 0) {
+        logger.info('Email trigger found messages', { automationId: this.automationId, folder: result.folder, count: result.messages.length });
+      }
+
+      if (!result.truncated) {
+        // Past the messages that did not match as well
+        await this.saveState(result.uidValidity, Math.max(result.lastUid, this.state?.lastUid ?? 0));
+        return;
+      }
+
+      await this.saveState(result.uidValidity, this.state?.lastUid ?? null);
+    }
+  }
+
+  async saveState(uidValidity, lastUid) {
+    this.state = { configHash: this.configHash, uidValidity, lastUid, updatedAt: new Date().toISOString() };
+    await triggerStateService.save(this.automationId, TRIGGER_TYPE, this.state);
+  }
+}
+
+export default EmailTrigger;
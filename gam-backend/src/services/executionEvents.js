@@ -0,0 +1,101 @@
+import os from 'os';
+import { EventEmitter } from 'events';
+import { pgClient } from '../config/database.js';
+import { logger } from '../config/logs.js';
+
+const CHANNEL = 'execution_events';
+
+// NOTIFY payloads are capped at 8000 bytes
+const MAX_NOTIFY_PAYLOAD = 7500;
+
+// Live events of running executions: log entries, step start/finish,
+// progress and status changes. Subscribers (the SSE stream) listen per
+// execution id. Runs may execute on another backend instance than the one
+// serving the stream, so every event is also relayed through Postgres
+// LISTEN/NOTIFY and re-emitted by the other instances.
+class ExecutionEventsService {
+  constructor() {
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.listener = null;
+    this.isRunning = false;
+  }
+
+  async start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.listener = await pgClient.listen(CHANNEL, payload => this.receive(payload));
+    this.isRunning = true;
+    logger.info('Execution events relay started', { instanceId: this.instanceId });
+  }
+
+  async stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.isRunning = false;
+    await this.listener?.unlisten().catch(() => {});
+    this.listener = null;
+    logger.info('Execution events relay stopped');
+  }
+
+  publish(executionId, type, data = {}) {
+    const event = { type, executionId, timestamp: new Date().toISOString(), data };
+    this.emitter.emit(executionId, event);
+
+    if (this.isRunning) {
+      pgClient.notify(CHANNEL, this.serialize(event))
+        .catch(error => logger.warn('Failed to relay execution event', { executionId, error: error.message }));
+    }
+  }
+
+  // Returns a function that removes the listener
+  subscribe(executionId, listener) {
+    this.emitter.on(executionId, listener);
+    return () => this.emitter.off(executionId, listener);
+  }
+
+  // Events from this instance were already emitted locally
+  receive(payload) {
+    try {
+      const { origin, event } = JSON.parse(payload);
+      if (origin !== this.instanceId) {
+        this.emitter.emit(event.executionId, event);
+      }
+    } catch (error) {
+      logger.warn('Ignoring malformed execution event', { error: error.message });
+    }
+  }
+
+  // Oversized events (large log metadata, mostly) are relayed without their
+  // data; local subscribers still get the full event
+  serialize(event) {
+    const payload = JSON.stringify({ origin: this.instanceId, event });
+    if (payload.length <= MAX_NOTIFY_PAYLOAD) {
+      return payload;
+    }
+
+    const { metadata, ...data } = event.data;
+    const trimmed = JSON.stringify({ origin: this.instanceId, event: { ...event, data: { ...data, truncated: true } } });
+    return trimmed.length <= MAX_NOTIFY_PAYLOAD
+      ? trimmed
+      : JSON.stringify({ origin: this.instanceId, event: { ...event, data: { truncated: true } } });
+  }
+}
+
+export const executionEvents = new ExecutionEventsService();
+
+// Graceful shutdown
+process.on('SIGINT', async () => {
+  await executionEvents.stop();
+});
+
+process.on('SIGTERM', async () => {
+  await executionEvents.stop();
+});
+
+export default executionEvents;
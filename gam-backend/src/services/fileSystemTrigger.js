@@ -0,0 +1,195 @@
+import chokidar from 'chokidar';
+import picomatch from 'picomatch';
+import fs from 'fs';
+import path from 'path';
+import { z } from 'zod';
+import { logger } from '../config/logs.js';
+
+export const FILE_EVENTS = ['create', 'modify', 'delete'];
+
+// chokidar event -> trigger event
+const WATCHER_EVENTS = { add: 'create', change: 'modify', unlink: 'delete' };
+
+// Filesystems where the kernel does not report changes made by other hosts,
+// so the directory has to be polled
+const NETWORK_FS_TYPES = ['cifs', 'smb3', 'smbfs', 'nfs', 'nfs4', 'fuse.sshfs'];
+
+export const fileSystemTriggerSchema = z.object({
+  path: z.string().min(1, 'path is required'),
+  // Globs matched against the path relative to the watched directory
+  patterns: z.array(z.string().min(1)).min(1).default(['**/*']),
+  ignore: z.array(z.string().min(1)).default([]),
+  events: z.array(z.enum(FILE_EVENTS)).min(1).default(['create']),
+  recursive: z.boolean().default(true),
+  // Events for the same file closer together than this start one run
+  debounceSeconds: z.number().min(0).max(3600).default(2),
+  // A file must stop changing for this long before it counts as created or
+  // modified, so half-copied files are not picked up
+  stableSeconds: z.number().min(0).max(3600).default(5),
+  // Defaults to polling on network mounts (SMB, NFS) and native events elsewhere
+  usePolling: z.boolean().optional(),
+  pollIntervalSeconds: z.number().min(1).max(3600).default(10),
+  // Also start a run for each file already there when watching starts
+  includeExisting: z.boolean().default(false)
+});
+
+// Type of the filesystem holding a directory, from /proc/mounts (Linux)
+const filesystemType = async (directory) => {
+  try {
+    const mounts = await fs.promises.readFile('/proc/mounts', 'utf8');
+    let match = null;
+    for (const line of mounts.split('\n')) {
+      const [, mountPoint, type] = line.split(' ');
+      if (!mountPoint) continue;
+      // Mount points escape spaces as \040
+      const point = mountPoint.replace(/\\040/g, ' ');
+      const contains = directory === point || directory.startsWith(point.endsWith('/') ? point : `${point}/`);
+      if (contains && (!match || point.length > match.point.length)) {
+        match = { point, type };
+      }
+    }
+    return match?.type ?? null;
+  } catch {
+    return null;
+  }
+};
+
+// Watches a local directory or a mounted share and calls onFile with the
+// metadata of each matching file that is created, modified or deleted
+export class FileSystemTrigger {
+  constructor(automationId, config, onFile) {
+    this.automationId = automationId;
+    this.config = fileSystemTriggerSchema.parse(config);
+    this.onFile = onFile;
+    this.root = path.resolve(this.config.path);
+    this.watcher = null;
+    this.pending = new Map(); // file -> { event, timer }
+    this.lastError = null;
+  }
+
+  async start() {
+    const stats = await fs.promises.stat(this.root);
+    if (!stats.isDirectory()) {
+      throw new Error(`Not a directory: ${this.root}`);
+    }
+
+    const { patterns, ignore, recursive, stableSeconds, pollIntervalSeconds, includeExisting } = this.config;
+    const fsType = await filesystemType(this.root);
+    const usePolling = this.config.usePolling ?? NETWORK_FS_TYPES.includes(fsType);
+
+    this.matches = picomatch(patterns, { dot: true });
+    const ignored = ignore.length > 0 ? picomatch(ignore, { dot: true }) : null;
+
+    this.watcher = chokidar.watch(this.root, {
+      ignoreInitial: !includeExisting,
+      ignored: ignored ? (file) => file !== this.root && ignored(this.relative(file)) : undefined,
+      depth: recursive ? undefined : 0,
+      usePolling,
+      interval: pollIntervalSeconds * 1000,
+      binaryInterval: pollIntervalSeconds * 1000,
+      awaitWriteFinish: stableSeconds > 0
+        ? { stabilityThreshold: stableSeconds * 1000, pollInterval: Math.min(1000, stableSeconds * 500) }
+        : false,
+      ignorePermissionErrors: true
+    });
+
+    for (const [watcherEvent, event] of Object.entries(WATCHER_EVENTS)) {
+      this.watcher.on(watcherEvent, (file) => this.handle(event, file));
+    }
+    this.watcher.on('error', (error) => {
+      this.lastError = error.message;
+      logger.error('File system trigger error', { automationId: this.automationId, path: this.root, error: error.message });
+    });
+
+    logger.info('File system trigger watching', {
+      automationId: this.automationId,
+      path: this.root,
+      filesystem: fsType,
+      usePolling,
+      events: this.config.events
+    });
+  }
+
+  async stop() {
+    for (const { timer } of this.pending.values()) {
+      clearTimeout(timer);
+    }
+    this.pending.clear();
+
+    await this.watcher?.close();
+    this.watcher = null;
+  }
+
+  relative(file) {
+    return path.relative(this.root, file).split(path.sep).join('/');
+  }
+
+  // Collect the events of a file until it has been quiet for the debounce
+  // window. A file created and then modified is still new; one created and
+  // deleted again never existed as far as the automation is concerned.
+  handle(event, file) {
+    if (!this.matches(this.relative(file))) {
+      return;
+    }
+
+    const pending = this.pending.get(file);
+    if (pending) {
+      clearTimeout(pending.timer);
+    }
+
+    let merged = event;
+    if (pending?.event === 'create' && event === 'modify') {
+      merged = 'create';
+    } else if (pending?.event === 'create' && event === 'delete') {
+      this.pending.delete(file);
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      this.pending.delete(file);
+      this.fire(merged, file).catch((error) => {
+        this.lastError = error.message;
+        logger.error('File system trigger failed', { automationId: this.automationId, file, error: error.message });
+      });
+    }, this.config.debounceSeconds * 1000);
+
+    this.pending.set(file, { event: merged, timer });
+  }
+
+  async fire(event, file) {
+    if (!this.config.events.includes(event)) {
+      return;
+    }
+
+    let stats = null;
+    if (event !== 'delete') {
+      try {
+        stats = await fs.promises.stat(file);
+      } catch {
+        // Gone before the run could start
+        return;
+      }
+    }
+
+    await this.onFile({
+      file: {
+        event,
+        path: file,
+        relativePath: this.relative(file),
+        name: path.basename(file),
+        directory: path.dirname(file),
+        extension: path.extname(file).replace(/^\./, ''),
+        size: stats?.size ?? null,
+        modifiedAt: stats?.mtime.toISOString() ?? null,
+        createdAt: stats?.birthtime.toISOString() ?? null,
+        detectedAt: new Date().toISOString()
+      },
+      trigger: {
+        type: 'fileSystem',
+        path: this.root
+      }
+    });
+  }
+}
+
+export default FileSystemTrigger;
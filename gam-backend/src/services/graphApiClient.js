@@ -56,13 +56,22 @@ class CircuitBreaker {
   }
 }
 
+// Links returned by Graph are absolute; the client resolves paths against its
+// own base URL, so keep only the part after the version
+const relativeLink = (link) => {
+  const url = new URL(link, 'https://graph.microsoft.com');
+  return `${url.pathname.replace(/^\/(v1\.0|beta)\//, '/')}${url.search}`;
+};
+
 class GraphApiClient {
   constructor() {
     this.circuitBreaker = new CircuitBreaker();
     this.cache = redis;
   }
 
-  // Create authenticated Graph client for user
+  // Create authenticated Graph client for user. Rate limiting happens in
+  // executeRequest: a custom middleware chain cannot be combined with the
+  // authProvider, which the SDK rejects.
   async createClient(userId) {
     const accessToken = await microsoftAuth.getValidAccessToken(userId);
     
@@ -70,31 +79,10 @@ class GraphApiClient {
       getAccessToken: async () => accessToken
     };
 
-    return Client.initWithMiddleware({ 
+    return Client.initWithMiddleware({
       authProvider,
-      middleware: {
-        // Add custom middleware for logging and rate limiting
-        before: async (context) => {
-          // Rate limiting
-          await rateLimiter.consume(userId);
-          
-          // Logging
-          logger.info('Graph API request', {
-            userId,
-            url: context.request.url,
-            method: context.request.method
-          });
-        },
-        after: async (context) => {
-          // Log response
-          logger.info('Graph API response', {
-            userId,
-            url: context.request.url,
-            status: context.response?.status,
-            duration: context.response?.headers?.get('request-id')
-          });
-        }
-      }
+      // National clouds or a local mock Graph server
+      ...(process.env.MICROSOFT_GRAPH_BASE_URL && { baseUrl: process.env.MICROSOFT_GRAPH_BASE_URL })
     });
   }
 
@@ -203,7 +191,7 @@ class GraphApiClient {
     );
   }
 
-  async downloadFile(userId, driveId, itemId) {
+  async downloadFile(userId, driveId, itemId, { signal } = {}) {
     // No caching for file downloads
     return await this.executeRequest(
       userId,
@@ -212,12 +200,12 @@ class GraphApiClient {
           ? `/me/drive/items/${itemId}/content`
           : `/drives/${driveId}/items/${itemId}/content`;
           
-        return await client.api(endpoint).getStream();
+        return await client.api(endpoint).options({ signal }).getStream();
       }
     );
   }
 
-  async uploadFile(userId, driveId, parentPath, fileName, fileStream, conflictBehavior = 'replace') {
+  async uploadFile(userId, driveId, parentPath, fileName, fileStream, conflictBehavior = 'replace', { signal } = {}) {
     // Clear cache after upload
     const cacheKey = `drive_items:${userId}:${driveId}:${parentPath}`;
     
@@ -231,6 +219,7 @@ class GraphApiClient {
         return await client
           .api(endpoint)
           .header('Content-Type', 'application/octet-stream')
+          .options({ signal })
           .put(fileStream);
       }
     );
@@ -241,6 +230,64 @@ class GraphApiClient {
     return result;
   }
 
+  async getDriveItem(userId, driveId, itemId) {
+    return await this.executeRequest(
+      userId,
+      async (client) => {
+        const endpoint = driveId === 'default'
+          ? `/me/drive/items/${itemId}`
+          : `/drives/${driveId}/items/${itemId}`;
+
+        return await client.api(endpoint).select('id,name,parentReference,file,folder').get();
+      }
+    );
+  }
+
+  // Item at a path relative to the drive root ('' is the root itself)
+  async getDriveItemByPath(userId, driveId, itemPath = '') {
+    return await this.executeRequest(
+      userId,
+      async (client) => {
+        const drive = driveId === 'default' ? '/me/drive' : `/drives/${driveId}`;
+        const encoded = itemPath.split('/').filter(Boolean).map(encodeURIComponent).join('/');
+        const endpoint = encoded ? `${drive}/root:/${encoded}` : `${drive}/root`;
+
+        return await client.api(endpoint).select('id,name,parentReference,folder').get();
+      }
+    );
+  }
+
+  // Changes in a drive since a delta link, following next links for up to
+  // maxPages pages. Without a link the sync starts over: from scratch, or
+  // from now on with `latest`. Returns the changed items and the link to
+  // resume from, a delta link once the sync is complete or the next page
+  // link otherwise. No caching, and one rate limit point for all pages.
+  async getDriveDelta(userId, driveId, { link = null, latest = false, maxPages = 50 } = {}) {
+    return await this.executeRequest(
+      userId,
+      async (client) => {
+        const drive = driveId === 'default' ? '/me/drive' : `/drives/${driveId}`;
+        let url = link ? relativeLink(link) : `${drive}/root/delta${latest ? '?token=latest' : ''}`;
+        const items = [];
+
+        for (let page = 0; page < maxPages; page++) {
+          const response = await client.api(url).get();
+          items.push(...(response.value || []));
+
+          if (response['@odata.deltaLink']) {
+            return { items, link: response['@odata.deltaLink'], complete: true };
+          }
+          if (!response['@odata.nextLink']) {
+            break;
+          }
+          url = relativeLink(response['@odata.nextLink']);
+        }
+
+        return { items, link: url, complete: false };
+      }
+    );
+  }
+
   // SharePoint sites operations
   async getUserSites(userId, search = '') {
     const cacheKey = `user_sites:${userId}:${search}`;
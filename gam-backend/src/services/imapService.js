@@ -0,0 +1,238 @@
+import { ImapFlow } from 'imapflow';
+import { simpleParser } from 'mailparser';
+import fs from 'fs-extra';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { fileURLToPath } from 'url';
+import { logger } from '../config/logs.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Same temp directory as the file operation steps
+const TEMP_DIR = path.join(__dirname, '../../temp');
+
+export const MAIL_ACTIONS = ['none', 'mark_read', 'move'];
+
+// Attachment names come from the sender; keep them to one safe path segment
+const safeFileName = (name, index) => {
+  const base = path.basename(String(name || '')).replace(/[^\w.\- ]+/g, '_').trim();
+  return base && base !== '.' && base !== '..' ? base : `attachment_${index + 1}`;
+};
+
+const addresses = (field) => (field?.value || []).map(({ name, address }) => ({ name: name || null, address: address || null }));
+
+// Reads mailboxes over IMAP: search a folder, parse the matching messages,
+// save their attachments to temp files and optionally mark them read or move
+// them. Used by the email source step and the email trigger.
+class ImapService {
+  // Open an authenticated connection; cancelling the signal drops it
+  async connect(config, signal = null) {
+    const client = new ImapFlow({
+      host: config.host,
+      port: Number(config.port || (config.secure === false ? 143 : 993)),
+      secure: config.secure !== false,
+      auth: { user: config.username, pass: config.password },
+      tls: { rejectUnauthorized: !config.allowSelfSigned },
+      connectionTimeout: Number(config.timeout || 30000),
+      logger: false
+    });
+
+    // Errors on an idle connection are reported on the next command
+    client.on('error', (error) => {
+      logger.warn('IMAP connection error', { host: config.host, error: error.message });
+    });
+
+    signal?.addEventListener('abort', () => client.close(), { once: true });
+
+    await client.connect();
+    return client;
+  }
+
+  // Messages of config.folder that match the filters, oldest first, parsed
+  // and with their attachments saved under a fresh temp directory. Only UIDs
+  // above `afterUid` are read when it is given. The folder's uidValidity is
+  // returned too: when it changes, old UIDs point at other messages, so
+  // nothing is read if it differs from the `uidValidity` passed in.
+  // `onMessage` is awaited for each message before it is marked or moved;
+  // when it returns false, that message and the ones after it are left
+  // untouched and `stopped` is set in the result.
+  async fetchMessages(config, { afterUid = null, uidValidity: expectedValidity = null, limit = null, signal = null, onMessage = null } = {}) {
+    const {
+      folder = 'INBOX',
+      from,
+      subjectPattern,
+      unreadOnly = true,
+      saveAttachments = true,
+      markAs = 'none',
+      moveTo
+    } = config;
+    const maxMessages = Number(limit ?? config.maxMessages ?? 50);
+    const subject = subjectPattern ? new RegExp(subjectPattern, 'i') : null;
+
+    const client = await this.connect(config, signal);
+    try {
+      const lock = await client.getMailboxLock(folder);
+      try {
+        const { uidValidity, uidNext } = client.mailbox;
+        const highestUid = Math.max(Number(uidNext) - 1, 0);
+
+        if (expectedValidity !== null && String(uidValidity) !== String(expectedValidity)) {
+          return { folder, uidValidity: String(uidValidity), lastUid: highestUid, matched: 0, truncated: false, messages: [] };
+        }
+
+        const query = {};
+        if (unreadOnly) query.seen = false;
+        if (from) query.from = from;
+        if (afterUid !== null) query.uid = `${Number(afterUid) + 1}:*`;
+
+        // A `n:*` range always includes the newest message, even below n
+        const uids = ((await client.search(query, { uid: true })) || [])
+          .filter(uid => afterUid === null || uid > Number(afterUid))
+          .sort((a, b) => a - b);
+
+        // IMAP only matches subjects by substring, so the pattern is applied here
+        let selected = uids;
+        if (subject && uids.length > 0) {
+          const envelopes = await client.fetchAll(uids, { envelope: true, uid: true }, { uid: true });
+          const matching = new Set(envelopes.filter(message => subject.test(message.envelope?.subject || '')).map(message => message.uid));
+          selected = uids.filter(uid => matching.has(uid));
+        }
+
+        const truncated = selected.length > maxMessages;
+        selected = selected.slice(0, maxMessages);
+
+        const directory = path.join(TEMP_DIR, 'email', uuidv4());
+        const messages = [];
+        let stopped = false;
+
+        try {
+          for (const uid of selected) {
+            if (signal?.aborted) throw signal.reason;
+
+            const { source } = await client.fetchOne(uid, { source: true }, { uid: true });
+            const parsed = await simpleParser(source);
+            const message = await this.toMessage(uid, parsed, saveAttachments ? directory : null);
+            if (onMessage && (await onMessage(message)) === false) {
+              stopped = true;
+              break;
+            }
+            messages.push(message);
+          }
+        } finally {
+          // Only the messages handled so far, even when one failed
+          const handled = messages.map(message => message.uid);
+          if (handled.length > 0 && markAs === 'mark_read') {
+            await client.messageFlagsAdd(handled, ['\\Seen'], { uid: true });
+          } else if (handled.length > 0 && markAs === 'move') {
+            await client.messageMove(handled, moveTo, { uid: true });
+          }
+        }
+
+        return {
+          folder,
+          uidValidity: String(uidValidity),
+          // Highest UID the folder had when it was read
+          lastUid: Math.max(highestUid, ...uids),
+          matched: uids.length,
+          truncated,
+          stopped,
+          messages
+        };
+      } finally {
+        lock.release();
+      }
+    } finally {
+      await client.logout().catch(() => client.close());
+    }
+  }
+
+  // uidValidity and highest UID of a folder, without reading any message
+  async mailboxStatus(config, signal = null) {
+    const folder = config.folder || 'INBOX';
+    const client = await this.connect(config, signal);
+    try {
+      const { uidNext, uidValidity } = await client.status(folder, { uidNext: true, uidValidity: true });
+      return { folder, uidValidity: String(uidValidity), lastUid: Math.max(Number(uidNext) - 1, 0) };
+    } finally {
+      await client.logout().catch(() => client.close());
+    }
+  }
+
+  async toMessage(uid, parsed, attachmentDir) {
+    const attachments = [];
+
+    for (const [index, attachment] of (parsed.attachments || []).entries()) {
+      const fileName = safeFileName(attachment.filename, index);
+      let localPath = null;
+
+      if (attachmentDir) {
+        // Prefixed with the UID so equal names from two messages do not clash
+        localPath = path.join(attachmentDir, `${uid}_${index + 1}_${fileName}`);
+        await fs.ensureDir(attachmentDir);
+        await fs.writeFile(localPath, attachment.content);
+      }
+
+      attachments.push({
+        name: fileName,
+        contentType: attachment.contentType,
+        size: attachment.size,
+        contentId: attachment.contentId || null,
+        inline: attachment.contentDisposition === 'inline',
+        localPath
+      });
+    }
+
+    return {
+      uid,
+      messageId: parsed.messageId || null,
+      date: parsed.date ? parsed.date.toISOString() : null,
+      subject: parsed.subject || '',
+      from: addresses(parsed.from)[0] || null,
+      to: addresses(parsed.to),
+      cc: addresses(parsed.cc),
+      replyTo: addresses(parsed.replyTo),
+      headers: Object.fromEntries([...parsed.headers.entries()].map(([key, value]) => [
+        key,
+        typeof value === 'object' && value !== null && 'text' in value ? value.text : value
+      ])),
+      text: parsed.text || '',
+      html: parsed.html || null,
+      attachments
+    };
+  }
+
+  // Settings and filters shared by the email step and trigger
+  validateConfig(config) {
+    const errors = [];
+    if (!config.host) {
+      errors.push('IMAP host is required');
+    }
+    if (!config.username) {
+      errors.push('Username is required');
+    }
+    if (!config.password) {
+      errors.push('Password is required');
+    }
+    if (config.port !== undefined && config.port !== '' && !(Number(config.port) > 0 && Number(config.port) < 65536)) {
+      errors.push('Port must be between 1 and 65535');
+    }
+    if (config.subjectPattern) {
+      try {
+        new RegExp(config.subjectPattern);
+      } catch (error) {
+        errors.push(`Invalid subject pattern: ${error.message}`);
+      }
+    }
+    if (config.markAs && !MAIL_ACTIONS.includes(config.markAs)) {
+      errors.push(`After reading must be one of: ${MAIL_ACTIONS.join(', ')}`);
+    }
+    if (config.markAs === 'move' && !config.moveTo) {
+      errors.push('Destination folder is required to move messages');
+    }
+    return errors;
+  }
+}
+
+export const imapService = new ImapService();
+export default imapService;
@@ -23,13 +23,13 @@ class SharePointSourceExecutor extends StepExecutor {
 
   async execute(step, context, inputData) {
     const { siteId, driveId, folderPath = 'root', operation = 'list_files' } = step.config;
-    const userId = context.automationId; // Using automationId as userId for now
+    const workspaceId = context.workspaceId; // connections belong to the workspace
 
     context.log('info', `Executing SharePoint source: ${operation}`, { stepId: step.id });
 
     try {
       // Check if user has Microsoft integration
-      const isConnected = await microsoftAuth.isUserConnected(userId);
+      const isConnected = await microsoftAuth.isUserConnected(workspaceId);
       if (!isConnected) {
         throw new Error('Microsoft integration not connected');
       }
@@ -37,26 +37,26 @@ class SharePointSourceExecutor extends StepExecutor {
       let result;
       switch (operation) {
         case 'list_files':
-          result = await sharepointService.listFiles(userId, siteId, driveId, folderPath);
+          result = await sharepointService.listFiles(workspaceId, siteId, driveId, folderPath);
           break;
         
         case 'list_sites':
           const searchQuery = step.config.searchQuery || '';
-          result = await sharepointService.listSites(userId, searchQuery);
+          result = await sharepointService.listSites(workspaceId, searchQuery);
           break;
         
         case 'list_document_libraries':
-          result = await sharepointService.listDocumentLibraries(userId, siteId);
+          result = await sharepointService.listDocumentLibraries(workspaceId, siteId);
           break;
         
         case 'get_list_items':
           const { listId, pageSize = 200 } = step.config;
-          result = await sharepointService.getListItems(userId, siteId, listId, { pageSize });
+          result = await sharepointService.getListItems(workspaceId, siteId, listId, { pageSize });
           break;
         
         case 'search_files':
           const { query, fileTypes = [] } = step.config;
-          result = await sharepointService.searchFiles(userId, siteId, query, { fileTypes });
+          result = await sharepointService.searchFiles(workspaceId, siteId, query, { fileTypes });
           break;
         
         default:
@@ -125,12 +125,12 @@ class OneDriveSourceExecutor extends StepExecutor {
 
   async execute(step, context, inputData) {
     const { folderPath = 'root', operation = 'list_files' } = step.config;
-    const userId = context.automationId;
+    const workspaceId = context.workspaceId;
 
     context.log('info', `Executing OneDrive source: ${operation}`, { stepId: step.id });
 
     try {
-      const isConnected = await microsoftAuth.isUserConnected(userId);
+      const isConnected = await microsoftAuth.isUserConnected(workspaceId);
       if (!isConnected) {
         throw new Error('Microsoft integration not connected');
       }
@@ -139,20 +139,20 @@ class OneDriveSourceExecutor extends StepExecutor {
       switch (operation) {
         case 'list_files':
           const { sortBy, sortOrder, pageSize = 200 } = step.config;
-          result = await oneDriveService.listItems(userId, folderPath, { sortBy, sortOrder, pageSize });
+          result = await oneDriveService.listItems(workspaceId, folderPath, { sortBy, sortOrder, pageSize });
           break;
         
         case 'get_drive_info':
-          result = await oneDriveService.getDriveInfo(userId);
+          result = await oneDriveService.getDriveInfo(workspaceId);
           break;
         
         case 'search_files':
           const { query, fileTypes = [] } = step.config;
-          result = await oneDriveService.searchFiles(userId, query, { fileTypes });
+          result = await oneDriveService.searchFiles(workspaceId, query, { fileTypes });
           break;
         
         case 'get_usage_stats':
-          result = await oneDriveService.getUsageStats(userId);
+          result = await oneDriveService.getUsageStats(workspaceId);
           break;
         
         default:
@@ -205,27 +205,23 @@ class SMBShareSourceExecutor extends StepExecutor {
 
   async execute(step, context, inputData) {
     const { server, share, username, password, domain, remotePath = '', operation = 'list_files' } = step.config;
-    const userId = context.automationId;
 
     context.log('info', `Executing SMB source: ${operation}`, { stepId: step.id });
 
     try {
-      // Create SMB connection if not exists
-      const connectionStatus = smbService.getConnectionStatus(userId);
-      if (!connectionStatus.connected) {
-        await smbService.createConnection(userId, {
-          server,
-          share,
-          username,
-          password,
-          domain
-        });
-      }
+      // Closed when the execution ends
+      const connection = await smbService.connectionFor(context.executionId, {
+        server,
+        share,
+        username,
+        password,
+        domain
+      });
 
       let result;
       switch (operation) {
         case 'list_files':
-          result = await smbService.listFiles(userId, remotePath);
+          result = await smbService.listFiles(connection, remotePath);
           break;
         
         default:
@@ -284,6 +280,16 @@ class SMBShareSourceExecutor extends StepExecutor {
   }
 }
 
+// File operations on a network share go through the share the execution's
+// last SMB source step connected to
+const smbConnection = (context) => {
+  const connection = smbService.latestConnection(context.executionId);
+  if (!connection) {
+    throw new Error('No SMB connection in this execution; add a Network Share step before this one');
+  }
+  return connection;
+};
+
 // File Operations Action Step
 class FileOperationsExecutor extends StepExecutor {
   constructor() {
@@ -292,7 +298,7 @@ class FileOperationsExecutor extends StepExecutor {
 
   async execute(step, context, inputData) {
     const { operation, sourceType, destinationType } = step.config;
-    const userId = context.automationId;
+    const workspaceId = context.workspaceId;
 
     context.log('info', `Executing file operation: ${operation}`, { stepId: step.id });
 
@@ -301,23 +307,23 @@ class FileOperationsExecutor extends StepExecutor {
       
       switch (operation) {
         case 'download':
-          result = await this.downloadFiles(userId, inputData, step.config, context);
+          result = await this.downloadFiles(workspaceId, inputData, step.config, context);
           break;
         
         case 'upload':
-          result = await this.uploadFiles(userId, inputData, step.config, context);
+          result = await this.uploadFiles(workspaceId, inputData, step.config, context);
           break;
         
         case 'copy':
-          result = await this.copyFiles(userId, inputData, step.config, context);
+          result = await this.copyFiles(workspaceId, inputData, step.config, context);
           break;
         
         case 'move':
-          result = await this.moveFiles(userId, inputData, step.config, context);
+          result = await this.moveFiles(workspaceId, inputData, step.config, context);
           break;
         
         case 'delete':
-          result = await this.deleteFiles(userId, inputData, step.config, context);
+          result = await this.deleteFiles(workspaceId, inputData, step.config, context);
           break;
         
         default:
@@ -348,7 +354,7 @@ class FileOperationsExecutor extends StepExecutor {
     }
   }
 
-  async downloadFiles(userId, inputData, config, context) {
+  async downloadFiles(workspaceId, inputData, config, context) {
     const { sourceType, downloadPath = TEMP_DIR } = config;
     const files = Array.isArray(inputData) ? inputData : [inputData];
     const downloadedFiles = [];
@@ -356,6 +362,7 @@ class FileOperationsExecutor extends StepExecutor {
     await fs.ensureDir(downloadPath);
 
     for (const file of files) {
+      context.throwIfCancelled();
       try {
         const fileName = file.name || `file_${Date.now()}`;
         const localPath = path.join(downloadPath, fileName);
@@ -363,15 +370,15 @@ class FileOperationsExecutor extends StepExecutor {
         switch (sourceType) {
           case 'sharepoint':
             const { siteId, driveId, itemId } = file;
-            await sharepointService.downloadFile(userId, siteId, driveId, itemId || file.id, localPath);
+            await sharepointService.downloadFile(workspaceId, siteId, driveId, itemId || file.id, localPath, { signal: context.signal });
             break;
           
           case 'onedrive':
-            await oneDriveService.downloadFile(userId, file.id, localPath);
+            await oneDriveService.downloadFile(workspaceId, file.id, localPath, { signal: context.signal });
             break;
           
           case 'smb':
-            await smbService.downloadFile(userId, file.path || file.name, localPath);
+            await smbService.downloadFile(smbConnection(context), file.path || file.name, localPath, { signal: context.signal });
             break;
           
           default:
@@ -387,6 +394,7 @@ class FileOperationsExecutor extends StepExecutor {
         context.log('debug', `File downloaded: ${fileName}`, { localPath });
 
       } catch (error) {
+        if (context.cancelled) throw error;
         context.log('warn', `Failed to download file: ${file.name}`, { error: error.message });
         downloadedFiles.push({
           ...file,
@@ -402,12 +410,13 @@ class FileOperationsExecutor extends StepExecutor {
     };
   }
 
-  async uploadFiles(userId, inputData, config, context) {
+  async uploadFiles(workspaceId, inputData, config, context) {
     const { destinationType, destinationPath } = config;
     const files = Array.isArray(inputData) ? inputData : [inputData];
     const uploadedFiles = [];
 
     for (const file of files) {
+      context.throwIfCancelled();
       try {
         if (!file.localPath) {
           throw new Error('File must have localPath for upload');
@@ -418,7 +427,7 @@ class FileOperationsExecutor extends StepExecutor {
         switch (destinationType) {
           case 'sharepoint':
             const { siteId, driveId } = config;
-            const result = await sharepointService.uploadFile(userId, siteId, driveId, file.localPath, remotePath);
+            const result = await sharepointService.uploadFile(workspaceId, siteId, driveId, file.localPath, remotePath, { signal: context.signal });
             uploadedFiles.push({
               ...file,
               remoteId: result.data.id,
@@ -428,7 +437,7 @@ class FileOperationsExecutor extends StepExecutor {
             break;
           
           case 'onedrive':
-            const oneDriveResult = await oneDriveService.uploadFile(userId, file.localPath, remotePath);
+            const oneDriveResult = await oneDriveService.uploadFile(workspaceId, file.localPath, remotePath, { signal: context.signal });
             uploadedFiles.push({
               ...file,
               remoteId: oneDriveResult.data.id,
@@ -438,7 +447,7 @@ class FileOperationsExecutor extends StepExecutor {
             break;
           
           case 'smb':
-            await smbService.uploadFile(userId, file.localPath, remotePath);
+            await smbService.uploadFile(smbConnection(context), file.localPath, remotePath, { signal: context.signal });
             uploadedFiles.push({
               ...file,
               remotePath,
@@ -453,6 +462,7 @@ class FileOperationsExecutor extends StepExecutor {
         context.log('debug', `File uploaded: ${file.name}`, { remotePath });
 
       } catch (error) {
+        if (context.cancelled) throw error;
         context.log('warn', `Failed to upload file: ${file.name}`, { error: error.message });
         uploadedFiles.push({
           ...file,
@@ -468,13 +478,13 @@ class FileOperationsExecutor extends StepExecutor {
     };
   }
 
-  async copyFiles(userId, inputData, config, context) {
+  async copyFiles(workspaceId, inputData, config, context) {
     // Implement copy logic by downloading from source and uploading to destination
     const downloadConfig = { ...config, sourceType: config.sourceType, downloadPath: TEMP_DIR };
-    const downloadResult = await this.downloadFiles(userId, inputData, downloadConfig, context);
+    const downloadResult = await this.downloadFiles(workspaceId, inputData, downloadConfig, context);
     
     const uploadConfig = { ...config, destinationType: config.destinationType };
-    const uploadResult = await this.uploadFiles(userId, downloadResult.data, uploadConfig, context);
+    const uploadResult = await this.uploadFiles(workspaceId, downloadResult.data, uploadConfig, context);
 
     // Cleanup temporary files
     for (const file of downloadResult.data) {
@@ -489,35 +499,36 @@ class FileOperationsExecutor extends StepExecutor {
     };
   }
 
-  async moveFiles(userId, inputData, config, context) {
+  async moveFiles(workspaceId, inputData, config, context) {
     // Move is copy + delete from source
-    const copyResult = await this.copyFiles(userId, inputData, config, context);
+    const copyResult = await this.copyFiles(workspaceId, inputData, config, context);
     
     // Delete from source (only successful copies)
     const filesToDelete = copyResult.data.filter(f => f.uploaded);
     if (filesToDelete.length > 0) {
       const deleteConfig = { ...config, sourceType: config.sourceType };
-      await this.deleteFiles(userId, filesToDelete, deleteConfig, context);
+      await this.deleteFiles(workspaceId, filesToDelete, deleteConfig, context);
     }
 
     return copyResult;
   }
 
-  async deleteFiles(userId, inputData, config, context) {
+  async deleteFiles(workspaceId, inputData, config, context) {
     const { sourceType } = config;
     const files = Array.isArray(inputData) ? inputData : [inputData];
     const deletedFiles = [];
 
     for (const file of files) {
+      context.throwIfCancelled();
       try {
         switch (sourceType) {
           case 'sharepoint':
             const { siteId, driveId } = file;
-            await sharepointService.deleteItem(userId, siteId, driveId, file.id);
+            await sharepointService.deleteItem(workspaceId, siteId, driveId, file.id);
             break;
           
           case 'onedrive':
-            await oneDriveService.deleteItem(userId, file.id);
+            await oneDriveService.deleteItem(workspaceId, file.id);
             break;
           
           case 'local':
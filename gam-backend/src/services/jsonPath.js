@@ -0,0 +1,185 @@
+// A JSONPath subset for selecting data out of API responses:
+//   $                root
+//   .name ['name']   member
+//   [0] [-1]         array index (negative counts from the end)
+//   [0:10] [-5:]     array slice
+//   .* [*]           every member or item
+//   ..name ..*       recursive descent
+//   [?(@.a.b == 1)]  filter on items (==, !=, <, <=, >, >=, or just @.a to
+//                    test that a field is set); literals are JSON values
+
+const FILTER_PATTERN = /^\?\(\s*@((?:\.[\w$-]+)*)\s*(?:(==|!=|<=|>=|<|>)\s*(.+?))?\s*\)$/;
+
+const tokenize = (expression) => {
+  const text = String(expression || '').trim();
+  if (!text.startsWith('$')) {
+    throw new Error(`JSONPath must start with $: ${expression}`);
+  }
+
+  const tokens = [];
+  let i = 1;
+
+  while (i < text.length) {
+    if (text.startsWith('..', i)) {
+      i += 2;
+      const match = /^(\*|[\w$-]+)/.exec(text.slice(i));
+      if (match) {
+        tokens.push({ type: 'descend', name: match[1] });
+        i += match[1].length;
+      } else if (text[i] === '[') {
+        tokens.push({ type: 'descend', name: '*' });
+      } else {
+        throw new Error(`Invalid JSONPath near "${text.slice(i - 2)}"`);
+      }
+    } else if (text[i] === '.') {
+      i += 1;
+      const match = /^(\*|[\w$-]+)/.exec(text.slice(i));
+      if (!match) {
+        throw new Error(`Invalid JSONPath near "${text.slice(i - 1)}"`);
+      }
+      tokens.push(match[1] === '*' ? { type: 'wildcard' } : { type: 'member', name: match[1] });
+      i += match[1].length;
+    } else if (text[i] === '[') {
+      // Find the closing bracket, skipping quoted names and filter parentheses
+      let depth = 0;
+      let quote = null;
+      let end = i + 1;
+      for (; end < text.length; end++) {
+        const char = text[end];
+        if (quote) {
+          if (char === quote && text[end - 1] !== '\\') quote = null;
+        } else if (char === '\'' || char === '"') {
+          quote = char;
+        } else if (char === '(') {
+          depth++;
+        } else if (char === ')') {
+          depth--;
+        } else if (char === ']' && depth === 0) {
+          break;
+        }
+      }
+      if (end >= text.length) {
+        throw new Error(`Unclosed [ in JSONPath: ${expression}`);
+      }
+      tokens.push(parseBracket(text.slice(i + 1, end).trim(), expression));
+      i = end + 1;
+    } else {
+      throw new Error(`Invalid JSONPath near "${text.slice(i)}"`);
+    }
+  }
+
+  return tokens;
+};
+
+const parseBracket = (content, expression) => {
+  if (content === '*') {
+    return { type: 'wildcard' };
+  }
+  if (/^(['"]).*\1$/.test(content)) {
+    return { type: 'member', name: content.slice(1, -1) };
+  }
+  if (/^-?\d+$/.test(content)) {
+    return { type: 'index', index: parseInt(content, 10) };
+  }
+  const slice = /^(-?\d*):(-?\d*)$/.exec(content);
+  if (slice) {
+    return {
+      type: 'slice',
+      start: slice[1] === '' ? null : parseInt(slice[1], 10),
+      end: slice[2] === '' ? null : parseInt(slice[2], 10)
+    };
+  }
+  const filter = FILTER_PATTERN.exec(content);
+  if (filter) {
+    let literal;
+    if (filter[2]) {
+      try {
+        literal = JSON.parse(filter[3].replace(/^'(.*)'$/, '"$1"'));
+      } catch {
+        throw new Error(`Invalid filter value in JSONPath: ${filter[3]}`);
+      }
+    }
+    return {
+      type: 'filter',
+      path: filter[1] ? filter[1].slice(1).split('.') : [],
+      operator: filter[2] || null,
+      literal
+    };
+  }
+  throw new Error(`Unsupported JSONPath selector [${content}] in ${expression}`);
+};
+
+const children = (value) => {
+  if (Array.isArray(value)) return value;
+  if (value && typeof value === 'object') return Object.values(value);
+  return [];
+};
+
+const descendants = (value) => [value, ...children(value).flatMap(descendants)];
+
+const compare = (left, operator, right) => {
+  switch (operator) {
+    case '==': return left === right;
+    case '!=': return left !== right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    default: return left !== undefined && left !== null;
+  }
+};
+
+const apply = (token, value) => {
+  switch (token.type) {
+    case 'member':
+      return value && typeof value === 'object' && token.name in value ? [value[token.name]] : [];
+    case 'wildcard':
+      return children(value);
+    case 'index': {
+      if (!Array.isArray(value)) return [];
+      const index = token.index < 0 ? value.length + token.index : token.index;
+      return index >= 0 && index < value.length ? [value[index]] : [];
+    }
+    case 'slice':
+      return Array.isArray(value)
+        ? value.slice(token.start ?? undefined, token.end ?? undefined)
+        : [];
+    case 'filter':
+      return children(value).filter(item => {
+        const field = token.path.reduce((current, key) => current?.[key], item);
+        return compare(field, token.operator, token.literal);
+      });
+    case 'descend':
+      return descendants(value).flatMap(node => (token.name === '*'
+        ? children(node)
+        : apply({ type: 'member', name: token.name }, node)));
+    default:
+      return [];
+  }
+};
+
+// Whether the path can match more than one value
+const isIndefinite = (tokens) => tokens.some(token => ['wildcard', 'slice', 'filter', 'descend'].includes(token.type));
+
+// Every value the path matches
+export const queryJsonPath = (data, expression) =>
+  tokenize(expression).reduce((values, token) => values.flatMap(value => apply(token, value)), [data]);
+
+// The selected value: the single match of a definite path (undefined when
+// nothing matches), or the array of matches of one with wildcards, slices,
+// filters or recursive descent
+export const selectJsonPath = (data, expression) => {
+  const tokens = tokenize(expression);
+  const matches = tokens.reduce((values, token) => values.flatMap(value => apply(token, value)), [data]);
+  return isIndefinite(tokens) ? matches : matches[0];
+};
+
+// Error message for an invalid path, or null
+export const jsonPathError = (expression) => {
+  try {
+    tokenize(expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
@@ -15,10 +15,8 @@ try {
 } catch (error) {
   console.warn('Microsoft Graph Client not available, Microsoft integrations will be disabled');
 }
-import { db } from '../config/database.js';
 import { redis } from '../config/database.js';
-import { users } from '../models/schema.js';
-import { eq } from 'drizzle-orm';
+import { workspaceService } from './workspaceService.js';
 import { logger } from '../config/logs.js';
 
 // MSAL Configuration
@@ -50,7 +48,7 @@ class MicrosoftAuthService {
   }
 
   // Get authorization URL for OAuth2 flow
-  getAuthorizationUrl(userId, state = null) {
+  getAuthorizationUrl(workspaceId, state = null) {
     if (!this.msalInstance) {
       throw new Error('Microsoft authentication not configured');
     }
@@ -58,7 +56,7 @@ class MicrosoftAuthService {
     const authCodeUrlParameters = {
       scopes: SCOPES,
       redirectUri: process.env.MICROSOFT_REDIRECT_URI || 'http://localhost:3001/api/auth/microsoft/callback',
-      state: state || userId,
+      state: state || workspaceId,
       prompt: 'select_account',
     };
 
@@ -80,8 +78,8 @@ class MicrosoftAuthService {
 
       const response = await this.msalInstance.acquireTokenByCode(tokenRequest);
       
-      // Store tokens in Redis with user association
-      const userId = state; // Assuming state contains userId
+      // Store tokens in Redis with workspace association
+      const workspaceId = state; // state carries the workspace being connected
       const tokenData = {
         accessToken: response.accessToken,
         refreshToken: response.refreshToken,
@@ -90,9 +88,9 @@ class MicrosoftAuthService {
         scopes: response.scopes,
       };
 
-      await this.storeUserTokens(userId, tokenData);
+      await this.storeUserTokens(workspaceId, tokenData);
 
-      logger.info('Microsoft tokens acquired successfully', { userId, scopes: response.scopes });
+      logger.info('Microsoft tokens acquired successfully', { workspaceId, scopes: response.scopes });
       
       return {
         success: true,
@@ -106,20 +104,21 @@ class MicrosoftAuthService {
     }
   }
 
-  // Store user tokens in Redis
-  async storeUserTokens(userId, tokenData) {
-    const key = `microsoft_tokens:${userId}`;
+  // Store a workspace's tokens in Redis. The whole workspace shares one
+  // Microsoft connection, so automations run with it whoever triggers them.
+  async storeUserTokens(workspaceId, tokenData) {
+    const key = `microsoft_tokens:${workspaceId}`;
     const expiresIn = Math.floor((tokenData.expiresOn.getTime() - Date.now()) / 1000);
     
     await redis.setEx(key, expiresIn, JSON.stringify(tokenData));
     
-    // Also store a flag indicating user has Microsoft integration
-    await this.updateUserMicrosoftStatus(userId, true);
+    // Also store a flag indicating the workspace has Microsoft integration
+    await this.updateMicrosoftStatus(workspaceId, true);
   }
 
-  // Get user tokens from Redis
-  async getUserTokens(userId) {
-    const key = `microsoft_tokens:${userId}`;
+  // Get a workspace's tokens from Redis
+  async getUserTokens(workspaceId) {
+    const key = `microsoft_tokens:${workspaceId}`;
     const tokenData = await redis.get(key);
     
     if (!tokenData) {
@@ -130,13 +129,13 @@ class MicrosoftAuthService {
   }
 
   // Refresh access token
-  async refreshAccessToken(userId) {
+  async refreshAccessToken(workspaceId) {
     if (!this.msalInstance) {
       throw new Error('Microsoft authentication not configured');
     }
 
     try {
-      const storedTokens = await this.getUserTokens(userId);
+      const storedTokens = await this.getUserTokens(workspaceId);
       if (!storedTokens || !storedTokens.refreshToken) {
         throw new Error('No refresh token available');
       }
@@ -158,26 +157,26 @@ class MicrosoftAuthService {
         scopes: response.scopes,
       };
 
-      await this.storeUserTokens(userId, tokenData);
+      await this.storeUserTokens(workspaceId, tokenData);
 
-      logger.info('Microsoft access token refreshed', { userId });
+      logger.info('Microsoft access token refreshed', { workspaceId });
       
       return response.accessToken;
 
     } catch (error) {
-      logger.error('Token refresh failed', { userId, error: error.message });
+      logger.error('Token refresh failed', { workspaceId, error: error.message });
       
-      // If refresh fails, mark user as needing re-authentication
-      await this.updateUserMicrosoftStatus(userId, false);
+      // If refresh fails, mark the workspace as needing re-authentication
+      await this.updateMicrosoftStatus(workspaceId, false);
       throw new Error(`Token refresh failed: ${error.message}`);
     }
   }
 
   // Get valid access token (refresh if needed)
-  async getValidAccessToken(userId) {
-    const storedTokens = await this.getUserTokens(userId);
+  async getValidAccessToken(workspaceId) {
+    const storedTokens = await this.getUserTokens(workspaceId);
     if (!storedTokens) {
-      throw new Error('User not authenticated with Microsoft');
+      throw new Error('Workspace not authenticated with Microsoft');
     }
 
     // Check if token is still valid (with 5 minute buffer)
@@ -190,68 +189,55 @@ class MicrosoftAuthService {
     }
 
     // Token is expired or about to expire, refresh it
-    return await this.refreshAccessToken(userId);
+    return await this.refreshAccessToken(workspaceId);
   }
 
-  // Update user's Microsoft integration status in database
-  async updateUserMicrosoftStatus(userId, isConnected) {
+  // Update the workspace's Microsoft integration status in database
+  async updateMicrosoftStatus(workspaceId, isConnected) {
     try {
-      const [user] = await db
-        .select()
-        .from(users)
-        .where(eq(users.id, userId));
-
-      if (user) {
-        const updatedSettings = {
-          ...user.settings,
-          microsoftIntegration: {
-            connected: isConnected,
-            connectedAt: isConnected ? new Date().toISOString() : null,
-          }
-        };
-
-        await db
-          .update(users)
-          .set({ settings: updatedSettings })
-          .where(eq(users.id, userId));
-      }
+      await workspaceService.updateSettings(workspaceId, {
+        microsoftIntegration: {
+          connected: isConnected,
+          connectedAt: isConnected ? new Date().toISOString() : null,
+        }
+      });
     } catch (error) {
-      logger.error('Failed to update user Microsoft status', { userId, error: error.message });
+      logger.error('Failed to update workspace Microsoft status', { workspaceId, error: error.message });
     }
   }
 
   // Disconnect Microsoft integration
-  async disconnectUser(userId) {
+  async disconnectUser(workspaceId) {
     try {
       // Remove tokens from Redis
-      const key = `microsoft_tokens:${userId}`;
+      const key = `microsoft_tokens:${workspaceId}`;
       await redis.del(key);
 
-      // Update user status
-      await this.updateUserMicrosoftStatus(userId, false);
+      // Update workspace status
+      await this.updateMicrosoftStatus(workspaceId, false);
 
-      logger.info('Microsoft integration disconnected', { userId });
+      logger.info('Microsoft integration disconnected', { workspaceId });
       
       return { success: true };
     } catch (error) {
-      logger.error('Failed to disconnect Microsoft integration', { userId, error: error.message });
+      logger.error('Failed to disconnect Microsoft integration', { workspaceId, error: error.message });
       throw error;
     }
   }
 
-  // Check if user has valid Microsoft integration
-  async isUserConnected(userId) {
-    const tokens = await this.getUserTokens(userId);
+  // Check if the workspace has valid Microsoft integration
+  async isUserConnected(workspaceId) {
+    const tokens = await this.getUserTokens(workspaceId);
     return !!tokens;
   }
 
-  // Create Graph client for user
-  async createGraphClient(userId) {
+  // Create Graph client for a workspace
+  async createGraphClient(workspaceId) {
     if (!this.msalInstance) {
       throw new Error('Microsoft authentication not configured');
     }
 
-    const accessToken = await this.getValidAccessToken(userId);
+    const accessToken = await this.getValidAccessToken(workspaceId);
     
     // Custom authentication provider
     const authProvider = {
@@ -277,9 +263,9 @@ class TokenAuthenticationProvider {
 
 export const microsoftAuth = new MicrosoftAuthService();
 
-// Helper function to get Graph client for user
-export const getGraphClientForUser = async (userId) => {
-  return await microsoftAuth.createGraphClient(userId);
+// Helper function to get Graph client for a workspace
+export const getGraphClientForUser = async (workspaceId) => {
+  return await microsoftAuth.createGraphClient(workspaceId);
 };
 
 // Helper function to check if Microsoft integration is available
@@ -138,12 +138,12 @@ class OneDriveService {
   }
 
   // Download file from OneDrive
-  async downloadFile(userId, itemId, localPath = null) {
+  async downloadFile(userId, itemId, localPath = null, { signal } = {}) {
     try {
       logger.info('Downloading OneDrive file', { userId, itemId, localPath });
       
       // Get file stream from Graph API
-      const fileStream = await this.graphClient.downloadFile(userId, 'default', itemId);
+      const fileStream = await this.graphClient.downloadFile(userId, 'default', itemId, { signal });
       
       if (localPath) {
         // Save to local file
@@ -154,6 +154,12 @@ class OneDriveService {
         fileStream.pipe(writeStream);
         
         return new Promise((resolve, reject) => {
+          // Cancelling the execution stops the transfer mid-stream
+          signal?.addEventListener('abort', () => {
+            fileStream.destroy();
+            writeStream.destroy(signal.reason);
+          }, { once: true });
+          
           writeStream.on('finish', () => {
             logger.info('OneDrive file downloaded successfully', { localPath });
             resolve({
@@ -186,7 +192,7 @@ class OneDriveService {
   // Upload file to OneDrive
   async uploadFile(userId, localFilePath, destinationPath, options = {}) {
     try {
-      const { conflictBehavior = 'replace', createFolders = true } = options;
+      const { conflictBehavior = 'replace', createFolders = true, signal } = options;
       
       logger.info('Uploading file to OneDrive', { 
         userId, localFilePath, destinationPath, options 
@@ -204,7 +210,7 @@ class OneDriveService {
       
       // For large files (>4MB), use upload session
       if (stats.size > 4 * 1024 * 1024) {
-        return await this.uploadLargeFile(userId, parentPath, fileName, localFilePath);
+        return await this.uploadLargeFile(userId, parentPath, fileName, localFilePath, signal);
       }
       
       // Small file upload
@@ -216,7 +222,8 @@ class OneDriveService {
         parentPath === '.' ? 'root' : parentPath, 
         fileName, 
         fileStream, 
-        conflictBehavior
+        conflictBehavior,
+        { signal }
       );
       
       return {
@@ -240,7 +247,7 @@ class OneDriveService {
   }
 
   // Upload large file using upload session
-  async uploadLargeFile(userId, parentPath, fileName, localFilePath) {
+  async uploadLargeFile(userId, parentPath, fileName, localFilePath, signal = null) {
     try {
       logger.info('Starting OneDrive large file upload', { userId, fileName });
       
@@ -267,6 +274,7 @@ class OneDriveService {
       
       try {
         while (uploadedBytes < fileSize) {
+          signal?.throwIfAborted();
           const remainingBytes = fileSize - uploadedBytes;
           const currentChunkSize = Math.min(chunkSize, remainingBytes);
           
@@ -280,7 +288,7 @@ class OneDriveService {
           const start = uploadedBytes;
           const end = uploadedBytes + bytesRead - 1;
           
-          const chunkResponse = await client.api(uploadUrl).put(buffer.slice(0, bytesRead), {
+          const chunkResponse = await client.api(uploadUrl).options({ signal }).put(buffer.slice(0, bytesRead), {
             'Content-Range': `bytes ${start}-${end}/${fileSize}`,
             'Content-Length': bytesRead.toString()
           });
@@ -0,0 +1,208 @@
+import { db } from '../config/database.js';
+import { automations, automationShares, users } from '../models/schema.js';
+import { eq, and, or, sql } from 'drizzle-orm';
+import { ROLE_PERMISSIONS } from './workspaceService.js';
+import { auditService, AUDIT_ACTIONS } from './auditService.js';
+import { logger } from '../config/logs.js';
+
+// Access levels on an automation, lowest first; each includes the ones
+// before it
+export const PERMISSIONS = ['view', 'execute', 'edit', 'owner'];
+
+// Shares written before the levels above existed
+const LEGACY_PERMISSIONS = { read: 'view', write: 'edit' };
+
+export const normalizePermission = (permission) =>
+  LEGACY_PERMISSIONS[permission] || (PERMISSIONS.includes(permission) ? permission : null);
+
+export const allows = (permission, required) => {
+  const level = PERMISSIONS.indexOf(normalizePermission(permission));
+  return level !== -1 && level >= PERMISSIONS.indexOf(required);
+};
+
+// Every stored permission value, lowest first, for ranking grants in SQL
+const PERMISSION_RANKING = PERMISSIONS.flatMap(permission => [
+  ...Object.keys(LEGACY_PERMISSIONS).filter(legacy => LEGACY_PERMISSIONS[legacy] === permission),
+  permission
+]);
+
+// Who may do what with an automation: its owner may do everything, anyone
+// else the higher of what their automation_shares row grants and what their
+// role in the automation's workspace grants (ROLE_PERMISSIONS). Every
+// permission change is written to the audit log.
+class PermissionService {
+  // SQL for the user's raw permission on the automations row in scope
+  // (owner, the best share or workspace grant, or NULL), for queries over
+  // automations. Normalize the selected value with normalizePermission. The
+  // subqueries spell out their table names: drizzle leaves columns
+  // unqualified in single-table queries, where "id" would resolve to the
+  // share's own id.
+  permissionExpression(userId) {
+    const ranking = sql.join(PERMISSION_RANKING.map(permission => sql`${permission}`), sql`, `);
+    const roleGrants = sql.join(
+      Object.entries(ROLE_PERMISSIONS).map(([role, permission]) => sql`WHEN ${role} THEN ${permission}`),
+      sql` `
+    );
+
+    return sql`(CASE WHEN "automations"."owner_id" = ${userId} THEN 'owner' ELSE (
+      SELECT granted.permission FROM (
+        SELECT shares.permission FROM automation_shares shares
+        WHERE shares.automation_id = "automations"."id" AND shares.user_id = ${userId}
+        UNION ALL
+        SELECT CASE members.role ${roleGrants} END FROM workspace_members members
+        WHERE members.workspace_id = "automations"."workspace_id" AND members.user_id = ${userId}
+      ) granted
+      ORDER BY array_position(ARRAY[${ranking}]::text[], granted.permission) DESC NULLS LAST
+      LIMIT 1
+    ) END)`;
+  }
+
+  // Condition matching the automations shared with the user directly
+  sharedCondition(userId) {
+    return sql`EXISTS (
+      SELECT 1 FROM automation_shares shares
+      WHERE shares.automation_id = "automations"."id" AND shares.user_id = ${userId}
+    )`;
+  }
+
+  // Condition matching what the user works with inside a workspace: its
+  // automations plus those shared with them directly from anywhere. Combine
+  // with accessCondition.
+  workspaceCondition(userId, workspaceId) {
+    return or(eq(automations.workspaceId, workspaceId), this.sharedCondition(userId));
+  }
+
+  // Condition matching the automations the user holds at least `required` on
+  accessCondition(userId, required = 'view') {
+    const granted = [
+      ...PERMISSIONS.slice(PERMISSIONS.indexOf(required)),
+      ...Object.keys(LEGACY_PERMISSIONS).filter(legacy => allows(legacy, required))
+    ];
+    return sql`${this.permissionExpression(userId)} IN (${sql.join(granted.map(permission => sql`${permission}`), sql`, `)})`;
+  }
+
+  // The automation with the user's permission on it, or null when it does
+  // not exist or is not visible to them
+  async findAutomation(automationId, userId) {
+    const [row] = await db
+      .select({ automation: automations, permission: this.permissionExpression(userId) })
+      .from(automations)
+      .where(eq(automations.id, automationId));
+
+    const permission = normalizePermission(row?.permission);
+    if (!permission) {
+      return null;
+    }
+
+    return { automation: row.automation, permission };
+  }
+
+  async listShares(automationId) {
+    const shares = await db
+      .select({
+        userId: automationShares.userId,
+        permission: automationShares.permission,
+        createdAt: automationShares.createdAt,
+        user: {
+          id: users.id,
+          name: users.name,
+          email: users.email
+        }
+      })
+      .from(automationShares)
+      .innerJoin(users, eq(automationShares.userId, users.id))
+      .where(eq(automationShares.automationId, automationId))
+      .orderBy(users.name);
+
+    return shares.map(share => ({ ...share, permission: normalizePermission(share.permission) }));
+  }
+
+  // Grant or change a user's permission. Returns the share.
+  // `audit` is the auditContext of the request making the change
+  async share(automation, targetUserId, permission, audit) {
+    const [previous] = await db
+      .select({ permission: automationShares.permission })
+      .from(automationShares)
+      .where(and(
+        eq(automationShares.automationId, automation.id),
+        eq(automationShares.userId, targetUserId)
+      ));
+
+    const [share] = await db.transaction(async (tx) => {
+      const rows = await tx
+        .insert(automationShares)
+        .values({ automationId: automation.id, userId: targetUserId, permission })
+        .onConflictDoUpdate({
+          target: [automationShares.automationId, automationShares.userId],
+          set: { permission }
+        })
+        .returning();
+
+      await this.syncCollaborators(automation.id, tx);
+      return rows;
+    });
+
+    await this.audit(audit, previous ? AUDIT_ACTIONS.SHARE_UPDATE : AUDIT_ACTIONS.SHARE_CREATE, automation, {
+      before: previous ? { userId: targetUserId, permission: normalizePermission(previous.permission) } : null,
+      after: { userId: targetUserId, permission }
+    });
+
+    return { ...share, permission: normalizePermission(share.permission) };
+  }
+
+  // Returns false when the user had no share
+  async unshare(automation, targetUserId, audit) {
+    const removed = await db.transaction(async (tx) => {
+      const rows = await tx
+        .delete(automationShares)
+        .where(and(
+          eq(automationShares.automationId, automation.id),
+          eq(automationShares.userId, targetUserId)
+        ))
+        .returning({ permission: automationShares.permission });
+
+      await this.syncCollaborators(automation.id, tx);
+      return rows;
+    });
+
+    if (removed.length === 0) {
+      return false;
+    }
+
+    await this.audit(audit, AUDIT_ACTIONS.SHARE_DELETE, automation, {
+      before: { userId: targetUserId, permission: normalizePermission(removed[0].permission) },
+      after: null
+    });
+
+    return true;
+  }
+
+  // automations.collaborators mirrors the users the automation is shared with
+  async syncCollaborators(automationId, executor = db) {
+    await executor
+      .update(automations)
+      .set({
+        collaborators: sql`(
+          SELECT COALESCE(jsonb_agg(shares.user_id), '[]'::jsonb)
+          FROM automation_shares shares WHERE shares.automation_id = ${automationId}
+        )`
+      })
+      .where(eq(automations.id, automationId));
+  }
+
+  async audit(audit, action, automation, { before, after }) {
+    logger.info('Automation permissions changed', { action, actorId: audit.actorId, automationId: automation.id });
+
+    await auditService.record(audit, action, {
+      entityType: 'automation',
+      entityId: automation.id,
+      entityName: automation.name,
+      workspaceId: automation.workspaceId,
+      before,
+      after
+    });
+  }
+}
+
+export const permissionService = new PermissionService();
+export default permissionService;
@@ -0,0 +1,378 @@
+import os from 'os';
+import { v4 as uuidv4 } from 'uuid';
+import { sql, eq, ne, and, inArray } from 'drizzle-orm';
+import { db } from '../config/database.js';
+import { automations, executions, executionQueue } from '../models/schema.js';
+import { logger } from '../config/logs.js';
+import { workflowEngine } from './workflowEngine.js';
+import { versionService } from './versionService.js';
+
+// Default priority per trigger; higher runs first
+export const QUEUE_PRIORITIES = {
+  manual: 10,
+  webhook: 5,
+  scheduled: 0
+};
+
+// Any constant works as long as every instance uses the same one
+const CLAIM_LOCK_KEY = 73190001;
+
+// Durable execution queue. Runs are stored as `pending` executions plus a
+// row in execution_queue; a pool of workers claims them in priority order,
+// honouring each automation's concurrency cap. Several backend instances can
+// share the table: claims are serialized with an advisory lock and workers
+// keep a heartbeat so runs held by a dead instance get picked up again.
+class QueueService {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.concurrency = parseInt(process.env.QUEUE_WORKERS) || 4;
+    this.pollInterval = parseInt(process.env.QUEUE_POLL_INTERVAL) || 1000;
+    this.defaultMaxPerAutomation = parseInt(process.env.QUEUE_MAX_PER_AUTOMATION) || 1;
+    this.staleAfter = parseInt(process.env.QUEUE_STALE_AFTER) || 120000;
+    this.maxAttempts = parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 3;
+    this.shutdownTimeout = parseInt(process.env.QUEUE_SHUTDOWN_TIMEOUT) || 30000;
+
+    this.activeJobs = new Map(); // executionId -> running promise
+    this.isRunning = false;
+    this.claiming = false;
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+  }
+
+  async start() {
+    if (this.isRunning) {
+      logger.warn('Queue service is already running');
+      return;
+    }
+
+    // Runs this instance held before a restart are orphaned now
+    await this.recoverStaleJobs(true);
+
+    this.isRunning = true;
+    this.pollTimer = setInterval(() => this.poll(), this.pollInterval);
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), Math.min(Math.max(this.staleAfter / 4, 1000), 10000));
+
+    logger.info('Queue service started', {
+      workerId: this.workerId,
+      workers: this.concurrency,
+      maxPerAutomation: this.defaultMaxPerAutomation
+    });
+
+    this.poll();
+  }
+
+  async stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.isRunning = false;
+    clearInterval(this.pollTimer);
+    clearInterval(this.heartbeatTimer);
+
+    // Let in-flight runs finish; anything still running afterwards is
+    // recovered by the next instance once its heartbeat goes stale
+    if (this.activeJobs.size > 0) {
+      logger.info('Waiting for running executions', { count: this.activeJobs.size });
+      await Promise.race([
+        Promise.allSettled(this.activeJobs.values()),
+        new Promise(resolve => setTimeout(resolve, this.shutdownTimeout))
+      ]);
+    }
+
+    logger.info('Queue service stopped');
+  }
+
+  // Create a pending execution and queue it. Runs pinned to a version
+  // (`options.automationVersion`) execute that version's definition; the
+  // others run whatever the automation holds when a worker picks them up.
+  async enqueue(automation, inputData = {}, triggeredBy = 'manual', options = {}) {
+    const executionId = uuidv4();
+    const priority = Number.isInteger(options.priority)
+      ? options.priority
+      : automation.config?.priority ?? QUEUE_PRIORITIES[triggeredBy] ?? 0;
+    const maxConcurrency = parseInt(automation.config?.maxConcurrency) || this.defaultMaxPerAutomation;
+
+    await db.transaction(async (tx) => {
+      await tx.insert(executions).values({
+        id: executionId,
+        automationId: automation.id,
+        status: 'pending',
+        inputData,
+        triggeredBy,
+        resumedFrom: options.resumedFrom || null,
+        checkpoint: options.checkpoint || null,
+        automationVersion: options.automationVersion || null
+      });
+
+      await tx.insert(executionQueue).values({
+        executionId,
+        automationId: automation.id,
+        priority,
+        maxConcurrency
+      });
+    });
+
+    logger.info('Execution queued', {
+      executionId,
+      automationId: automation.id,
+      triggeredBy,
+      priority
+    });
+
+    // Pick it up right away if a worker is free
+    setImmediate(() => this.poll());
+
+    return { executionId, status: 'pending', priority };
+  }
+
+  // Drop a run that no worker has claimed yet
+  async dequeue(executionId) {
+    const removed = await db.delete(executionQueue)
+      .where(and(
+        eq(executionQueue.executionId, executionId),
+        eq(executionQueue.status, 'queued')
+      ))
+      .returning({ id: executionQueue.id });
+
+    return removed.length > 0;
+  }
+
+  // Claim jobs until every worker is busy or nothing is runnable
+  async poll() {
+    if (!this.isRunning || this.claiming) {
+      return;
+    }
+
+    this.claiming = true;
+    try {
+      while (this.isRunning && this.activeJobs.size < this.concurrency) {
+        const job = await this.claimNext();
+        if (!job) break;
+
+        const run = this.runJob(job).finally(() => {
+          this.activeJobs.delete(job.execution_id);
+          this.poll();
+        });
+        this.activeJobs.set(job.execution_id, run);
+      }
+    } catch (error) {
+      logger.error('Failed to claim queued executions', { error: error.message });
+    } finally {
+      this.claiming = false;
+    }
+  }
+
+  async claimNext() {
+    return db.transaction(async (tx) => {
+      await tx.execute(sql`SELECT pg_advisory_xact_lock(${CLAIM_LOCK_KEY})`);
+
+      const rows = await tx.execute(sql`
+        UPDATE execution_queue
+        SET status = 'running', locked_by = ${this.workerId}, locked_at = NOW(), attempts = attempts + 1
+        WHERE id = (
+          SELECT q.id FROM execution_queue q
+          WHERE q.status = 'queued'
+            AND q.available_at <= NOW()
+            AND (
+              SELECT COUNT(*) FROM execution_queue r
+              WHERE r.automation_id = q.automation_id AND r.status = 'running'
+            ) < q.max_concurrency
+          ORDER BY q.priority DESC, q.created_at ASC
+          LIMIT 1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING id, execution_id, automation_id, attempts
+      `);
+
+      return rows[0] || null;
+    });
+  }
+
+  async runJob(job) {
+    const executionId = job.execution_id;
+
+    try {
+      const [execution] = await db
+        .select()
+        .from(executions)
+        .where(eq(executions.id, executionId));
+
+      const [current] = await db
+        .select()
+        .from(automations)
+        .where(eq(automations.id, job.automation_id));
+
+      if (!execution || !current) {
+        logger.warn('Dropping queued execution without automation', { executionId });
+        return;
+      }
+
+      if (execution.status !== 'pending') {
+        logger.info('Skipping queued execution that is no longer pending', {
+          executionId,
+          status: execution.status
+        });
+        return;
+      }
+
+      const automation = execution.automationVersion
+        ? await versionService.definitionAt(current, execution.automationVersion)
+        : current;
+
+      if (!automation) {
+        throw new Error(`Version ${execution.automationVersion} of automation ${current.id} not found`);
+      }
+
+      logger.info('Worker picked up execution', {
+        executionId,
+        automationId: automation.id,
+        attempt: job.attempts,
+        workerId: this.workerId
+      });
+
+      const result = await workflowEngine.execute(
+        automation,
+        execution.inputData || {},
+        execution.triggeredBy,
+        {
+          executionId,
+          // Resumed runs continue from their checkpoint, which after a worker
+          // crash also covers the steps they already finished themselves
+          resume: execution.resumedFrom ? execution.checkpoint : null
+        }
+      );
+
+      logger.info('Queued execution finished', {
+        executionId,
+        automationId: automation.id,
+        success: result.success,
+        duration: result.duration
+      });
+    } catch (error) {
+      logger.error('Queued execution crashed', { executionId, error: error.message });
+
+      await db.update(executions)
+        .set({
+          status: 'failed',
+          errorDetails: { message: error.message },
+          completedAt: new Date()
+        })
+        .where(eq(executions.id, executionId))
+        .catch(() => {});
+    } finally {
+      await db.delete(executionQueue)
+        .where(eq(executionQueue.id, job.id))
+        .catch(error => logger.error('Failed to remove finished job', { executionId, error: error.message }));
+    }
+  }
+
+  // Keep our running jobs from being treated as orphaned, and stop the ones
+  // that were cancelled through another instance
+  async heartbeat() {
+    try {
+      if (this.activeJobs.size > 0) {
+        const activeIds = [...this.activeJobs.keys()];
+
+        await db.update(executionQueue)
+          .set({ lockedAt: new Date() })
+          .where(and(
+            eq(executionQueue.lockedBy, this.workerId),
+            inArray(executionQueue.executionId, activeIds)
+          ));
+
+        const cancelled = await db
+          .select({ id: executions.id })
+          .from(executions)
+          .where(and(
+            inArray(executions.id, activeIds),
+            eq(executions.status, 'cancelled')
+          ));
+
+        for (const { id } of cancelled) {
+          await workflowEngine.cancel(id, 'Execution cancelled by user');
+        }
+      }
+
+      await this.recoverStaleJobs();
+    } catch (error) {
+      logger.error('Queue heartbeat failed', { error: error.message });
+    }
+  }
+
+  // Requeue runs whose worker stopped sending heartbeats. On startup every
+  // run still locked by this worker id is orphaned as well.
+  async recoverStaleJobs(includeOwn = false) {
+    const staleBefore = new Date(Date.now() - this.staleAfter);
+
+    const stale = await db.execute(sql`
+      SELECT q.id, q.execution_id, q.attempts, e.status AS execution_status
+      FROM execution_queue q
+      LEFT JOIN executions e ON e.id = q.execution_id
+      WHERE q.status = 'running'
+        AND (q.locked_at < ${staleBefore} ${includeOwn ? sql`OR q.locked_by = ${this.workerId}` : sql``})
+    `);
+
+    for (const job of stale) {
+      // Cancelled while its worker was gone: drop it instead of running it again
+      if (job.execution_status === 'cancelled') {
+        await db.delete(executionQueue).where(eq(executionQueue.id, job.id));
+      } else if (job.attempts >= this.maxAttempts) {
+        await db.delete(executionQueue).where(eq(executionQueue.id, job.id));
+        await db.update(executions)
+          .set({
+            status: 'failed',
+            errorDetails: { message: `Worker lost the execution ${job.attempts} times; giving up` },
+            completedAt: new Date()
+          })
+          .where(and(eq(executions.id, job.execution_id), ne(executions.status, 'cancelled')));
+      } else {
+        await db.update(executionQueue)
+          .set({ status: 'queued', lockedBy: null, lockedAt: null })
+          .where(eq(executionQueue.id, job.id));
+        await db.update(executions)
+          .set({ status: 'pending' })
+          .where(and(eq(executions.id, job.execution_id), ne(executions.status, 'cancelled')));
+      }
+    }
+
+    if (stale.length > 0) {
+      logger.warn('Recovered orphaned executions', { count: stale.length });
+    }
+  }
+
+  async getStats() {
+    const rows = await db
+      .select({ status: executionQueue.status, count: sql`count(*)` })
+      .from(executionQueue)
+      .groupBy(executionQueue.status);
+
+    const counts = rows.reduce((acc, row) => {
+      acc[row.status] = parseInt(row.count);
+      return acc;
+    }, {});
+
+    return {
+      workerId: this.workerId,
+      workers: this.concurrency,
+      active: this.activeJobs.size,
+      queued: counts.queued || 0,
+      running: counts.running || 0
+    };
+  }
+}
+
+export const queueService = new QueueService();
+
+// Graceful shutdown
+process.on('SIGINT', async () => {
+  logger.info('Shutting down queue service...');
+  await queueService.stop();
+});
+
+process.on('SIGTERM', async () => {
+  logger.info('Shutting down queue service...');
+  await queueService.stop();
+});
+
+export default queueService;
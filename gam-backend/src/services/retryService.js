@@ -33,6 +33,11 @@ class RetryService {
 
   // Determine if error is retryable
   isRetryableError(error, errorType = null) {
+    // A cancelled run must not start over
+    if (error.name === 'ExecutionCancelledError') {
+      return false;
+    }
+
     // Auto-detect error type if not provided
     if (!errorType) {
       errorType = this.classifyError(error);
@@ -133,7 +138,7 @@ class RetryService {
 
   // Calculate retry delay based on strategy
   calculateRetryDelay(attempt, strategy = RETRY_STRATEGIES.EXPONENTIAL_BACKOFF, baseDelay = null) {
-    const base = baseDelay || this.config.baseDelay;
+    const base = baseDelay ?? this.config.baseDelay;
     let delay;
 
     switch (strategy) {
@@ -4,14 +4,32 @@ import { logger } from '../config/logs.js';
 import { db } from '../config/database.js';
 import { automations, executions } from '../models/schema.js';
 import { eq, and } from 'drizzle-orm';
-import { workflowEngine } from './workflowEngine.js';
+import { queueService } from './queueService.js';
+import { versionService } from './versionService.js';
+import { auditService, systemContext, AUDIT_ACTIONS } from './auditService.js';
+import { FileSystemTrigger, fileSystemTriggerSchema } from './fileSystemTrigger.js';
+import { ApiPollingTrigger, apiTriggerSchema } from './apiPollingTrigger.js';
+import { DatabaseChangeTrigger, databaseTriggerSchema } from './databaseChangeTrigger.js';
+import { DriveDeltaTrigger, driveTriggerSchema } from './driveDeltaTrigger.js';
+import { EmailTrigger, emailTriggerSchema } from './emailTrigger.js';
 import crypto from 'crypto';
+import { z } from 'zod';
+
+// Configuration schema of each trigger type in automations.triggers
+const TRIGGER_SCHEMAS = {
+  webhook: z.object({}).passthrough(),
+  fileSystem: fileSystemTriggerSchema,
+  api: apiTriggerSchema,
+  database: databaseTriggerSchema,
+  microsoft: driveTriggerSchema,
+  email: emailTriggerSchema
+};
 
 class SchedulerService {
   constructor() {
     this.scheduledJobs = new Map(); // scheduleId -> cron job
     this.webhookTokens = new Map(); // automationId -> webhook token
-    this.triggers = new Map(); // triggerId -> trigger config
+    this.triggers = new Map(); // triggerId -> trigger config (and the runner of watchers and pollers)
     this.isRunning = false;
   }
 
@@ -61,6 +79,11 @@ class SchedulerService {
       }
       
       this.scheduledJobs.clear();
+
+      // Close file watchers and other running triggers
+      for (const trigger of this.triggers.values()) {
+        await trigger.runner?.stop();
+      }
       this.triggers.clear();
       this.webhookTokens.clear();
       this.isRunning = false;
@@ -85,8 +108,9 @@ class SchedulerService {
         ));
 
       for (const automation of automationsWithSchedules) {
-        if (automation.schedule) {
-          await this.scheduleAutomation(automation.id, automation.schedule, automation);
+        const schedule = await versionService.publishedSchedule(automation);
+        if (schedule?.cronExpression) {
+          await this.scheduleAutomation(automation.id, schedule, automation);
         }
 
         // Generate webhook tokens for automations that support webhooks
@@ -165,14 +189,21 @@ class SchedulerService {
             scheduleId 
           });
 
-          // Execute the automation
-          const result = await workflowEngine.execute(automation, schedule.inputData || {}, 'scheduled');
+          // Scheduled runs execute the published revision, never the draft
+          const published = await versionService.published(automationId);
+          if (!published) {
+            logger.warn('Skipping scheduled run of unpublished automation', { automationId, scheduleId });
+            return;
+          }
+
+          // Queue the run
+          const { executionId } = await queueService.enqueue(published, schedule.inputData || {}, 'scheduled', {
+            automationVersion: published.version
+          });
           
-          logger.info('Scheduled automation completed', { 
+          logger.info('Scheduled automation queued', { 
             automationId, 
-            executionId: result.executionId,
-            success: result.success,
-            duration: result.duration
+            executionId
           });
 
         } catch (error) {
@@ -264,6 +295,16 @@ class SchedulerService {
       if (triggers.api) {
         this.registerApiTrigger(automationId, triggers.api, automation);
       }
+
+      // SharePoint / OneDrive triggers
+      if (triggers.microsoft) {
+        this.registerMicrosoftTrigger(automationId, triggers.microsoft, automation);
+      }
+
+      // Email (IMAP) triggers
+      if (triggers.email) {
+        this.registerEmailTrigger(automationId, triggers.email, automation);
+      }
       
       logger.info('Triggers registered for automation', { 
         automationId, 
@@ -281,7 +322,8 @@ class SchedulerService {
 
   // Register webhook trigger
   registerWebhookTrigger(automationId, webhookConfig, automation) {
-    const token = this.generateWebhookToken(automationId);
+    // Re-registering keeps the URL callers already have
+    const token = this.webhookTokens.get(automationId) || this.generateWebhookToken(automationId);
     
     const trigger = {
       id: `webhook_${automationId}`,
@@ -362,17 +404,27 @@ class SchedulerService {
         }
       };
 
-      // Execute the automation
-      const result = await workflowEngine.execute(automation, inputData, 'webhook');
+      // Webhooks run the published revision, never the draft
+      const published = automation.publishedVersion
+        ? await versionService.definitionAt(automation, automation.publishedVersion)
+        : null;
+
+      if (!published) {
+        logger.warn('Webhook called for unpublished automation', { automationId });
+        return { success: false, error: 'Automation has not been published' };
+      }
+
+      // Queue the run; bursts wait for a free worker instead of all starting at once
+      const queued = await queueService.enqueue(published, inputData, 'webhook', {
+        automationVersion: published.version
+      });
       
-      logger.info('Webhook automation completed', { 
+      logger.info('Webhook automation queued', { 
         automationId, 
-        executionId: result.executionId,
-        success: result.success,
-        duration: result.duration
+        executionId: queued.executionId
       });
 
-      return result;
+      return { success: true, ...queued };
       
     } catch (error) {
       logger.error('Webhook trigger failed', { token, error: error.message });
@@ -380,34 +432,168 @@ class SchedulerService {
     }
   }
 
-  // Register file system trigger (placeholder for future implementation)
-  registerFileSystemTrigger(automationId, fsConfig, automation) {
-    // This would implement file system watching
-    // For now, just log that it's registered
-    logger.info('File system trigger registered (placeholder)', { 
-      automationId, 
-      config: fsConfig 
+  // Check a triggers configuration. Returns the configuration with defaults
+  // applied, or the errors found.
+  validateTriggers(triggers) {
+    const errors = [];
+    const validated = {};
+
+    for (const [type, config] of Object.entries(triggers || {})) {
+      const schema = TRIGGER_SCHEMAS[type];
+      if (!schema) {
+        errors.push(`Unknown trigger type: ${type}`);
+        continue;
+      }
+
+      const result = schema.safeParse(config);
+      if (result.success) {
+        validated[type] = result.data;
+      } else {
+        errors.push(...result.error.errors.map(issue => `${type}.${issue.path.join('.')}: ${issue.message}`));
+      }
+    }
+
+    return { valid: errors.length === 0, errors, triggers: validated };
+  }
+
+  // Stop and forget the triggers of an automation
+  async unregisterTriggers(automationId) {
+    for (const [triggerId, trigger] of this.triggers.entries()) {
+      if (trigger.automationId === automationId) {
+        await trigger.runner?.stop();
+        this.triggers.delete(triggerId);
+      }
+    }
+  }
+
+  // Replace the triggers of an automation with a new configuration
+  async updateAutomationTriggers(automationId, triggers, automation = null) {
+    await this.unregisterTriggers(automationId);
+
+    if (!triggers?.webhook) {
+      this.webhookTokens.delete(automationId);
+    }
+
+    if (triggers) {
+      this.registerTriggers(automationId, triggers, automation);
+    }
+
+    logger.info('Automation triggers updated', { automationId, triggerTypes: Object.keys(triggers || {}) });
+  }
+
+  // Queue a run of the published revision for a trigger that fired. Runs
+  // are skipped while the automation is disabled, paused or unpublished.
+  async fireTrigger(automationId, triggeredBy, inputData) {
+    const published = await versionService.published(automationId);
+
+    if (!published) {
+      logger.warn('Skipping triggered run of unpublished automation', { automationId, triggeredBy });
+      return null;
+    }
+
+    if (!published.enabled || !published.isActive || published.status === 'paused') {
+      logger.debug('Skipping triggered run of inactive automation', { automationId, triggeredBy });
+      return null;
+    }
+
+    const queued = await queueService.enqueue(published, inputData, triggeredBy, {
+      automationVersion: published.version
     });
+
+    logger.info('Triggered automation queued', { automationId, triggeredBy, executionId: queued.executionId });
+    return queued;
   }
 
-  // Register database trigger (placeholder for future implementation)
-  registerDatabaseTrigger(automationId, dbConfig, automation) {
-    // This would implement database change detection
-    // For now, just log that it's registered
-    logger.info('Database trigger registered (placeholder)', { 
-      automationId, 
-      config: dbConfig 
+  // Register and start a trigger that runs on its own (file watcher,
+  // pollers). Runners have start(), stop() and lastError. One that fails to
+  // start, say on a share that is not mounted yet, stays registered but idle
+  // until it is saved again or the server restarts; the error shows in the
+  // schedule status.
+  startTrigger(type, automationId, automation, createRunner) {
+    const id = `${type}_${automationId}`;
+    const workspaceId = automation?.workspaceId ?? null;
+
+    let runner;
+    try {
+      runner = createRunner({ workspaceId, onReveal: this.auditCredentialUse(id, automationId, workspaceId) });
+    } catch (error) {
+      logger.error('Invalid trigger configuration', { automationId, type, error: error.message });
+      return;
+    }
+
+    const trigger = {
+      id,
+      type,
+      automationId,
+      automation,
+      config: runner.config,
+      runner
+    };
+
+    this.triggers.set(trigger.id, trigger);
+
+    runner.start().catch((error) => {
+      runner.lastError = error.message;
+      logger.error('Failed to start trigger', { automationId, type, error: error.message });
     });
   }
 
-  // Register API trigger (placeholder for future implementation)
+  // onReveal callback for the credentials a trigger resolves on each poll;
+  // like a run, it audits the first use of each one once the trigger starts
+  auditCredentialUse(triggerId, automationId, workspaceId) {
+    const used = new Set();
+    return (credentialId) => {
+      if (used.has(credentialId)) {
+        return;
+      }
+      used.add(credentialId);
+
+      auditService.record(systemContext(workspaceId), AUDIT_ACTIONS.CREDENTIAL_USE, {
+        entityType: 'credential',
+        entityId: credentialId,
+        metadata: { automationId, triggerId }
+      });
+    };
+  }
+
+  // Register file system trigger: watch a directory (local or a mounted
+  // share) and run the automation for each matching file
+  registerFileSystemTrigger(automationId, fsConfig, automation) {
+    this.startTrigger('fileSystem', automationId, automation, () =>
+      new FileSystemTrigger(automationId, fsConfig, (inputData) => this.fireTrigger(automationId, 'file', inputData))
+    );
+  }
+
+  // Register database trigger: poll a query (and listen for NOTIFY) and run
+  // the automation with the rows past the watermark
+  registerDatabaseTrigger(automationId, dbConfig, automation) {
+    this.startTrigger('database', automationId, automation, (options) =>
+      new DatabaseChangeTrigger(automationId, dbConfig, (inputData) => this.fireTrigger(automationId, 'database', inputData), options)
+    );
+  }
+
+  // Register API trigger: poll an endpoint and run the automation when the
+  // selected data changes
   registerApiTrigger(automationId, apiConfig, automation) {
-    // This would implement API polling
-    // For now, just log that it's registered
-    logger.info('API trigger registered (placeholder)', { 
-      automationId, 
-      config: apiConfig 
-    });
+    this.startTrigger('api', automationId, automation, (options) =>
+      new ApiPollingTrigger(automationId, apiConfig, (inputData) => this.fireTrigger(automationId, 'api', inputData), options)
+    );
+  }
+
+  // Register Microsoft trigger: follow the Graph delta of a SharePoint
+  // library or OneDrive folder and run the automation with the changed files
+  registerMicrosoftTrigger(automationId, driveConfig, automation) {
+    this.startTrigger('microsoft', automationId, automation, (options) =>
+      new DriveDeltaTrigger(automationId, driveConfig, (inputData) => this.fireTrigger(automationId, 'microsoft', inputData), options)
+    );
+  }
+
+  // Register email trigger: poll an IMAP folder and run the automation for
+  // each new message matching the filters
+  registerEmailTrigger(automationId, emailConfig, automation) {
+    this.startTrigger('email', automationId, automation, (options) =>
+      new EmailTrigger(automationId, emailConfig, (inputData) => this.fireTrigger(automationId, 'email', inputData), options)
+    );
   }
 
   // Validate cron expression
@@ -433,10 +619,15 @@ class SchedulerService {
       }
     }
     
+    const triggers = [...this.triggers.values()]
+      .filter(trigger => trigger.automationId === automationId)
+      .map(trigger => ({ id: trigger.id, type: trigger.type, error: trigger.runner?.lastError ?? null }));
+
     return {
       automationId,
       scheduledJobs: jobs,
-      hasSchedules: jobs.length > 0
+      hasSchedules: jobs.length > 0,
+      triggers
     };
   }
 
@@ -488,6 +679,12 @@ class SchedulerService {
     }
   }
 
+  // Replace the automation's cron jobs with the schedule of its published
+  // revision
+  async updatePublishedSchedule(automation) {
+    await this.updateAutomationSchedule(automation.id, await versionService.publishedSchedule(automation));
+  }
+
   // Test cron expression (get next execution times)
   getNextExecutions(cronExpression, count = 5) {
     try {
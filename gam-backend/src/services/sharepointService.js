@@ -155,12 +155,12 @@ class SharePointService {
   }
 
   // Download file from SharePoint
-  async downloadFile(userId, siteId, driveId, itemId, localPath = null) {
+  async downloadFile(userId, siteId, driveId, itemId, localPath = null, { signal } = {}) {
     try {
       logger.info('Downloading SharePoint file', { userId, siteId, driveId, itemId });
       
       // Get file stream from Graph API
-      const fileStream = await this.graphClient.downloadFile(userId, driveId, itemId);
+      const fileStream = await this.graphClient.downloadFile(userId, driveId, itemId, { signal });
       
       if (localPath) {
         // Save to local file
@@ -171,6 +171,12 @@ class SharePointService {
         fileStream.pipe(writeStream);
         
         return new Promise((resolve, reject) => {
+          // Cancelling the execution stops the transfer mid-stream
+          signal?.addEventListener('abort', () => {
+            fileStream.destroy();
+            writeStream.destroy(signal.reason);
+          }, { once: true });
+          
           writeStream.on('finish', () => {
             logger.info('File downloaded successfully', { localPath });
             resolve({
@@ -203,7 +209,7 @@ class SharePointService {
   // Upload file to SharePoint
   async uploadFile(userId, siteId, driveId, localFilePath, destinationPath, options = {}) {
     try {
-      const { conflictBehavior = 'replace', createFolders = true } = options;
+      const { conflictBehavior = 'replace', createFolders = true, signal } = options;
       
       logger.info('Uploading file to SharePoint', { 
         userId, siteId, driveId, localFilePath, destinationPath 
@@ -222,7 +228,7 @@ class SharePointService {
       
       // For large files (>4MB), use upload session
       if (stats.size > 4 * 1024 * 1024) {
-        return await this.uploadLargeFile(userId, driveId, parentPath, fileName, localFilePath);
+        return await this.uploadLargeFile(userId, driveId, parentPath, fileName, localFilePath, signal);
       }
       
       // Small file upload
@@ -232,7 +238,8 @@ class SharePointService {
         parentPath, 
         fileName, 
         fileStream, 
-        conflictBehavior
+        conflictBehavior,
+        { signal }
       );
       
       return {
@@ -256,7 +263,7 @@ class SharePointService {
   }
 
   // Upload large file using upload session
-  async uploadLargeFile(userId, driveId, parentPath, fileName, localFilePath) {
+  async uploadLargeFile(userId, driveId, parentPath, fileName, localFilePath, signal = null) {
     try {
       logger.info('Starting large file upload session', { userId, driveId, fileName });
       
@@ -293,11 +300,12 @@ class SharePointService {
           try {
             // Upload chunks sequentially
             for (let i = 0; i < chunks.length; i++) {
+              signal?.throwIfAborted();
               const chunk = chunks[i];
               const start = i * chunkSize;
               const end = Math.min(start + chunk.length - 1, fileSize - 1);
               
-              const response = await client.api(uploadUrl).put(chunk, {
+              const response = await client.api(uploadUrl).options({ signal }).put(chunk, {
                 'Content-Range': `bytes ${start}-${end}/${fileSize}`,
                 'Content-Length': chunk.length.toString()
               });
@@ -16,10 +16,30 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Tear both ends of a transfer down when the execution is cancelled; the
+// write stream errors with the cancellation reason, rejecting the transfer
+const abortTransfer = (signal, readStream, writeStream) => {
+  signal?.addEventListener('abort', () => {
+    readStream.destroy();
+    writeStream.destroy(signal.reason);
+  }, { once: true });
+};
+
+// smbclient and mount.cifs read the password from PASSWD, which keeps it out
+// of command lines (and the process list)
+const passwordEnv = (config) => ({ ...process.env, PASSWD: config.password || '' });
+
+// Connections belong to one execution and one share and account, so
+// concurrent runs never reuse or replace each other's connection
+const connectionKey = (executionId, config) =>
+  [executionId, config.server, config.share, config.domain || 'WORKGROUP', config.username].join('|');
+
 class SMBService {
   constructor() {
-    this.activeConnections = new Map(); // userId -> connection pool
-    this.connectionConfig = new Map(); // userId -> config
+    this.activeConnections = new Map(); // connection key -> connection pool
+    this.connectionConfig = new Map(); // connection key -> config
+    this.pendingConnections = new Map(); // connection key -> connection being opened
+    this.latestConnections = new Map(); // executionId -> key of the share it used last
   }
 
   // Connection strategies enum
@@ -130,11 +150,11 @@ class SMBService {
     return new Promise((resolve, reject) => {
       const smbclientArgs = [
         '-L', config.server,
-        '-U', `${config.domain || 'WORKGROUP'}\\${config.username}%${config.password}`,
+        '-U', `${config.domain || 'WORKGROUP'}\\${config.username}`,
         '-W', config.domain || 'WORKGROUP'
       ];
 
-      const smbclient = spawn('smbclient', smbclientArgs);
+      const smbclient = spawn('smbclient', smbclientArgs, { env: passwordEnv(config) });
       let output = '';
       let errorOutput = '';
 
@@ -189,10 +209,10 @@ class SMBService {
         '-t', 'cifs',
         shareUrl,
         mountPoint,
-        '-o', `username=${config.username},password=${config.password},domain=${config.domain || 'WORKGROUP'}`
+        '-o', `username=${config.username},domain=${config.domain || 'WORKGROUP'}`
       ];
 
-      const mount = spawn('mount', mountArgs, { stdio: 'inherit' });
+      const mount = spawn('mount', mountArgs, { stdio: 'inherit', env: passwordEnv(config) });
       
       mount.on('close', (code) => {
         if (code === 0) {
@@ -297,15 +317,16 @@ class SMBService {
     return {
       type: 'samba_client',
       config: config,
-      execute: (command, args) => {
+      execute: (command, args, { signal } = {}) => {
         return new Promise((resolve, reject) => {
           const fullArgs = [
             ...args,
-            '-U', `${config.domain || 'WORKGROUP'}\\${config.username}%${config.password}`,
+            '-U', `${config.domain || 'WORKGROUP'}\\${config.username}`,
             '-W', config.domain || 'WORKGROUP'
           ];
 
-          const process = spawn(command, fullArgs);
+          // An aborted signal kills smbclient mid-transfer
+          const process = spawn(command, fullArgs, { signal, env: passwordEnv(config) });
           let output = '';
           let errorOutput = '';
 
@@ -425,7 +446,7 @@ class SMBService {
   }
 
   // Download file from SMB share
-  async downloadFile(userId, remotePath, localPath = null) {
+  async downloadFile(userId, remotePath, localPath = null, { signal } = {}) {
     try {
       const connectionInfo = this.activeConnections.get(userId);
       if (!connectionInfo) {
@@ -436,10 +457,10 @@ class SMBService {
       
       switch (connectionInfo.strategy) {
         case SMBService.STRATEGIES.SMB2_DIRECT:
-          return await this.downloadFileSMB2(connectionInfo.connection, remotePath, localPath);
+          return await this.downloadFileSMB2(connectionInfo.connection, remotePath, localPath, signal);
         
         case SMBService.STRATEGIES.SAMBA_CLIENT:
-          return await this.downloadFileSambaClient(connectionInfo.connection, remotePath, localPath);
+          return await this.downloadFileSambaClient(connectionInfo.connection, remotePath, localPath, signal);
         
         default:
           throw new Error(`Download not implemented for strategy: ${connectionInfo.strategy}`);
@@ -452,7 +473,7 @@ class SMBService {
   }
 
   // Download file using SMB2 direct
-  async downloadFileSMB2(connection, remotePath, localPath) {
+  async downloadFileSMB2(connection, remotePath, localPath, signal = null) {
     return new Promise((resolve, reject) => {
       if (localPath) {
         // Download to local file
@@ -467,6 +488,7 @@ class SMBService {
 
           const writeStream = fs.createWriteStream(localPath);
           readStream.pipe(writeStream);
+          abortTransfer(signal, readStream, writeStream);
 
           writeStream.on('finish', () => {
             resolve({
@@ -499,7 +521,7 @@ class SMBService {
   }
 
   // Download file using Samba client
-  async downloadFileSambaClient(connection, remotePath, localPath) {
+  async downloadFileSambaClient(connection, remotePath, localPath, signal = null) {
     try {
       if (!localPath) {
         throw new Error('Samba client strategy requires local path for download');
@@ -513,7 +535,7 @@ class SMBService {
       await connection.execute('smbclient', [
         shareUrl,
         '-c', `get "${remotePath}" "${localPath}"`
-      ]);
+      ], { signal });
 
       return {
         success: true,
@@ -527,7 +549,7 @@ class SMBService {
   }
 
   // Upload file to SMB share
-  async uploadFile(userId, localPath, remotePath) {
+  async uploadFile(userId, localPath, remotePath, { signal } = {}) {
     try {
       const connectionInfo = this.activeConnections.get(userId);
       if (!connectionInfo) {
@@ -543,10 +565,10 @@ class SMBService {
       
       switch (connectionInfo.strategy) {
         case SMBService.STRATEGIES.SMB2_DIRECT:
-          return await this.uploadFileSMB2(connectionInfo.connection, localPath, remotePath);
+          return await this.uploadFileSMB2(connectionInfo.connection, localPath, remotePath, signal);
         
         case SMBService.STRATEGIES.SAMBA_CLIENT:
-          return await this.uploadFileSambaClient(connectionInfo.connection, localPath, remotePath);
+          return await this.uploadFileSambaClient(connectionInfo.connection, localPath, remotePath, signal);
         
         default:
           throw new Error(`Upload not implemented for strategy: ${connectionInfo.strategy}`);
@@ -559,7 +581,7 @@ class SMBService {
   }
 
   // Upload file using SMB2 direct
-  async uploadFileSMB2(connection, localPath, remotePath) {
+  async uploadFileSMB2(connection, localPath, remotePath, signal = null) {
     return new Promise((resolve, reject) => {
       const readStream = fs.createReadStream(localPath);
       
@@ -570,6 +592,7 @@ class SMBService {
         }
 
         readStream.pipe(writeStream);
+        abortTransfer(signal, readStream, writeStream);
 
         writeStream.on('finish', () => {
           resolve({
@@ -587,14 +610,14 @@ class SMBService {
   }
 
   // Upload file using Samba client
-  async uploadFileSambaClient(connection, localPath, remotePath) {
+  async uploadFileSambaClient(connection, localPath, remotePath, signal = null) {
     try {
       const shareUrl = `//${connection.config.server}/${connection.config.share}`;
       
       await connection.execute('smbclient', [
         shareUrl,
         '-c', `put "${localPath}" "${remotePath}"`
-      ]);
+      ], { signal });
 
       return {
         success: true,
@@ -607,6 +630,43 @@ class SMBService {
     }
   }
 
+  // Key of the execution's connection to a share, opened on first use.
+  // Steps running side by side in one execution wait for the same one.
+  async connectionFor(executionId, config) {
+    const key = connectionKey(executionId, config);
+
+    if (!this.activeConnections.has(key)) {
+      if (!this.pendingConnections.has(key)) {
+        this.pendingConnections.set(key, this.createConnection(key, config)
+          .then(() => {
+            this.activeConnections.get(key).executionId = executionId;
+          })
+          .finally(() => this.pendingConnections.delete(key)));
+      }
+      await this.pendingConnections.get(key);
+    }
+
+    this.latestConnections.set(executionId, key);
+    return key;
+  }
+
+  // Key of the last share the execution connected to, for the file steps
+  // that follow a network share step
+  latestConnection(executionId) {
+    return this.latestConnections.get(executionId) || null;
+  }
+
+  // Close the connections an execution opened, once it ends
+  async release(executionId) {
+    this.latestConnections.delete(executionId);
+
+    for (const [key, connectionInfo] of this.activeConnections.entries()) {
+      if (connectionInfo.executionId === executionId) {
+        await this.disconnect(key);
+      }
+    }
+  }
+
   // Update last used timestamp
   updateLastUsed(userId) {
     const connectionInfo = this.activeConnections.get(userId);
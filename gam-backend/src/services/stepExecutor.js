@@ -13,4 +13,55 @@ export class StepExecutor {
   }
 }
 
-export default StepExecutor;
\ No newline at end of file
+// Raised when a run is cancelled; the engine records it as `cancelled`
+// instead of `failed`
+export class ExecutionCancelledError extends Error {
+  constructor(message = 'Execution cancelled') {
+    super(message);
+    this.name = 'ExecutionCancelledError';
+  }
+}
+
+// Settle with the promise, or reject as soon as the signal aborts. Work that
+// ignores the signal keeps running in the background but is no longer awaited.
+export const abortable = (promise, signal) => {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+};
+
+// Reject when the promise has not settled within `ms` (0 disables the limit)
+export const withTimeout = (promise, ms, message) => {
+  if (!ms) return promise;
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Result envelope returned for every step run, whether it was tested on its
+// own from the editor or executed as part of a workflow
+export const createStepResult = (step, { success, data = null, outputPort, metadata = {}, error = null, startTime = Date.now(), logs = [] }) => ({
+  stepId: step.id,
+  stepName: step.name,
+  stepType: step.type,
+  success,
+  data: success ? data : null,
+  outputPort,
+  metadata,
+  error: error
+    ? { message: error.message, type: error.constructor?.name || 'Error' }
+    : null,
+  executionTime: Date.now() - startTime,
+  timestamp: new Date().toISOString(),
+  logs
+});
+
+export default StepExecutor;
@@ -0,0 +1,69 @@
+import { RETRY_STRATEGIES, ERROR_TYPES } from './retryService.js';
+
+// What happens when a step still fails after its retries
+export const ON_ERROR_MODES = {
+  FAIL: 'fail', // stop the run (default)
+  CONTINUE: 'continue', // pass null downstream and keep going
+  ERROR_BRANCH: 'error_branch' // route the error to the step's `error` port
+};
+
+export const ERROR_OUTPUT_PORT = 'error';
+
+// Per-step retry, timeout and error handling, read from the step config:
+//   retry: { count, strategy, delayMs, errorTypes }
+//   timeoutMs: number
+//   onError: one of ON_ERROR_MODES
+// `retryCount` is the older name for retry.count.
+export const getStepPolicy = (config = {}) => {
+  const retry = config.retry || {};
+  // 0 is a valid delay (retry right away); only a missing one gets the default
+  const delayMs = parseInt(retry.delayMs);
+
+  return {
+    retry: {
+      count: Math.max(0, parseInt(retry.count ?? config.retryCount) || 0),
+      strategy: retry.strategy || RETRY_STRATEGIES.FIXED_DELAY,
+      delayMs: Number.isFinite(delayMs) ? Math.max(0, delayMs) : 1000,
+      errorTypes: Array.isArray(retry.errorTypes) ? retry.errorTypes : []
+    },
+    timeoutMs: Math.max(0, parseInt(config.timeoutMs) || 0),
+    onError: config.onError || ON_ERROR_MODES.FAIL
+  };
+};
+
+// Retry only the configured error classes; without a list every failure is
+// retried. Cancellation always ends the step.
+export const shouldRetryStep = (error, errorType, retry) => {
+  if (error.name === 'ExecutionCancelledError') {
+    return false;
+  }
+  return retry.errorTypes.length === 0 || retry.errorTypes.includes(errorType);
+};
+
+export const validateStepPolicy = (config = {}) => {
+  const errors = [];
+  const retry = config.retry || {};
+
+  if (retry.count !== undefined && (!Number.isInteger(Number(retry.count)) || Number(retry.count) < 0)) {
+    errors.push('Retry count must be a non-negative integer');
+  }
+
+  if (retry.strategy && !Object.values(RETRY_STRATEGIES).includes(retry.strategy)) {
+    errors.push(`Retry strategy must be one of: ${Object.values(RETRY_STRATEGIES).join(', ')}`);
+  }
+
+  const unknownTypes = (retry.errorTypes || []).filter(type => !Object.values(ERROR_TYPES).includes(type));
+  if (unknownTypes.length > 0) {
+    errors.push(`Unknown error types to retry: ${unknownTypes.join(', ')}`);
+  }
+
+  if (config.timeoutMs !== undefined && config.timeoutMs !== '' && !(Number(config.timeoutMs) >= 0)) {
+    errors.push('Timeout must be a non-negative number of milliseconds');
+  }
+
+  if (config.onError && !Object.values(ON_ERROR_MODES).includes(config.onError)) {
+    errors.push(`On error must be one of: ${Object.values(ON_ERROR_MODES).join(', ')}`);
+  }
+
+  return errors;
+};
@@ -0,0 +1,349 @@
+import { logger } from '../config/logs.js';
+
+// Matches {{ expression }} placeholders inside config strings
+const TEMPLATE_PATTERN = /\{\{\s*([\s\S]+?)\s*\}\}/g;
+const SINGLE_TEMPLATE_PATTERN = /^\{\{\s*((?:(?!\}\})[\s\S])+?)\s*\}\}$/;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const toDate = (value) => {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value === undefined || value === null || value === '') return new Date();
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date value: ${value}`);
+  }
+  return date;
+};
+
+// Format a date with moment-style tokens (YYYY, MM, DD, HH, mm, ss, ...)
+const formatDate = (value, pattern = 'YYYY-MM-DDTHH:mm:ss') => {
+  const date = toDate(value);
+  const tokens = {
+    YYYY: date.getFullYear(),
+    YY: pad(date.getFullYear() % 100),
+    MM: pad(date.getMonth() + 1),
+    M: date.getMonth() + 1,
+    DD: pad(date.getDate()),
+    D: date.getDate(),
+    HH: pad(date.getHours()),
+    H: date.getHours(),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds()),
+    SSS: pad(date.getMilliseconds(), 3)
+  };
+  return pattern.replace(/YYYY|YY|SSS|MM|M|DD|D|HH|H|mm|ss/g, token => tokens[token]);
+};
+
+const addToDate = (value, amount, unit) => {
+  const date = toDate(value);
+  const n = Number(amount) || 0;
+  switch (unit) {
+    case 'minutes':
+      date.setMinutes(date.getMinutes() + n);
+      break;
+    case 'hours':
+      date.setHours(date.getHours() + n);
+      break;
+    case 'days':
+      date.setDate(date.getDate() + n);
+      break;
+    case 'months':
+      date.setMonth(date.getMonth() + n);
+      break;
+    case 'years':
+      date.setFullYear(date.getFullYear() + n);
+      break;
+    default:
+      throw new Error(`Unknown date unit: ${unit}`);
+  }
+  return date;
+};
+
+const stringify = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Built-in filters: value | name(arg1, arg2)
+const BUILTIN_FILTERS = {
+  // Fallbacks
+  default: (value, fallback = '') => (value === undefined || value === null || value === '' ? fallback : value),
+
+  // Strings
+  upper: value => stringify(value).toUpperCase(),
+  lower: value => stringify(value).toLowerCase(),
+  trim: value => stringify(value).trim(),
+  capitalize: value => {
+    const text = stringify(value);
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+  replace: (value, search, replacement = '') => stringify(value).split(String(search)).join(String(replacement)),
+  truncate: (value, length = 50, suffix = '') => {
+    const text = stringify(value);
+    return text.length > length ? text.slice(0, length) + suffix : text;
+  },
+  padStart: (value, length, char = ' ') => stringify(value).padStart(Number(length), String(char)),
+  padEnd: (value, length, char = ' ') => stringify(value).padEnd(Number(length), String(char)),
+  split: (value, separator = ',') => stringify(value).split(String(separator)),
+  string: value => stringify(value),
+
+  // Collections
+  join: (value, separator = ',') => (Array.isArray(value) ? value.join(String(separator)) : stringify(value)),
+  length: value => (value === undefined || value === null ? 0 : (value.length ?? Object.keys(value).length)),
+  first: value => (Array.isArray(value) ? value[0] : value),
+  last: value => (Array.isArray(value) ? value[value.length - 1] : value),
+  slice: (value, start, end) => (value === undefined || value === null ? value : value.slice(start, end)),
+  json: value => JSON.stringify(value),
+
+  // Numbers
+  number: value => Number(value),
+  round: (value, decimals = 0) => {
+    const factor = Math.pow(10, Number(decimals));
+    return Math.round(Number(value) * factor) / factor;
+  },
+
+  // Dates
+  date: value => toDate(value),
+  format: (value, pattern) => formatDate(value, pattern),
+  addMinutes: (value, amount) => addToDate(value, amount, 'minutes'),
+  addHours: (value, amount) => addToDate(value, amount, 'hours'),
+  addDays: (value, amount) => addToDate(value, amount, 'days'),
+  addMonths: (value, amount) => addToDate(value, amount, 'months'),
+  addYears: (value, amount) => addToDate(value, amount, 'years'),
+  subtractDays: (value, amount) => addToDate(value, -Number(amount), 'days'),
+  startOfDay: value => {
+    const date = toDate(value);
+    date.setHours(0, 0, 0, 0);
+    return date;
+  },
+  endOfDay: value => {
+    const date = toDate(value);
+    date.setHours(23, 59, 59, 999);
+    return date;
+  },
+  timestamp: value => toDate(value).getTime()
+};
+
+// Split an expression into tokens: identifiers, literals and punctuation
+const tokenize = (expression) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expression.length) {
+    const char = expression[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '"' || char === "'") {
+      let value = '';
+      i++;
+      while (i < expression.length && expression[i] !== char) {
+        if (expression[i] === '\\' && i + 1 < expression.length) {
+          i++;
+        }
+        value += expression[i++];
+      }
+      if (i >= expression.length) {
+        throw new Error(`Unterminated string in template: ${expression}`);
+      }
+      i++;
+      tokens.push({ type: 'literal', value });
+    } else if (/[0-9]/.test(char) || (char === '-' && /[0-9]/.test(expression[i + 1] || ''))) {
+      let raw = char;
+      i++;
+      while (i < expression.length && /[0-9.]/.test(expression[i])) {
+        raw += expression[i++];
+      }
+      tokens.push({ type: 'literal', value: Number(raw) });
+    } else if (/[A-Za-z_$]/.test(char)) {
+      let name = '';
+      while (i < expression.length && /[A-Za-z0-9_$-]/.test(expression[i])) {
+        name += expression[i++];
+      }
+      if (name === 'true' || name === 'false') {
+        tokens.push({ type: 'literal', value: name === 'true' });
+      } else if (name === 'null') {
+        tokens.push({ type: 'literal', value: null });
+      } else {
+        tokens.push({ type: 'identifier', value: name });
+      }
+    } else if ('.[]|(),'.includes(char)) {
+      tokens.push({ type: 'punct', value: char });
+      i++;
+    } else {
+      throw new Error(`Unexpected character "${char}" in template: ${expression}`);
+    }
+  }
+
+  return tokens;
+};
+
+class TemplateService {
+  constructor() {
+    this.filters = { ...BUILTIN_FILTERS };
+  }
+
+  // Register a custom filter usable as {{ value | name(args) }}
+  registerFilter(name, fn) {
+    this.filters[name] = fn;
+  }
+
+  // Check whether a value contains any template placeholder
+  hasTemplate(value) {
+    if (typeof value === 'string') {
+      return value.includes('{{');
+    }
+    if (Array.isArray(value)) {
+      return value.some(item => this.hasTemplate(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.values(value).some(item => this.hasTemplate(item));
+    }
+    return false;
+  }
+
+  // Resolve templates recursively in a config value.
+  // A string made of a single placeholder keeps the type of the resolved value
+  // (arrays, objects, numbers); mixed strings are interpolated as text.
+  resolve(value, scope, skipKeys = []) {
+    if (typeof value === 'string') {
+      return this.resolveString(value, scope);
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.resolve(item, scope));
+    }
+
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      const resolved = {};
+      for (const [key, item] of Object.entries(value)) {
+        resolved[key] = skipKeys.includes(key) ? item : this.resolve(item, scope);
+      }
+      return resolved;
+    }
+
+    return value;
+  }
+
+  resolveString(text, scope) {
+    if (!text.includes('{{')) {
+      return text;
+    }
+
+    const single = text.match(SINGLE_TEMPLATE_PATTERN);
+    if (single) {
+      return this.evaluate(single[1], scope);
+    }
+
+    return text.replace(TEMPLATE_PATTERN, (_, expression) => stringify(this.evaluate(expression, scope)));
+  }
+
+  // Evaluate "path | filter(args) | filter" against the scope
+  evaluate(expression, scope) {
+    const tokens = tokenize(expression);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const expect = (value) => {
+      const token = next();
+      if (!token || token.value !== value) {
+        throw new Error(`Expected "${value}" in template: ${expression}`);
+      }
+    };
+
+    const parseOperand = () => {
+      const token = next();
+      if (!token) {
+        throw new Error(`Unexpected end of template: ${expression}`);
+      }
+      if (token.type === 'literal') {
+        return token.value;
+      }
+      if (token.type !== 'identifier') {
+        throw new Error(`Unexpected "${token.value}" in template: ${expression}`);
+      }
+
+      let current = scope[token.value];
+      while (peek() && (peek().value === '.' || peek().value === '[')) {
+        const accessor = next();
+        if (accessor.value === '.') {
+          const property = next();
+          if (!property || property.type !== 'identifier') {
+            throw new Error(`Expected property name in template: ${expression}`);
+          }
+          current = this.getProperty(current, property.value);
+        } else {
+          const key = parseOperand();
+          expect(']');
+          current = this.getProperty(current, key);
+        }
+      }
+      return current;
+    };
+
+    let value = parseOperand();
+
+    while (peek()) {
+      expect('|');
+      const filterToken = next();
+      if (!filterToken || filterToken.type !== 'identifier') {
+        throw new Error(`Expected filter name in template: ${expression}`);
+      }
+
+      const filter = this.filters[filterToken.value];
+      if (!filter) {
+        throw new Error(`Unknown template filter: ${filterToken.value}`);
+      }
+
+      const args = [];
+      if (peek() && peek().value === '(') {
+        next();
+        while (peek() && peek().value !== ')') {
+          args.push(parseOperand());
+          if (peek() && peek().value === ',') {
+            next();
+          }
+        }
+        expect(')');
+      }
+
+      value = filter(value, ...args);
+    }
+
+    return value;
+  }
+
+  // Only own data properties are reachable - no prototype or function access
+  getProperty(target, key) {
+    if (target === undefined || target === null) {
+      return undefined;
+    }
+    if (target instanceof Map) {
+      return target.get(key);
+    }
+    if (!Object.prototype.hasOwnProperty.call(Object(target), key)) {
+      return key === 'length' && (typeof target === 'string' || Array.isArray(target))
+        ? target.length
+        : undefined;
+    }
+    const value = target[key];
+    return typeof value === 'function' ? undefined : value;
+  }
+
+  // Resolve a step config, logging and rethrowing template errors with context
+  resolveStepConfig(step, scope, skipKeys = []) {
+    try {
+      return this.resolve(step.config || {}, scope, skipKeys);
+    } catch (error) {
+      logger.warn('Template resolution failed', { stepId: step.id, error: error.message });
+      throw new Error(`Template error in step ${step.name || step.id}: ${error.message}`);
+    }
+  }
+}
+
+export const templateService = new TemplateService();
+export default templateService;
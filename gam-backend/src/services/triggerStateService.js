@@ -0,0 +1,51 @@
+import crypto from 'crypto';
+import { db } from '../config/database.js';
+import { triggerStates } from '../models/schema.js';
+import { eq, and } from 'drizzle-orm';
+
+// JSON with object keys sorted, so equal values always hash the same
+export const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+export const hashValue = (value) =>
+  crypto.createHash('sha256').update(stableStringify(value)).digest('hex');
+
+// What polling triggers saw last (a hash, a cursor, a delta token), one row
+// per automation and trigger type, so a restart picks up where it stopped
+// instead of firing again for data it already handled
+class TriggerStateService {
+  async get(automationId, triggerType) {
+    const [row] = await db
+      .select({ state: triggerStates.state })
+      .from(triggerStates)
+      .where(and(eq(triggerStates.automationId, automationId), eq(triggerStates.triggerType, triggerType)));
+
+    return row?.state || null;
+  }
+
+  async save(automationId, triggerType, state) {
+    await db
+      .insert(triggerStates)
+      .values({ automationId, triggerType, state, updatedAt: new Date() })
+      .onConflictDoUpdate({
+        target: [triggerStates.automationId, triggerStates.triggerType],
+        set: { state, updatedAt: new Date() }
+      });
+  }
+
+  async clear(automationId, triggerType) {
+    await db
+      .delete(triggerStates)
+      .where(and(eq(triggerStates.automationId, automationId), eq(triggerStates.triggerType, triggerType)));
+  }
+}
+
+export const triggerStateService = new TriggerStateService();
+export default triggerStateService;
@@ -0,0 +1,304 @@
+import { db } from '../config/database.js';
+import { automations, automationVersions, users } from '../models/schema.js';
+import { eq, and, desc, sql } from 'drizzle-orm';
+import { logger } from '../config/logs.js';
+
+// Parts of an automation that make up its definition; everything else
+// (status, owner, timestamps) is state and is not versioned
+const VERSIONED_FIELDS = ['name', 'description', 'steps', 'config', 'schedule'];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Field-level differences between two JSON values. Objects are compared key
+// by key; arrays and scalars are compared as a whole.
+export const diffValues = (from, to, path = '') => {
+  if (isPlainObject(from) && isPlainObject(to)) {
+    const keys = new Set([...Object.keys(from), ...Object.keys(to)]);
+    return [...keys].flatMap(key => diffValues(from[key], to[key], path ? `${path}.${key}` : key));
+  }
+
+  if (JSON.stringify(from) === JSON.stringify(to)) {
+    return [];
+  }
+
+  return [{ path, from: from ?? null, to: to ?? null }];
+};
+
+// Compare two snapshots. Steps are matched by id so a moved or renamed step
+// shows up as changed rather than as removed and added.
+export const diffSnapshots = (from, to) => {
+  const fromSteps = new Map((from.steps || []).map(step => [step.id, step]));
+  const toSteps = new Map((to.steps || []).map(step => [step.id, step]));
+
+  const changed = [];
+  for (const [id, step] of toSteps) {
+    const previous = fromSteps.get(id);
+    if (!previous) {
+      continue;
+    }
+
+    const changes = diffValues(previous, step);
+    if (changes.length > 0) {
+      changed.push({
+        id,
+        name: step.name,
+        // Dragging a step around the canvas does not change what it does
+        positionOnly: changes.every(change => change.path.startsWith('position')),
+        changes
+      });
+    }
+  }
+
+  return {
+    from: from.version,
+    to: to.version,
+    fields: ['name', 'description', 'schedule'].flatMap(field => diffValues(from[field], to[field], field)),
+    config: diffValues(from.config || {}, to.config || {}),
+    steps: {
+      added: [...toSteps.values()].filter(step => !fromSteps.has(step.id)),
+      removed: [...fromSteps.values()].filter(step => !toSteps.has(step.id)),
+      changed
+    }
+  };
+};
+
+// Version history of automation definitions. Every save bumps
+// automations.version and stores a snapshot of the saved definition, so any
+// earlier version can be inspected, compared or restored, and executions can
+// point at the version they ran.
+//
+// The automations row is the working draft. Publishing marks one version as
+// the published revision; scheduled and webhook runs execute that snapshot,
+// so editing the draft never changes what a live trigger runs.
+class VersionService {
+  // Store the automation's current definition as its current version. A
+  // version is written once; saving the same version again is a no-op.
+  async snapshot(automation, userId = null, executor = db) {
+    await executor
+      .insert(automationVersions)
+      .values({
+        automationId: automation.id,
+        version: automation.version,
+        name: automation.name,
+        description: automation.description,
+        steps: automation.steps || [],
+        config: automation.config || {},
+        schedule: automation.schedule || null,
+        createdBy: userId
+      })
+      .onConflictDoNothing();
+  }
+
+  // Apply changes to an automation as a new version. Automations saved before
+  // versioning existed get their previous definition recorded first, so the
+  // history always starts from what was there. Changes that leave the
+  // definition as it was (a status change, say) do not make a new version.
+  async update(existing, changes, userId = null) {
+    const changesDefinition = VERSIONED_FIELDS.some(field =>
+      field in changes && JSON.stringify(changes[field]) !== JSON.stringify(existing[field])
+    );
+
+    if (!changesDefinition) {
+      const [row] = await db
+        .update(automations)
+        .set({ ...changes, updatedAt: new Date() })
+        .where(eq(automations.id, existing.id))
+        .returning();
+
+      return row;
+    }
+
+    const updated = await db.transaction(async (tx) => {
+      await this.snapshot(existing, existing.ownerId, tx);
+
+      const [row] = await tx
+        .update(automations)
+        .set({
+          ...changes,
+          updatedAt: new Date(),
+          version: sql`${automations.version} + 1`
+        })
+        .where(eq(automations.id, existing.id))
+        .returning();
+
+      await this.snapshot(row, userId, tx);
+      return row;
+    });
+
+    logger.info('Automation version saved', {
+      automationId: updated.id,
+      version: updated.version,
+      userId
+    });
+
+    return updated;
+  }
+
+  async list(automationId) {
+    return db
+      .select({
+        id: automationVersions.id,
+        version: automationVersions.version,
+        name: automationVersions.name,
+        description: automationVersions.description,
+        stepCount: sql`jsonb_array_length(coalesce(${automationVersions.steps}, '[]'::jsonb))`.mapWith(Number),
+        createdAt: automationVersions.createdAt,
+        createdBy: {
+          id: users.id,
+          name: users.name,
+          email: users.email
+        }
+      })
+      .from(automationVersions)
+      .leftJoin(users, eq(automationVersions.createdBy, users.id))
+      .where(eq(automationVersions.automationId, automationId))
+      .orderBy(desc(automationVersions.version));
+  }
+
+  // A stored version, or the live definition when asked for the current
+  // version of an automation that has not been saved since versioning began
+  async get(automation, version) {
+    const [stored] = await db
+      .select()
+      .from(automationVersions)
+      .where(and(
+        eq(automationVersions.automationId, automation.id),
+        eq(automationVersions.version, version)
+      ));
+
+    if (stored) {
+      return stored;
+    }
+
+    if (version === automation.version) {
+      return {
+        automationId: automation.id,
+        version: automation.version,
+        ...Object.fromEntries(VERSIONED_FIELDS.map(field => [field, automation[field] ?? null])),
+        createdAt: automation.updatedAt
+      };
+    }
+
+    return null;
+  }
+
+  // The automation as it was defined at a version, ready to execute. State
+  // (status, owner, schedule, triggers) stays that of the live row. Returns
+  // null when the version does not exist.
+  async definitionAt(automation, version) {
+    if (version === automation.version) {
+      return automation;
+    }
+
+    const snapshot = await this.get(automation, version);
+    if (!snapshot) {
+      return null;
+    }
+
+    return {
+      ...automation,
+      name: snapshot.name,
+      description: snapshot.description,
+      steps: snapshot.steps || [],
+      config: snapshot.config || {},
+      version: snapshot.version
+    };
+  }
+
+  // The published revision of an automation, or null when it was never
+  // published
+  async published(automationId) {
+    const [automation] = await db
+      .select()
+      .from(automations)
+      .where(eq(automations.id, automationId));
+
+    if (!automation?.publishedVersion) {
+      return null;
+    }
+
+    return this.definitionAt(automation, automation.publishedVersion);
+  }
+
+  // The schedule saved with the published revision, or null when the
+  // automation was never published or that revision has none. A schedule
+  // edited in the draft waits for the next publish, like the steps.
+  async publishedSchedule(automation) {
+    if (!automation.publishedVersion) {
+      return null;
+    }
+
+    const snapshot = await this.get(automation, automation.publishedVersion);
+    return snapshot?.schedule ?? null;
+  }
+
+  // Promote the current draft to the published revision. Callers validate
+  // the draft first. A first publish also takes the automation out of draft
+  // status; a paused automation stays paused.
+  async publish(automation, userId) {
+    const published = await db.transaction(async (tx) => {
+      await this.snapshot(automation, userId, tx);
+
+      const [row] = await tx
+        .update(automations)
+        .set({
+          publishedVersion: automation.version,
+          publishedAt: new Date(),
+          publishedBy: userId,
+          status: automation.status === 'draft' ? 'active' : automation.status
+        })
+        .where(eq(automations.id, automation.id))
+        .returning();
+
+      return row;
+    });
+
+    logger.info('Automation published', {
+      automationId: automation.id,
+      version: published.publishedVersion,
+      previousVersion: automation.publishedVersion,
+      userId
+    });
+
+    return published;
+  }
+
+  // Returns null when either version does not exist
+  async diff(automation, fromVersion, toVersion) {
+    const [from, to] = await Promise.all([
+      this.get(automation, fromVersion),
+      this.get(automation, toVersion)
+    ]);
+
+    if (!from || !to) {
+      return null;
+    }
+
+    return diffSnapshots(from, to);
+  }
+
+  // Rolling back never rewrites history: the old definition is saved again
+  // as the newest version. Returns null when the version does not exist.
+  async restore(automation, version, userId) {
+    const target = await this.get(automation, version);
+    if (!target) {
+      return null;
+    }
+
+    const changes = Object.fromEntries(VERSIONED_FIELDS.map(field => [field, target[field] ?? null]));
+    const restored = await this.update(automation, changes, userId);
+
+    logger.info('Automation version restored', {
+      automationId: automation.id,
+      restoredVersion: version,
+      newVersion: restored.version,
+      userId
+    });
+
+    return restored;
+  }
+}
+
+export const versionService = new VersionService();
+export default versionService;
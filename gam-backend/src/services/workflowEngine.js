@@ -1,8 +1,14 @@
 import { v4 as uuidv4 } from 'uuid';
 import { db } from '../config/database.js';
 import { executions, automations } from '../models/schema.js';
-import { eq } from 'drizzle-orm';
+import { eq, and, ne } from 'drizzle-orm';
 import { logger } from '../config/logs.js';
+import { templateService } from './templateService.js';
+import { credentialService, redactSecrets } from './credentialService.js';
+import { executionEvents } from './executionEvents.js';
+import { auditService, systemContext, AUDIT_ACTIONS } from './auditService.js';
+import fs from 'fs-extra';
+import path from 'path';
 // Import services with fallback for missing dependencies
 let retryService, errorHandlingService, performanceService;
 try {
@@ -32,6 +38,7 @@ export const STEP_TYPES = {
   SOURCE_FILE_LOCAL: 'source_file_local',
   SOURCE_API_REST: 'source_api_rest',
   SOURCE_DATABASE: 'source_database',
+  SOURCE_EMAIL_IMAP: 'source_email_imap',
   SOURCE_SHAREPOINT: 'source_sharepoint',
   SOURCE_ONEDRIVE: 'source_onedrive',
   SOURCE_SMB_SHARE: 'source_smb_share',
@@ -52,6 +59,7 @@ export const STEP_TYPES = {
   ACTION_MERGE_DATA: 'action_merge_data',
   ACTION_FILE_OPERATION: 'action_file_operation',
   ACTION_CUSTOM_JS: 'action_custom_js',
+  ACTION_BROWSER: 'action_browser',
   
   // Interface automation steps
   INTERFACE_NAVIGATE: 'interface_navigate',
@@ -65,23 +73,96 @@ export const STEP_TYPES = {
   DESTINATION_API: 'destination_api',
   DESTINATION_DATABASE: 'destination_database',
   DESTINATION_EMAIL: 'destination_email',
-  DESTINATION_CLOUD: 'destination_cloud'
+  DESTINATION_CLOUD: 'destination_cloud',
+
+  // Logic steps
+  LOGIC_CONDITION: 'logic_condition',
+  LOGIC_FOREACH: 'logic_foreach'
+};
+
+// Names used by the canvas editor that differ from the engine's step types.
+// Types are matched case-insensitively, so SOURCE_MANUAL_INPUT works as-is.
+const STEP_TYPE_ALIASES = {
+  source_file: STEP_TYPES.SOURCE_FILE_LOCAL,
+  source_api: STEP_TYPES.SOURCE_API_REST,
+  filter_advanced: STEP_TYPES.FILTER_COMPLEX
+};
+
+export const normalizeStepType = (type) => {
+  const normalized = String(type || '').toLowerCase();
+  return STEP_TYPE_ALIASES[normalized] || normalized;
 };
 
 // Workflow execution context
-class WorkflowContext {
+export class WorkflowContext {
   constructor(executionId, automationId, inputData = {}) {
     this.executionId = executionId;
     this.automationId = automationId;
+    this.workspaceId = null; // owner of the connections steps use
     this.data = inputData;
     this.variables = {};
     this.stepResults = new Map();
+    this.stepAliases = new Map(); // step name -> step id, for templates
     this.logs = [];
     this.startTime = Date.now();
+    this.abortController = new AbortController();
+    this.parent = null; // set on forked contexts
+    this.onEvent = null; // live event sink, set for real runs
+    this.progress = null;
+    this.secrets = new Set(); // credential values handed to steps, redacted everywhere
+    this.credentialsUsed = new Set(); // credential ids already written to the audit log
+  }
+
+  // Publish a live event (log line, step start/finish, progress) to anyone
+  // watching the execution
+  emit(type, data = {}) {
+    this.onEvent?.(type, this.redact(data));
+  }
+
+  // Mask the credential values this execution has used
+  redact(value) {
+    return redactSecrets(value, this.secrets);
+  }
+
+  // Audit the first use of each credential in the execution; loops reveal
+  // the same credential on every iteration
+  recordCredentialUse(credentialId, step) {
+    if (this.credentialsUsed.has(credentialId)) {
+      return;
+    }
+    this.credentialsUsed.add(credentialId);
+
+    auditService.record(systemContext(this.workspaceId), AUDIT_ACTIONS.CREDENTIAL_USE, {
+      entityType: 'credential',
+      entityId: credentialId,
+      metadata: { executionId: this.executionId, automationId: this.automationId, stepId: step.id }
+    });
+  }
+
+  // Aborted when the execution is cancelled; executors pass it to anything
+  // long-running (HTTP calls, transfers) so the work stops promptly
+  get signal() {
+    return this.abortController.signal;
+  }
+
+  get cancelled() {
+    return this.signal.aborted;
+  }
+
+  cancel(reason = 'Execution cancelled') {
+    if (!this.cancelled) {
+      this.abortController.abort(new ExecutionCancelledError(reason));
+    }
+  }
+
+  throwIfCancelled() {
+    if (this.cancelled) {
+      throw this.signal.reason;
+    }
   }
 
   log(level, message, metadata = {}) {
-    const logEntry = {
+    const logEntry = this.redact({
       timestamp: new Date().toISOString(),
       level,
       message,
@@ -90,18 +171,23 @@ class WorkflowContext {
         executionId: this.executionId,
         automationId: this.automationId
       }
-    };
+    });
     
     this.logs.push(logEntry);
-    logger.log(level, message, logEntry.metadata);
+    logger.log(level, logEntry.message, logEntry.metadata);
+    this.emit('log', logEntry);
   }
 
-  setStepResult(stepId, result) {
+  setStepResult(stepId, result, stepName = null) {
     this.stepResults.set(stepId, result);
+    if (stepName) {
+      this.stepAliases.set(stepName, stepId);
+    }
   }
 
+  // Look a result up by step id, falling back to the step name
   getStepResult(stepId) {
-    return this.stepResults.get(stepId);
+    return this.stepResults.get(stepId) ?? this.stepResults.get(this.stepAliases.get(stepId));
   }
 
   setVariable(key, value) {
@@ -115,11 +201,62 @@ class WorkflowContext {
   getDuration() {
     return Date.now() - this.startTime;
   }
+
+  // Values reachable from {{ }} templates in step configs
+  getTemplateScope(inputData) {
+    const steps = {};
+    for (const [stepId, result] of this.stepResults.entries()) {
+      steps[stepId] = {
+        data: result.data,
+        metadata: result.metadata,
+        outputPort: result.outputPort
+      };
+    }
+    for (const [stepName, stepId] of this.stepAliases.entries()) {
+      if (!(stepName in steps)) {
+        steps[stepName] = steps[stepId];
+      }
+    }
+
+    return {
+      steps,
+      vars: this.variables,
+      input: this.data,
+      data: inputData,
+      inputData,
+      execution: {
+        id: this.executionId,
+        automationId: this.automationId
+      },
+      now: new Date()
+    };
+  }
+
+  // Create a scoped child context (e.g. one loop iteration). The child shares
+  // the execution log but gets its own data, variables and step results.
+  fork(data, variables = {}) {
+    const child = new WorkflowContext(this.executionId, this.automationId, data);
+    child.workspaceId = this.workspaceId;
+    child.variables = { ...this.variables, ...variables };
+    child.stepResults = new Map(this.stepResults);
+    child.stepAliases = new Map(this.stepAliases);
+    child.logs = this.logs;
+    child.startTime = this.startTime;
+    child.abortController = this.abortController;
+    child.parent = this;
+    child.onEvent = this.onEvent;
+    child.secrets = this.secrets;
+    child.credentialsUsed = this.credentialsUsed;
+    return child;
+  }
 }
 
 // Import base step executor
-import { StepExecutor } from './stepExecutor.js';
-export { StepExecutor };
+import { StepExecutor, createStepResult, ExecutionCancelledError, abortable, withTimeout } from './stepExecutor.js';
+import { getStepPolicy, shouldRetryStep, validateStepPolicy, ON_ERROR_MODES, ERROR_OUTPUT_PORT } from './stepPolicy.js';
+import { DebugSession, DEBUG_ACTIONS } from './debugSession.js';
+import { getSecretFields } from './stepRegistry.js';
+export { StepExecutor, createStepResult, ExecutionCancelledError };
 
 // Source step executors
 class SourceManualInputExecutor extends StepExecutor {
@@ -128,13 +265,15 @@ class SourceManualInputExecutor extends StepExecutor {
   }
 
   async execute(step, context, inputData) {
-    const { defaultValue, prompt, dataType = 'string' } = step.config;
+    const { data, defaultValue, prompt, dataType = 'string' } = step.config;
     
     context.log('info', `Executing manual input step: ${step.name}`, { stepId: step.id });
     
-    // In a real implementation, this would prompt user for input
-    // For now, return default value or input data
-    const result = inputData?.manualInput?.[step.id] || defaultValue || '';
+    // Values supplied when the run was started win over the data typed in the
+    // editor, then the default value, then whatever flowed into the step
+    const result = inputData?.manualInput?.[step.id] ??
+      this.parseData(data) ??
+      (defaultValue || inputData || '');
     
     context.log('info', `Manual input collected`, { stepId: step.id, hasData: !!result });
     
@@ -149,23 +288,140 @@ class SourceManualInputExecutor extends StepExecutor {
     };
   }
 
+  // Data typed in the editor is saved as JSON text
+  parseData(data) {
+    if (data === undefined || data === null || data === '') return undefined;
+    if (typeof data !== 'string') return data;
+    try {
+      return JSON.parse(data);
+    } catch (_) {
+      return data;
+    }
+  }
+
   async validate(stepConfig) {
     const errors = [];
-    if (!stepConfig.prompt) {
-      errors.push('Prompt is required for manual input');
+    if (!stepConfig.prompt && !stepConfig.data && !stepConfig.defaultValue) {
+      errors.push('Input data, default value or prompt is required for manual input');
     }
     return { valid: errors.length === 0, errors };
   }
 }
 
+// Local file source
+class SourceFileLocalExecutor extends StepExecutor {
+  constructor() {
+    super(STEP_TYPES.SOURCE_FILE_LOCAL);
+  }
+
+  async execute(step, context, inputData) {
+    // "path"/"format" come from the canvas editor, "filePath"/"fileType" from the registry
+    const filePath = step.config.filePath || step.config.path;
+    const encoding = step.config.encoding || 'utf8';
+    const fileType = step.config.fileType || step.config.format || path.extname(filePath).slice(1).toLowerCase();
+
+    context.log('info', `Reading local file: ${filePath}`, { stepId: step.id });
+
+    let content;
+    try {
+      content = await fs.readFile(filePath, encoding);
+    } catch (error) {
+      throw new Error(`Failed to read file: ${error.message}`);
+    }
+
+    let data;
+    switch (fileType) {
+      case 'json':
+        data = JSON.parse(content);
+        break;
+      case 'csv':
+        data = parseCsv(content, step.config.delimiter);
+        break;
+      default:
+        data = { content, type: 'text' };
+    }
+
+    return {
+      success: true,
+      data,
+      metadata: {
+        filePath,
+        fileType,
+        size: Buffer.byteLength(content, encoding),
+        itemCount: Array.isArray(data) ? data.length : 1,
+        source: 'file_local'
+      }
+    };
+  }
+
+  async validate(stepConfig) {
+    const errors = [];
+    if (!stepConfig.filePath && !stepConfig.path) {
+      errors.push('File path is required');
+    }
+    const fileType = stepConfig.fileType || stepConfig.format;
+    if (fileType && !['json', 'csv', 'text', 'txt'].includes(fileType)) {
+      errors.push(`Unsupported file type: ${fileType}`);
+    }
+    return { valid: errors.length === 0, errors };
+  }
+}
+
+// Parse CSV text into objects keyed by the header row (handles quoted fields)
+const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [headers = [], ...records] = rows.filter(cells => cells.some(cell => cell.trim()));
+  return records.map(cells => headers.reduce((obj, header, index) => {
+    obj[header.trim()] = cells[index]?.trim() ?? '';
+    return obj;
+  }, {}));
+};
+
 // Filter step executors
 class FilterSimpleExecutor extends StepExecutor {
-  constructor() {
-    super(STEP_TYPES.FILTER_SIMPLE);
+  constructor(type = STEP_TYPES.FILTER_SIMPLE) {
+    super(type);
   }
 
   async execute(step, context, inputData) {
-    const { field, operator, value, caseSensitive = false } = step.config;
+    const { operator, value, caseSensitive = false } = step.config;
+    // The canvas editor calls the field "condition"
+    const field = step.config.field ?? step.config.condition;
     
     context.log('info', `Executing simple filter: ${field} ${operator} ${value}`, { stepId: step.id });
     
@@ -200,6 +456,7 @@ class FilterSimpleExecutor extends StepExecutor {
   }
 
   getFieldValue(obj, field) {
+    if (!field) return obj;
     return field.split('.').reduce((value, key) => value?.[key], obj);
   }
 
@@ -224,10 +481,285 @@ class FilterSimpleExecutor extends StepExecutor {
         return Number(fieldValue) >= Number(value);
       case 'less_equal':
         return Number(fieldValue) <= Number(value);
+      case 'regex':
+        return new RegExp(value, caseSensitive ? '' : 'i').test(String(fieldValue));
       default:
         return false;
     }
   }
+
+  async validate(stepConfig) {
+    const errors = [];
+    if (!stepConfig.field && !stepConfig.condition) {
+      errors.push('Field is required');
+    }
+    if (!stepConfig.operator) {
+      errors.push('Operator is required');
+    }
+    return { valid: errors.length === 0, errors };
+  }
+}
+
+// Script filter: runs a user-supplied function body with (data, context)
+class FilterComplexExecutor extends StepExecutor {
+  constructor() {
+    super(STEP_TYPES.FILTER_COMPLEX);
+  }
+
+  async execute(step, context, inputData) {
+    const { script, language = 'javascript' } = step.config;
+
+    context.log('info', `Executing script filter`, { stepId: step.id });
+
+    if (language !== 'javascript') {
+      throw new Error('Only JavaScript is supported for advanced filters');
+    }
+
+    let result;
+    try {
+      const filterFunction = new Function('data', 'context', script);
+      result = await filterFunction(inputData, {
+        variables: context.variables,
+        executionId: context.executionId,
+        automationId: context.automationId
+      });
+    } catch (error) {
+      throw new Error(`Script execution failed: ${error.message}`);
+    }
+
+    return {
+      success: true,
+      data: result,
+      metadata: {
+        language,
+        inputCount: Array.isArray(inputData) ? inputData.length : 1,
+        outputCount: Array.isArray(result) ? result.length : 1
+      }
+    };
+  }
+
+  async validate(stepConfig) {
+    const errors = [];
+    if (!stepConfig.script) {
+      errors.push('Filter script is required');
+    } else {
+      try {
+        new Function('data', 'context', stepConfig.script);
+      } catch (error) {
+        errors.push(`Invalid script: ${error.message}`);
+      }
+    }
+    if (stepConfig.language && stepConfig.language !== 'javascript') {
+      errors.push('Only JavaScript is supported for advanced filters');
+    }
+    return { valid: errors.length === 0, errors };
+  }
+}
+
+// Logic step executors
+class LogicConditionExecutor extends FilterSimpleExecutor {
+  constructor() {
+    super(STEP_TYPES.LOGIC_CONDITION);
+  }
+
+  async execute(step, context, inputData) {
+    const { source = 'data', field = '', operator, value, caseSensitive = false } = step.config;
+
+    const subject = source === 'variable' ? context.variables : inputData;
+    const fieldValue = this.getFieldValue(subject, field);
+    const outcome = this.evaluate(fieldValue, operator, value, caseSensitive);
+    const outputPort = outcome ? 'true' : 'false';
+
+    context.log('info', `Condition evaluated to ${outputPort}`, {
+      stepId: step.id,
+      source,
+      field,
+      operator
+    });
+
+    // Data passes through untouched; only the route changes
+    return {
+      success: true,
+      data: inputData,
+      outputPort,
+      metadata: {
+        source,
+        field,
+        operator,
+        result: outcome
+      }
+    };
+  }
+
+  evaluate(fieldValue, operator, value, caseSensitive) {
+    switch (operator) {
+      case 'is_empty':
+        return this.isEmpty(fieldValue);
+      case 'is_not_empty':
+        return !this.isEmpty(fieldValue);
+      case 'exists':
+        return fieldValue !== undefined && fieldValue !== null;
+      case 'not_exists':
+        return fieldValue === undefined || fieldValue === null;
+      case 'is_true':
+        return fieldValue === true || fieldValue === 'true';
+      case 'is_false':
+        return fieldValue === false || fieldValue === 'false';
+      case 'matches':
+        return new RegExp(value, caseSensitive ? '' : 'i').test(String(fieldValue ?? ''));
+      default:
+        return this.applyOperator(fieldValue, operator, value, caseSensitive);
+    }
+  }
+
+  isEmpty(value) {
+    if (value === undefined || value === null || value === '') return true;
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'object') return Object.keys(value).length === 0;
+    return false;
+  }
+
+  async validate(stepConfig) {
+    const errors = [];
+    const unaryOperators = ['is_empty', 'is_not_empty', 'exists', 'not_exists', 'is_true', 'is_false'];
+
+    if (!stepConfig.operator) {
+      errors.push('Operator is required');
+    } else if (!unaryOperators.includes(stepConfig.operator) && stepConfig.value === undefined) {
+      errors.push(`Value is required for operator ${stepConfig.operator}`);
+    }
+
+    if (stepConfig.source === 'variable' && !stepConfig.field) {
+      errors.push('Variable name is required when evaluating a variable');
+    }
+
+    if (stepConfig.operator === 'matches') {
+      try {
+        new RegExp(stepConfig.value);
+      } catch (error) {
+        errors.push(`Invalid regular expression: ${error.message}`);
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+}
+
+class LogicForeachExecutor extends StepExecutor {
+  constructor(engine) {
+    super(STEP_TYPES.LOGIC_FOREACH);
+    this.engine = engine;
+    // Nested steps are resolved per iteration, not when the loop starts
+    this.rawConfigKeys = ['steps'];
+  }
+
+  async execute(step, context, inputData) {
+    const {
+      steps = [],
+      itemsPath = '',
+      itemVariable = 'item',
+      indexVariable = 'index',
+      concurrency = 1,
+      errorMode = 'stop'
+    } = step.config;
+
+    const items = itemsPath
+      ? itemsPath.split('.').reduce((value, key) => value?.[key], inputData)
+      : inputData;
+
+    if (!Array.isArray(items)) {
+      return {
+        success: false,
+        error: 'For-each expects an array input',
+        data: []
+      };
+    }
+
+    const workers = Math.max(1, Math.min(parseInt(concurrency) || 1, items.length || 1));
+
+    context.log('info', `Starting for-each over ${items.length} items`, {
+      stepId: step.id,
+      concurrency: workers,
+      errorMode
+    });
+
+    const results = new Array(items.length).fill(null);
+    const failures = [];
+    let nextIndex = 0;
+    let stopError = null;
+
+    const runIteration = async (index) => {
+      const item = items[index];
+      const iterationContext = context.fork(item, {
+        [itemVariable]: item,
+        [indexVariable]: index
+      });
+
+      try {
+        const output = await this.engine.executeSteps(steps, iterationContext);
+        results[index] = output.finalData;
+      } catch (error) {
+        failures.push({ index, item, error: error.message });
+        context.log('warn', `For-each iteration ${index} failed: ${error.message}`, { stepId: step.id, index });
+
+        if (errorMode !== 'continue' && !stopError) {
+          stopError = error;
+        }
+      }
+    };
+
+    // Each worker keeps pulling the next item until the list is exhausted
+    const worker = async () => {
+      while (nextIndex < items.length && !stopError && !context.cancelled) {
+        await runIteration(nextIndex++);
+      }
+    };
+
+    await Promise.all(Array.from({ length: workers }, worker));
+    failures.sort((a, b) => a.index - b.index);
+
+    if (stopError) {
+      throw new Error(`For-each stopped at item ${failures[0].index}: ${stopError.message}`);
+    }
+
+    context.log('info', `For-each completed`, {
+      stepId: step.id,
+      itemCount: items.length,
+      failedCount: failures.length
+    });
+
+    return {
+      success: true,
+      data: results,
+      metadata: {
+        itemCount: items.length,
+        succeededCount: items.length - failures.length,
+        failedCount: failures.length,
+        failures
+      }
+    };
+  }
+
+  async validate(stepConfig) {
+    const errors = [];
+
+    if (!Array.isArray(stepConfig.steps) || stepConfig.steps.length === 0) {
+      errors.push('At least one step is required inside the loop');
+    } else {
+      const validation = await this.engine.validateAutomation({ steps: stepConfig.steps });
+      errors.push(...validation.errors.map(err => `Loop step: ${err}`));
+    }
+
+    if (stepConfig.concurrency !== undefined && !templateService.hasTemplate(stepConfig.concurrency) && (isNaN(Number(stepConfig.concurrency)) || Number(stepConfig.concurrency) < 1)) {
+      errors.push('Concurrency must be a positive number');
+    }
+
+    if (stepConfig.errorMode && !['stop', 'continue'].includes(stepConfig.errorMode)) {
+      errors.push('Error mode must be either stop or continue');
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
 }
 
 // Action step executors
@@ -237,7 +769,9 @@ class ActionTransformExecutor extends StepExecutor {
   }
 
   async execute(step, context, inputData) {
-    const { transformType, config } = step.config;
+    // Options used to be nested under "config"; the editor saves them top-level
+    const config = { ...(step.config.config || {}), ...step.config };
+    const { transformType = 'map', removeEmpty = false, flatten = false } = config;
     
     context.log('info', `Executing transform: ${transformType}`, { stepId: step.id });
 
@@ -260,6 +794,15 @@ class ActionTransformExecutor extends StepExecutor {
         throw new Error(`Unknown transform type: ${transformType}`);
     }
 
+    if (removeEmpty) {
+      result = this.removeEmptyFields(result);
+    }
+    if (flatten) {
+      result = Array.isArray(result)
+        ? result.map(item => this.flattenObject(item))
+        : this.flattenObject(result);
+    }
+
     context.log('info', `Transform completed`, { 
       stepId: step.id, 
       transformType,
@@ -279,16 +822,45 @@ class ActionTransformExecutor extends StepExecutor {
   }
 
   mapTransform(data, config) {
-    if (!Array.isArray(data)) return data;
-    
-    const { mapping } = config;
-    return data.map(item => {
+    const mapping = typeof config.mapping === 'string' ? JSON.parse(config.mapping) : config.mapping;
+    const mapItem = (item) => {
       const mapped = {};
       for (const [newKey, oldKey] of Object.entries(mapping)) {
         mapped[newKey] = this.getFieldValue(item, oldKey);
       }
       return mapped;
-    });
+    };
+    return Array.isArray(data) ? data.map(mapItem) : mapItem(data);
+  }
+
+  removeEmptyFields(data) {
+    if (Array.isArray(data)) {
+      return data.map(item => this.removeEmptyFields(item));
+    }
+    if (!data || typeof data !== 'object') return data;
+
+    const result = {};
+    for (const [key, value] of Object.entries(data)) {
+      if (value !== null && value !== undefined && value !== '') {
+        result[key] = typeof value === 'object' ? this.removeEmptyFields(value) : value;
+      }
+    }
+    return result;
+  }
+
+  flattenObject(obj, prefix = '') {
+    if (!obj || typeof obj !== 'object') return obj;
+
+    const result = {};
+    for (const [key, value] of Object.entries(obj)) {
+      const newPrefix = prefix ? `${prefix}.${key}` : key;
+      if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+        Object.assign(result, this.flattenObject(value, newPrefix));
+      } else {
+        result[newPrefix] = value;
+      }
+    }
+    return result;
   }
 
   flattenTransform(data) {
@@ -328,63 +900,287 @@ class ActionTransformExecutor extends StepExecutor {
   getFieldValue(obj, field) {
     return field.split('.').reduce((value, key) => value?.[key], obj);
   }
+
+  async validate(stepConfig) {
+    const errors = [];
+    const config = { ...(stepConfig.config || {}), ...stepConfig };
+    const { transformType = 'map' } = config;
+
+    if (!['map', 'flatten', 'group', 'sort'].includes(transformType)) {
+      errors.push(`Unknown transform type: ${transformType}`);
+    }
+    if (transformType === 'map') {
+      if (!config.mapping) {
+        errors.push('Field mapping is required');
+      } else if (typeof config.mapping === 'string') {
+        try {
+          JSON.parse(config.mapping);
+        } catch (error) {
+          errors.push(`Field mapping must be valid JSON: ${error.message}`);
+        }
+      }
+    }
+    if (transformType === 'group' && !config.groupBy) {
+      errors.push('Group by field is required');
+    }
+    if (transformType === 'sort' && !config.sortBy) {
+      errors.push('Sort by field is required');
+    }
+    return { valid: errors.length === 0, errors };
+  }
+}
+
+// Destination step executors
+class DestinationFileExecutor extends StepExecutor {
+  constructor() {
+    super(STEP_TYPES.DESTINATION_FILE);
+  }
+
+  async execute(step, context, inputData) {
+    // "path"/"format" come from the canvas editor, "filePath"/"fileType" from the registry
+    const filePath = step.config.filePath || step.config.path;
+    const format = step.config.fileType || step.config.format || 'json';
+    const { overwrite = true, append = false } = step.config;
+
+    context.log('info', `Writing ${format} file: ${filePath}`, { stepId: step.id });
+
+    let content;
+    switch (format) {
+      case 'json':
+        content = JSON.stringify(inputData, null, 2);
+        break;
+      case 'csv':
+        content = toCsv(Array.isArray(inputData) ? inputData : [inputData]);
+        break;
+      case 'txt':
+      case 'text':
+        content = typeof inputData === 'string' ? inputData : JSON.stringify(inputData);
+        break;
+      default:
+        throw new Error(`Unsupported format: ${format}`);
+    }
+
+    if (!append && !overwrite && await fs.pathExists(filePath)) {
+      throw new Error(`File already exists: ${filePath}`);
+    }
+
+    try {
+      await fs.ensureDir(path.dirname(filePath));
+      if (append) {
+        await fs.appendFile(filePath, content + '\n');
+      } else {
+        await fs.writeFile(filePath, content);
+      }
+    } catch (error) {
+      throw new Error(`File write failed: ${error.message}`);
+    }
+
+    return {
+      success: true,
+      data: {
+        path: filePath,
+        size: content.length,
+        format
+      },
+      metadata: {
+        format,
+        append,
+        destination: 'file'
+      }
+    };
+  }
+
+  async validate(stepConfig) {
+    const errors = [];
+    if (!stepConfig.filePath && !stepConfig.path) {
+      errors.push('Output path is required');
+    }
+    const format = stepConfig.fileType || stepConfig.format;
+    if (format && !['json', 'csv', 'txt', 'text'].includes(format)) {
+      errors.push(`Unsupported format: ${format}`);
+    }
+    return { valid: errors.length === 0, errors };
+  }
+}
+
+// Email destination (no mail transport is configured yet; the send is logged)
+class DestinationEmailExecutor extends StepExecutor {
+  constructor() {
+    super(STEP_TYPES.DESTINATION_EMAIL);
+  }
+
+  async execute(step, context, inputData) {
+    const { to, subject, body, attachData = false, format = 'json' } = step.config;
+
+    context.log('info', `Email would be sent`, {
+      stepId: step.id,
+      to,
+      subject,
+      bodyLength: body?.length || 0,
+      attachData,
+      format
+    });
+
+    return {
+      success: true,
+      data: {
+        message: 'Email sending simulated (not implemented)',
+        to,
+        subject,
+        attachData
+      },
+      metadata: {
+        simulated: true,
+        destination: 'email'
+      }
+    };
+  }
+
+  async validate(stepConfig) {
+    const errors = [];
+    if (!stepConfig.to) {
+      errors.push('Email recipient is required');
+    }
+    if (!stepConfig.subject) {
+      errors.push('Email subject is required');
+    }
+    return { valid: errors.length === 0, errors };
+  }
 }
 
 // Import integration executors
 import { integrationExecutors } from './integrationSteps.js';
 import { browserStepExecutors } from './browserSteps.js';
+import { browserService } from './browserService.js';
+import { smbService } from './smbService.js';
+import { dataStepExecutors } from './dataSteps.js';
+import { connectorExecutors, toCsv } from './connectorSteps.js';
+import { buildExecutionGraph, mergeInputs } from './workflowGraph.js';
 
 // Step executor registry
 const stepExecutors = new Map([
   [STEP_TYPES.SOURCE_MANUAL_INPUT, new SourceManualInputExecutor()],
+  [STEP_TYPES.SOURCE_FILE_LOCAL, new SourceFileLocalExecutor()],
   [STEP_TYPES.FILTER_SIMPLE, new FilterSimpleExecutor()],
+  [STEP_TYPES.FILTER_COMPLEX, new FilterComplexExecutor()],
   [STEP_TYPES.ACTION_TRANSFORM, new ActionTransformExecutor()],
+  [STEP_TYPES.DESTINATION_FILE, new DestinationFileExecutor()],
+  [STEP_TYPES.DESTINATION_EMAIL, new DestinationEmailExecutor()],
+  [STEP_TYPES.LOGIC_CONDITION, new LogicConditionExecutor()],
+  // Add filter/action executors for data processing
+  ...dataStepExecutors,
+  // Add API, database and cloud connectors
+  ...connectorExecutors,
   // Add integration executors
   ...integrationExecutors,
   // Add browser automation executors
   ...browserStepExecutors
 ]);
 
+// Browser sessions die with the run, so their handles are never stored
+const persistableVariables = (variables) => Object.fromEntries(
+  Object.entries(variables).filter(([key]) => !key.startsWith('browser_session:'))
+);
+
+// What a failed run leaves behind for a later resume
+const buildCheckpoint = (context, stepResults, failedStepId = null) => ({
+  stepResults,
+  variables: persistableVariables(context.variables),
+  failedStepId,
+  stepOverrides: context.stepOverrides,
+  savedAt: new Date().toISOString()
+});
+
+// Step results without their data, small enough to stream
+const summarizeStepResult = (result) => ({
+  stepId: result.stepId,
+  stepName: result.stepName,
+  stepType: result.stepType,
+  success: result.success,
+  outputPort: result.outputPort,
+  error: result.error,
+  executionTime: result.executionTime
+});
+
+const applyStepOverrides = (steps, overrides = {}) => steps.map(step =>
+  overrides?.[step.id] ? { ...step, config: overrides[step.id] } : step
+);
+
 // Main workflow engine
 export class WorkflowEngine {
   constructor() {
     this.executors = stepExecutors;
+    this.runningContexts = new Map(); // executionId -> context of runs in this process
+    // The loop step runs its nested steps through this engine
+    this.executors.set(STEP_TYPES.LOGIC_FOREACH, new LogicForeachExecutor(this));
   }
 
-  async execute(automation, inputData = {}, triggeredBy = 'manual') {
-    const executionId = uuidv4();
+  // Runs an automation. Queued runs pass the id of their `pending` execution
+  // row; direct calls get a fresh row.
+  async execute(automation, inputData = {}, triggeredBy = 'manual', { executionId: queuedExecutionId = null, resume = null, debug = null } = {}) {
+    const executionId = queuedExecutionId || uuidv4();
     const context = new WorkflowContext(executionId, automation.id, inputData);
+    context.workspaceId = automation.workspaceId;
+    context.stepOverrides = resume?.stepOverrides || {};
+    context.debug = debug;
+    const steps = applyStepOverrides(automation.steps || [], context.stepOverrides);
     
-    // Start performance tracking
-    performanceService.trackExecutionStart(executionId, automation.id, {
-      automationName: automation.name,
-      stepCount: automation.steps?.length || 0,
-      triggeredBy
-    });
-    
-    try {
-      // Create execution record
+    // Create execution record, or claim the queued one. A queued run that was
+    // cancelled before a worker got to it is left alone.
+    if (queuedExecutionId) {
+      const claimed = await db.update(executions)
+        .set({ status: 'running', startedAt: new Date(), automationVersion: automation.version })
+        .where(and(eq(executions.id, executionId), eq(executions.status, 'pending')))
+        .returning({ id: executions.id });
+
+      if (claimed.length === 0) {
+        return { success: false, cancelled: true, executionId, error: 'Execution is no longer pending', logs: [], duration: 0 };
+      }
+    } else {
       await db.insert(executions).values({
         id: executionId,
         automationId: automation.id,
         status: 'running',
         inputData,
         triggeredBy,
-        startedAt: new Date()
+        startedAt: new Date(),
+        automationVersion: automation.version
       });
+    }
+
+    this.runningContexts.set(executionId, context);
+    context.onEvent = (type, data) => executionEvents.publish(executionId, type, data);
+    context.emit('status', { status: 'running', automationId: automation.id, triggeredBy });
 
+    // Start performance tracking
+    performanceService.trackExecutionStart(executionId, automation.id, {
+      automationName: automation.name,
+      stepCount: automation.steps?.length || 0,
+      triggeredBy
+    });
+    
+    // Final status updates never overwrite a cancellation recorded meanwhile
+    const notCancelled = and(eq(executions.id, executionId), ne(executions.status, 'cancelled'));
+
+    try {
       context.log('info', `Starting workflow execution`, { 
         automationName: automation.name,
         stepCount: automation.steps?.length || 0,
         triggeredBy
       });
 
+      // Every finished step is checkpointed so a failed run can be resumed
+      const runOptions = {
+        resume,
+        onCheckpoint: stepResults => this.saveCheckpoint(context, stepResults)
+      };
+
       // Execute with retry logic if automation has retry configuration
       let results;
       if (automation.retryConfig && automation.retryConfig.enabled) {
         results = await retryService.executeWithRetry(
           async (automation, inputData, triggeredBy) => {
-            return await this.executeSteps(automation.steps, context);
+            return await this.executeSteps(steps, context, runOptions);
           },
           executionId,
           automation,
@@ -393,8 +1189,12 @@ export class WorkflowEngine {
         );
       } else {
         // Execute steps in order without retry
-        results = await this.executeSteps(automation.steps, context);
+        results = await this.executeSteps(steps, context, runOptions);
       }
+      context.throwIfCancelled();
+
+      // Nothing that leaves the engine carries a credential value
+      results = context.redact(results);
       
       // Update execution record with success
       await db.update(executions)
@@ -405,11 +1205,12 @@ export class WorkflowEngine {
           completedAt: new Date(),
           durationMs: context.getDuration()
         })
-        .where(eq(executions.id, executionId));
+        .where(notCancelled);
 
       context.log('info', `Workflow execution completed successfully`, {
         duration: context.getDuration()
       });
+      context.emit('status', { status: 'completed', duration: context.getDuration() });
 
       // Track successful execution
       performanceService.trackExecutionEnd(executionId, true);
@@ -423,6 +1224,10 @@ export class WorkflowEngine {
       };
 
     } catch (error) {
+      if (context.cancelled) {
+        return await this.finishCancelled(context);
+      }
+
       // Handle error with error analysis
       const errorAnalysis = await errorHandlingService.handleError(error, {
         executionId,
@@ -443,18 +1248,21 @@ export class WorkflowEngine {
       await db.update(executions)
         .set({
           status: 'failed',
-          errorDetails: {
+          checkpoint: context.redact(buildCheckpoint(context, error.stepResults || [], error.stepResult?.stepId)),
+          errorDetails: context.redact({
             message: error.message,
             stack: error.stack,
             category: errorAnalysis.category,
             severity: errorAnalysis.severity,
             suggestions: errorAnalysis.suggestions
-          },
+          }),
           logs: context.logs,
           completedAt: new Date(),
           durationMs: context.getDuration()
         })
-        .where(eq(executions.id, executionId));
+        .where(notCancelled);
+
+      context.emit('status', { status: 'failed', error: error.message, duration: context.getDuration() });
 
       // Track failed execution
       performanceService.trackExecutionEnd(executionId, false, error.message);
@@ -462,63 +1270,483 @@ export class WorkflowEngine {
       return {
         success: false,
         executionId,
-        error: error.message,
+        error: context.redact(error.message),
         errorAnalysis,
         logs: context.logs,
         duration: context.getDuration()
       };
+    } finally {
+      this.runningContexts.delete(executionId);
+      await this.releaseResources(context);
+    }
+  }
+
+  // Record the end of a cancelled run. The cancel request already stored
+  // who cancelled it; only the logs and timing are added here.
+  async finishCancelled(context) {
+    const reason = context.signal.reason?.message || 'Execution cancelled';
+    context.log('warn', `Workflow execution cancelled: ${reason}`);
+
+    await db.update(executions)
+      .set({
+        status: 'cancelled',
+        logs: context.logs,
+        completedAt: new Date(),
+        durationMs: context.getDuration()
+      })
+      .where(eq(executions.id, context.executionId));
+
+    performanceService.trackExecutionEnd(context.executionId, false, reason);
+    context.emit('status', { status: 'cancelled', error: reason, duration: context.getDuration() });
+
+    return {
+      success: false,
+      cancelled: true,
+      executionId: context.executionId,
+      error: reason,
+      logs: context.logs,
+      duration: context.getDuration()
+    };
+  }
+
+  // Abort a run executing in this process. Browser sessions are closed right
+  // away so pending page operations fail instead of waiting for timeouts.
+  async cancel(executionId, reason = 'Execution cancelled') {
+    const context = this.runningContexts.get(executionId);
+    if (!context) {
+      return false;
+    }
+
+    context.cancel(reason);
+    await this.releaseResources(context);
+    return true;
+  }
+
+  isRunning(executionId) {
+    return this.runningContexts.has(executionId);
+  }
+
+  // Start a run in debug mode and return once its execution row exists.
+  // Debug runs skip the queue: they execute in this process, next to the
+  // session the debug API talks to.
+  async debug(automation, inputData = {}, { breakpoints = [], stepMode = false } = {}) {
+    const executionId = uuidv4();
+
+    await db.insert(executions).values({
+      id: executionId,
+      automationId: automation.id,
+      status: 'pending',
+      inputData,
+      triggeredBy: 'debug'
+    });
+
+    this.execute(automation, inputData, 'debug', {
+      executionId,
+      debug: new DebugSession({ breakpoints, stepMode })
+    }).catch(error => logger.error('Debug execution crashed', { executionId, error: error.message }));
+
+    return { executionId, status: 'pending' };
+  }
+
+  // Logs and progress so far of a run in this process, or null
+  getLiveState(executionId) {
+    const context = this.runningContexts.get(executionId);
+    if (!context) {
+      return null;
+    }
+
+    return { logs: [...context.logs], progress: context.progress };
+  }
+
+  // Snapshot of a debug run in this process, or null when there is none
+  getDebugState(executionId) {
+    const context = this.runningContexts.get(executionId);
+    if (!context?.debug) {
+      return null;
+    }
+
+    return context.redact({
+      ...context.debug.getState(),
+      variables: persistableVariables(context.variables),
+      logs: context.logs
+    });
+  }
+
+  // Apply a debugger action. `breakpoints` replaces the breakpoint list and
+  // may be sent on its own to edit breakpoints while the run keeps going.
+  async debugAction(executionId, action, { breakpoints } = {}) {
+    const context = this.runningContexts.get(executionId);
+    if (!context?.debug) {
+      throw new Error('Execution is not being debugged');
+    }
+
+    if (Array.isArray(breakpoints)) {
+      context.debug.setBreakpoints(breakpoints);
+    }
+
+    if (action === DEBUG_ACTIONS.ABORT) {
+      await this.cancel(executionId, 'Execution aborted from the debugger');
+    } else if (action) {
+      context.debug.resume(action);
+    }
+
+    return this.getDebugState(executionId);
+  }
+
+  async saveCheckpoint(context, stepResults) {
+    try {
+      await db.update(executions)
+        .set({ checkpoint: context.redact(buildCheckpoint(context, stepResults)) })
+        .where(eq(executions.id, context.executionId));
+    } catch (error) {
+      logger.warn('Failed to save execution checkpoint', { executionId: context.executionId, error: error.message });
     }
   }
 
-  async executeSteps(steps, context) {
-    let currentData = context.data;
+  // Checkpoint for a new run that picks up where an earlier one stopped:
+  // steps that succeeded are replayed from their stored output, everything
+  // from the resumed step (by default the failed one) onwards runs again.
+  // `config` replaces the config of the resumed step for this run only.
+  buildResumeState(execution, steps, { stepId = null, config = null } = {}) {
+    const checkpoint = execution.checkpoint;
+    if (!checkpoint || !Array.isArray(checkpoint.stepResults)) {
+      throw new Error('Execution has no checkpoint to resume from');
+    }
+
+    const resumeStepId = stepId || checkpoint.failedStepId || null;
+    const graph = buildExecutionGraph(steps);
+    if (resumeStepId && !graph.stepsById.has(resumeStepId)) {
+      throw new Error(`Step ${resumeStepId} does not exist in the automation`);
+    }
+    if (config && !resumeStepId) {
+      throw new Error('A step must be given to override its config');
+    }
+
+    // The resumed step and everything downstream of it run again
+    const rerun = new Set();
+    const pending = resumeStepId ? [resumeStepId] : [];
+    while (pending.length > 0) {
+      const current = pending.pop();
+      if (rerun.has(current)) continue;
+      rerun.add(current);
+      pending.push(...graph.outgoing.get(current).map(edge => edge.targetId));
+    }
+
+    return {
+      resumeStepId,
+      stepResults: checkpoint.stepResults.filter(result =>
+        result.success && graph.stepsById.has(result.stepId) && !rerun.has(result.stepId)
+      ),
+      variables: checkpoint.variables || {},
+      // Edits made when resuming earlier runs in the chain still apply
+      stepOverrides: {
+        ...(checkpoint.stepOverrides || {}),
+        ...(config ? { [resumeStepId]: config } : {})
+      }
+    };
+  }
+
+  async executeSteps(steps, context, { resume = null, onCheckpoint = null } = {}) {
+    const graph = buildExecutionGraph(steps);
+    const outputs = new Map(); // stepId -> data produced by the step
+    const activeEdges = new Set(); // edges whose source step fired them
     const stepResults = [];
 
-    for (const step of steps) {
-      try {
-        context.log('info', `Executing step: ${step.name}`, { 
-          stepId: step.id, 
-          stepType: step.type 
-        });
-
-        const executor = this.executors.get(step.type);
-        if (!executor) {
-          throw new Error(`No executor found for step type: ${step.type}`);
-        }
+    // Step and progress events describe the top-level run only; loop
+    // iterations run nested graphs through forked contexts
+    const reportsProgress = !context.parent;
+    let processed = 0;
+    const advance = () => {
+      processed++;
+      if (reportsProgress) {
+        context.progress = {
+          completed: processed,
+          total: graph.order.length,
+          percent: Math.round((processed / graph.order.length) * 100)
+        };
+        context.emit('progress', context.progress);
+      }
+    };
+
+    // Resumed runs start from the checkpoint: restored steps are not run again
+    const restored = new Map((resume?.stepResults || []).map(result => [result.stepId, result]));
+    if (resume) {
+      Object.assign(context.variables, resume.variables);
+    }
 
-        const result = await executor.execute(step, context, currentData);
-        
-        if (!result.success) {
-          throw new Error(result.error || 'Step execution failed');
+    // Fire the outgoing connections so downstream steps receive the result.
+    // Routing steps pick a single output port; the other branches stay idle.
+    const deliver = (step, result) => {
+      outputs.set(step.id, result.data);
+      for (const edge of graph.outgoing.get(step.id)) {
+        const fires = result.outputPort === undefined
+          ? edge.sourcePort !== ERROR_OUTPUT_PORT
+          : edge.sourcePort === result.outputPort;
+        if (fires) {
+          activeEdges.add(edge);
         }
+      }
+    };
+
+    for (const stepId of graph.order) {
+      const step = graph.stepsById.get(stepId);
+      const incoming = graph.incoming.get(stepId);
 
-        context.setStepResult(step.id, result);
-        stepResults.push({
-          stepId: step.id,
-          stepName: step.name,
-          stepType: step.type,
-          result: result.data,
-          metadata: result.metadata
-        });
+      if (restored.has(stepId)) {
+        const result = restored.get(stepId);
+        stepResults.push(result);
+        context.setStepResult(step.id, result, step.name);
+        deliver(step, result);
+        context.log('info', `Restored step from checkpoint: ${step.name}`, { stepId: step.id });
+        advance();
+        continue;
+      }
 
-        // Pass result as input to next step
-        currentData = result.data;
+      // Root steps receive the execution input; other steps only run when at
+      // least one upstream step actually delivered data to them
+      let inputData;
+      if (incoming.length === 0) {
+        inputData = context.data;
+      } else {
+        const arrived = incoming.filter(edge => activeEdges.has(edge));
+        if (arrived.length === 0) {
+          context.log('info', `Skipping step not reached by any branch: ${step.name}`, { stepId: step.id });
+          advance();
+          continue;
+        }
+        inputData = mergeInputs(arrived.map(edge => ({
+          sourceId: edge.sourceId,
+          data: outputs.get(edge.sourceId)
+        })));
+      }
 
+      let result;
+      try {
+        context.throwIfCancelled();
+        // Only the top-level run pauses; forked contexts (loop iterations)
+        // carry no debug session
+        if (context.debug) {
+          await context.debug.beforeStep(step, context, inputData, stepResults);
+        }
+        if (reportsProgress) {
+          context.emit('step_started', { stepId: step.id, stepName: step.name, stepType: step.type });
+        }
+        result = await this.runStep(step, context, inputData);
       } catch (error) {
-        context.log('error', `Step execution failed: ${error.message}`, { 
-          stepId: step.id, 
-          error: error.stack 
-        });
+        if (reportsProgress && error.stepResult) {
+          context.emit('step_finished', summarizeStepResult(error.stepResult));
+        }
+        // Hand the results gathered so far (including the failed step) to the caller
+        error.stepResults = error.stepResult ? [...stepResults, error.stepResult] : stepResults;
         throw error;
       }
+      stepResults.push(result);
+      deliver(step, result);
+      if (reportsProgress) {
+        context.emit('step_finished', summarizeStepResult(result));
+      }
+      advance();
+
+      if (onCheckpoint) {
+        await onCheckpoint(stepResults);
+      }
     }
 
+    // The workflow output is whatever reached the end of the executed branches
+    const finalOutputs = graph.sinks
+      .filter(stepId => outputs.has(stepId))
+      .map(stepId => ({ sourceId: stepId, data: outputs.get(stepId) }));
+
     return {
-      finalData: currentData,
+      finalData: finalOutputs.length > 0 ? mergeInputs(finalOutputs) : context.data,
       stepResults
     };
   }
 
+  // Run one step through its executor and wrap the outcome in the shared
+  // result envelope. The step's retry/timeout policy applies to each attempt;
+  // once attempts are exhausted its onError mode decides whether the failure
+  // stops the run. On failure the envelope is attached to the error.
+  async runStep(step, context, inputData) {
+    const startTime = Date.now();
+    const firstLog = context.logs.length;
+    const stepLogs = () => context.logs
+      .slice(firstLog)
+      .filter(entry => entry.metadata.stepId === step.id);
+    const policy = getStepPolicy(step.config);
+    let attempt = 0;
+
+    try {
+      context.log('info', `Executing step: ${step.name}`, { 
+        stepId: step.id, 
+        stepType: step.type 
+      });
+
+      const executor = this.getExecutor(step.type);
+      if (!executor) {
+        throw new Error(`No executor found for step type: ${step.type}`);
+      }
+
+      // Resolve {{ }} templates against earlier results, variables and input,
+      // then decrypt the credentials the step references
+      const resolvedStep = {
+        ...step,
+        config: await credentialService.resolveConfig(
+          templateService.resolveStepConfig(step, context.getTemplateScope(inputData), executor.rawConfigKeys),
+          context.workspaceId,
+          context.secrets,
+          executor.rawConfigKeys,
+          (credentialId) => context.recordCredentialUse(credentialId, step)
+        )
+      };
+
+      let result;
+      for (;;) {
+        attempt++;
+        try {
+          result = await abortable(
+            withTimeout(
+              executor.execute(resolvedStep, context, inputData),
+              policy.timeoutMs,
+              `Step timeout: no result after ${policy.timeoutMs}ms`
+            ),
+            context.signal
+          );
+          
+          if (!result.success) {
+            throw new Error(result.error || 'Step execution failed');
+          }
+          break;
+        } catch (error) {
+          const errorType = retryService ? retryService.classifyError(error) : 'unknown';
+          if (attempt > policy.retry.count || context.cancelled || !shouldRetryStep(error, errorType, policy.retry)) {
+            throw error;
+          }
+
+          const delay = retryService
+            ? retryService.calculateRetryDelay(attempt, policy.retry.strategy, policy.retry.delayMs)
+            : policy.retry.delayMs;
+          context.log('warn', `Step attempt ${attempt} failed, retrying in ${delay}ms: ${error.message}`, {
+            stepId: step.id,
+            attempt,
+            errorType
+          });
+          await abortable(new Promise(resolve => setTimeout(resolve, delay)), context.signal);
+        }
+      }
+
+      context.setStepResult(step.id, result, step.name);
+      return createStepResult(step, {
+        ...result,
+        metadata: attempt > 1 ? { ...result.metadata, attempts: attempt } : result.metadata,
+        startTime,
+        logs: stepLogs()
+      });
+
+    } catch (error) {
+      context.log('error', `Step execution failed: ${error.message}`, { 
+        stepId: step.id, 
+        error: error.stack 
+      });
+
+      if (!context.cancelled && policy.onError !== ON_ERROR_MODES.FAIL) {
+        return this.handleStepError(step, context, inputData, error, { policy, attempt, startTime, logs: stepLogs });
+      }
+
+      error.stepResult = createStepResult(step, { success: false, error, startTime, logs: stepLogs() });
+      throw error;
+    }
+  }
+
+  // Turn a failure into a result the run can carry on with: null output for
+  // `continue`, or the error details on the `error` port for `error_branch`
+  handleStepError(step, context, inputData, error, { policy, attempt, startTime, logs }) {
+    const toErrorBranch = policy.onError === ON_ERROR_MODES.ERROR_BRANCH;
+    const result = {
+      success: true,
+      data: toErrorBranch
+        ? { error: { message: error.message, type: error.constructor?.name || 'Error' }, stepId: step.id, input: inputData }
+        : null,
+      outputPort: toErrorBranch ? ERROR_OUTPUT_PORT : undefined,
+      metadata: { handledError: true, onError: policy.onError, attempts: attempt }
+    };
+
+    context.log('warn', toErrorBranch
+      ? `Step failed, routing to error branch: ${step.name}`
+      : `Step failed, continuing with null output: ${step.name}`, { stepId: step.id });
+
+    context.setStepResult(step.id, result, step.name);
+    return createStepResult(step, { ...result, error, startTime, logs: logs() });
+  }
+
+  // Run a single step outside of a saved automation (editor test runs)
+  async executeStep(step, inputData = null, { automationId = 'test', workspaceId = null, variables = {} } = {}) {
+    const context = new WorkflowContext(`test_${uuidv4()}`, automationId, inputData);
+    context.workspaceId = workspaceId;
+    Object.assign(context.variables, variables);
+
+    try {
+      return context.redact(await this.runStep(step, context, inputData));
+    } catch (error) {
+      return context.redact(error.stepResult);
+    } finally {
+      await this.releaseResources(context);
+    }
+  }
+
+  // Run a list of connected steps without creating an execution record
+  async executeTest(steps, inputData = null, { automationId = 'test', workspaceId = null, variables = {} } = {}) {
+    const context = new WorkflowContext(`test_${uuidv4()}`, automationId, inputData);
+    context.workspaceId = workspaceId;
+    Object.assign(context.variables, variables);
+
+    try {
+      const { finalData, stepResults } = await this.executeSteps(steps, context);
+      return context.redact({
+        success: true,
+        executionId: context.executionId,
+        stepResults,
+        finalData,
+        logs: context.logs,
+        duration: context.getDuration()
+      });
+    } catch (error) {
+      return context.redact({
+        success: false,
+        executionId: context.executionId,
+        stepResults: error.stepResults || [],
+        finalData: null,
+        error: error.message,
+        logs: context.logs,
+        duration: context.getDuration()
+      });
+    } finally {
+      await this.releaseResources(context);
+    }
+  }
+
+  // Close browser sessions and network share connections the steps opened
+  // for this context
+  async releaseResources(context) {
+    await smbService.release(context.executionId).catch(error => {
+      logger.warn('Failed to close SMB connections', { executionId: context.executionId, error: error.message });
+    });
+
+    const sessionIds = Object.entries(context.variables)
+      .filter(([key]) => key.startsWith('browser_session:'))
+      .map(([, sessionId]) => sessionId);
+
+    if (sessionIds.length === 0) return;
+
+    for (const sessionId of sessionIds) {
+      try {
+        await browserService.closeSession(sessionId);
+      } catch (error) {
+        logger.warn('Failed to close browser session', { sessionId, error: error.message });
+      }
+    }
+  }
+
   async validateAutomation(automation) {
     const errors = [];
     const warnings = [];
@@ -531,7 +1759,7 @@ export class WorkflowEngine {
 
     // Validate each step
     for (const step of automation.steps) {
-      const executor = this.executors.get(step.type);
+      const executor = this.getExecutor(step.type);
       if (!executor) {
         errors.push(`Unknown step type: ${step.type} in step ${step.id}`);
         continue;
@@ -541,20 +1769,58 @@ export class WorkflowEngine {
       if (!validation.valid) {
         errors.push(...validation.errors.map(err => `Step ${step.id}: ${err}`));
       }
+
+      errors.push(...validateStepPolicy(step.config).map(err => `Step ${step.id}: ${err}`));
+
+      // Secrets live in the credential vault; saved steps only reference them
+      for (const field of getSecretFields(normalizeStepType(step.type))) {
+        const value = step.config?.[field];
+        if (typeof value === 'string' && value !== '' && !templateService.hasTemplate(value)) {
+          errors.push(`Step ${step.id}: ${field} must reference a stored credential`);
+        }
+      }
+
+      const hasErrorBranch = (step.connections || []).some(connection => connection.sourcePort === ERROR_OUTPUT_PORT);
+      if (step.config?.onError === ON_ERROR_MODES.ERROR_BRANCH && !hasErrorBranch) {
+        warnings.push(`Step ${step.id} routes errors to an error branch but nothing is connected to it`);
+      }
+    }
+
+    // Referenced credentials must belong to the automation's workspace
+    if (automation.workspaceId) {
+      const refs = [...credentialService.collectRefs(automation.steps)];
+      const missing = await credentialService.findMissing(automation.workspaceId, refs);
+      if (missing.length > 0) {
+        errors.push(`Credentials not found in this workspace: ${missing.join(', ')}`);
+      }
     }
 
     // Validate step connections (basic check)
     const stepIds = new Set(automation.steps.map(s => s.id));
+    let danglingConnections = false;
     for (const step of automation.steps) {
       if (step.connections) {
         for (const connection of step.connections) {
           if (!stepIds.has(connection.targetId)) {
             errors.push(`Step ${step.id} connects to non-existent step ${connection.targetId}`);
+            danglingConnections = true;
           }
         }
       }
     }
 
+    // Validate the connection graph can be executed (no cycles)
+    if (!danglingConnections) {
+      try {
+        const graph = buildExecutionGraph(automation.steps);
+        if (graph.roots.length > 1) {
+          warnings.push(`Workflow has ${graph.roots.length} entry steps: ${graph.roots.join(', ')}`);
+        }
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
     return {
       valid: errors.length === 0,
       errors,
@@ -563,7 +1829,11 @@ export class WorkflowEngine {
   }
 
   registerExecutor(stepType, executor) {
-    this.executors.set(stepType, executor);
+    this.executors.set(normalizeStepType(stepType), executor);
+  }
+
+  getExecutor(stepType) {
+    return this.executors.get(normalizeStepType(stepType));
   }
 
   getAvailableStepTypes() {
@@ -0,0 +1,109 @@
+// Default port names used by the canvas editor
+export const DEFAULT_OUTPUT_PORT = 'output';
+export const DEFAULT_INPUT_PORT = 'input';
+
+// Normalize the connections drawn on the canvas into a flat edge list.
+// Automations saved before connections were drawn have none at all; those are
+// treated as a linear chain in array order so they keep running as before.
+export const getEdges = (steps = []) => {
+  const hasConnections = steps.some(step => Array.isArray(step.connections) && step.connections.length > 0);
+
+  if (!hasConnections) {
+    return steps.slice(1).map((step, index) => ({
+      sourceId: steps[index].id,
+      targetId: step.id,
+      sourcePort: DEFAULT_OUTPUT_PORT,
+      targetPort: DEFAULT_INPUT_PORT
+    }));
+  }
+
+  const edges = [];
+  for (const step of steps) {
+    for (const connection of step.connections || []) {
+      edges.push({
+        sourceId: step.id,
+        targetId: connection.targetId,
+        sourcePort: connection.sourcePort || DEFAULT_OUTPUT_PORT,
+        targetPort: connection.targetPort || DEFAULT_INPUT_PORT
+      });
+    }
+  }
+  return edges;
+};
+
+// Build the execution graph and a topological order (Kahn's algorithm).
+// Ties are broken by the position of the step in the steps array so that
+// independent branches run in a stable, predictable order.
+export const buildExecutionGraph = (steps = []) => {
+  const stepsById = new Map(steps.map(step => [step.id, step]));
+  const incoming = new Map(steps.map(step => [step.id, []]));
+  const outgoing = new Map(steps.map(step => [step.id, []]));
+
+  for (const edge of getEdges(steps)) {
+    if (!stepsById.has(edge.targetId)) {
+      throw new Error(`Step ${edge.sourceId} connects to non-existent step ${edge.targetId}`);
+    }
+    outgoing.get(edge.sourceId).push(edge);
+    incoming.get(edge.targetId).push(edge);
+  }
+
+  const indexOf = new Map(steps.map((step, index) => [step.id, index]));
+  const remaining = new Map(steps.map(step => [step.id, incoming.get(step.id).length]));
+  const ready = steps.filter(step => remaining.get(step.id) === 0).map(step => step.id);
+  const order = [];
+
+  while (ready.length > 0) {
+    ready.sort((a, b) => indexOf.get(a) - indexOf.get(b));
+    const stepId = ready.shift();
+    order.push(stepId);
+
+    for (const edge of outgoing.get(stepId)) {
+      remaining.set(edge.targetId, remaining.get(edge.targetId) - 1);
+      if (remaining.get(edge.targetId) === 0) {
+        ready.push(edge.targetId);
+      }
+    }
+  }
+
+  if (order.length !== steps.length) {
+    const cycle = steps.filter(step => remaining.get(step.id) > 0).map(step => step.id);
+    throw new Error(`Workflow contains a cycle involving steps: ${cycle.join(', ')}`);
+  }
+
+  return {
+    order,
+    stepsById,
+    incoming,
+    outgoing,
+    roots: order.filter(stepId => incoming.get(stepId).length === 0),
+    sinks: order.filter(stepId => outgoing.get(stepId).length === 0)
+  };
+};
+
+// Merge the outputs arriving at a fan-in step.
+// A single input is passed through untouched; when every input is an array
+// they are concatenated, otherwise the inputs are keyed by their source step.
+export const mergeInputs = (inputs) => {
+  if (inputs.length === 0) {
+    return null;
+  }
+
+  if (inputs.length === 1) {
+    return inputs[0].data;
+  }
+
+  if (inputs.every(input => Array.isArray(input.data))) {
+    return inputs.flatMap(input => input.data);
+  }
+
+  return inputs.reduce((merged, input) => {
+    merged[input.sourceId] = input.data;
+    return merged;
+  }, {});
+};
+
+export default {
+  getEdges,
+  buildExecutionGraph,
+  mergeInputs
+};
@@ -0,0 +1,235 @@
+import { db } from '../config/database.js';
+import { automations, users, workspaceMembers, workspaces } from '../models/schema.js';
+import { eq, and, asc, sql } from 'drizzle-orm';
+import { logger } from '../config/logs.js';
+
+// Member roles, lowest first; each includes the ones before it
+export const WORKSPACE_ROLES = ['viewer', 'operator', 'editor', 'admin', 'owner'];
+
+export const hasWorkspaceRole = (role, required) => {
+  const level = WORKSPACE_ROLES.indexOf(role);
+  return level !== -1 && WORKSPACE_ROLES.includes(required) && level >= WORKSPACE_ROLES.indexOf(required);
+};
+
+// What a member role grants on every automation in the workspace
+export const ROLE_PERMISSIONS = {
+  viewer: 'view',
+  operator: 'execute',
+  editor: 'edit',
+  admin: 'owner',
+  owner: 'owner'
+};
+
+// Workspaces group the automations, templates and connections (Microsoft
+// tokens, SMB shares) of a team. Members hold one role in each workspace
+// they belong to. Every user also has a personal workspace that new
+// accounts and pre-workspace data land in.
+class WorkspaceService {
+  // The workspaces the user belongs to, with their role in each
+  async listForUser(userId) {
+    return db
+      .select({
+        id: workspaces.id,
+        name: workspaces.name,
+        personal: workspaces.personal,
+        createdAt: workspaces.createdAt,
+        role: workspaceMembers.role
+      })
+      .from(workspaceMembers)
+      .innerJoin(workspaces, eq(workspaceMembers.workspaceId, workspaces.id))
+      .where(eq(workspaceMembers.userId, userId))
+      .orderBy(sql`${workspaces.personal} DESC`, asc(workspaces.name));
+  }
+
+  // The workspace with the user's role in it, or null when they are not a
+  // member
+  async findForUser(workspaceId, userId) {
+    const [row] = await db
+      .select({ workspace: workspaces, role: workspaceMembers.role })
+      .from(workspaceMembers)
+      .innerJoin(workspaces, eq(workspaceMembers.workspaceId, workspaces.id))
+      .where(and(
+        eq(workspaceMembers.workspaceId, workspaceId),
+        eq(workspaceMembers.userId, userId)
+      ));
+
+    return row || null;
+  }
+
+  // The user's personal workspace, created on first use
+  async ensurePersonal(user) {
+    const personal = await this.findPersonal(user.id);
+    if (personal) {
+      return personal;
+    }
+
+    await db.transaction(async (tx) => {
+      const [workspace] = await tx
+        .insert(workspaces)
+        .values({ name: user.name, personal: true, createdBy: user.id })
+        .onConflictDoNothing()
+        .returning();
+
+      if (workspace) {
+        await tx
+          .insert(workspaceMembers)
+          .values({ workspaceId: workspace.id, userId: user.id, role: 'owner' });
+      }
+    });
+
+    return this.findPersonal(user.id);
+  }
+
+  async findPersonal(userId) {
+    const [row] = await db
+      .select({ workspace: workspaces, role: workspaceMembers.role })
+      .from(workspaces)
+      .innerJoin(workspaceMembers, and(
+        eq(workspaceMembers.workspaceId, workspaces.id),
+        eq(workspaceMembers.userId, userId)
+      ))
+      .where(and(eq(workspaces.createdBy, userId), eq(workspaces.personal, true)));
+
+    return row || null;
+  }
+
+  async create(name, user) {
+    const workspace = await db.transaction(async (tx) => {
+      const [created] = await tx
+        .insert(workspaces)
+        .values({ name, createdBy: user.id })
+        .returning();
+
+      await tx
+        .insert(workspaceMembers)
+        .values({ workspaceId: created.id, userId: user.id, role: 'owner' });
+
+      return created;
+    });
+
+    logger.info('Workspace created', { workspaceId: workspace.id, userId: user.id });
+    return workspace;
+  }
+
+  async rename(workspaceId, name) {
+    const [workspace] = await db
+      .update(workspaces)
+      .set({ name, updatedAt: new Date() })
+      .where(eq(workspaces.id, workspaceId))
+      .returning();
+
+    return workspace;
+  }
+
+  // Workspaces that still hold automations are not deleted; move or delete
+  // the automations first. Returns false in that case.
+  async delete(workspaceId) {
+    const [{ count }] = await db
+      .select({ count: sql`count(*)` })
+      .from(automations)
+      .where(eq(automations.workspaceId, workspaceId));
+
+    if (parseInt(count) > 0) {
+      return false;
+    }
+
+    await db.delete(workspaces).where(eq(workspaces.id, workspaceId));
+    logger.info('Workspace deleted', { workspaceId });
+    return true;
+  }
+
+  async listMembers(workspaceId) {
+    return db
+      .select({
+        userId: workspaceMembers.userId,
+        role: workspaceMembers.role,
+        createdAt: workspaceMembers.createdAt,
+        user: {
+          id: users.id,
+          name: users.name,
+          email: users.email
+        }
+      })
+      .from(workspaceMembers)
+      .innerJoin(users, eq(workspaceMembers.userId, users.id))
+      .where(eq(workspaceMembers.workspaceId, workspaceId))
+      .orderBy(users.name);
+  }
+
+  async countOwners(workspaceId) {
+    const [{ count }] = await db
+      .select({ count: sql`count(*)` })
+      .from(workspaceMembers)
+      .where(and(
+        eq(workspaceMembers.workspaceId, workspaceId),
+        eq(workspaceMembers.role, 'owner')
+      ));
+
+    return parseInt(count);
+  }
+
+  async getRole(workspaceId, userId) {
+    const [member] = await db
+      .select({ role: workspaceMembers.role })
+      .from(workspaceMembers)
+      .where(and(
+        eq(workspaceMembers.workspaceId, workspaceId),
+        eq(workspaceMembers.userId, userId)
+      ));
+
+    return member?.role || null;
+  }
+
+  // Add a member or change their role. Returns the membership.
+  async setMember(workspaceId, userId, role) {
+    const [member] = await db
+      .insert(workspaceMembers)
+      .values({ workspaceId, userId, role })
+      .onConflictDoUpdate({
+        target: [workspaceMembers.workspaceId, workspaceMembers.userId],
+        set: { role }
+      })
+      .returning();
+
+    logger.info('Workspace member updated', { workspaceId, userId, role });
+    return member;
+  }
+
+  // Returns false when the user was not a member
+  async removeMember(workspaceId, userId) {
+    const removed = await db
+      .delete(workspaceMembers)
+      .where(and(
+        eq(workspaceMembers.workspaceId, workspaceId),
+        eq(workspaceMembers.userId, userId)
+      ))
+      .returning({ role: workspaceMembers.role });
+
+    if (removed.length === 0) {
+      return false;
+    }
+
+    logger.info('Workspace member removed', { workspaceId, userId });
+    return true;
+  }
+
+  // Workspace-level integration state (e.g. whether Microsoft is connected)
+  async updateSettings(workspaceId, changes) {
+    const [workspace] = await db
+      .select({ settings: workspaces.settings })
+      .from(workspaces)
+      .where(eq(workspaces.id, workspaceId));
+
+    if (!workspace) {
+      return;
+    }
+
+    await db
+      .update(workspaces)
+      .set({ settings: { ...workspace.settings, ...changes } })
+      .where(eq(workspaces.id, workspaceId));
+  }
+}
+
+export const workspaceService = new WorkspaceService();
+export default workspaceService;
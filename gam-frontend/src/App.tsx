@@ -15,6 +15,9 @@ import { AutomationsPage } from './pages/AutomationsPage';
 import { AutomationEditorPage } from './pages/AutomationEditorPage';
 import { ExecutionsPage } from './pages/ExecutionsPage';
 import { SettingsPage } from './pages/SettingsPage';
+import { WorkspacePage } from './pages/WorkspacePage';
+import { CredentialsPage } from './pages/CredentialsPage';
+import { AuditPage } from './pages/AuditPage';
 import { NotificationSystem } from './components/NotificationSystem/NotificationSystem';
 
 // Protected Route Component
@@ -103,6 +106,9 @@ const AppContent: React.FC = () => {
               <Route path="automations/:id/edit" element={<AutomationEditorPage />} />
               <Route path="automations/new" element={<AutomationEditorPage />} />
               <Route path="executions" element={<ExecutionsPage />} />
+              <Route path="workspace" element={<WorkspacePage />} />
+              <Route path="credentials" element={<CredentialsPage />} />
+              <Route path="audit" element={<AuditPage />} />
               <Route path="settings" element={<SettingsPage />} />
             </Route>
 
@@ -1,9 +1,10 @@
 import React, { useRef, useEffect, useState, useCallback } from 'react';
 import { Stage, Layer, Rect, Text, Circle, Line, Group } from 'react-konva';
-import { Box, Paper, Toolbar, IconButton, Typography } from '@mui/material';
-import { Add, Delete, PlayArrow, Save, Undo, Redo } from '@mui/icons-material';
+import { Box, Paper, Toolbar, IconButton, Typography, Menu, MenuItem } from '@mui/material';
+import { Add, Delete, PlayArrow, Save, Undo, Redo, FiberManualRecord } from '@mui/icons-material';
 import Konva from 'konva';
 import type { KonvaEventObject } from 'konva/lib/Node';
+import type { StepResult } from '../../types/automation';
 
 export interface Position {
   x: number;
@@ -27,6 +28,13 @@ export interface Connection {
   targetPort?: string;
 }
 
+// Debugger overlay: where a debug run is paused and what the steps it
+// already ran produced
+export interface CanvasDebugView {
+  pausedStepId: string | null;
+  results: Record<string, StepResult>;
+}
+
 interface CanvasEditorProps {
   steps: StepNode[];
   onStepsChange: (steps: StepNode[]) => void;
@@ -35,6 +43,9 @@ interface CanvasEditorProps {
   selectedStepId?: string;
   onStepSelect?: (stepId: string | null) => void;
   isReadOnly?: boolean;
+  breakpoints?: string[];
+  onToggleBreakpoint?: (stepId: string) => void;
+  debugView?: CanvasDebugView | null;
 }
 
 const STEP_TYPES: Record<string, { color: string; label: string; icon: string }> = {
@@ -53,6 +64,21 @@ const STEP_TYPES: Record<string, { color: string; label: string; icon: string }>
     label: 'API Input',
     icon: '🌐'
   },
+  SOURCE_DATABASE: {
+    color: '#4CAF50',
+    label: 'Database Query',
+    icon: '🗄️'
+  },
+  SOURCE_SMB_SHARE: {
+    color: '#4CAF50',
+    label: 'Network Share',
+    icon: '🗂️'
+  },
+  SOURCE_EMAIL_IMAP: {
+    color: '#4CAF50',
+    label: 'Email Input',
+    icon: '📥'
+  },
   FILTER_SIMPLE: { 
     color: '#2196F3', 
     label: 'Simple Filter',
@@ -63,6 +89,26 @@ const STEP_TYPES: Record<string, { color: string; label: string; icon: string }>
     label: 'Advanced Filter',
     icon: '🔬'
   },
+  FILTER_REGEX: {
+    color: '#2196F3',
+    label: 'Regex Filter',
+    icon: '🔣'
+  },
+  FILTER_DATE: {
+    color: '#2196F3',
+    label: 'Date Filter',
+    icon: '📅'
+  },
+  FILTER_DEDUP: {
+    color: '#2196F3',
+    label: 'Remove Duplicates',
+    icon: '🧹'
+  },
+  FILTER_VALIDATION: {
+    color: '#2196F3',
+    label: 'Validate Data',
+    icon: '✅'
+  },
   ACTION_TRANSFORM: { 
     color: '#FF9800', 
     label: 'Transform',
@@ -73,6 +119,21 @@ const STEP_TYPES: Record<string, { color: string; label: string; icon: string }>
     label: 'Browser Action',
     icon: '🌐'
   },
+  ACTION_CALCULATE: {
+    color: '#FF9800',
+    label: 'Calculate',
+    icon: '🧮'
+  },
+  ACTION_FORMAT_TEXT: {
+    color: '#FF9800',
+    label: 'Format Text',
+    icon: '✏️'
+  },
+  ACTION_MERGE_DATA: {
+    color: '#FF9800',
+    label: 'Merge Data',
+    icon: '🔗'
+  },
   DESTINATION_FILE: { 
     color: '#9C27B0', 
     label: 'Save File',
@@ -82,13 +143,64 @@ const STEP_TYPES: Record<string, { color: string; label: string; icon: string }>
     color: '#9C27B0',
     label: 'Send Email',
     icon: '📧'
+  },
+  DESTINATION_API: {
+    color: '#9C27B0',
+    label: 'Send to API',
+    icon: '📤'
+  },
+  DESTINATION_DATABASE: {
+    color: '#9C27B0',
+    label: 'Save to Database',
+    icon: '🗃️'
+  },
+  DESTINATION_CLOUD: {
+    color: '#9C27B0',
+    label: 'Upload to Cloud',
+    icon: '☁️'
+  },
+  LOGIC_CONDITION: {
+    color: '#795548',
+    label: 'Condition',
+    icon: '🔀'
+  },
+  LOGIC_FOREACH: {
+    color: '#795548',
+    label: 'For Each',
+    icon: '🔁'
   }
 };
 
+// Steps that route execution expose one output port per branch
+const OUTPUT_PORTS: Record<string, string[]> = {
+  LOGIC_CONDITION: ['true', 'false']
+};
+
 const STEP_WIDTH = 120;
 const STEP_HEIGHT = 80;
+const PAUSED_COLOR = '#FF9800';
 const PORT_RADIUS = 8;
 
+// Steps set to route failures to an error branch get an extra `error` port
+const getOutputPorts = (step: StepNode): string[] => {
+  const ports = OUTPUT_PORTS[step.type] || ['output'];
+  const onError = (step.config as { onError?: string } | null)?.onError;
+  return onError === 'error_branch' ? [...ports, 'error'] : ports;
+};
+
+const getOutputPortY = (step: StepNode, port?: string): number => {
+  const ports = getOutputPorts(step);
+  const index = Math.max(ports.indexOf(port || 'output'), 0);
+  return (STEP_HEIGHT * (index + 1)) / (ports.length + 1);
+};
+
+// One-line view of a step's output for the debugger overlay
+const previewData = (data: unknown): string => {
+  if (data === undefined) return '';
+  const text = typeof data === 'string' ? data : JSON.stringify(data);
+  return text && text.length > 60 ? `${text.slice(0, 60)}…` : text ?? '';
+};
+
 export const CanvasEditor: React.FC<CanvasEditorProps> = ({
   steps,
   onStepsChange,
@@ -96,13 +208,17 @@ export const CanvasEditor: React.FC<CanvasEditorProps> = ({
   onExecute,
   selectedStepId,
   onStepSelect,
-  isReadOnly = false
+  isReadOnly = false,
+  breakpoints = [],
+  onToggleBreakpoint,
+  debugView = null
 }) => {
   const stageRef = useRef<Konva.Stage>(null);
   const [selectedStep, setSelectedStep] = useState<string | null>(selectedStepId || null);
   const [draggedStep, setDraggedStep] = useState<string | null>(null);
   const [isConnecting, setIsConnecting] = useState(false);
   const [connectionStart, setConnectionStart] = useState<{ stepId: string; port: string } | null>(null);
+  const [addMenuAnchor, setAddMenuAnchor] = useState<HTMLElement | null>(null);
   const [tempConnection, setTempConnection] = useState<Position | null>(null);
   const [stageSize, setStageSize] = useState({ width: 800, height: 600 });
   const [history, setHistory] = useState<StepNode[][]>([steps]);
@@ -243,9 +359,9 @@ export const CanvasEditor: React.FC<CanvasEditorProps> = ({
 
     const newSteps = steps.map(step => {
       if (step.id === connectionStart.stepId) {
-        // Remove existing connections from the same port
+        // A port may fan out to several steps, but only once per target
         const filteredConnections = step.connections.filter(
-          conn => conn.sourcePort !== connectionStart.port
+          conn => conn.sourcePort !== connectionStart.port || conn.targetId !== targetStepId
         );
         return {
           ...step,
@@ -295,6 +411,9 @@ export const CanvasEditor: React.FC<CanvasEditorProps> = ({
     const stepType = STEP_TYPES[step.type] || { color: '#757575', label: 'Unknown', icon: '❓' };
     const isSelected = selectedStep === step.id;
     const isDragged = draggedStep === step.id;
+    const isPaused = debugView?.pausedStepId === step.id;
+    const result = debugView?.results[step.id];
+    const resultPreview = result ? previewData(result.error && !result.success ? result.error.message : result.data) : '';
 
     return (
       <Group
@@ -315,8 +434,8 @@ export const CanvasEditor: React.FC<CanvasEditorProps> = ({
           width={STEP_WIDTH}
           height={STEP_HEIGHT}
           fill={stepType.color}
-          stroke={isSelected ? '#000' : stepType.color}
-          strokeWidth={isSelected ? 2 : 0}
+          stroke={isPaused ? PAUSED_COLOR : isSelected ? '#000' : stepType.color}
+          strokeWidth={isPaused ? 4 : isSelected ? 2 : 0}
           cornerRadius={8}
           shadowBlur={isDragged ? 10 : 5}
           shadowOffsetY={isDragged ? 5 : 2}
@@ -357,6 +476,58 @@ export const CanvasEditor: React.FC<CanvasEditorProps> = ({
           ellipsis={true}
         />
 
+        {/* Breakpoint marker; click to remove */}
+        {breakpoints.includes(step.id) && (
+          <Circle
+            x={0}
+            y={0}
+            radius={7}
+            fill="#E53935"
+            stroke="#fff"
+            strokeWidth={2}
+            onClick={(e) => {
+              e.cancelBubble = true;
+              onToggleBreakpoint?.(step.id);
+            }}
+          />
+        )}
+
+        {/* Debug run: paused marker, step outcome and a preview of its data */}
+        {isPaused && (
+          <Text
+            x={0}
+            y={-18}
+            text="⏸ paused"
+            fontSize={11}
+            fontFamily="Arial"
+            fontStyle="bold"
+            fill={PAUSED_COLOR}
+          />
+        )}
+        {result && (
+          <>
+            <Circle
+              x={STEP_WIDTH - 10}
+              y={10}
+              radius={5}
+              fill={!result.success ? '#E53935' : result.error ? PAUSED_COLOR : '#43A047'}
+              stroke="#fff"
+              strokeWidth={1}
+            />
+            <Text
+              x={0}
+              y={STEP_HEIGHT + 4}
+              text={resultPreview}
+              fontSize={9}
+              fontFamily="monospace"
+              fill="#444"
+              width={STEP_WIDTH}
+              wrap="none"
+              ellipsis={true}
+            />
+          </>
+        )}
+
         {/* Input port */}
         <Circle
           x={0}
@@ -368,20 +539,35 @@ export const CanvasEditor: React.FC<CanvasEditorProps> = ({
           onClick={() => handleConnectionEnd(step.id, 'input')}
         />
 
-        {/* Output port */}
-        <Circle
-          x={STEP_WIDTH}
-          y={STEP_HEIGHT / 2}
-          radius={PORT_RADIUS}
-          fill="#fff"
-          stroke={stepType.color}
-          strokeWidth={2}
-          onClick={() => handleConnectionStart(step.id, 'output')}
-        />
+        {/* Output ports */}
+        {getOutputPorts(step).map(port => (
+          <Group key={port}>
+            <Circle
+              x={STEP_WIDTH}
+              y={getOutputPortY(step, port)}
+              radius={PORT_RADIUS}
+              fill="#fff"
+              stroke={stepType.color}
+              strokeWidth={2}
+              onClick={() => handleConnectionStart(step.id, port)}
+            />
+            {port !== 'output' && (
+              <Text
+                x={STEP_WIDTH + PORT_RADIUS + 2}
+                y={getOutputPortY(step, port) - 5}
+                text={port}
+                fontSize={10}
+                fontFamily="Arial"
+                fill="#666"
+              />
+            )}
+          </Group>
+        ))}
       </Group>
     );
   }, [selectedStep, draggedStep, handleStepDragMove, handleStepDragEnd, 
-      handleConnectionStart, handleConnectionEnd, isReadOnly]);
+      handleConnectionStart, handleConnectionEnd, isReadOnly,
+      breakpoints, onToggleBreakpoint, debugView]);
 
   // Render connections
   const renderConnections = useCallback(() => {
@@ -393,7 +579,7 @@ export const CanvasEditor: React.FC<CanvasEditorProps> = ({
         if (!targetStep) return;
 
         const startX = step.position.x + STEP_WIDTH;
-        const startY = step.position.y + STEP_HEIGHT / 2;
+        const startY = step.position.y + getOutputPortY(step, conn.sourcePort);
         const endX = targetStep.position.x;
         const endY = targetStep.position.y + STEP_HEIGHT / 2;
 
@@ -425,7 +611,7 @@ export const CanvasEditor: React.FC<CanvasEditorProps> = ({
     if (!sourceStep) return null;
 
     const startX = sourceStep.position.x + STEP_WIDTH;
-    const startY = sourceStep.position.y + STEP_HEIGHT / 2;
+    const startY = sourceStep.position.y + getOutputPortY(sourceStep, connectionStart.port);
     const endX = tempConnection.x;
     const endY = tempConnection.y;
 
@@ -461,6 +647,10 @@ export const CanvasEditor: React.FC<CanvasEditorProps> = ({
               <IconButton onClick={() => addStep('SOURCE_API')} title="Add API Input">
                 🌐
               </IconButton>
+
+              <IconButton onClick={() => addStep('SOURCE_EMAIL_IMAP')} title="Add Email Input">
+                📥
+              </IconButton>
               
               <IconButton onClick={() => addStep('FILTER_SIMPLE')} title="Add Simple Filter">
                 🔍
@@ -482,6 +672,36 @@ export const CanvasEditor: React.FC<CanvasEditorProps> = ({
                 📧
               </IconButton>
               
+              <IconButton onClick={() => addStep('LOGIC_CONDITION')} title="Add Condition">
+                🔀
+              </IconButton>
+              
+              <IconButton onClick={() => addStep('LOGIC_FOREACH')} title="Add For Each">
+                🔁
+              </IconButton>
+              
+              <IconButton onClick={(e) => setAddMenuAnchor(e.currentTarget)} title="Add Step">
+                <Add />
+              </IconButton>
+
+              <Menu
+                anchorEl={addMenuAnchor}
+                open={Boolean(addMenuAnchor)}
+                onClose={() => setAddMenuAnchor(null)}
+              >
+                {Object.entries(STEP_TYPES).map(([type, { label, icon }]) => (
+                  <MenuItem
+                    key={type}
+                    onClick={() => {
+                      addStep(type);
+                      setAddMenuAnchor(null);
+                    }}
+                  >
+                    {icon} {label}
+                  </MenuItem>
+                ))}
+              </Menu>
+              
               <IconButton 
                 onClick={undo} 
                 disabled={historyIndex <= 0}
@@ -508,6 +728,16 @@ export const CanvasEditor: React.FC<CanvasEditorProps> = ({
             <PlayArrow />
           </IconButton>
           
+          {selectedStep && onToggleBreakpoint && (
+            <IconButton 
+              onClick={() => onToggleBreakpoint(selectedStep)} 
+              title="Toggle Breakpoint"
+              color={breakpoints.includes(selectedStep) ? 'error' : 'default'}
+            >
+              <FiberManualRecord />
+            </IconButton>
+          )}
+          
           {selectedStep && !isReadOnly && (
             <IconButton 
               onClick={() => deleteStep(selectedStep)} 
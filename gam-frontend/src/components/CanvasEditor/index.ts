@@ -1,2 +1,2 @@
 export { CanvasEditor } from './CanvasEditor';
-export type { Position, StepNode, Connection } from './CanvasEditor';
\ No newline at end of file
+export type { Position, StepNode, Connection, CanvasDebugView } from './CanvasEditor';
\ No newline at end of file
@@ -0,0 +1,126 @@
+import React from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  Chip,
+  Grid,
+  IconButton
+} from '@mui/material';
+import {
+  PlayArrow,
+  SkipNext,
+  Stop,
+  Close
+} from '@mui/icons-material';
+import type { DebugAction, DebugSnapshot, StepResult } from '../../types/automation';
+import { JsonView } from '../JsonView/JsonView';
+import { EXECUTION_STATUS_COLORS, isFinished as isFinishedStatus } from '../../utils/executionStatus';
+
+interface DebugPanelProps {
+  snapshot: DebugSnapshot;
+  onAction: (action: DebugAction) => void;
+  onClose: () => void;
+  selectedResult?: StepResult | null;
+  isBusy?: boolean;
+}
+
+export const DebugPanel: React.FC<DebugPanelProps> = ({
+  snapshot,
+  onAction,
+  onClose,
+  selectedResult = null,
+  isBusy = false
+}) => {
+  const { debug } = snapshot;
+  const isPaused = debug?.state === 'paused';
+  const isFinished = !debug && isFinishedStatus(snapshot.status);
+
+  let statusLabel: string;
+  if (isFinished) {
+    statusLabel = `Finished: ${snapshot.status}`;
+  } else if (isPaused) {
+    statusLabel = `Paused before ${debug?.currentStep?.name}`;
+  } else if (debug?.currentStep) {
+    statusLabel = `Running ${debug.currentStep.name}`;
+  } else {
+    statusLabel = 'Starting…';
+  }
+
+  return (
+    <Paper sx={{ p: 2, mb: 2 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <Typography variant="h6" sx={{ mr: 1 }}>
+          Debugger
+        </Typography>
+        <Chip
+          size="small"
+          label={statusLabel}
+          color={isFinished ? EXECUTION_STATUS_COLORS[snapshot.status] : isPaused ? 'warning' : 'info'}
+        />
+        <Box sx={{ flexGrow: 1 }} />
+        <Button
+          size="small"
+          startIcon={<PlayArrow />}
+          onClick={() => onAction('continue')}
+          disabled={!isPaused || isBusy}
+        >
+          Continue
+        </Button>
+        <Button
+          size="small"
+          startIcon={<SkipNext />}
+          onClick={() => onAction('step_over')}
+          disabled={!isPaused || isBusy}
+        >
+          Step Over
+        </Button>
+        <Button
+          size="small"
+          color="error"
+          startIcon={<Stop />}
+          onClick={() => onAction('abort')}
+          disabled={isFinished || isBusy}
+        >
+          Abort
+        </Button>
+        {isFinished && (
+          <IconButton size="small" onClick={onClose} title="Close debugger">
+            <Close />
+          </IconButton>
+        )}
+      </Box>
+
+      {snapshot.errorDetails && (
+        <Typography variant="body2" color="error" sx={{ mb: 1 }}>
+          {snapshot.errorDetails.message}
+        </Typography>
+      )}
+
+      <Grid container spacing={2}>
+        {debug && (
+          <>
+            <Grid item xs={12} md={4}>
+              <JsonView
+                title={isPaused ? `Input to ${debug.currentStep?.name}` : 'Input'}
+                value={isPaused ? debug.inputData : undefined}
+              />
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <JsonView title="Variables" value={debug.variables} />
+            </Grid>
+          </>
+        )}
+        {selectedResult && (
+          <Grid item xs={12} md={4}>
+            <JsonView
+              title={`Output of ${selectedResult.stepName || selectedResult.stepId}`}
+              value={selectedResult.success ? selectedResult.data : selectedResult.error}
+            />
+          </Grid>
+        )}
+      </Grid>
+    </Paper>
+  );
+};
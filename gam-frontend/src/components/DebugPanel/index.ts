@@ -0,0 +1 @@
+export { DebugPanel } from './DebugPanel';
\ No newline at end of file
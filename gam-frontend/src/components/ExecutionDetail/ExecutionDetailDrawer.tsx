@@ -0,0 +1,335 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Box,
+  Drawer,
+  Typography,
+  IconButton,
+  Chip,
+  Button,
+  Alert,
+  AlertTitle,
+  Accordion,
+  AccordionSummary,
+  AccordionDetails,
+  LinearProgress,
+  TextField,
+  Divider,
+  CircularProgress
+} from '@mui/material';
+import {
+  Close,
+  ExpandMore,
+  CheckCircle,
+  Error as ErrorIcon,
+  Warning,
+  Stop,
+  Replay
+} from '@mui/icons-material';
+import { executionsApi } from '../../services/api';
+import type { ErrorAnalysis, ExecutionDetail, LogEntry, StepResult } from '../../types/automation';
+import { ExecutionMonitor } from '../ExecutionMonitor/ExecutionMonitor';
+import { JsonView } from '../JsonView/JsonView';
+import { EXECUTION_STATUS_COLORS, formatDuration, isFinished } from '../../utils/executionStatus';
+
+interface ExecutionDetailDrawerProps {
+  executionId: string | null;
+  onClose: () => void;
+  onCancel: (execution: ExecutionDetail) => Promise<void>;
+  onRerun: (execution: ExecutionDetail) => Promise<void>;
+}
+
+const REFRESH_INTERVAL = 5000;
+const LOG_LEVELS: LogEntry['level'][] = ['error', 'warn', 'info', 'debug'];
+const LOG_COLORS: Record<LogEntry['level'], 'error' | 'warning' | 'info' | 'default'> = {
+  error: 'error',
+  warn: 'warning',
+  info: 'info',
+  debug: 'default'
+};
+
+const Suggestions: React.FC<{ analysis: ErrorAnalysis }> = ({ analysis }) => (
+  <Box sx={{ mt: 1 }}>
+    <Typography variant="caption" color="text.secondary">
+      {analysis.category} · {analysis.severity}{analysis.retryable ? ' · retryable' : ''}
+    </Typography>
+    <Box component="ul" sx={{ m: 0, pl: 2 }}>
+      {analysis.suggestions.map(suggestion => (
+        <li key={suggestion}>
+          <Typography variant="body2">{suggestion}</Typography>
+        </li>
+      ))}
+    </Box>
+  </Box>
+);
+
+const StepStatusIcon: React.FC<{ result: StepResult }> = ({ result }) => {
+  if (!result.success) return <ErrorIcon color="error" fontSize="small" />;
+  if (result.error) return <Warning color="warning" fontSize="small" />;
+  return <CheckCircle color="success" fontSize="small" />;
+};
+
+export const ExecutionDetailDrawer: React.FC<ExecutionDetailDrawerProps> = ({
+  executionId,
+  onClose,
+  onCancel,
+  onRerun
+}) => {
+  const [execution, setExecution] = useState<ExecutionDetail | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isActing, setIsActing] = useState(false);
+  const [logLevels, setLogLevels] = useState<LogEntry['level'][]>(LOG_LEVELS);
+  const [logSearch, setLogSearch] = useState('');
+
+  const status = execution?.status;
+
+  useEffect(() => {
+    setExecution(null);
+    if (!executionId) return;
+
+    let active = true;
+    setIsLoading(true);
+    executionsApi.getExecution(executionId)
+      .then(detail => active && setExecution(detail))
+      .catch(error => console.error('Failed to load execution:', error))
+      .finally(() => active && setIsLoading(false));
+
+    return () => {
+      active = false;
+    };
+  }, [executionId]);
+
+  // Unfinished runs are reloaded until their results are stored
+  useEffect(() => {
+    if (!executionId || !status || isFinished(status)) return;
+
+    const timer = setInterval(() => {
+      executionsApi.getExecution(executionId)
+        .then(setExecution)
+        .catch(error => console.error('Failed to refresh execution:', error));
+    }, REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [executionId, status]);
+
+  const stepResults = useMemo(
+    () => execution?.outputData?.stepResults ?? execution?.checkpoint?.stepResults ?? [],
+    [execution]
+  );
+  const longestStep = Math.max(1, ...stepResults.map(result => result.executionTime || 0));
+
+  const filteredLogs = useMemo(() => {
+    const search = logSearch.trim().toLowerCase();
+    return (execution?.logs || []).filter(entry =>
+      logLevels.includes(entry.level) && (!search || entry.message.toLowerCase().includes(search))
+    );
+  }, [execution, logLevels, logSearch]);
+
+  const toggleLogLevel = (level: LogEntry['level']) => {
+    setLogLevels(prev => (prev.includes(level) ? prev.filter(l => l !== level) : [...prev, level]));
+  };
+
+  const handleCancel = async () => {
+    if (!execution) return;
+    setIsActing(true);
+    try {
+      await onCancel(execution);
+      setExecution(await executionsApi.getExecution(execution.id));
+    } finally {
+      setIsActing(false);
+    }
+  };
+
+  // The parent opens the new run in this drawer
+  const handleRerun = async () => {
+    if (!execution) return;
+    setIsActing(true);
+    try {
+      await onRerun(execution);
+    } finally {
+      setIsActing(false);
+    }
+  };
+
+  return (
+    <Drawer anchor="right" open={!!executionId} onClose={onClose}>
+      <Box sx={{ width: 640, maxWidth: '100vw', p: 2 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+          <Typography variant="h6" sx={{ flexGrow: 1 }} noWrap>
+            {execution?.automationName || 'Execution'}
+          </Typography>
+          {status && <Chip size="small" label={status} color={EXECUTION_STATUS_COLORS[status]} />}
+          <IconButton onClick={onClose} title="Close">
+            <Close />
+          </IconButton>
+        </Box>
+
+        {isLoading && !execution && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+            <CircularProgress />
+          </Box>
+        )}
+
+        {execution && (
+          <>
+            {/* Summary */}
+            <Box sx={{ display: 'grid', gridTemplateColumns: 'auto 1fr', columnGap: 2, rowGap: 0.5, mb: 2 }}>
+              <Typography variant="body2" color="text.secondary">Trigger</Typography>
+              <Typography variant="body2">{execution.triggeredBy}</Typography>
+              <Typography variant="body2" color="text.secondary">Version</Typography>
+              <Typography variant="body2">{execution.automationVersion ? `v${execution.automationVersion}` : '—'}</Typography>
+              <Typography variant="body2" color="text.secondary">Started</Typography>
+              <Typography variant="body2">{new Date(execution.startedAt).toLocaleString()}</Typography>
+              <Typography variant="body2" color="text.secondary">Completed</Typography>
+              <Typography variant="body2">
+                {execution.completedAt ? new Date(execution.completedAt).toLocaleString() : '—'}
+              </Typography>
+              <Typography variant="body2" color="text.secondary">Duration</Typography>
+              <Typography variant="body2">{formatDuration(execution.durationMs)}</Typography>
+              {execution.resumedFrom && (
+                <>
+                  <Typography variant="body2" color="text.secondary">Resumed from</Typography>
+                  <Typography variant="body2">{execution.resumedFrom}</Typography>
+                </>
+              )}
+            </Box>
+
+            <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+              {!isFinished(execution.status) && (
+                <Button
+                  variant="outlined"
+                  color="error"
+                  startIcon={<Stop />}
+                  disabled={isActing}
+                  onClick={handleCancel}
+                >
+                  Cancel
+                </Button>
+              )}
+              <Button
+                variant="outlined"
+                startIcon={<Replay />}
+                disabled={isActing}
+                onClick={handleRerun}
+              >
+                Re-run
+              </Button>
+            </Box>
+
+            {execution.errorDetails && execution.status === 'failed' && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                <AlertTitle>{execution.errorDetails.message}</AlertTitle>
+                {execution.errorAnalysis.execution && (
+                  <Suggestions analysis={execution.errorAnalysis.execution} />
+                )}
+              </Alert>
+            )}
+
+            {/* Running executions are followed live */}
+            {!isFinished(execution.status) && (
+              <Box sx={{ mb: 2 }}>
+                <ExecutionMonitor executionId={execution.id} title="Live" />
+              </Box>
+            )}
+
+            {/* Step timeline */}
+            <Typography variant="subtitle1" sx={{ mb: 1 }}>
+              Steps
+            </Typography>
+            {stepResults.length === 0 && (
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                No step results recorded
+              </Typography>
+            )}
+            {stepResults.map(result => (
+              <Accordion key={result.stepId} disableGutters>
+                <AccordionSummary expandIcon={<ExpandMore />}>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, width: '100%', pr: 1 }}>
+                    <StepStatusIcon result={result} />
+                    <Typography variant="body2" sx={{ width: 180 }} noWrap>
+                      {result.stepName || result.stepId}
+                    </Typography>
+                    <LinearProgress
+                      variant="determinate"
+                      value={((result.executionTime || 0) / longestStep) * 100}
+                      color={result.success ? 'primary' : 'error'}
+                      sx={{ flexGrow: 1, height: 6, borderRadius: 3 }}
+                    />
+                    <Typography variant="caption" sx={{ width: 70, textAlign: 'right' }}>
+                      {formatDuration(result.executionTime)}
+                    </Typography>
+                  </Box>
+                </AccordionSummary>
+                <AccordionDetails>
+                  <Typography variant="caption" color="text.secondary" display="block" sx={{ mb: 1 }}>
+                    {result.stepType} · {new Date(result.timestamp).toLocaleString()}
+                    {result.outputPort ? ` · port ${result.outputPort}` : ''}
+                  </Typography>
+                  {result.error && (
+                    <Alert severity={result.success ? 'warning' : 'error'} sx={{ mb: 1 }}>
+                      {result.error.message}
+                      {execution.errorAnalysis.steps[result.stepId] && (
+                        <Suggestions analysis={execution.errorAnalysis.steps[result.stepId]} />
+                      )}
+                    </Alert>
+                  )}
+                  <JsonView title="Output" value={result.data} />
+                </AccordionDetails>
+              </Accordion>
+            ))}
+
+            <Divider sx={{ my: 2 }} />
+
+            <Box sx={{ display: 'grid', gap: 2, mb: 2 }}>
+              <JsonView title="Input" value={execution.inputData} />
+              <JsonView title="Output" value={execution.outputData?.finalData} />
+            </Box>
+
+            {/* Log viewer */}
+            <Typography variant="subtitle1" sx={{ mb: 1 }}>
+              Logs
+            </Typography>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1, flexWrap: 'wrap' }}>
+              {LOG_LEVELS.map(level => (
+                <Chip
+                  key={level}
+                  size="small"
+                  label={level}
+                  color={logLevels.includes(level) ? LOG_COLORS[level] : 'default'}
+                  variant={logLevels.includes(level) ? 'filled' : 'outlined'}
+                  onClick={() => toggleLogLevel(level)}
+                />
+              ))}
+              <TextField
+                size="small"
+                placeholder="Search logs"
+                value={logSearch}
+                onChange={(e) => setLogSearch(e.target.value)}
+                sx={{ ml: 'auto' }}
+              />
+            </Box>
+            <Box
+              sx={{
+                maxHeight: 320,
+                overflow: 'auto',
+                bgcolor: 'grey.900',
+                color: 'grey.100',
+                borderRadius: 1,
+                p: 1,
+                fontFamily: 'monospace',
+                fontSize: 12
+              }}
+            >
+              {filteredLogs.length === 0 && (
+                <Box sx={{ color: 'grey.500' }}>No log entries</Box>
+              )}
+              {filteredLogs.map((entry, index) => (
+                <Box key={index} sx={{ whiteSpace: 'pre-wrap' }}>
+                  {new Date(entry.timestamp).toLocaleTimeString()} [{entry.level}] {entry.message}
+                </Box>
+              ))}
+            </Box>
+          </>
+        )}
+      </Box>
+    </Drawer>
+  );
+};
@@ -0,0 +1 @@
+export { ExecutionDetailDrawer } from './ExecutionDetailDrawer';
\ No newline at end of file
@@ -0,0 +1,130 @@
+import React, { useEffect, useRef } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Chip,
+  LinearProgress,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText
+} from '@mui/material';
+import {
+  CheckCircle,
+  Error as ErrorIcon,
+  HourglassTop,
+  PauseCircle
+} from '@mui/icons-material';
+import { useExecutionStream } from '../../hooks/useExecutionStream';
+import type { StreamedStep } from '../../hooks/useExecutionStream';
+import { EXECUTION_STATUS_COLORS } from '../../utils/executionStatus';
+
+interface ExecutionMonitorProps {
+  executionId: string;
+  title?: string;
+}
+
+const LOG_COLORS: Record<string, string> = {
+  error: '#E53935',
+  warn: '#FB8C00',
+  debug: '#9E9E9E'
+};
+
+const StepIcon: React.FC<{ step: StreamedStep }> = ({ step }) => {
+  switch (step.state) {
+    case 'completed':
+      return <CheckCircle color="success" fontSize="small" />;
+    case 'failed':
+      return <ErrorIcon color="error" fontSize="small" />;
+    case 'paused':
+      return <PauseCircle color="warning" fontSize="small" />;
+    default:
+      return <HourglassTop color="info" fontSize="small" />;
+  }
+};
+
+export const ExecutionMonitor: React.FC<ExecutionMonitorProps> = ({ executionId, title }) => {
+  const { status, logs, progress, steps, error, connected } = useExecutionStream(executionId);
+  const logEndRef = useRef<HTMLDivElement>(null);
+
+  // Keep the newest log line in view
+  useEffect(() => {
+    logEndRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [logs.length]);
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <Typography variant="h6" sx={{ flexGrow: 1 }} noWrap>
+          {title || executionId}
+        </Typography>
+        {status && (
+          <Chip size="small" label={status} color={EXECUTION_STATUS_COLORS[status]} />
+        )}
+        <Chip
+          size="small"
+          variant="outlined"
+          label={connected ? 'Live' : 'Disconnected'}
+          color={connected ? 'success' : 'default'}
+        />
+      </Box>
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+        <LinearProgress
+          variant="determinate"
+          value={progress?.percent ?? 0}
+          sx={{ flexGrow: 1, height: 8, borderRadius: 4 }}
+        />
+        <Typography variant="body2" color="text.secondary">
+          {progress ? `${progress.completed}/${progress.total} (${progress.percent}%)` : '—'}
+        </Typography>
+      </Box>
+
+      {error && (
+        <Typography variant="body2" color="error" sx={{ mb: 1 }}>
+          {error}
+        </Typography>
+      )}
+
+      {steps.length > 0 && (
+        <List dense disablePadding sx={{ mb: 2 }}>
+          {steps.map(step => (
+            <ListItem key={step.stepId} disableGutters>
+              <ListItemIcon sx={{ minWidth: 32 }}>
+                <StepIcon step={step} />
+              </ListItemIcon>
+              <ListItemText
+                primary={step.stepName}
+                secondary={step.error?.message || (step.executionTime !== undefined ? `${step.executionTime} ms` : step.stepType)}
+              />
+            </ListItem>
+          ))}
+        </List>
+      )}
+
+      <Box
+        sx={{
+          maxHeight: 320,
+          overflow: 'auto',
+          bgcolor: 'grey.900',
+          color: 'grey.100',
+          borderRadius: 1,
+          p: 1,
+          fontFamily: 'monospace',
+          fontSize: 12
+        }}
+      >
+        {logs.length === 0 && (
+          <Box sx={{ color: 'grey.500' }}>Waiting for logs…</Box>
+        )}
+        {logs.map((entry, index) => (
+          <Box key={index} sx={{ color: LOG_COLORS[entry.level], whiteSpace: 'pre-wrap' }}>
+            {new Date(entry.timestamp).toLocaleTimeString()} [{entry.level}] {entry.message}
+          </Box>
+        ))}
+        <div ref={logEndRef} />
+      </Box>
+    </Paper>
+  );
+};
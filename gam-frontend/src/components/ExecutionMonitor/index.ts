@@ -0,0 +1 @@
+export { ExecutionMonitor } from './ExecutionMonitor';
\ No newline at end of file
@@ -0,0 +1,33 @@
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+
+interface JsonViewProps {
+  title?: string;
+  value: unknown;
+  maxHeight?: number;
+}
+
+// Read-only, pretty-printed JSON for inspecting run data
+export const JsonView: React.FC<JsonViewProps> = ({ title, value, maxHeight = 200 }) => (
+  <Box>
+    {title && (
+      <Typography variant="subtitle2" gutterBottom>
+        {title}
+      </Typography>
+    )}
+    <Box
+      component="pre"
+      sx={{
+        m: 0,
+        p: 1,
+        maxHeight,
+        overflow: 'auto',
+        bgcolor: 'grey.100',
+        borderRadius: 1,
+        fontSize: 12
+      }}
+    >
+      {value === undefined ? '—' : JSON.stringify(value, null, 2)}
+    </Box>
+  </Box>
+);
@@ -0,0 +1 @@
+export { JsonView } from './JsonView';
\ No newline at end of file
@@ -6,6 +6,7 @@ import { useSelector, useDispatch } from 'react-redux';
 import type { RootState } from '../../store';
 import { toggleSidebar, toggleTheme } from '../../store/slices/uiSlice';
 import { Sidebar } from './Sidebar';
+import { WorkspaceSelector } from '../WorkspaceSelector';
 
 const DRAWER_WIDTH = 280;
 
@@ -14,6 +15,7 @@ export const Layout: React.FC = () => {
   const dispatch = useDispatch();
   const { sidebarOpen } = useSelector((state: RootState) => state.ui);
   const { user } = useSelector((state: RootState) => state.auth);
+  const { currentWorkspaceId } = useSelector((state: RootState) => state.workspace);
 
   const handleDrawerToggle = () => {
     dispatch(toggleSidebar());
@@ -52,6 +54,8 @@ export const Layout: React.FC = () => {
             GAM - Gerenciador de Automações
           </Typography>
 
+          <WorkspaceSelector />
+
           {/* Theme toggle */}
           <IconButton color="inherit" onClick={handleThemeToggle} sx={{ mr: 1 }}>
             {theme.palette.mode === 'dark' ? <Brightness7 /> : <Brightness4 />}
@@ -115,7 +119,8 @@ export const Layout: React.FC = () => {
       >
         <Toolbar />
         <Box sx={{ p: 3, height: 'calc(100vh - 64px)', overflow: 'auto' }}>
-          <Outlet />
+          {/* Pages reload their data when the workspace changes */}
+          <Outlet key={currentWorkspaceId ?? 'personal'} />
         </Box>
       </Box>
     </Box>
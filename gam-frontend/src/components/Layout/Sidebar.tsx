@@ -20,10 +20,14 @@ import {
   Settings,
   ExitToApp,
   Add,
+  Groups,
+  VpnKey,
+  History,
 } from '@mui/icons-material';
 import { useSelector, useDispatch } from 'react-redux';
 import type { RootState, AppDispatch } from '../../store';
 import { logout } from '../../store/slices/authSlice';
+import { clearWorkspaces } from '../../store/slices/workspaceSlice';
 
 interface NavItem {
   text: string;
@@ -55,6 +59,21 @@ export const Sidebar: React.FC = () => {
       icon: <PlayArrow />,
       path: '/executions',
     },
+    {
+      text: 'Workspace',
+      icon: <Groups />,
+      path: '/workspace',
+    },
+    {
+      text: 'Credenciais',
+      icon: <VpnKey />,
+      path: '/credentials',
+    },
+    {
+      text: 'Auditoria',
+      icon: <History />,
+      path: '/audit',
+    },
     {
       text: 'Configurações',
       icon: <Settings />,
@@ -68,6 +87,7 @@ export const Sidebar: React.FC = () => {
 
   const handleLogout = () => {
     dispatch(logout());
+    dispatch(clearWorkspaces());
     navigate('/login');
   };
 
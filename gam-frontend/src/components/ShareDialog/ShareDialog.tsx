@@ -0,0 +1,169 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  MenuItem,
+  TextField,
+  Typography
+} from '@mui/material';
+import { Delete, PersonAdd } from '@mui/icons-material';
+import type { AutomationPermission, AutomationShare } from '../../types/automation';
+import { automationApi } from '../../services/api';
+import { PERMISSIONS, PERMISSION_LABELS } from '../../utils/permissions';
+
+interface ShareDialogProps {
+  automationId: string;
+  automationName: string;
+  open: boolean;
+  onClose: () => void;
+}
+
+const errorMessage = (error: unknown, fallback: string) =>
+  (error as { response?: { data?: { error?: { message?: string } } } })?.response?.data?.error?.message || fallback;
+
+// Who an automation is shared with and at which level; only owners get here
+export const ShareDialog: React.FC<ShareDialogProps> = ({
+  automationId,
+  automationName,
+  open,
+  onClose
+}) => {
+  const [shares, setShares] = useState<AutomationShare[]>([]);
+  const [email, setEmail] = useState('');
+  const [permission, setPermission] = useState<AutomationPermission>('view');
+  const [error, setError] = useState<string | null>(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const loadShares = useCallback(async () => {
+    try {
+      const result = await automationApi.getShares(automationId);
+      setShares(result.shares);
+    } catch (loadError) {
+      console.error('Failed to load shares:', loadError);
+    }
+  }, [automationId]);
+
+  useEffect(() => {
+    if (!open) return;
+    setError(null);
+    loadShares();
+  }, [open, loadShares]);
+
+  const handleShare = async (target: { email: string; permission: AutomationPermission }) => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      await automationApi.shareAutomation(automationId, target);
+      setEmail('');
+      await loadShares();
+    } catch (shareError) {
+      setError(errorMessage(shareError, 'Failed to share automation'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleRemove = async (userId: string) => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      await automationApi.unshareAutomation(automationId, userId);
+      await loadShares();
+    } catch (removeError) {
+      setError(errorMessage(removeError, 'Failed to remove share'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Share “{automationName}”</DialogTitle>
+      <DialogContent dividers>
+        <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+          <TextField
+            size="small"
+            label="Email"
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            sx={{ flexGrow: 1 }}
+          />
+          <TextField
+            select
+            size="small"
+            label="Permission"
+            value={permission}
+            onChange={(e) => setPermission(e.target.value as AutomationPermission)}
+            sx={{ width: 150 }}
+          >
+            {PERMISSIONS.map(level => (
+              <MenuItem key={level} value={level}>{PERMISSION_LABELS[level]}</MenuItem>
+            ))}
+          </TextField>
+          <Button
+            variant="contained"
+            startIcon={<PersonAdd />}
+            onClick={() => handleShare({ email, permission })}
+            disabled={!email || isBusy}
+          >
+            Share
+          </Button>
+        </Box>
+
+        {error && (
+          <Typography variant="body2" color="error" sx={{ mb: 1 }}>
+            {error}
+          </Typography>
+        )}
+
+        {shares.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            Not shared with anyone yet
+          </Typography>
+        ) : (
+          <List dense>
+            {shares.map(share => (
+              <ListItem
+                key={share.userId}
+                secondaryAction={
+                  <IconButton edge="end" title="Remove" onClick={() => handleRemove(share.userId)} disabled={isBusy}>
+                    <Delete fontSize="small" />
+                  </IconButton>
+                }
+              >
+                <ListItemText primary={share.user.name} secondary={share.user.email} />
+                <TextField
+                  select
+                  size="small"
+                  value={share.permission}
+                  onChange={(e) => handleShare({
+                    email: share.user.email,
+                    permission: e.target.value as AutomationPermission
+                  })}
+                  disabled={isBusy}
+                  sx={{ width: 150, mr: 2 }}
+                >
+                  {PERMISSIONS.map(level => (
+                    <MenuItem key={level} value={level}>{PERMISSION_LABELS[level]}</MenuItem>
+                  ))}
+                </TextField>
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
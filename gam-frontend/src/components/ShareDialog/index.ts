@@ -0,0 +1 @@
+export { ShareDialog } from './ShareDialog';
@@ -27,6 +27,9 @@ import {
   Settings
 } from '@mui/icons-material';
 import type { StepNode } from '../CanvasEditor/CanvasEditor';
+import type { Credential } from '../../types/automation';
+import { credentialApi } from '../../services/api';
+import { isCredentialRef } from '../../utils/credentials';
 
 interface StepConfigPanelProps {
   selectedStep: StepNode | null;
@@ -35,7 +38,15 @@ interface StepConfigPanelProps {
   isExecuting?: boolean;
 }
 
-const STEP_TEMPLATES = {
+interface TemplateField {
+  key: string;
+  label: string;
+  type: string;
+  required?: boolean;
+  options?: string[];
+}
+
+const STEP_TEMPLATES: Record<string, { name: string; icon: string; fields: TemplateField[] }> = {
   SOURCE_MANUAL_INPUT: {
     name: 'Manual Input',
     icon: '📝',
@@ -53,15 +64,70 @@ const STEP_TEMPLATES = {
       { key: 'watch', label: 'Watch for Changes', type: 'boolean' }
     ]
   },
+  SOURCE_SMB_SHARE: {
+    name: 'Network Share (SMB)',
+    icon: '🗂️',
+    fields: [
+      { key: 'server', label: 'Server Address', type: 'text', required: true },
+      { key: 'share', label: 'Share Name', type: 'text', required: true },
+      { key: 'username', label: 'Username', type: 'text', required: true },
+      { key: 'password', label: 'Password', type: 'password', required: true },
+      { key: 'domain', label: 'Domain', type: 'text' },
+      { key: 'remotePath', label: 'Remote Path', type: 'text' },
+      { key: 'operation', label: 'Operation', type: 'select', options: ['list_files'] }
+    ]
+  },
   SOURCE_API: {
     name: 'API Input',
     icon: '🌐',
     fields: [
       { key: 'url', label: 'API URL', type: 'text', required: true },
-      { key: 'method', label: 'HTTP Method', type: 'select', options: ['GET', 'POST', 'PUT', 'DELETE'] },
+      { key: 'method', label: 'HTTP Method', type: 'select', options: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'] },
       { key: 'headers', label: 'Headers', type: 'json' },
+      { key: 'queryParams', label: 'Query Parameters', type: 'json' },
       { key: 'body', label: 'Request Body', type: 'json' },
-      { key: 'timeout', label: 'Timeout (ms)', type: 'number' }
+      { key: 'authType', label: 'Authentication', type: 'select', options: ['none', 'bearer', 'basic', 'api_key'] },
+      { key: 'token', label: 'Bearer Token', type: 'password' },
+      { key: 'username', label: 'Username', type: 'text' },
+      { key: 'password', label: 'Password', type: 'password' },
+      { key: 'apiKeyHeader', label: 'API Key Header', type: 'text' },
+      { key: 'apiKey', label: 'API Key', type: 'password' },
+      { key: 'dataPath', label: 'Data Path', type: 'text' },
+      { key: 'nextLinkPath', label: 'Next Page Path', type: 'text' },
+      { key: 'maxPages', label: 'Max Pages', type: 'number' },
+      { key: 'timeout', label: 'Timeout (ms)', type: 'number' },
+      { key: 'failOnError', label: 'Fail on HTTP Error', type: 'boolean' }
+    ]
+  },
+  SOURCE_DATABASE: {
+    name: 'Database Query',
+    icon: '🗄️',
+    fields: [
+      { key: 'connectionString', label: 'Connection String', type: 'password', required: true },
+      { key: 'ssl', label: 'Use SSL', type: 'boolean' },
+      { key: 'query', label: 'SQL Query', type: 'code', required: true },
+      { key: 'parameters', label: 'Parameters', type: 'json' },
+      { key: 'maxRows', label: 'Max Rows', type: 'number' }
+    ]
+  },
+  SOURCE_EMAIL_IMAP: {
+    name: 'Email Input (IMAP)',
+    icon: '📥',
+    fields: [
+      { key: 'host', label: 'IMAP Host', type: 'text', required: true },
+      { key: 'port', label: 'Port', type: 'number' },
+      { key: 'secure', label: 'Use TLS', type: 'boolean' },
+      { key: 'allowSelfSigned', label: 'Allow Self-Signed Certificate', type: 'boolean' },
+      { key: 'username', label: 'Username', type: 'text', required: true },
+      { key: 'password', label: 'Password', type: 'password', required: true },
+      { key: 'folder', label: 'Folder', type: 'text' },
+      { key: 'from', label: 'From Contains', type: 'text' },
+      { key: 'subjectPattern', label: 'Subject Pattern (regex)', type: 'text' },
+      { key: 'unreadOnly', label: 'Unread Only', type: 'boolean' },
+      { key: 'maxMessages', label: 'Max Messages', type: 'number' },
+      { key: 'saveAttachments', label: 'Save Attachments', type: 'boolean' },
+      { key: 'markAs', label: 'After Reading', type: 'select', options: ['none', 'mark_read', 'move'] },
+      { key: 'moveTo', label: 'Move To Folder', type: 'text' }
     ]
   },
   FILTER_SIMPLE: {
@@ -82,6 +148,45 @@ const STEP_TEMPLATES = {
       { key: 'language', label: 'Language', type: 'select', options: ['javascript', 'python'] }
     ]
   },
+  FILTER_REGEX: {
+    name: 'Regex Filter',
+    icon: '🔣',
+    fields: [
+      { key: 'field', label: 'Field Name', type: 'text' },
+      { key: 'pattern', label: 'Pattern', type: 'text', required: true },
+      { key: 'flags', label: 'Flags', type: 'text' },
+      { key: 'mode', label: 'Mode', type: 'select', options: ['include', 'exclude'] }
+    ]
+  },
+  FILTER_DATE: {
+    name: 'Date Filter',
+    icon: '📅',
+    fields: [
+      { key: 'field', label: 'Date Field', type: 'text', required: true },
+      { key: 'operator', label: 'Condition', type: 'select', options: ['before', 'after', 'on', 'between', 'within_last', 'within_next', 'older_than'], required: true },
+      { key: 'date', label: 'Date', type: 'text' },
+      { key: 'endDate', label: 'End Date', type: 'text' },
+      { key: 'amount', label: 'Amount', type: 'number' },
+      { key: 'unit', label: 'Unit', type: 'select', options: ['minutes', 'hours', 'days'] }
+    ]
+  },
+  FILTER_DEDUP: {
+    name: 'Remove Duplicates',
+    icon: '🧹',
+    fields: [
+      { key: 'fields', label: 'Key Fields (comma separated)', type: 'text' },
+      { key: 'keep', label: 'Keep', type: 'select', options: ['first', 'last'] },
+      { key: 'caseSensitive', label: 'Case Sensitive', type: 'boolean' }
+    ]
+  },
+  FILTER_VALIDATION: {
+    name: 'Validate Data',
+    icon: '✅',
+    fields: [
+      { key: 'rules', label: 'Rules', type: 'json', required: true },
+      { key: 'mode', label: 'Invalid Items', type: 'select', options: ['filter', 'fail'] }
+    ]
+  },
   ACTION_TRANSFORM: {
     name: 'Transform Data',
     icon: '⚙️',
@@ -103,6 +208,42 @@ const STEP_TEMPLATES = {
       { key: 'timeout', label: 'Timeout (ms)', type: 'number' }
     ]
   },
+  ACTION_CALCULATE: {
+    name: 'Calculate',
+    icon: '🧮',
+    fields: [
+      { key: 'mode', label: 'Mode', type: 'select', options: ['formula', 'aggregate'] },
+      { key: 'targetField', label: 'Target Field', type: 'text' },
+      { key: 'expression', label: 'Expression', type: 'text' },
+      { key: 'calculations', label: 'Calculations', type: 'json' },
+      { key: 'operation', label: 'Operation', type: 'select', options: ['sum', 'avg', 'min', 'max', 'count'] },
+      { key: 'field', label: 'Field', type: 'text' },
+      { key: 'groupBy', label: 'Group By', type: 'text' },
+      { key: 'decimals', label: 'Decimals', type: 'number' }
+    ]
+  },
+  ACTION_FORMAT_TEXT: {
+    name: 'Format Text',
+    icon: '✏️',
+    fields: [
+      { key: 'template', label: 'Template', type: 'textarea', required: true },
+      { key: 'targetField', label: 'Target Field', type: 'text' },
+      { key: 'joinWith', label: 'Join With', type: 'text' }
+    ]
+  },
+  ACTION_MERGE_DATA: {
+    name: 'Merge Data',
+    icon: '🔗',
+    fields: [
+      { key: 'mode', label: 'Mode', type: 'select', options: ['append', 'merge_objects', 'join'] },
+      { key: 'sources', label: 'Source Steps (comma separated)', type: 'text' },
+      { key: 'leftSource', label: 'Left Step', type: 'text' },
+      { key: 'rightSource', label: 'Right Step', type: 'text' },
+      { key: 'leftKey', label: 'Left Key', type: 'text' },
+      { key: 'rightKey', label: 'Right Key', type: 'text' },
+      { key: 'joinType', label: 'Join Type', type: 'select', options: ['inner', 'left'] }
+    ]
+  },
   DESTINATION_FILE: {
     name: 'Save to File',
     icon: '💾',
@@ -123,9 +264,88 @@ const STEP_TEMPLATES = {
       { key: 'attachData', label: 'Attach Data as File', type: 'boolean' },
       { key: 'format', label: 'Attachment Format', type: 'select', options: ['json', 'csv', 'txt'] }
     ]
+  },
+  DESTINATION_API: {
+    name: 'Send to API',
+    icon: '📤',
+    fields: [
+      { key: 'url', label: 'API URL', type: 'text', required: true },
+      { key: 'method', label: 'HTTP Method', type: 'select', options: ['POST', 'PUT', 'PATCH', 'DELETE'] },
+      { key: 'sendMode', label: 'Send Mode', type: 'select', options: ['all', 'batch', 'item'] },
+      { key: 'batchSize', label: 'Batch Size', type: 'number' },
+      { key: 'body', label: 'Custom Body', type: 'json' },
+      { key: 'headers', label: 'Headers', type: 'json' },
+      { key: 'queryParams', label: 'Query Parameters', type: 'json' },
+      { key: 'authType', label: 'Authentication', type: 'select', options: ['none', 'bearer', 'basic', 'api_key'] },
+      { key: 'token', label: 'Bearer Token', type: 'password' },
+      { key: 'username', label: 'Username', type: 'text' },
+      { key: 'password', label: 'Password', type: 'password' },
+      { key: 'apiKeyHeader', label: 'API Key Header', type: 'text' },
+      { key: 'apiKey', label: 'API Key', type: 'password' },
+      { key: 'timeout', label: 'Timeout (ms)', type: 'number' },
+      { key: 'failOnError', label: 'Fail on HTTP Error', type: 'boolean' }
+    ]
+  },
+  DESTINATION_DATABASE: {
+    name: 'Save to Database',
+    icon: '🗃️',
+    fields: [
+      { key: 'connectionString', label: 'Connection String', type: 'password', required: true },
+      { key: 'ssl', label: 'Use SSL', type: 'boolean' },
+      { key: 'table', label: 'Table', type: 'text', required: true },
+      { key: 'mode', label: 'Write Mode', type: 'select', options: ['insert', 'upsert', 'insert_ignore'] },
+      { key: 'conflictColumns', label: 'Conflict Columns (comma separated)', type: 'text' },
+      { key: 'columns', label: 'Columns (comma separated)', type: 'text' },
+      { key: 'batchSize', label: 'Batch Size', type: 'number' }
+    ]
+  },
+  DESTINATION_CLOUD: {
+    name: 'Upload to Cloud',
+    icon: '☁️',
+    fields: [
+      { key: 'provider', label: 'Provider', type: 'select', options: ['onedrive', 'sharepoint'], required: true },
+      { key: 'siteId', label: 'Site ID', type: 'text' },
+      { key: 'driveId', label: 'Document Library ID', type: 'text' },
+      { key: 'folderPath', label: 'Folder Path', type: 'text' },
+      { key: 'fileName', label: 'File Name', type: 'text' },
+      { key: 'format', label: 'Data Format', type: 'select', options: ['json', 'csv', 'text'] },
+      { key: 'conflictBehavior', label: 'If File Exists', type: 'select', options: ['replace', 'rename', 'fail'] }
+    ]
+  },
+  LOGIC_CONDITION: {
+    name: 'Condition',
+    icon: '🔀',
+    fields: [
+      { key: 'source', label: 'Evaluate', type: 'select', options: ['data', 'variable'] },
+      { key: 'field', label: 'Field / Variable', type: 'text' },
+      { key: 'operator', label: 'Operator', type: 'select', options: ['equals', 'not_equals', 'contains', 'matches', 'greater_than', 'less_than', 'greater_equal', 'less_equal', 'is_empty', 'is_not_empty', 'exists', 'not_exists', 'is_true', 'is_false'], required: true },
+      { key: 'value', label: 'Value', type: 'text' },
+      { key: 'caseSensitive', label: 'Case Sensitive', type: 'boolean' }
+    ]
+  },
+  LOGIC_FOREACH: {
+    name: 'For Each',
+    icon: '🔁',
+    fields: [
+      { key: 'itemsPath', label: 'Items Path', type: 'text' },
+      { key: 'steps', label: 'Loop Steps', type: 'json', required: true },
+      { key: 'itemVariable', label: 'Item Variable', type: 'text' },
+      { key: 'indexVariable', label: 'Index Variable', type: 'text' },
+      { key: 'concurrency', label: 'Concurrency', type: 'number' },
+      { key: 'errorMode', label: 'On Error', type: 'select', options: ['stop', 'continue'] }
+    ]
   }
 };
 
+// Step-level failure handling, enforced by the workflow engine
+const RETRY_STRATEGIES = ['immediate', 'fixed_delay', 'exponential_backoff', 'linear_backoff'];
+const RETRYABLE_ERROR_TYPES = ['network', 'timeout', 'authentication', 'validation', 'resource_limit', 'unknown'];
+const ON_ERROR_MODES = [
+  { value: 'fail', label: 'Stop the workflow' },
+  { value: 'continue', label: 'Continue with empty output' },
+  { value: 'error_branch', label: 'Route to error branch' }
+];
+
 export const StepConfigPanel: React.FC<StepConfigPanelProps> = ({
   selectedStep,
   onStepUpdate,
@@ -134,6 +354,13 @@ export const StepConfigPanel: React.FC<StepConfigPanelProps> = ({
 }) => {
   const [localConfig, setLocalConfig] = useState<any>({});
   const [validationErrors, setValidationErrors] = useState<Record<string, string>>({});
+  const [credentials, setCredentials] = useState<Credential[]>([]);
+
+  useEffect(() => {
+    credentialApi.getCredentials()
+      .then(setCredentials)
+      .catch(error => console.error('Failed to load credentials:', error));
+  }, []);
 
   useEffect(() => {
     if (selectedStep) {
@@ -152,7 +379,7 @@ export const StepConfigPanel: React.FC<StepConfigPanelProps> = ({
     );
   }
 
-  const stepTemplate = STEP_TEMPLATES[selectedStep.type as keyof typeof STEP_TEMPLATES] || {
+  const stepTemplate = STEP_TEMPLATES[selectedStep.type] || {
     name: 'Unknown Step',
     icon: '❓',
     fields: []
@@ -172,6 +399,10 @@ export const StepConfigPanel: React.FC<StepConfigPanelProps> = ({
     }
   };
 
+  const handleRetryChange = (key: string, value: unknown) => {
+    handleFieldChange('retry', { ...(localConfig.retry || {}), [key]: value });
+  };
+
   const handleSaveConfig = () => {
     // Validate required fields
     const errors: Record<string, string> = {};
@@ -299,6 +530,33 @@ export const StepConfigPanel: React.FC<StepConfigPanelProps> = ({
           />
         );
 
+      // Secrets are picked from the workspace credentials; the step only keeps
+      // a reference to one
+      case 'password':
+        return (
+          <TextField
+            key={field.key}
+            select
+            fullWidth
+            label={field.label}
+            value={isCredentialRef(value) ? value.$credential : ''}
+            onChange={(e) => handleFieldChange(field.key, e.target.value ? { $credential: e.target.value } : '')}
+            error={hasError || (!!value && !isCredentialRef(value))}
+            helperText={validationErrors[field.key]
+              || (value && !isCredentialRef(value) ? 'Stored as plain text, pick a credential instead' : undefined)
+              || (credentials.length === 0 ? 'Add credentials on the Credentials page' : undefined)}
+            required={field.required}
+            size="small"
+            margin="dense"
+          >
+            {credentials.map(credential => (
+              <MenuItem key={credential.id} value={credential.id}>
+                {credential.name}
+              </MenuItem>
+            ))}
+          </TextField>
+        );
+
       case 'json':
         return (
           <TextField
@@ -444,11 +702,12 @@ export const StepConfigPanel: React.FC<StepConfigPanelProps> = ({
               <Grid item xs={6}>
                 <TextField
                   fullWidth
-                  label="Timeout (seconds)"
+                  label="Timeout (ms)"
                   type="number"
-                  value={localConfig.timeout || 30}
-                  onChange={(e) => handleFieldChange('timeout', parseInt(e.target.value))}
+                  value={localConfig.timeoutMs || ''}
+                  onChange={(e) => handleFieldChange('timeoutMs', parseInt(e.target.value) || undefined)}
                   size="small"
+                  helperText="Empty for no limit"
                 />
               </Grid>
               
@@ -457,11 +716,77 @@ export const StepConfigPanel: React.FC<StepConfigPanelProps> = ({
                   fullWidth
                   label="Retry Count"
                   type="number"
-                  value={localConfig.retryCount || 0}
-                  onChange={(e) => handleFieldChange('retryCount', parseInt(e.target.value))}
+                  value={localConfig.retry?.count ?? localConfig.retryCount ?? 0}
+                  onChange={(e) => handleRetryChange('count', parseInt(e.target.value) || 0)}
                   size="small"
+                  inputProps={{ min: 0 }}
                 />
               </Grid>
+
+              <Grid item xs={6}>
+                <FormControl fullWidth size="small">
+                  <InputLabel>Retry Strategy</InputLabel>
+                  <Select
+                    value={localConfig.retry?.strategy || 'fixed_delay'}
+                    label="Retry Strategy"
+                    onChange={(e) => handleRetryChange('strategy', e.target.value)}
+                  >
+                    {RETRY_STRATEGIES.map(strategy => (
+                      <MenuItem key={strategy} value={strategy}>
+                        {strategy}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+
+              <Grid item xs={6}>
+                <TextField
+                  fullWidth
+                  label="Retry Delay (ms)"
+                  type="number"
+                  value={localConfig.retry?.delayMs ?? 1000}
+                  onChange={(e) => handleRetryChange('delayMs', parseInt(e.target.value) || 0)}
+                  size="small"
+                />
+              </Grid>
+
+              <Grid item xs={12}>
+                <FormControl fullWidth size="small">
+                  <InputLabel>Retry On</InputLabel>
+                  <Select
+                    multiple
+                    value={localConfig.retry?.errorTypes || []}
+                    label="Retry On"
+                    onChange={(e) => handleRetryChange('errorTypes', e.target.value)}
+                    renderValue={(selected) => (selected as string[]).length === 0 ? 'All errors' : (selected as string[]).join(', ')}
+                    displayEmpty
+                  >
+                    {RETRYABLE_ERROR_TYPES.map(type => (
+                      <MenuItem key={type} value={type}>
+                        {type}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+
+              <Grid item xs={12}>
+                <FormControl fullWidth size="small">
+                  <InputLabel>On Error</InputLabel>
+                  <Select
+                    value={localConfig.onError || 'fail'}
+                    label="On Error"
+                    onChange={(e) => handleFieldChange('onError', e.target.value)}
+                  >
+                    {ON_ERROR_MODES.map(mode => (
+                      <MenuItem key={mode.value} value={mode.value}>
+                        {mode.label}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
             </Grid>
           </AccordionDetails>
         </Accordion>
@@ -0,0 +1,196 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  List,
+  ListItemButton,
+  ListItemText,
+  Typography
+} from '@mui/material';
+import { Restore } from '@mui/icons-material';
+import type { Automation, AutomationVersionSummary, ValueChange, VersionDiff } from '../../types/automation';
+import { automationApi } from '../../services/api';
+
+interface VersionHistoryDialogProps {
+  automationId: string;
+  open: boolean;
+  onClose: () => void;
+  onRestored: (automation: Automation) => void;
+  canRestore?: boolean;
+}
+
+const formatValue = (value: unknown) => (value === null ? '—' : JSON.stringify(value));
+
+const ChangeList: React.FC<{ changes: ValueChange[] }> = ({ changes }) => (
+  <Box component="ul" sx={{ m: 0, pl: 2 }}>
+    {changes.map(change => (
+      <Typography component="li" variant="body2" key={change.path} sx={{ fontFamily: 'monospace', fontSize: 12 }}>
+        {change.path}: {formatValue(change.from)} → {formatValue(change.to)}
+      </Typography>
+    ))}
+  </Box>
+);
+
+// Saved versions of an automation, what changed since each one, and a way
+// back to it
+export const VersionHistoryDialog: React.FC<VersionHistoryDialogProps> = ({
+  automationId,
+  open,
+  onClose,
+  onRestored,
+  canRestore = true
+}) => {
+  const [versions, setVersions] = useState<AutomationVersionSummary[]>([]);
+  const [currentVersion, setCurrentVersion] = useState<number | null>(null);
+  const [selected, setSelected] = useState<number | null>(null);
+  const [diff, setDiff] = useState<VersionDiff | null>(null);
+  const [isRestoring, setIsRestoring] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+
+    setSelected(null);
+    automationApi.getVersions(automationId)
+      .then(result => {
+        setVersions(result.versions);
+        setCurrentVersion(result.currentVersion);
+      })
+      .catch(error => console.error('Failed to load versions:', error));
+  }, [automationId, open]);
+
+  useEffect(() => {
+    setDiff(null);
+    if (selected === null || selected === currentVersion) return;
+
+    let active = true;
+    automationApi.diffVersions(automationId, selected)
+      .then(result => {
+        if (active) setDiff(result);
+      })
+      .catch(error => console.error('Failed to compare versions:', error));
+
+    return () => {
+      active = false;
+    };
+  }, [automationId, selected, currentVersion]);
+
+  const handleRestore = async () => {
+    if (selected === null) return;
+
+    setIsRestoring(true);
+    try {
+      onRestored(await automationApi.restoreVersion(automationId, selected));
+      onClose();
+    } catch (error) {
+      console.error('Failed to restore version:', error);
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  const stepChanges = diff?.steps.changed.filter(step => !step.positionOnly) ?? [];
+  const movedSteps = (diff?.steps.changed.length ?? 0) - stepChanges.length;
+  const isUnchanged = !!diff && diff.fields.length === 0 && diff.config.length === 0
+    && diff.steps.added.length === 0 && diff.steps.removed.length === 0 && diff.steps.changed.length === 0;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Version history</DialogTitle>
+      <DialogContent dividers sx={{ display: 'flex', gap: 2, minHeight: 360 }}>
+        <List dense sx={{ width: 240, flexShrink: 0, overflow: 'auto' }}>
+          {versions.length === 0 && (
+            <Typography variant="body2" color="text.secondary">
+              No saved versions yet
+            </Typography>
+          )}
+          {versions.map(version => (
+            <ListItemButton
+              key={version.id}
+              selected={version.version === selected}
+              onClick={() => setSelected(version.version)}
+            >
+              <ListItemText
+                primary={
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    v{version.version}
+                    {version.version === currentVersion && <Chip size="small" label="current" color="primary" />}
+                  </Box>
+                }
+                secondary={`${new Date(version.createdAt).toLocaleString()}${version.createdBy ? ` · ${version.createdBy.name}` : ''}`}
+              />
+            </ListItemButton>
+          ))}
+        </List>
+
+        <Box sx={{ flexGrow: 1, overflow: 'auto' }}>
+          {selected === null && (
+            <Typography variant="body2" color="text.secondary">
+              Select a version to see what changed since then
+            </Typography>
+          )}
+          {selected !== null && selected === currentVersion && (
+            <Typography variant="body2" color="text.secondary">
+              This is the current version
+            </Typography>
+          )}
+          {diff && (
+            <>
+              <Typography variant="subtitle2" gutterBottom>
+                Changes from v{diff.from} to v{diff.to}
+              </Typography>
+              {isUnchanged && (
+                <Typography variant="body2" color="text.secondary">
+                  No differences
+                </Typography>
+              )}
+              {diff.fields.length > 0 && <ChangeList changes={diff.fields} />}
+              {diff.config.length > 0 && (
+                <Box sx={{ mt: 1 }}>
+                  <Typography variant="body2" fontWeight="bold">Settings</Typography>
+                  <ChangeList changes={diff.config} />
+                </Box>
+              )}
+              {diff.steps.added.map(step => (
+                <Typography key={step.id} variant="body2" color="success.main">
+                  + {step.name} ({step.type})
+                </Typography>
+              ))}
+              {diff.steps.removed.map(step => (
+                <Typography key={step.id} variant="body2" color="error.main">
+                  − {step.name} ({step.type})
+                </Typography>
+              ))}
+              {stepChanges.map(step => (
+                <Box key={step.id} sx={{ mt: 1 }}>
+                  <Typography variant="body2" fontWeight="bold">~ {step.name}</Typography>
+                  <ChangeList changes={step.changes} />
+                </Box>
+              ))}
+              {movedSteps > 0 && (
+                <Typography variant="caption" color="text.secondary">
+                  {movedSteps} step(s) only moved on the canvas
+                </Typography>
+              )}
+            </>
+          )}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+        <Button
+          variant="contained"
+          startIcon={<Restore />}
+          onClick={handleRestore}
+          disabled={!canRestore || selected === null || selected === currentVersion || isRestoring}
+        >
+          Restore this version
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
@@ -0,0 +1 @@
+export { VersionHistoryDialog } from './VersionHistoryDialog';
@@ -0,0 +1,96 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  MenuItem,
+  TextField
+} from '@mui/material';
+import { Add } from '@mui/icons-material';
+import { useSelector, useDispatch } from 'react-redux';
+import type { RootState, AppDispatch } from '../../store';
+import { fetchWorkspaces, createWorkspace, setCurrentWorkspace } from '../../store/slices/workspaceSlice';
+
+const NEW_WORKSPACE = '__new__';
+
+// Switches the workspace every request works in, and creates new ones
+export const WorkspaceSelector: React.FC = () => {
+  const dispatch = useDispatch<AppDispatch>();
+  const { workspaces, currentWorkspaceId } = useSelector((state: RootState) => state.workspace);
+  const [isCreating, setIsCreating] = useState(false);
+  const [name, setName] = useState('');
+
+  useEffect(() => {
+    dispatch(fetchWorkspaces());
+  }, [dispatch]);
+
+  const handleChange = (value: string) => {
+    if (value === NEW_WORKSPACE) {
+      setName('');
+      setIsCreating(true);
+    } else {
+      dispatch(setCurrentWorkspace(value));
+    }
+  };
+
+  const handleCreate = async () => {
+    await dispatch(createWorkspace(name.trim()));
+    setIsCreating(false);
+  };
+
+  if (workspaces.length === 0) {
+    return null;
+  }
+
+  return (
+    <>
+      <TextField
+        select
+        size="small"
+        value={currentWorkspaceId ?? ''}
+        onChange={(e) => handleChange(e.target.value)}
+        sx={{
+          minWidth: 200,
+          mr: 2,
+          '& .MuiInputBase-root': { color: 'inherit' },
+          '& .MuiOutlinedInput-notchedOutline': { borderColor: 'rgba(255, 255, 255, 0.5)' },
+          '& .MuiSvgIcon-root': { color: 'inherit' }
+        }}
+      >
+        {workspaces.map(workspace => (
+          <MenuItem key={workspace.id} value={workspace.id}>
+            {workspace.personal ? `${workspace.name} (personal)` : workspace.name}
+          </MenuItem>
+        ))}
+        <Divider />
+        <MenuItem value={NEW_WORKSPACE}>
+          <Add fontSize="small" sx={{ mr: 1 }} />
+          New workspace
+        </MenuItem>
+      </TextField>
+
+      <Dialog open={isCreating} onClose={() => setIsCreating(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>New workspace</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            fullWidth
+            margin="dense"
+            label="Name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setIsCreating(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleCreate} disabled={!name.trim()}>
+            Create
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
@@ -0,0 +1 @@
+export { WorkspaceSelector } from './WorkspaceSelector';
@@ -0,0 +1,120 @@
+import { useEffect, useState } from 'react';
+import { executionsApi } from '../services/api';
+import type { Execution, ExecutionEvent, ExecutionProgress, LogEntry, StepResult } from '../types/automation';
+import { isFinished } from '../utils/executionStatus';
+
+const RECONNECT_DELAY = 3000;
+const MAX_LOGS = 1000;
+
+export interface StreamedStep {
+  stepId: string;
+  stepName: string;
+  stepType: string;
+  state: 'running' | 'paused' | 'completed' | 'failed';
+  executionTime?: number;
+  error?: StepResult['error'];
+}
+
+export interface ExecutionStreamState {
+  status: Execution['status'] | null;
+  logs: LogEntry[];
+  progress: ExecutionProgress | null;
+  steps: StreamedStep[];
+  error: string | null;
+  connected: boolean;
+}
+
+const initialState: ExecutionStreamState = {
+  status: null,
+  logs: [],
+  progress: null,
+  steps: [],
+  error: null,
+  connected: false
+};
+
+const updateStep = (steps: StreamedStep[], stepId: string, update: Partial<StreamedStep>): StreamedStep[] =>
+  steps.map(step => (step.stepId === stepId ? { ...step, ...update } : step));
+
+const applyEvent = (state: ExecutionStreamState, event: ExecutionEvent): ExecutionStreamState => {
+  switch (event.type) {
+    case 'snapshot':
+      return {
+        ...state,
+        status: event.data.status,
+        logs: event.data.logs.slice(-MAX_LOGS),
+        progress: event.data.progress
+      };
+    case 'log':
+      return { ...state, logs: [...state.logs, event.data].slice(-MAX_LOGS) };
+    case 'step_started':
+      return {
+        ...state,
+        steps: [
+          ...state.steps.filter(step => step.stepId !== event.data.stepId),
+          { ...event.data, state: 'running' }
+        ]
+      };
+    case 'step_finished':
+      return {
+        ...state,
+        steps: updateStep(state.steps, event.data.stepId, {
+          state: event.data.success ? 'completed' : 'failed',
+          executionTime: event.data.executionTime,
+          error: event.data.error
+        })
+      };
+    case 'debug':
+      // Pauses happen before the step starts, so it may not be listed yet
+      return state.steps.some(step => step.stepId === event.data.stepId)
+        ? { ...state, steps: updateStep(state.steps, event.data.stepId, { state: event.data.state }) }
+        : state;
+    case 'progress':
+      return { ...state, progress: event.data };
+    case 'status':
+      return { ...state, status: event.data.status, error: event.data.error || null };
+    default:
+      return state;
+  }
+};
+
+// Live view of one execution: logs, step states and progress as they happen.
+// Reconnects when the connection drops before the run has finished.
+export const useExecutionStream = (executionId: string | null): ExecutionStreamState => {
+  const [state, setState] = useState<ExecutionStreamState>(initialState);
+
+  useEffect(() => {
+    setState(initialState);
+    if (!executionId) return;
+
+    const controller = new AbortController();
+    let finished = false;
+
+    const connect = async () => {
+      while (!finished && !controller.signal.aborted) {
+        try {
+          setState(prev => ({ ...prev, connected: true }));
+          await executionsApi.streamExecution(executionId, (event) => {
+            if (event.type === 'status' || event.type === 'snapshot') {
+              finished = isFinished(event.data.status);
+            }
+            setState(prev => applyEvent(prev, event));
+          }, controller.signal);
+        } catch (error) {
+          if (controller.signal.aborted) return;
+          console.error('Execution stream interrupted:', error);
+        }
+
+        setState(prev => ({ ...prev, connected: false }));
+        if (!finished && !controller.signal.aborted) {
+          await new Promise(resolve => setTimeout(resolve, RECONNECT_DELAY));
+        }
+      }
+    };
+
+    connect();
+    return () => controller.abort();
+  }, [executionId]);
+
+  return state;
+};
@@ -0,0 +1,274 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  TextField,
+  MenuItem,
+  Button,
+  IconButton,
+  FormControlLabel,
+  Switch,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  TablePagination,
+} from '@mui/material';
+import { Refresh, Download, FilterListOff } from '@mui/icons-material';
+import { useSelector, useDispatch } from 'react-redux';
+import type { RootState, AppDispatch } from '../store';
+import { addNotification } from '../store/slices/uiSlice';
+import { auditApi } from '../services/api';
+import type { AuditLogEntry, AuditLogFilters } from '../types/automation';
+import { hasWorkspaceRole } from '../utils/workspaces';
+
+// A trailing dot filters by prefix on the server
+const ACTION_GROUPS = [
+  { value: 'auth.', label: 'Login' },
+  { value: 'automation.', label: 'Automações' },
+  { value: 'execution.', label: 'Execuções' },
+  { value: 'schedule.', label: 'Agendamentos' },
+  { value: 'credential.', label: 'Credenciais' },
+  { value: 'microsoft.', label: 'Microsoft' },
+];
+
+interface Filters {
+  action: string;
+  from: string;
+  to: string;
+  everything: boolean;
+}
+
+const EMPTY_FILTERS: Filters = { action: '', from: '', to: '', everything: false };
+
+const toQuery = (filters: Filters): AuditLogFilters => ({
+  scope: filters.everything ? 'all' : 'workspace',
+  action: filters.action || undefined,
+  // Date inputs are whole days: from the start of `from` to the end of `to`
+  from: filters.from ? new Date(`${filters.from}T00:00:00`).toISOString() : undefined,
+  to: filters.to ? new Date(`${filters.to}T23:59:59.999`).toISOString() : undefined,
+});
+
+const describeChanges = (entry: AuditLogEntry) =>
+  entry.changes && entry.changes.length > 0 ? entry.changes.map(change => change.path).join(', ') : '—';
+
+export const AuditPage: React.FC = () => {
+  const dispatch = useDispatch<AppDispatch>();
+  const { user } = useSelector((state: RootState) => state.auth);
+  const { workspaces, currentWorkspaceId } = useSelector((state: RootState) => state.workspace);
+  const [entries, setEntries] = useState<AuditLogEntry[]>([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(50);
+  const [filters, setFilters] = useState<Filters>(EMPTY_FILTERS);
+  const [isExporting, setIsExporting] = useState(false);
+
+  // Workspace admins read its trail; global admins may read everything
+  const workspaceRole = workspaces.find(workspace => workspace.id === currentWorkspaceId)?.role;
+  const isGlobalAdmin = user?.role === 'admin';
+  const canRead = isGlobalAdmin || hasWorkspaceRole(workspaceRole, 'admin');
+
+  const loadEntries = useCallback(async () => {
+    if (!canRead) return;
+
+    try {
+      const result = await auditApi.getEntries({ ...toQuery(filters), page: page + 1, limit: rowsPerPage });
+      setEntries(result.data);
+      setTotal(result.pagination.total);
+    } catch (error) {
+      console.error('Failed to load audit log:', error);
+    }
+  }, [canRead, filters, page, rowsPerPage]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const updateFilter = <K extends keyof Filters>(key: K, value: Filters[K]) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPage(0);
+  };
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const blob = await auditApi.exportEntries(toQuery(filters));
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `auditoria-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to export audit log:', error);
+      dispatch(addNotification({ type: 'error', title: 'Não foi possível exportar o log de auditoria' }));
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  if (!canRead) {
+    return (
+      <Paper sx={{ p: 4, textAlign: 'center' }}>
+        <Typography variant="h6" gutterBottom>
+          Acesso restrito
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          Somente administradores do workspace podem consultar a auditoria
+        </Typography>
+      </Paper>
+    );
+  }
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 4 }}>
+        <Box>
+          <Typography variant="h4" component="h1" gutterBottom>
+            Auditoria
+          </Typography>
+          <Typography variant="subtitle1" color="text.secondary">
+            Quem fez o quê, quando e de onde
+          </Typography>
+        </Box>
+        <Box>
+          <IconButton onClick={loadEntries} title="Atualizar">
+            <Refresh />
+          </IconButton>
+          <Button
+            variant="outlined"
+            startIcon={<Download />}
+            onClick={handleExport}
+            disabled={isExporting}
+            sx={{ ml: 1 }}
+          >
+            Exportar CSV
+          </Button>
+        </Box>
+      </Box>
+
+      {/* Filters */}
+      <Paper sx={{ p: 2, mb: 2 }}>
+        <Grid container spacing={2} alignItems="center">
+          <Grid item xs={12} md={3}>
+            <TextField
+              select
+              fullWidth
+              size="small"
+              label="Ação"
+              value={filters.action}
+              onChange={(e) => updateFilter('action', e.target.value)}
+            >
+              <MenuItem value="">Todas</MenuItem>
+              {ACTION_GROUPS.map(group => (
+                <MenuItem key={group.value} value={group.value}>{group.label}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={6} md={2}>
+            <TextField
+              fullWidth
+              size="small"
+              type="date"
+              label="De"
+              InputLabelProps={{ shrink: true }}
+              value={filters.from}
+              onChange={(e) => updateFilter('from', e.target.value)}
+            />
+          </Grid>
+          <Grid item xs={6} md={2}>
+            <TextField
+              fullWidth
+              size="small"
+              type="date"
+              label="Até"
+              InputLabelProps={{ shrink: true }}
+              value={filters.to}
+              onChange={(e) => updateFilter('to', e.target.value)}
+            />
+          </Grid>
+          {isGlobalAdmin && (
+            <Grid item xs={12} md={3}>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={filters.everything}
+                    onChange={(e) => updateFilter('everything', e.target.checked)}
+                  />
+                }
+                label="Todos os workspaces"
+              />
+            </Grid>
+          )}
+          <Grid item xs={12} md={2}>
+            <Button
+              startIcon={<FilterListOff />}
+              onClick={() => {
+                setFilters(EMPTY_FILTERS);
+                setPage(0);
+              }}
+            >
+              Limpar
+            </Button>
+          </Grid>
+        </Grid>
+      </Paper>
+
+      {entries.length === 0 && page === 0 ? (
+        <Paper sx={{ p: 4, textAlign: 'center' }}>
+          <Typography variant="h6" gutterBottom>
+            Nenhum registro encontrado
+          </Typography>
+        </Paper>
+      ) : (
+        <Paper>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Data</TableCell>
+                  <TableCell>Ação</TableCell>
+                  <TableCell>Usuário</TableCell>
+                  <TableCell>IP</TableCell>
+                  <TableCell>Item</TableCell>
+                  <TableCell>Alterações</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {entries.map(entry => (
+                  <TableRow key={entry.id}>
+                    <TableCell>{new Date(entry.createdAt).toLocaleString()}</TableCell>
+                    <TableCell>{entry.action}</TableCell>
+                    <TableCell>{entry.actorEmail || '—'}</TableCell>
+                    <TableCell>{entry.ip || '—'}</TableCell>
+                    <TableCell>
+                      {entry.entityType ? `${entry.entityType}: ${entry.entityName || entry.entityId}` : '—'}
+                    </TableCell>
+                    <TableCell>{describeChanges(entry)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <TablePagination
+            component="div"
+            count={total}
+            page={page}
+            rowsPerPage={rowsPerPage}
+            rowsPerPageOptions={[20, 50, 100, 200]}
+            onPageChange={(_, newPage) => setPage(newPage)}
+            onRowsPerPageChange={(e) => {
+              setRowsPerPage(parseInt(e.target.value, 10));
+              setPage(0);
+            }}
+            labelRowsPerPage="Por página"
+          />
+        </Paper>
+      )}
+    </Box>
+  );
+};
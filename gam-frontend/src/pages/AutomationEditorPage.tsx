@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {
   Box,
   Typography,
@@ -6,15 +6,27 @@ import {
   TextField,
   Paper,
   Grid,
+  Chip,
 } from '@mui/material';
-import { Save, PlayArrow, ArrowBack } from '@mui/icons-material';
+import { Save, PlayArrow, ArrowBack, BugReport, SkipNext, History, Publish } from '@mui/icons-material';
 import { useNavigate, useParams } from 'react-router-dom';
+import { useDispatch } from 'react-redux';
 import { CanvasEditor } from '../components/CanvasEditor/CanvasEditor';
 import { StepConfigPanel } from '../components/StepConfigPanel/StepConfigPanel';
-import type { StepNode } from '../components/CanvasEditor/CanvasEditor';
+import { DebugPanel } from '../components/DebugPanel/DebugPanel';
+import { VersionHistoryDialog } from '../components/VersionHistory/VersionHistoryDialog';
+import type { StepNode, CanvasDebugView } from '../components/CanvasEditor/CanvasEditor';
+import type { Automation, AutomationPermission, DebugAction, DebugSnapshot } from '../types/automation';
+import { automationApi, executionsApi } from '../services/api';
+import { isFinished } from '../utils/executionStatus';
+import { addNotification } from '../store/slices/uiSlice';
+import { hasPermission } from '../utils/permissions';
+
+const DEBUG_POLL_INTERVAL = 1000;
 
 export const AutomationEditorPage: React.FC = () => {
   const navigate = useNavigate();
+  const dispatch = useDispatch();
   const { id } = useParams();
   const isNew = !id;
 
@@ -26,17 +38,78 @@ export const AutomationEditorPage: React.FC = () => {
   
   const [selectedStep, setSelectedStep] = useState<StepNode | null>(null);
   const [isExecuting, setIsExecuting] = useState(false);
+  const [savedId, setSavedId] = useState<string | undefined>(id);
+  const [breakpoints, setBreakpoints] = useState<string[]>([]);
+  const [debugSnapshot, setDebugSnapshot] = useState<DebugSnapshot | null>(null);
+  const [isDebugBusy, setIsDebugBusy] = useState(false);
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const [revision, setRevision] = useState<Pick<Automation, 'version' | 'publishedVersion'> | null>(null);
+  const [isPublishing, setIsPublishing] = useState(false);
+  // New automations are the user's own
+  const [permission, setPermission] = useState<AutomationPermission>('owner');
+  const canEdit = hasPermission(permission, 'edit');
+  const canExecute = hasPermission(permission, 'execute');
+
+  useEffect(() => {
+    if (!id) return;
+
+    automationApi.getAutomation(id)
+      .then(loaded => {
+        setAutomation({
+          name: loaded.name,
+          description: loaded.description || '',
+          steps: loaded.steps,
+        });
+        setRevision({ version: loaded.version, publishedVersion: loaded.publishedVersion });
+        setPermission(loaded.permission ?? 'view');
+      })
+      .catch(error => console.error('Failed to load automation:', error));
+  }, [id]);
+
+  const debugExecutionId = debugSnapshot?.executionId;
+  const isDebugFinished = !!debugSnapshot && !debugSnapshot.debug && isFinished(debugSnapshot.status);
+  const isDebugging = !!debugSnapshot && !isDebugFinished;
+
+  // Follow the debug run until it finishes
+  useEffect(() => {
+    if (!debugExecutionId || isDebugFinished) return;
+
+    let active = true;
+    const timer = setInterval(async () => {
+      try {
+        const snapshot = await executionsApi.getDebugState(debugExecutionId);
+        if (active) setDebugSnapshot(snapshot);
+      } catch (error) {
+        console.error('Failed to load debug state:', error);
+      }
+    }, DEBUG_POLL_INTERVAL);
 
-  const handleSave = async () => {
+    return () => {
+      active = false;
+      clearInterval(timer);
+    };
+  }, [debugExecutionId, isDebugFinished]);
+
+  const debugView = useMemo<CanvasDebugView | null>(() => {
+    if (!debugSnapshot) return null;
+    const results = debugSnapshot.debug?.stepResults ?? debugSnapshot.stepResults ?? [];
+    return {
+      pausedStepId: debugSnapshot.debug?.state === 'paused' ? debugSnapshot.debug.currentStep?.id ?? null : null,
+      results: Object.fromEntries(results.map(result => [result.stepId, result]))
+    };
+  }, [debugSnapshot]);
+
+  // Returns the id of the saved automation
+  const handleSave = async (): Promise<string | undefined> => {
     try {
       const automationData = {
         name: automation.name,
         description: automation.description,
-        config: { steps: automation.steps }
+        steps: automation.steps
       };
 
-      const response = await fetch('http://localhost:3002/api/automations', {
-        method: 'POST',
+      const response = await fetch(`http://localhost:3002/api/automations${savedId ? `/${savedId}` : ''}`, {
+        method: savedId ? 'PUT' : 'POST',
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${localStorage.getItem('auth_token')}`
@@ -48,7 +121,9 @@ export const AutomationEditorPage: React.FC = () => {
       
       if (result.success) {
         console.log('Automation saved:', result.data);
-        // Optionally navigate to the saved automation or show success message
+        setSavedId(result.data.id);
+        setRevision({ version: result.data.version, publishedVersion: result.data.publishedVersion });
+        return result.data.id;
       } else {
         console.error('Failed to save automation:', result.error);
       }
@@ -57,11 +132,85 @@ export const AutomationEditorPage: React.FC = () => {
     }
   };
 
+  // A restored version is now the saved definition; show it on the canvas
+  const handleVersionRestored = (restored: Automation) => {
+    setAutomation({
+      name: restored.name,
+      description: restored.description || '',
+      steps: restored.steps,
+    });
+    setRevision({ version: restored.version, publishedVersion: restored.publishedVersion });
+    setSelectedStep(null);
+  };
+
+  // Publishing promotes the saved draft, so the canvas is saved first
+  const handlePublish = async () => {
+    const automationId = await handleSave();
+    if (!automationId) return;
+
+    setIsPublishing(true);
+    try {
+      const published = await automationApi.publishAutomation(automationId);
+      setRevision({ version: published.version, publishedVersion: published.publishedVersion });
+      dispatch(addNotification({ type: 'success', title: `Versão ${published.publishedVersion} publicada` }));
+    } catch (error) {
+      const details = (error as { response?: { data?: { error?: { details?: string[] } } } })?.response?.data?.error?.details;
+      console.error('Failed to publish automation:', error);
+      dispatch(addNotification({
+        type: 'error',
+        title: 'Não foi possível publicar a automação',
+        message: details?.join('; '),
+      }));
+    } finally {
+      setIsPublishing(false);
+    }
+  };
+
   const handleExecute = () => {
     console.log('Executing automation:', automation);
     // TODO: Implement execute logic
   };
 
+  // Debug runs execute the saved automation, so the canvas is saved first
+  // when the user may edit it
+  const handleDebug = async (stepMode: boolean) => {
+    const automationId = canEdit ? await handleSave() : savedId;
+    if (!automationId) return;
+
+    try {
+      const started = await automationApi.debugAutomation(automationId, { breakpoints, stepMode });
+      setDebugSnapshot({ executionId: started.executionId, status: started.status, debug: null });
+    } catch (error) {
+      console.error('Failed to start debug run:', error);
+    }
+  };
+
+  const handleDebugAction = async (action: DebugAction) => {
+    if (!debugExecutionId) return;
+
+    setIsDebugBusy(true);
+    try {
+      setDebugSnapshot(await executionsApi.sendDebugAction(debugExecutionId, action));
+    } catch (error) {
+      console.error('Debugger action failed:', error);
+    } finally {
+      setIsDebugBusy(false);
+    }
+  };
+
+  // Breakpoint changes also apply to a run that is already being debugged
+  const handleToggleBreakpoint = (stepId: string) => {
+    const next = breakpoints.includes(stepId)
+      ? breakpoints.filter(breakpoint => breakpoint !== stepId)
+      : [...breakpoints, stepId];
+    setBreakpoints(next);
+
+    if (isDebugging && debugExecutionId) {
+      executionsApi.sendDebugAction(debugExecutionId, null, next)
+        .catch(error => console.error('Failed to update breakpoints:', error));
+    }
+  };
+
   const handleStepsChange = (steps: StepNode[]) => {
     setAutomation(prev => ({
       ...prev,
@@ -101,17 +250,19 @@ export const AutomationEditorPage: React.FC = () => {
         },
         body: JSON.stringify({
           step,
-          inputData: null
+          inputData: null,
+          automationId: savedId
         })
       });
 
       const result = await response.json();
       
-      if (result.success) {
+      // The step outcome lives in the result envelope (result.data)
+      if (result.success && result.data.success) {
         console.log('Step execution result:', result.data);
         // You could update the UI to show execution results
       } else {
-        console.error('Step execution failed:', result.error);
+        console.error('Step execution failed:', result.data?.error || result.error);
       }
     } catch (error) {
       console.error('Failed to execute step:', error);
@@ -135,6 +286,20 @@ export const AutomationEditorPage: React.FC = () => {
           <Typography variant="h4" component="h1">
             {isNew ? 'Nova Automação' : 'Editar Automação'}
           </Typography>
+          {revision && (
+            <Chip
+              sx={{ ml: 2 }}
+              size="small"
+              color={revision.publishedVersion === revision.version ? 'success' : 'default'}
+              label={
+                !revision.publishedVersion
+                  ? `Rascunho v${revision.version} · não publicada`
+                  : revision.publishedVersion === revision.version
+                    ? `Publicada v${revision.version}`
+                    : `Rascunho v${revision.version} · publicada v${revision.publishedVersion}`
+              }
+            />
+          )}
         </Box>
 
         <Grid container spacing={2} sx={{ mb: 2 }}>
@@ -161,9 +326,19 @@ export const AutomationEditorPage: React.FC = () => {
             variant="contained"
             startIcon={<Save />}
             onClick={handleSave}
+            disabled={!canEdit}
           >
             Salvar
           </Button>
+          <Button
+            variant="contained"
+            color="success"
+            startIcon={<Publish />}
+            onClick={handlePublish}
+            disabled={automation.steps.length === 0 || isPublishing || !canEdit}
+          >
+            Publicar
+          </Button>
           <Button
             variant="outlined"
             startIcon={<PlayArrow />}
@@ -172,9 +347,55 @@ export const AutomationEditorPage: React.FC = () => {
           >
             Executar
           </Button>
+          <Button
+            variant="outlined"
+            color="warning"
+            startIcon={<BugReport />}
+            onClick={() => handleDebug(false)}
+            disabled={automation.steps.length === 0 || isDebugging || !canExecute}
+          >
+            Depurar
+          </Button>
+          <Button
+            variant="outlined"
+            color="warning"
+            startIcon={<SkipNext />}
+            onClick={() => handleDebug(true)}
+            disabled={automation.steps.length === 0 || isDebugging || !canExecute}
+          >
+            Passo a passo
+          </Button>
+          <Button
+            variant="outlined"
+            startIcon={<History />}
+            onClick={() => setIsHistoryOpen(true)}
+            disabled={!savedId}
+          >
+            Versões
+          </Button>
         </Box>
       </Box>
 
+      {savedId && (
+        <VersionHistoryDialog
+          automationId={savedId}
+          open={isHistoryOpen}
+          onClose={() => setIsHistoryOpen(false)}
+          onRestored={handleVersionRestored}
+          canRestore={canEdit}
+        />
+      )}
+
+      {debugSnapshot && (
+        <DebugPanel
+          snapshot={debugSnapshot}
+          onAction={handleDebugAction}
+          onClose={() => setDebugSnapshot(null)}
+          selectedResult={selectedStep ? debugView?.results[selectedStep.id] : null}
+          isBusy={isDebugBusy}
+        />
+      )}
+
       {/* Editor Layout */}
       <Box sx={{ flexGrow: 1, display: 'flex', gap: 2, overflow: 'hidden' }}>
         {/* Canvas Editor */}
@@ -186,6 +407,9 @@ export const AutomationEditorPage: React.FC = () => {
             onExecute={handleExecute}
             selectedStepId={selectedStep?.id}
             onStepSelect={handleStepSelect}
+            breakpoints={breakpoints}
+            onToggleBreakpoint={handleToggleBreakpoint}
+            debugView={debugView}
           />
         </Paper>
 
@@ -1,15 +1,96 @@
-import React from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import {
   Box,
   Typography,
   Button,
   Paper,
+  Tabs,
+  Tab,
+  Chip,
+  IconButton,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
 } from '@mui/material';
-import { Add } from '@mui/icons-material';
+import { Add, Share, Download, Upload } from '@mui/icons-material';
 import { useNavigate } from 'react-router-dom';
+import { useSelector, useDispatch } from 'react-redux';
+import type { RootState, AppDispatch } from '../store';
+import { addNotification } from '../store/slices/uiSlice';
+import { ShareDialog } from '../components/ShareDialog/ShareDialog';
+import { automationApi } from '../services/api';
+import type { AutomationSummary } from '../types/automation';
+import { PERMISSION_LABELS, hasPermission } from '../utils/permissions';
+import { hasWorkspaceRole } from '../utils/workspaces';
+
+type Scope = 'workspace' | 'owned' | 'shared';
+
+const errorMessage = (error: unknown) =>
+  (error as { response?: { data?: { error?: { message?: string } } } })?.response?.data?.error?.message ?? '';
+
+const downloadBlob = (blob: Blob, filename: string) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
 
 export const AutomationsPage: React.FC = () => {
   const navigate = useNavigate();
+  const dispatch = useDispatch<AppDispatch>();
+  const importInput = useRef<HTMLInputElement>(null);
+  const { workspaces, currentWorkspaceId } = useSelector((state: RootState) => state.workspace);
+  const [scope, setScope] = useState<Scope>('workspace');
+  const [automations, setAutomations] = useState<AutomationSummary[]>([]);
+  const [sharing, setSharing] = useState<AutomationSummary | null>(null);
+
+  const loadAutomations = useCallback(async () => {
+    try {
+      const result = await automationApi.getAutomations({ scope, limit: 100 });
+      setAutomations(result.data);
+    } catch (error) {
+      console.error('Failed to load automations:', error);
+    }
+  }, [scope]);
+
+  useEffect(() => {
+    loadAutomations();
+  }, [loadAutomations]);
+
+  // Viewers and operators of the workspace cannot create automations in it
+  const workspaceRole = workspaces.find(workspace => workspace.id === currentWorkspaceId)?.role;
+  const canCreate = hasWorkspaceRole(workspaceRole, 'editor');
+
+  const handleExport = async (automation: AutomationSummary) => {
+    try {
+      const bundle = await automationApi.exportAutomation(automation.id, 'zip');
+      downloadBlob(bundle, `${automation.name.replace(/[^\w-]+/g, '_') || 'automation'}.zip`);
+    } catch (error) {
+      console.error('Failed to export automation:', error);
+      dispatch(addNotification({ type: 'error', title: 'Não foi possível exportar a automação' }));
+    }
+  };
+
+  const handleImport = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    // Clear the input so picking the same file again fires another change
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const imported = await automationApi.importAutomation(file);
+      dispatch(addNotification({ type: 'success', title: 'Automação importada', message: imported.name }));
+      navigate(`/automations/${imported.id}/edit`);
+    } catch (error) {
+      console.error('Failed to import automation:', error);
+      dispatch(addNotification({ type: 'error', title: 'Não foi possível importar a automação', message: errorMessage(error) }));
+    }
+  };
 
   return (
     <Box>
@@ -22,31 +103,132 @@ export const AutomationsPage: React.FC = () => {
             Gerencie suas automações de medição
           </Typography>
         </Box>
-        <Button
-          variant="contained"
-          startIcon={<Add />}
-          onClick={() => navigate('/automations/new')}
-        >
-          Nova Automação
-        </Button>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <input
+            ref={importInput}
+            type="file"
+            accept=".json,.zip,application/json,application/zip"
+            hidden
+            onChange={handleImport}
+          />
+          <Button
+            variant="outlined"
+            startIcon={<Upload />}
+            onClick={() => importInput.current?.click()}
+            disabled={!canCreate}
+          >
+            Importar
+          </Button>
+          <Button
+            variant="contained"
+            startIcon={<Add />}
+            onClick={() => navigate('/automations/new')}
+            disabled={!canCreate}
+          >
+            Nova Automação
+          </Button>
+        </Box>
       </Box>
 
-      {/* Empty State */}
-      <Paper sx={{ p: 4, textAlign: 'center' }}>
-        <Typography variant="h6" gutterBottom>
-          Nenhuma automação encontrada
-        </Typography>
-        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-          Crie sua primeira automação para começar a automatizar suas tarefas
-        </Typography>
-        <Button
-          variant="contained"
-          startIcon={<Add />}
-          onClick={() => navigate('/automations/new')}
-        >
-          Criar Primeira Automação
-        </Button>
-      </Paper>
+      <Tabs value={scope} onChange={(_, value: Scope) => setScope(value)} sx={{ mb: 2 }}>
+        <Tab value="workspace" label="Do workspace" />
+        <Tab value="owned" label="Minhas automações" />
+        <Tab value="shared" label="Compartilhadas comigo" />
+      </Tabs>
+
+      {automations.length === 0 ? (
+        /* Empty State */
+        <Paper sx={{ p: 4, textAlign: 'center' }}>
+          {scope !== 'shared' ? (
+            <>
+              <Typography variant="h6" gutterBottom>
+                Nenhuma automação encontrada
+              </Typography>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Crie sua primeira automação para começar a automatizar suas tarefas
+              </Typography>
+              <Button
+                variant="contained"
+                startIcon={<Add />}
+                onClick={() => navigate('/automations/new')}
+                disabled={!canCreate}
+              >
+                Criar Primeira Automação
+              </Button>
+            </>
+          ) : (
+            <Typography variant="h6">
+              Nenhuma automação foi compartilhada com você
+            </Typography>
+          )}
+        </Paper>
+      ) : (
+        <Paper>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Nome</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Versão</TableCell>
+                  {scope !== 'owned' && <TableCell>Proprietário</TableCell>}
+                  {scope !== 'owned' && <TableCell>Permissão</TableCell>}
+                  <TableCell>Atualizada</TableCell>
+                  <TableCell align="right">Ações</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {automations.map(automation => (
+                  <TableRow
+                    key={automation.id}
+                    hover
+                    sx={{ cursor: 'pointer' }}
+                    onClick={() => navigate(`/automations/${automation.id}/edit`)}
+                  >
+                    <TableCell>
+                      <Typography variant="body2">{automation.name}</Typography>
+                      {automation.description && (
+                        <Typography variant="caption" color="text.secondary">{automation.description}</Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <Chip size="small" label={automation.status} />
+                    </TableCell>
+                    <TableCell>
+                      v{automation.version}
+                      {automation.publishedVersion
+                        ? automation.publishedVersion !== automation.version && ` (publicada v${automation.publishedVersion})`
+                        : ' (não publicada)'}
+                    </TableCell>
+                    {scope !== 'owned' && <TableCell>{automation.owner?.name ?? '—'}</TableCell>}
+                    {scope !== 'owned' && <TableCell>{PERMISSION_LABELS[automation.permission]}</TableCell>}
+                    <TableCell>{new Date(automation.updatedAt).toLocaleString()}</TableCell>
+                    <TableCell align="right" onClick={(e) => e.stopPropagation()}>
+                      <IconButton size="small" title="Exportar" onClick={() => handleExport(automation)}>
+                        <Download fontSize="small" />
+                      </IconButton>
+                      {hasPermission(automation.permission, 'owner') && (
+                        <IconButton size="small" title="Compartilhar" onClick={() => setSharing(automation)}>
+                          <Share fontSize="small" />
+                        </IconButton>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      )}
+
+      {sharing && (
+        <ShareDialog
+          automationId={sharing.id}
+          automationName={sharing.name}
+          open
+          onClose={() => setSharing(null)}
+        />
+      )}
     </Box>
   );
-};
\ No newline at end of file
+};
@@ -0,0 +1,245 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Paper,
+  TextField,
+  MenuItem,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+} from '@mui/material';
+import { Add, Delete, Edit } from '@mui/icons-material';
+import { useSelector, useDispatch } from 'react-redux';
+import type { RootState, AppDispatch } from '../store';
+import { addNotification } from '../store/slices/uiSlice';
+import { credentialApi } from '../services/api';
+import type { Credential, CredentialType } from '../types/automation';
+import { CREDENTIAL_TYPES, CREDENTIAL_TYPE_LABELS } from '../utils/credentials';
+import { hasWorkspaceRole } from '../utils/workspaces';
+
+interface CredentialForm {
+  name: string;
+  type: CredentialType;
+  description: string;
+  value: string;
+}
+
+const EMPTY_FORM: CredentialForm = { name: '', type: 'password', description: '', value: '' };
+
+const errorMessage = (error: unknown, fallback: string) => {
+  const data = (error as { response?: { data?: { error?: { message?: string; details?: { name?: string }[] } } } })?.response?.data?.error;
+  // Deleting a credential still in use lists the automations using it
+  const usedBy = Array.isArray(data?.details) ? data.details.map(item => item.name).filter(Boolean).join(', ') : '';
+  return data?.message ? `${data.message}${usedBy ? `: ${usedBy}` : ''}` : fallback;
+};
+
+export const CredentialsPage: React.FC = () => {
+  const dispatch = useDispatch<AppDispatch>();
+  const { workspaces, currentWorkspaceId } = useSelector((state: RootState) => state.workspace);
+  const [credentials, setCredentials] = useState<Credential[]>([]);
+  const [editing, setEditing] = useState<Credential | 'new' | null>(null);
+  const [form, setForm] = useState<CredentialForm>(EMPTY_FORM);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const loadCredentials = useCallback(async () => {
+    try {
+      setCredentials(await credentialApi.getCredentials());
+    } catch (error) {
+      console.error('Failed to load credentials:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadCredentials();
+  }, [loadCredentials]);
+
+  // Editors of the workspace manage its credentials
+  const workspaceRole = workspaces.find(workspace => workspace.id === currentWorkspaceId)?.role;
+  const canManage = hasWorkspaceRole(workspaceRole, 'editor');
+
+  const openEditor = (credential: Credential | 'new') => {
+    setForm(credential === 'new'
+      ? EMPTY_FORM
+      : { name: credential.name, type: credential.type, description: credential.description || '', value: '' });
+    setEditing(credential);
+  };
+
+  const run = async (action: () => Promise<unknown>, failure: string) => {
+    setIsBusy(true);
+    try {
+      await action();
+      loadCredentials();
+      return true;
+    } catch (error) {
+      dispatch(addNotification({ type: 'error', title: failure, message: errorMessage(error, '') }));
+      return false;
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleSave = async () => {
+    const { name, type, description, value } = form;
+    const saved = editing === 'new'
+      ? await run(() => credentialApi.createCredential({ name, type, description, value }), 'Não foi possível criar a credencial')
+      : await run(() => credentialApi.updateCredential((editing as Credential).id, {
+        name,
+        type,
+        description,
+        // An empty value keeps the stored secret
+        value: value || undefined
+      }), 'Não foi possível salvar a credencial');
+
+    if (saved) {
+      setEditing(null);
+    }
+  };
+
+  const handleDelete = async (credential: Credential) => {
+    if (!window.confirm(`Excluir a credencial "${credential.name}"?`)) return;
+
+    await run(() => credentialApi.deleteCredential(credential.id), 'Não foi possível excluir a credencial');
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 4 }}>
+        <Box>
+          <Typography variant="h4" component="h1" gutterBottom>
+            Credenciais
+          </Typography>
+          <Typography variant="subtitle1" color="text.secondary">
+            Senhas e tokens usados pelos passos, guardados criptografados no workspace
+          </Typography>
+        </Box>
+        <Button
+          variant="contained"
+          startIcon={<Add />}
+          onClick={() => openEditor('new')}
+          disabled={!canManage}
+        >
+          Nova Credencial
+        </Button>
+      </Box>
+
+      {credentials.length === 0 ? (
+        <Paper sx={{ p: 4, textAlign: 'center' }}>
+          <Typography variant="h6" gutterBottom>
+            Nenhuma credencial cadastrada
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Cadastre as senhas dos compartilhamentos, APIs e bancos de dados para usá-las nos passos
+          </Typography>
+        </Paper>
+      ) : (
+        <Paper>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Nome</TableCell>
+                  <TableCell>Tipo</TableCell>
+                  <TableCell>Descrição</TableCell>
+                  <TableCell>Último uso</TableCell>
+                  <TableCell align="right">Ações</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {credentials.map(credential => (
+                  <TableRow key={credential.id}>
+                    <TableCell>{credential.name}</TableCell>
+                    <TableCell>{CREDENTIAL_TYPE_LABELS[credential.type] ?? credential.type}</TableCell>
+                    <TableCell>{credential.description || '—'}</TableCell>
+                    <TableCell>
+                      {credential.lastUsedAt ? new Date(credential.lastUsedAt).toLocaleString() : 'Nunca'}
+                    </TableCell>
+                    <TableCell align="right">
+                      {canManage && (
+                        <>
+                          <IconButton size="small" title="Editar" onClick={() => openEditor(credential)} disabled={isBusy}>
+                            <Edit fontSize="small" />
+                          </IconButton>
+                          <IconButton size="small" title="Excluir" onClick={() => handleDelete(credential)} disabled={isBusy}>
+                            <Delete fontSize="small" />
+                          </IconButton>
+                        </>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      )}
+
+      <Dialog open={editing !== null} onClose={() => setEditing(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editing === 'new' ? 'Nova credencial' : 'Editar credencial'}</DialogTitle>
+        <DialogContent>
+          <TextField
+            fullWidth
+            margin="dense"
+            label="Nome"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            required
+          />
+          <TextField
+            select
+            fullWidth
+            margin="dense"
+            label="Tipo"
+            value={form.type}
+            onChange={(e) => setForm({ ...form, type: e.target.value as CredentialType })}
+          >
+            {CREDENTIAL_TYPES.map(type => (
+              <MenuItem key={type} value={type}>
+                {CREDENTIAL_TYPE_LABELS[type]}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            fullWidth
+            margin="dense"
+            label="Descrição"
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+          />
+          <TextField
+            fullWidth
+            margin="dense"
+            label="Valor"
+            type="password"
+            autoComplete="new-password"
+            value={form.value}
+            onChange={(e) => setForm({ ...form, value: e.target.value })}
+            required={editing === 'new'}
+            helperText={editing === 'new'
+              ? 'O valor não pode ser consultado depois de salvo'
+              : 'Deixe em branco para manter o valor atual'}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>Cancelar</Button>
+          <Button
+            variant="contained"
+            onClick={handleSave}
+            disabled={!form.name.trim() || (editing === 'new' && !form.value) || isBusy}
+          >
+            Salvar
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
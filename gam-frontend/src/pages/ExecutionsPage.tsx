@@ -1,31 +1,302 @@
-import React from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import {
   Box,
   Typography,
   Paper,
+  Grid,
+  Chip,
+  TextField,
+  MenuItem,
+  Button,
+  IconButton,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  TablePagination,
 } from '@mui/material';
+import { Refresh, Stop, Replay, FilterListOff } from '@mui/icons-material';
+import { useDispatch } from 'react-redux';
+import { ExecutionDetailDrawer } from '../components/ExecutionDetail/ExecutionDetailDrawer';
+import { automationApi, executionsApi } from '../services/api';
+import { addNotification } from '../store/slices/uiSlice';
+import type { Automation, Execution } from '../types/automation';
+import { EXECUTION_STATUS_COLORS, formatDuration, isFinished } from '../utils/executionStatus';
+
+const REFRESH_INTERVAL = 10000;
+const STATUSES: Execution['status'][] = ['pending', 'running', 'completed', 'failed', 'cancelled'];
+const TRIGGERS = ['manual', 'scheduled', 'webhook', 'file', 'api', 'database', 'microsoft', 'email', 'resume', 'debug'];
+
+interface Filters {
+  automationId: string;
+  status: string;
+  triggeredBy: string;
+  from: string;
+  to: string;
+}
+
+const EMPTY_FILTERS: Filters = { automationId: '', status: '', triggeredBy: '', from: '', to: '' };
 
 export const ExecutionsPage: React.FC = () => {
+  const dispatch = useDispatch();
+  const [executions, setExecutions] = useState<Execution[]>([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(20);
+  const [filters, setFilters] = useState<Filters>(EMPTY_FILTERS);
+  const [automations, setAutomations] = useState<Pick<Automation, 'id' | 'name'>[]>([]);
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+
+  const loadExecutions = useCallback(async () => {
+    try {
+      const result = await executionsApi.getExecutions({
+        page: page + 1,
+        limit: rowsPerPage,
+        automationId: filters.automationId || undefined,
+        status: filters.status || undefined,
+        triggeredBy: filters.triggeredBy || undefined,
+        // Date inputs are whole days: from the start of `from` to the end of `to`
+        from: filters.from ? new Date(`${filters.from}T00:00:00`).toISOString() : undefined,
+        to: filters.to ? new Date(`${filters.to}T23:59:59.999`).toISOString() : undefined,
+      });
+      setExecutions(result.executions);
+      setTotal(result.pagination.total);
+    } catch (error) {
+      console.error('Failed to load executions:', error);
+    }
+  }, [page, rowsPerPage, filters]);
+
+  useEffect(() => {
+    loadExecutions();
+    const timer = setInterval(loadExecutions, REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [loadExecutions]);
+
+  useEffect(() => {
+    automationApi.getAutomations({ limit: 100, sortBy: 'name', sortOrder: 'asc' })
+      .then(result => setAutomations(result.data))
+      .catch(error => console.error('Failed to load automations:', error));
+  }, []);
+
+  const updateFilter = (key: keyof Filters, value: string) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPage(0);
+  };
+
+  const handleCancel = async (execution: Pick<Execution, 'id'>) => {
+    try {
+      await executionsApi.cancelExecution(execution.id);
+      dispatch(addNotification({ type: 'info', title: 'Execução cancelada' }));
+      loadExecutions();
+    } catch (error) {
+      console.error('Failed to cancel execution:', error);
+      dispatch(addNotification({ type: 'error', title: 'Não foi possível cancelar a execução' }));
+    }
+  };
+
+  // Runs the automation again with the same input
+  const handleRerun = async (execution: Pick<Execution, 'id' | 'automationId' | 'inputData'>) => {
+    try {
+      // List rows carry no input data; the detail does
+      const inputData = 'inputData' in execution
+        ? execution.inputData
+        : (await executionsApi.getExecution(execution.id)).inputData;
+      const queued = await automationApi.executeAutomation(execution.automationId, inputData);
+      dispatch(addNotification({ type: 'success', title: 'Execução enfileirada' }));
+      setSelectedId(queued.executionId);
+      loadExecutions();
+    } catch (error) {
+      console.error('Failed to re-run execution:', error);
+      dispatch(addNotification({ type: 'error', title: 'Não foi possível executar novamente' }));
+    }
+  };
+
   return (
     <Box>
-      <Box sx={{ mb: 4 }}>
-        <Typography variant="h4" component="h1" gutterBottom>
-          Execuções
-        </Typography>
-        <Typography variant="subtitle1" color="text.secondary">
-          Histórico de execuções das automações
-        </Typography>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 4 }}>
+        <Box>
+          <Typography variant="h4" component="h1" gutterBottom>
+            Execuções
+          </Typography>
+          <Typography variant="subtitle1" color="text.secondary">
+            Histórico de execuções das automações
+          </Typography>
+        </Box>
+        <IconButton onClick={loadExecutions} title="Atualizar">
+          <Refresh />
+        </IconButton>
       </Box>
 
-      {/* Empty State */}
-      <Paper sx={{ p: 4, textAlign: 'center' }}>
-        <Typography variant="h6" gutterBottom>
-          Nenhuma execução encontrada
-        </Typography>
-        <Typography variant="body2" color="text.secondary">
-          Execute uma automação para ver o histórico aqui
-        </Typography>
+      {/* Filters */}
+      <Paper sx={{ p: 2, mb: 2 }}>
+        <Grid container spacing={2} alignItems="center">
+          <Grid item xs={12} md={3}>
+            <TextField
+              select
+              fullWidth
+              size="small"
+              label="Automação"
+              value={filters.automationId}
+              onChange={(e) => updateFilter('automationId', e.target.value)}
+            >
+              <MenuItem value="">Todas</MenuItem>
+              {automations.map(automation => (
+                <MenuItem key={automation.id} value={automation.id}>
+                  {automation.name}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={6} md={2}>
+            <TextField
+              select
+              fullWidth
+              size="small"
+              label="Status"
+              value={filters.status}
+              onChange={(e) => updateFilter('status', e.target.value)}
+            >
+              <MenuItem value="">Todos</MenuItem>
+              {STATUSES.map(status => (
+                <MenuItem key={status} value={status}>{status}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={6} md={2}>
+            <TextField
+              select
+              fullWidth
+              size="small"
+              label="Gatilho"
+              value={filters.triggeredBy}
+              onChange={(e) => updateFilter('triggeredBy', e.target.value)}
+            >
+              <MenuItem value="">Todos</MenuItem>
+              {TRIGGERS.map(trigger => (
+                <MenuItem key={trigger} value={trigger}>{trigger}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={6} md={2}>
+            <TextField
+              fullWidth
+              size="small"
+              type="date"
+              label="De"
+              InputLabelProps={{ shrink: true }}
+              value={filters.from}
+              onChange={(e) => updateFilter('from', e.target.value)}
+            />
+          </Grid>
+          <Grid item xs={6} md={2}>
+            <TextField
+              fullWidth
+              size="small"
+              type="date"
+              label="Até"
+              InputLabelProps={{ shrink: true }}
+              value={filters.to}
+              onChange={(e) => updateFilter('to', e.target.value)}
+            />
+          </Grid>
+          <Grid item xs={12} md={1}>
+            <Button
+              startIcon={<FilterListOff />}
+              onClick={() => {
+                setFilters(EMPTY_FILTERS);
+                setPage(0);
+              }}
+            >
+              Limpar
+            </Button>
+          </Grid>
+        </Grid>
       </Paper>
+
+      {executions.length === 0 && page === 0 ? (
+        /* Empty State */
+        <Paper sx={{ p: 4, textAlign: 'center' }}>
+          <Typography variant="h6" gutterBottom>
+            Nenhuma execução encontrada
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Execute uma automação para ver o histórico aqui
+          </Typography>
+        </Paper>
+      ) : (
+        <Paper>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Automação</TableCell>
+                  <TableCell>Versão</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Gatilho</TableCell>
+                  <TableCell>Início</TableCell>
+                  <TableCell>Duração</TableCell>
+                  <TableCell align="right">Ações</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {executions.map(execution => (
+                  <TableRow
+                    key={execution.id}
+                    hover
+                    sx={{ cursor: 'pointer' }}
+                    onClick={() => setSelectedId(execution.id)}
+                  >
+                    <TableCell>{execution.automationName || execution.automationId}</TableCell>
+                    <TableCell>{execution.automationVersion ? `v${execution.automationVersion}` : '—'}</TableCell>
+                    <TableCell>
+                      <Chip size="small" label={execution.status} color={EXECUTION_STATUS_COLORS[execution.status]} />
+                    </TableCell>
+                    <TableCell>{execution.triggeredBy}</TableCell>
+                    <TableCell>{new Date(execution.startedAt).toLocaleString()}</TableCell>
+                    <TableCell>{formatDuration(execution.durationMs)}</TableCell>
+                    <TableCell align="right" onClick={(e) => e.stopPropagation()}>
+                      {!isFinished(execution.status) && (
+                        <IconButton size="small" color="error" title="Cancelar" onClick={() => handleCancel(execution)}>
+                          <Stop fontSize="small" />
+                        </IconButton>
+                      )}
+                      <IconButton
+                        size="small"
+                        title="Executar novamente"
+                        onClick={() => handleRerun(execution)}
+                      >
+                        <Replay fontSize="small" />
+                      </IconButton>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <TablePagination
+            component="div"
+            count={total}
+            page={page}
+            rowsPerPage={rowsPerPage}
+            rowsPerPageOptions={[10, 20, 50, 100]}
+            onPageChange={(_, newPage) => setPage(newPage)}
+            onRowsPerPageChange={(e) => {
+              setRowsPerPage(parseInt(e.target.value, 10));
+              setPage(0);
+            }}
+            labelRowsPerPage="Por página"
+          />
+        </Paper>
+      )}
+
+      <ExecutionDetailDrawer
+        executionId={selectedId}
+        onClose={() => setSelectedId(null)}
+        onCancel={handleCancel}
+        onRerun={handleRerun}
+      />
     </Box>
   );
-};
\ No newline at end of file
+};
@@ -0,0 +1,258 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Paper,
+  TextField,
+  MenuItem,
+  IconButton,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+} from '@mui/material';
+import { Delete, PersonAdd, Save } from '@mui/icons-material';
+import { useSelector, useDispatch } from 'react-redux';
+import type { RootState, AppDispatch } from '../store';
+import { fetchWorkspaces } from '../store/slices/workspaceSlice';
+import { addNotification } from '../store/slices/uiSlice';
+import { workspaceApi } from '../services/api';
+import type { Workspace, WorkspaceMember, WorkspaceRole } from '../types/automation';
+import { WORKSPACE_ROLES, WORKSPACE_ROLE_LABELS, hasWorkspaceRole } from '../utils/workspaces';
+
+const errorMessage = (error: unknown, fallback: string) =>
+  (error as { response?: { data?: { error?: { message?: string } } } })?.response?.data?.error?.message || fallback;
+
+export const WorkspacePage: React.FC = () => {
+  const dispatch = useDispatch<AppDispatch>();
+  const { user } = useSelector((state: RootState) => state.auth);
+  const { currentWorkspaceId } = useSelector((state: RootState) => state.workspace);
+  const [workspace, setWorkspace] = useState<Workspace | null>(null);
+  const [members, setMembers] = useState<WorkspaceMember[]>([]);
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState<WorkspaceRole>('viewer');
+  const [isBusy, setIsBusy] = useState(false);
+
+  const loadWorkspace = useCallback(async () => {
+    if (!currentWorkspaceId) return;
+
+    try {
+      const result = await workspaceApi.getWorkspace(currentWorkspaceId);
+      setWorkspace(result);
+      setMembers(result.members);
+      setName(result.name);
+    } catch (error) {
+      console.error('Failed to load workspace:', error);
+    }
+  }, [currentWorkspaceId]);
+
+  useEffect(() => {
+    loadWorkspace();
+  }, [loadWorkspace]);
+
+  // Run a change, report failures and reload the workspace afterwards
+  const run = async (action: () => Promise<unknown>, failure: string) => {
+    setIsBusy(true);
+    try {
+      await action();
+      return true;
+    } catch (error) {
+      dispatch(addNotification({ type: 'error', title: failure, message: errorMessage(error, '') }));
+      return false;
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  if (!workspace) {
+    return null;
+  }
+
+  const isAdmin = hasWorkspaceRole(workspace.role, 'admin');
+  const isOwner = workspace.role === 'owner';
+
+  const handleRename = async () => {
+    if (await run(() => workspaceApi.updateWorkspace(workspace.id, name.trim()), 'Não foi possível renomear o workspace')) {
+      dispatch(fetchWorkspaces());
+      loadWorkspace();
+    }
+  };
+
+  const handleSetMember = async (target: { email: string; role: WorkspaceRole }) => {
+    if (await run(() => workspaceApi.setMember(workspace.id, target), 'Não foi possível atualizar o membro')) {
+      setEmail('');
+      loadWorkspace();
+    }
+  };
+
+  const handleRemoveMember = async (member: WorkspaceMember) => {
+    if (await run(() => workspaceApi.removeMember(workspace.id, member.userId), 'Não foi possível remover o membro')) {
+      if (member.userId === user?.id) {
+        dispatch(fetchWorkspaces());
+      } else {
+        loadWorkspace();
+      }
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Excluir o workspace "${workspace.name}"?`)) return;
+
+    if (await run(() => workspaceApi.deleteWorkspace(workspace.id), 'Não foi possível excluir o workspace')) {
+      dispatch(fetchWorkspaces());
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 4 }}>
+        <Box>
+          <Typography variant="h4" component="h1" gutterBottom>
+            {workspace.name}
+          </Typography>
+          <Typography variant="subtitle1" color="text.secondary">
+            {workspace.personal
+              ? 'Seu workspace pessoal'
+              : `Seu papel: ${WORKSPACE_ROLE_LABELS[workspace.role]}`}
+          </Typography>
+        </Box>
+        {isOwner && !workspace.personal && (
+          <Button color="error" startIcon={<Delete />} onClick={handleDelete} disabled={isBusy}>
+            Excluir workspace
+          </Button>
+        )}
+      </Box>
+
+      {isAdmin && (
+        <Paper sx={{ p: 3, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Nome
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <TextField
+              size="small"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              sx={{ flexGrow: 1 }}
+            />
+            <Button
+              variant="contained"
+              startIcon={<Save />}
+              onClick={handleRename}
+              disabled={!name.trim() || name === workspace.name || isBusy}
+            >
+              Salvar
+            </Button>
+          </Box>
+        </Paper>
+      )}
+
+      <Paper sx={{ p: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Membros
+        </Typography>
+
+        {isAdmin && !workspace.personal && (
+          <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+            <TextField
+              size="small"
+              label="Email"
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              sx={{ flexGrow: 1 }}
+            />
+            <TextField
+              select
+              size="small"
+              label="Papel"
+              value={role}
+              onChange={(e) => setRole(e.target.value as WorkspaceRole)}
+              sx={{ width: 180 }}
+            >
+              {WORKSPACE_ROLES.map(level => (
+                <MenuItem key={level} value={level} disabled={level === 'owner' && !isOwner}>
+                  {WORKSPACE_ROLE_LABELS[level]}
+                </MenuItem>
+              ))}
+            </TextField>
+            <Button
+              variant="contained"
+              startIcon={<PersonAdd />}
+              onClick={() => handleSetMember({ email, role })}
+              disabled={!email || isBusy}
+            >
+              Adicionar
+            </Button>
+          </Box>
+        )}
+
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Nome</TableCell>
+                <TableCell>Email</TableCell>
+                <TableCell>Papel</TableCell>
+                <TableCell align="right">Ações</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {members.map(member => {
+                // Only owners touch other owners
+                const canManage = isAdmin && (isOwner || member.role !== 'owner');
+                const canRemove = !workspace.personal && (canManage || member.userId === user?.id);
+
+                return (
+                  <TableRow key={member.userId}>
+                    <TableCell>{member.user.name}</TableCell>
+                    <TableCell>{member.user.email}</TableCell>
+                    <TableCell>
+                      {canManage && !workspace.personal ? (
+                        <TextField
+                          select
+                          size="small"
+                          value={member.role}
+                          onChange={(e) => handleSetMember({
+                            email: member.user.email,
+                            role: e.target.value as WorkspaceRole
+                          })}
+                          disabled={isBusy}
+                          sx={{ width: 180 }}
+                        >
+                          {WORKSPACE_ROLES.map(level => (
+                            <MenuItem key={level} value={level} disabled={level === 'owner' && !isOwner}>
+                              {WORKSPACE_ROLE_LABELS[level]}
+                            </MenuItem>
+                          ))}
+                        </TextField>
+                      ) : (
+                        WORKSPACE_ROLE_LABELS[member.role]
+                      )}
+                    </TableCell>
+                    <TableCell align="right">
+                      {canRemove && (
+                        <IconButton
+                          size="small"
+                          title={member.userId === user?.id ? 'Sair do workspace' : 'Remover'}
+                          onClick={() => handleRemoveMember(member)}
+                          disabled={isBusy}
+                        >
+                          <Delete fontSize="small" />
+                        </IconButton>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+    </Box>
+  );
+};
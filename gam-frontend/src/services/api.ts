@@ -1,6 +1,6 @@
 import axios from 'axios';
 import type { AxiosResponse } from 'axios';
-import type { Automation, ExecutionResult, Execution, ValidationResult, User } from '../types/automation';
+import type { Automation, AutomationPermission, AuditLogEntry, AuditLogFilters, Credential, CredentialType, AutomationShare, AutomationSummary, AutomationVersion, AutomationVersionSummary, VersionDiff, Workspace, WorkspaceMember, WorkspaceRole, QueuedExecution, Execution, ExecutionDetail, ExecutionEvent, ValidationResult, User, DebugAction, DebugSnapshot } from '../types/automation';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3002/api';
 
@@ -20,6 +20,12 @@ api.interceptors.request.use(
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+    // Requests work in the selected workspace (the server defaults to the
+    // personal one)
+    const workspaceId = localStorage.getItem('workspace_id');
+    if (workspaceId) {
+      config.headers['X-Workspace-Id'] = workspaceId;
+    }
     return config;
   },
   (error) => Promise.reject(error)
@@ -96,12 +102,13 @@ export const automationApi = {
   getAutomations: async (params?: {
     status?: string;
     search?: string;
+    scope?: 'all' | 'workspace' | 'owned' | 'shared';
     page?: number;
     limit?: number;
     sortBy?: string;
     sortOrder?: 'asc' | 'desc';
-  }): Promise<{ data: Automation[]; pagination: unknown }> => {
-    const response: AxiosResponse<ApiResponse<Automation[]>> = await api.get('/automations', { params });
+  }): Promise<{ data: AutomationSummary[]; pagination: unknown }> => {
+    const response: AxiosResponse<ApiResponse<AutomationSummary[]>> = await api.get('/automations', { params });
     return {
       data: response.data.data,
       pagination: response.data.pagination,
@@ -132,13 +139,48 @@ export const automationApi = {
     return response.data.data;
   },
 
-  executeAutomation: async (id: string, inputData?: unknown): Promise<ExecutionResult> => {
-    const response: AxiosResponse<ApiResponse<ExecutionResult>> = await api.post(`/automations/${id}/execute`, {
+  // Portable bundle of the automation, to import on another server
+  exportAutomation: async (id: string, format: 'json' | 'zip' = 'zip'): Promise<Blob> => {
+    const response: AxiosResponse<Blob> = await api.get(`/automations/${id}/export`, { params: { format }, responseType: 'blob' });
+    return response.data;
+  },
+
+  // Import an exported bundle file (JSON or ZIP) as a new draft
+  importAutomation: async (file: File): Promise<Automation> => {
+    const form = new FormData();
+    form.append('file', file);
+    const response: AxiosResponse<ApiResponse<Automation>> = await api.post('/automations/import', form, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return response.data.data;
+  },
+
+  executeAutomation: async (id: string, inputData?: unknown): Promise<QueuedExecution> => {
+    const response: AxiosResponse<ApiResponse<QueuedExecution>> = await api.post(`/automations/${id}/execute`, {
       inputData,
     });
     return response.data.data;
   },
 
+  // Starts immediately instead of queueing, paused at the given breakpoints
+  // (or before every step in step mode)
+  debugAutomation: async (id: string, debug: { breakpoints: string[]; stepMode?: boolean }, inputData?: unknown): Promise<QueuedExecution> => {
+    const response: AxiosResponse<ApiResponse<QueuedExecution>> = await api.post(`/automations/${id}/execute`, {
+      inputData,
+      debug,
+    });
+    return response.data.data;
+  },
+
+  // Validates the saved draft and makes it the revision triggers run. Pass
+  // the draft version to fail instead of publishing a newer save.
+  publishAutomation: async (id: string, version?: number): Promise<Automation & { warnings: string[] }> => {
+    const response: AxiosResponse<ApiResponse<Automation & { warnings: string[] }>> = await api.post(`/automations/${id}/publish`, {
+      version,
+    });
+    return response.data.data;
+  },
+
   validateAutomation: async (id: string): Promise<ValidationResult> => {
     const response: AxiosResponse<ApiResponse<ValidationResult>> = await api.get(`/automations/${id}/validate`);
     return response.data.data;
@@ -154,6 +196,197 @@ export const automationApi = {
       pagination: response.data.pagination,
     };
   },
+
+  getVersions: async (id: string): Promise<{ currentVersion: number; versions: AutomationVersionSummary[] }> => {
+    const response: AxiosResponse<ApiResponse<{ currentVersion: number; versions: AutomationVersionSummary[] }>> = await api.get(`/automations/${id}/versions`);
+    return response.data.data;
+  },
+
+  getVersion: async (id: string, version: number): Promise<AutomationVersion> => {
+    const response: AxiosResponse<ApiResponse<AutomationVersion>> = await api.get(`/automations/${id}/versions/${version}`);
+    return response.data.data;
+  },
+
+  // Compares against the current version when `to` is left out
+  diffVersions: async (id: string, from: number, to?: number): Promise<VersionDiff> => {
+    const response: AxiosResponse<ApiResponse<VersionDiff>> = await api.get(`/automations/${id}/versions/diff`, {
+      params: { from, to },
+    });
+    return response.data.data;
+  },
+
+  getShares: async (id: string): Promise<{ ownerId: string; permission: AutomationPermission; shares: AutomationShare[] }> => {
+    const response: AxiosResponse<ApiResponse<{ ownerId: string; permission: AutomationPermission; shares: AutomationShare[] }>> = await api.get(`/automations/${id}/shares`);
+    return response.data.data;
+  },
+
+  // Adds the user or changes their permission
+  shareAutomation: async (id: string, share: { email: string; permission: AutomationPermission }): Promise<AutomationShare> => {
+    const response: AxiosResponse<ApiResponse<AutomationShare>> = await api.post(`/automations/${id}/shares`, share);
+    return response.data.data;
+  },
+
+  unshareAutomation: async (id: string, userId: string): Promise<void> => {
+    await api.delete(`/automations/${id}/shares/${userId}`);
+  },
+
+  // Saves the old definition again as the newest version
+  restoreVersion: async (id: string, version: number): Promise<Automation> => {
+    const response: AxiosResponse<ApiResponse<Automation>> = await api.post(`/automations/${id}/versions/${version}/restore`);
+    return response.data.data;
+  },
+};
+
+// Executions API
+export const executionsApi = {
+  getExecutions: async (params?: {
+    page?: number;
+    limit?: number;
+    status?: string;
+    automationId?: string;
+    triggeredBy?: string;
+    from?: string;
+    to?: string;
+  }): Promise<{ executions: Execution[]; pagination: { page: number; limit: number; total: number; totalPages: number } }> => {
+    const response = await api.get('/executions', { params });
+    return response.data.data;
+  },
+
+  getExecution: async (id: string): Promise<ExecutionDetail> => {
+    const response: AxiosResponse<ApiResponse<ExecutionDetail>> = await api.get(`/executions/${id}`);
+    return response.data.data;
+  },
+
+  cancelExecution: async (id: string): Promise<void> => {
+    await api.post(`/executions/${id}/cancel`);
+  },
+
+  // Follow the live event stream of an execution until the server ends it.
+  // Uses fetch instead of EventSource so the token travels in the header.
+  streamExecution: async (id: string, onEvent: (event: ExecutionEvent) => void, signal?: AbortSignal): Promise<void> => {
+    const response = await fetch(`${API_URL}/executions/${id}/stream`, {
+      headers: {
+        Accept: 'text/event-stream',
+        Authorization: `Bearer ${localStorage.getItem('auth_token')}`,
+      },
+      signal,
+    });
+
+    if (!response.ok || !response.body) {
+      throw new Error(`Execution stream failed with status ${response.status}`);
+    }
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+
+      buffer += value;
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const message = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+        const data = message
+          .split('\n')
+          .filter(line => line.startsWith('data: '))
+          .map(line => line.slice(6))
+          .join('\n');
+        if (data) {
+          onEvent(JSON.parse(data));
+        }
+      }
+    }
+  },
+
+  getDebugState: async (id: string): Promise<DebugSnapshot> => {
+    const response: AxiosResponse<ApiResponse<DebugSnapshot>> = await api.get(`/executions/${id}/debug`);
+    return response.data.data;
+  },
+
+  sendDebugAction: async (id: string, action: DebugAction | null, breakpoints?: string[]): Promise<DebugSnapshot> => {
+    const response: AxiosResponse<ApiResponse<DebugSnapshot>> = await api.post(`/executions/${id}/debug`, {
+      action,
+      breakpoints,
+    });
+    return response.data.data;
+  },
+};
+
+// Workspaces API
+export const workspaceApi = {
+  getWorkspaces: async (): Promise<Workspace[]> => {
+    const response: AxiosResponse<ApiResponse<Workspace[]>> = await api.get('/workspaces');
+    return response.data.data;
+  },
+
+  createWorkspace: async (name: string): Promise<Workspace> => {
+    const response: AxiosResponse<ApiResponse<Workspace>> = await api.post('/workspaces', { name });
+    return response.data.data;
+  },
+
+  getWorkspace: async (id: string): Promise<Workspace & { members: WorkspaceMember[] }> => {
+    const response: AxiosResponse<ApiResponse<Workspace & { members: WorkspaceMember[] }>> = await api.get(`/workspaces/${id}`);
+    return response.data.data;
+  },
+
+  updateWorkspace: async (id: string, name: string): Promise<Workspace> => {
+    const response: AxiosResponse<ApiResponse<Workspace>> = await api.put(`/workspaces/${id}`, { name });
+    return response.data.data;
+  },
+
+  deleteWorkspace: async (id: string): Promise<void> => {
+    await api.delete(`/workspaces/${id}`);
+  },
+
+  setMember: async (id: string, member: { email: string; role: WorkspaceRole }): Promise<WorkspaceMember> => {
+    const response: AxiosResponse<ApiResponse<WorkspaceMember>> = await api.post(`/workspaces/${id}/members`, member);
+    return response.data.data;
+  },
+
+  removeMember: async (id: string, userId: string): Promise<void> => {
+    await api.delete(`/workspaces/${id}/members/${userId}`);
+  },
+};
+
+// Credential vault of the active workspace
+export const credentialApi = {
+  getCredentials: async (): Promise<Credential[]> => {
+    const response: AxiosResponse<ApiResponse<Credential[]>> = await api.get('/credentials');
+    return response.data.data;
+  },
+
+  createCredential: async (credential: { name: string; type: CredentialType; description?: string; value: string }): Promise<Credential> => {
+    const response: AxiosResponse<ApiResponse<Credential>> = await api.post('/credentials', credential);
+    return response.data.data;
+  },
+
+  // Leave value out to keep the stored secret
+  updateCredential: async (id: string, changes: { name?: string; type?: CredentialType; description?: string; value?: string }): Promise<Credential> => {
+    const response: AxiosResponse<ApiResponse<Credential>> = await api.put(`/credentials/${id}`, changes);
+    return response.data.data;
+  },
+
+  deleteCredential: async (id: string): Promise<void> => {
+    await api.delete(`/credentials/${id}`);
+  },
+};
+
+// Audit log API (workspace admins)
+export const auditApi = {
+  getEntries: async (params?: AuditLogFilters & { page?: number; limit?: number }): Promise<{ data: AuditLogEntry[]; pagination: NonNullable<ApiResponse<unknown>['pagination']> }> => {
+    const response: AxiosResponse<ApiResponse<AuditLogEntry[]>> = await api.get('/audit', { params });
+    return {
+      data: response.data.data,
+      pagination: response.data.pagination!,
+    };
+  },
+
+  // The CSV file of the entries matching the filters
+  exportEntries: async (params?: AuditLogFilters): Promise<Blob> => {
+    const response: AxiosResponse<Blob> = await api.get('/audit/export', { params, responseType: 'blob' });
+    return response.data;
+  },
 };
 
 // Health check
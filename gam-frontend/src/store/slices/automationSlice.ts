@@ -1,10 +1,11 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import type { PayloadAction } from '@reduxjs/toolkit';
 import { automationApi } from '../../services/api';
-import type { Automation, ExecutionResult, Execution, ValidationResult } from '../../types/automation';
+import type { Automation, AutomationSummary, QueuedExecution, Execution, ValidationResult } from '../../types/automation';
 
 interface AutomationState {
-  automations: Automation[];
+  // List rows from the server, plus full automations created or saved since
+  automations: (Automation | AutomationSummary)[];
   currentAutomation: Automation | null;
   executions: Execution[];
   isLoading: boolean;
@@ -23,7 +24,7 @@ interface AutomationState {
     sortBy?: string;
     sortOrder?: 'asc' | 'desc';
   };
-  lastExecutionResult: ExecutionResult | null;
+  lastExecutionResult: QueuedExecution | null;
   validationResult: ValidationResult | null;
 }
 
@@ -52,6 +53,7 @@ export const fetchAutomations = createAsyncThunk(
   async (params: {
     status?: string;
     search?: string;
+    scope?: 'all' | 'owned' | 'shared';
     page?: number;
     limit?: number;
     sortBy?: string;
@@ -0,0 +1,98 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import type { PayloadAction } from '@reduxjs/toolkit';
+import { workspaceApi } from '../../services/api';
+import type { Workspace } from '../../types/automation';
+
+interface WorkspaceState {
+  workspaces: Workspace[];
+  // Sent as X-Workspace-Id with every request (see services/api)
+  currentWorkspaceId: string | null;
+  isLoading: boolean;
+  error: string | null;
+}
+
+const initialState: WorkspaceState = {
+  workspaces: [],
+  currentWorkspaceId: localStorage.getItem('workspace_id'),
+  isLoading: false,
+  error: null,
+};
+
+const selectWorkspace = (state: WorkspaceState, workspaceId: string | null) => {
+  state.currentWorkspaceId = workspaceId;
+  if (workspaceId) {
+    localStorage.setItem('workspace_id', workspaceId);
+  } else {
+    localStorage.removeItem('workspace_id');
+  }
+};
+
+// Async thunks
+export const fetchWorkspaces = createAsyncThunk(
+  'workspace/fetchWorkspaces',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await workspaceApi.getWorkspaces();
+    } catch (error: unknown) {
+      return rejectWithValue((error as { response?: { data?: { error?: { message?: string } } } })?.response?.data?.error?.message || 'Failed to fetch workspaces');
+    }
+  }
+);
+
+export const createWorkspace = createAsyncThunk(
+  'workspace/createWorkspace',
+  async (name: string, { rejectWithValue }) => {
+    try {
+      return await workspaceApi.createWorkspace(name);
+    } catch (error: unknown) {
+      return rejectWithValue((error as { response?: { data?: { error?: { message?: string } } } })?.response?.data?.error?.message || 'Failed to create workspace');
+    }
+  }
+);
+
+const workspaceSlice = createSlice({
+  name: 'workspace',
+  initialState,
+  reducers: {
+    setCurrentWorkspace: (state, action: PayloadAction<string>) => {
+      selectWorkspace(state, action.payload);
+    },
+    clearWorkspaces: (state) => {
+      state.workspaces = [];
+      selectWorkspace(state, null);
+    },
+  },
+  extraReducers: (builder) => {
+    // Fetch workspaces; fall back to the first (personal) one when the
+    // stored selection is gone
+    builder
+      .addCase(fetchWorkspaces.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchWorkspaces.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.workspaces = action.payload;
+        if (!action.payload.some(workspace => workspace.id === state.currentWorkspaceId)) {
+          selectWorkspace(state, action.payload[0]?.id ?? null);
+        }
+      })
+      .addCase(fetchWorkspaces.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      });
+
+    // Create workspace and switch to it
+    builder
+      .addCase(createWorkspace.fulfilled, (state, action) => {
+        state.workspaces.push(action.payload);
+        selectWorkspace(state, action.payload.id);
+      })
+      .addCase(createWorkspace.rejected, (state, action) => {
+        state.error = action.payload as string;
+      });
+  },
+});
+
+export const { setCurrentWorkspace, clearWorkspaces } = workspaceSlice.actions;
+export default workspaceSlice.reducer;
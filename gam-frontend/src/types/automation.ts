@@ -34,6 +34,9 @@ export interface Schedule {
   enabled: boolean;
 }
 
+// Access levels on an automation, lowest first; each includes the ones before it
+export type AutomationPermission = 'view' | 'execute' | 'edit' | 'owner';
+
 export interface Automation {
   id: string;
   name: string;
@@ -47,21 +50,180 @@ export interface Automation {
   status: 'draft' | 'active' | 'paused';
   schedule?: Schedule;
   ownerId: string;
+  workspaceId?: string | null;
   collaborators: string[];
   createdAt: string;
   updatedAt: string;
   version: number;
+  // Version that schedules and webhooks run; null until first published
+  publishedVersion?: number | null;
+  publishedAt?: string | null;
+  // The current user's access, on reads
+  permission?: AutomationPermission;
+}
+
+// GET /automations rows
+export interface AutomationSummary extends Pick<Automation, 'id' | 'name' | 'description' | 'status' | 'schedule' | 'createdAt' | 'updatedAt' | 'version' | 'publishedVersion' | 'publishedAt' | 'workspaceId'> {
+  stepCount: number;
+  permission: AutomationPermission;
+  owner: { id: string; name: string; email: string } | null;
+}
+
+export type WorkspaceRole = 'viewer' | 'operator' | 'editor' | 'admin' | 'owner';
+
+// GET /workspaces rows: a workspace with the current user's role in it
+export interface Workspace {
+  id: string;
+  name: string;
+  personal: boolean;
+  createdAt: string;
+  role: WorkspaceRole;
+}
+
+export interface WorkspaceMember {
+  userId: string;
+  role: WorkspaceRole;
+  createdAt: string;
+  user: { id: string; name: string; email: string };
+}
+
+export type CredentialType = 'password' | 'token' | 'api_key' | 'connection_string';
+
+// A secret stored in the workspace vault; the value never comes back from
+// the API
+export interface Credential {
+  id: string;
+  workspaceId: string;
+  name: string;
+  type: CredentialType;
+  description?: string | null;
+  createdBy: string | null;
+  lastUsedAt: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+// What a step's password field holds in place of the secret
+export interface CredentialRef {
+  $credential: string;
+}
+
+// One entry of the append-only audit trail
+export interface AuditLogEntry {
+  id: string;
+  action: string;
+  actorId: string | null;
+  actorEmail: string | null;
+  ip: string | null;
+  userAgent: string | null;
+  workspaceId: string | null;
+  entityType: string | null;
+  entityId: string | null;
+  entityName: string | null;
+  before: unknown;
+  after: unknown;
+  changes: ValueChange[] | null;
+  metadata: Record<string, unknown> | null;
+  createdAt: string;
+}
+
+export interface AuditLogFilters {
+  scope?: 'workspace' | 'all';
+  action?: string;
+  actorId?: string;
+  entityType?: string;
+  entityId?: string;
+  from?: string;
+  to?: string;
+}
+
+export interface AutomationShare {
+  userId: string;
+  permission: AutomationPermission;
+  createdAt: string;
+  user: { id: string; name: string; email: string };
+}
+
+// Saved definition of an automation at one version
+export interface AutomationVersion extends Pick<Automation, 'name' | 'description' | 'steps' | 'config' | 'schedule'> {
+  id?: string;
+  automationId: string;
+  version: number;
+  createdAt: string;
+}
+
+// GET /automations/:id/versions
+export interface AutomationVersionSummary {
+  id: string;
+  version: number;
+  name: string;
+  description?: string | null;
+  stepCount: number;
+  createdAt: string;
+  createdBy: { id: string; name: string; email: string } | null;
+}
+
+export interface ValueChange {
+  path: string;
+  from: unknown;
+  to: unknown;
+}
+
+// GET /automations/:id/versions/diff
+export interface VersionDiff {
+  from: number;
+  to: number;
+  fields: ValueChange[];
+  config: ValueChange[];
+  steps: {
+    added: AutomationStep[];
+    removed: AutomationStep[];
+    changed: {
+      id: string;
+      name: string;
+      positionOnly: boolean;
+      changes: ValueChange[];
+    }[];
+  };
+}
+
+// Result envelope of one step, shared by editor test runs and workflow runs
+export interface StepResult {
+  stepId: string;
+  stepName?: string;
+  stepType: string;
+  success: boolean;
+  data: unknown;
+  outputPort?: string;
+  metadata: Record<string, unknown>;
+  error: {
+    message: string;
+    type: string;
+  } | null;
+  executionTime: number;
+  timestamp: string;
+  logs: LogEntry[];
 }
 
 export interface ExecutionResult {
   success: boolean;
   executionId: string;
-  results?: unknown;
+  results?: {
+    finalData: unknown;
+    stepResults: StepResult[];
+  };
   error?: string;
   logs: LogEntry[];
   duration: number;
 }
 
+// Returned when a run is queued; the execution starts as `pending`
+export interface QueuedExecution {
+  executionId: string;
+  status: Execution['status'];
+  priority: number;
+}
+
 export interface LogEntry {
   timestamp: string;
   level: 'info' | 'warn' | 'error' | 'debug';
@@ -74,7 +236,7 @@ export interface LogEntry {
 export interface Execution {
   id: string;
   automationId: string;
-  status: 'pending' | 'running' | 'completed' | 'failed';
+  status: 'pending' | 'running' | 'completed' | 'failed' | 'cancelled';
   inputData?: unknown;
   outputData?: unknown;
   logs: LogEntry[];
@@ -86,6 +248,82 @@ export interface Execution {
   completedAt?: string;
   durationMs?: number;
   triggeredBy: string;
+  resumedFrom?: string | null;
+  automationVersion?: number | null;
+  automationName?: string;
+}
+
+export interface ErrorAnalysis {
+  category: string;
+  severity: 'low' | 'medium' | 'high' | 'critical';
+  retryable?: boolean;
+  suggestions: string[];
+}
+
+// GET /executions/:id
+export interface ExecutionDetail extends Execution {
+  outputData?: {
+    finalData: unknown;
+    stepResults: StepResult[];
+  } | null;
+  checkpoint?: {
+    stepResults: StepResult[];
+    failedStepId?: string | null;
+  } | null;
+  resumes: Pick<Execution, 'id' | 'status' | 'startedAt'>[];
+  errorAnalysis: {
+    execution: ErrorAnalysis | null;
+    steps: Record<string, ErrorAnalysis>;
+  };
+}
+
+export interface ExecutionProgress {
+  completed: number;
+  total: number;
+  percent: number;
+}
+
+// Events of the live execution stream (GET /executions/:id/stream)
+export type ExecutionEvent = {
+  executionId: string;
+  timestamp: string;
+} & (
+  | { type: 'snapshot'; data: { status: Execution['status']; logs: LogEntry[]; progress: ExecutionProgress | null } }
+  | { type: 'log'; data: LogEntry }
+  | { type: 'step_started'; data: { stepId: string; stepName: string; stepType: string } }
+  | { type: 'step_finished'; data: Pick<StepResult, 'stepId' | 'stepName' | 'stepType' | 'success' | 'outputPort' | 'error' | 'executionTime'> }
+  | { type: 'progress'; data: ExecutionProgress }
+  | { type: 'debug'; data: { state: DebugState['state']; stepId: string; stepName: string } }
+  | { type: 'status'; data: { status: Execution['status']; error?: string; duration?: number } }
+);
+
+// Live state of a run started in debug mode, while it executes on the server
+export interface DebugState {
+  state: 'running' | 'paused';
+  currentStep: {
+    id: string;
+    name: string;
+    type: string;
+  } | null;
+  pausedSince: string | null;
+  inputData: unknown;
+  breakpoints: string[];
+  stepMode: boolean;
+  stepResults: StepResult[];
+  variables: Record<string, unknown>;
+  logs: LogEntry[];
+}
+
+export type DebugAction = 'continue' | 'step_over' | 'abort';
+
+// `debug` is null once the run has finished; the stored step results and
+// error are returned instead
+export interface DebugSnapshot {
+  executionId: string;
+  status: Execution['status'];
+  debug: DebugState | null;
+  stepResults?: StepResult[];
+  errorDetails?: Execution['errorDetails'];
 }
 
 export interface ValidationResult {
@@ -100,6 +338,7 @@ export type StepType =
   | 'source_file_local'
   | 'source_api_rest'
   | 'source_database'
+  | 'source_email_imap'
   | 'source_sharepoint'
   | 'source_onedrive'
   | 'source_smb_share'
@@ -133,15 +372,20 @@ export type StepType =
   | 'destination_api'
   | 'destination_database'
   | 'destination_email'
-  | 'destination_cloud';
+  | 'destination_cloud'
+  
+  // Logic steps
+  | 'logic_condition'
+  | 'logic_foreach';
 
 export interface StepTypeDefinition {
   type: StepType;
-  category: 'source' | 'filter' | 'action' | 'interface' | 'destination';
+  category: 'source' | 'filter' | 'action' | 'interface' | 'destination' | 'logic';
   label: string;
   description: string;
   icon: string;
   color: string;
+  outputPorts?: string[];
   configSchema: Record<string, {
     type: 'string' | 'number' | 'boolean' | 'object' | 'array';
     label: string;
@@ -0,0 +1,13 @@
+import type { CredentialRef, CredentialType } from '../types/automation';
+
+export const CREDENTIAL_TYPES: CredentialType[] = ['password', 'token', 'api_key', 'connection_string'];
+
+export const CREDENTIAL_TYPE_LABELS: Record<CredentialType, string> = {
+  password: 'Senha',
+  token: 'Token',
+  api_key: 'Chave de API',
+  connection_string: 'Connection string'
+};
+
+export const isCredentialRef = (value: unknown): value is CredentialRef =>
+  !!value && typeof value === 'object' && typeof (value as CredentialRef).$credential === 'string';
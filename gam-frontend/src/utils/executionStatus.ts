@@ -0,0 +1,20 @@
+import type { Execution } from '../types/automation';
+
+export const FINISHED_STATUSES: Execution['status'][] = ['completed', 'failed', 'cancelled'];
+
+export const EXECUTION_STATUS_COLORS: Record<Execution['status'], 'default' | 'success' | 'error' | 'warning' | 'info'> = {
+  pending: 'default',
+  running: 'info',
+  completed: 'success',
+  failed: 'error',
+  cancelled: 'warning'
+};
+
+export const isFinished = (status: Execution['status']): boolean => FINISHED_STATUSES.includes(status);
+
+export const formatDuration = (ms?: number | null): string => {
+  if (ms === undefined || ms === null) return '—';
+  if (ms < 1000) return `${ms} ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)} s`;
+  return `${Math.floor(ms / 60000)} min ${Math.round((ms % 60000) / 1000)} s`;
+};
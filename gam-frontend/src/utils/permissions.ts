@@ -0,0 +1,14 @@
+import type { AutomationPermission } from '../types/automation';
+
+// Lowest first, as on the server
+export const PERMISSIONS: AutomationPermission[] = ['view', 'execute', 'edit', 'owner'];
+
+export const PERMISSION_LABELS: Record<AutomationPermission, string> = {
+  view: 'Visualizar',
+  execute: 'Executar',
+  edit: 'Editar',
+  owner: 'Proprietário'
+};
+
+export const hasPermission = (permission: AutomationPermission | undefined, required: AutomationPermission): boolean =>
+  !!permission && PERMISSIONS.indexOf(permission) >= PERMISSIONS.indexOf(required);
@@ -0,0 +1,15 @@
+import type { WorkspaceRole } from '../types/automation';
+
+// Lowest first, as on the server
+export const WORKSPACE_ROLES: WorkspaceRole[] = ['viewer', 'operator', 'editor', 'admin', 'owner'];
+
+export const WORKSPACE_ROLE_LABELS: Record<WorkspaceRole, string> = {
+  viewer: 'Leitor',
+  operator: 'Operador',
+  editor: 'Editor',
+  admin: 'Administrador',
+  owner: 'Proprietário'
+};
+
+export const hasWorkspaceRole = (role: WorkspaceRole | undefined, required: WorkspaceRole): boolean =>
+  !!role && WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(required);